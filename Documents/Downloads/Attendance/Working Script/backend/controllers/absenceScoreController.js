@@ -0,0 +1,65 @@
+const bradfordService = require('../services/bradfordService');
+const punchService = require('../services/punchService');
+const { sendError } = require('../middleware/errorMiddleware');
+const { resolveTimezone, toDateOnly } = require('../utils/timezone');
+
+// Window end date (default today in the admin's timezone) and length in weeks
+const resolveOptions = async (req) => {
+  const timezone = resolveTimezone(await punchService.getUserTimezone(req.user.userId));
+  return bradfordService.resolveOptions(req.query, toDateOnly(new Date(), timezone));
+};
+
+// @desc    Employees ranked by Bradford score, with the change since a few weeks ago
+// @route   GET /api/absence-scores?department=&date=YYYY-MM-DD&weeks=
+// @access  Private/Admin
+const getAbsenceScores = async (req, res) => {
+  try {
+    const options = await resolveOptions(req);
+
+    res.json({
+      success: true,
+      data: await bradfordService.getReport({ department: req.query.department }, options)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching absence scores');
+  }
+};
+
+// @desc    One employee's Bradford score and the absence spells behind it
+// @route   GET /api/absence-scores/employees/:employeeId
+// @access  Private/Admin
+const getEmployeeAbsenceScore = async (req, res) => {
+  try {
+    const options = await resolveOptions(req);
+
+    res.json({
+      success: true,
+      data: await bradfordService.getEmployeeScore(req.params.employeeId, options)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching employee absence score');
+  }
+};
+
+// @desc    Score everyone now and notify managers of newly crossed thresholds
+// @route   POST /api/absence-scores/evaluate
+// @access  Private/Admin
+const evaluateAbsenceScores = async (req, res) => {
+  try {
+    const result = await bradfordService.evaluate();
+
+    res.json({
+      success: true,
+      message: `Scored ${result.evaluated} employee(s), ${result.notified} threshold alert(s) sent`,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Evaluating absence scores');
+  }
+};
+
+module.exports = {
+  getAbsenceScores,
+  getEmployeeAbsenceScore,
+  evaluateAbsenceScores
+};
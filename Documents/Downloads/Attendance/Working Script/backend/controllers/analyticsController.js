@@ -0,0 +1,115 @@
+const Employee = require('../models/Employee');
+const analyticsService = require('../services/analyticsService');
+const { AppError, sendError } = require('../middleware/errorMiddleware');
+const punchService = require('../services/punchService');
+const { resolveTimezone, toDateOnly } = require('../utils/timezone');
+
+const ADMIN_ROLES = ['admin', 'master_admin'];
+
+// Range, filters and "today" for a request. Admins may filter by department or employee; everyone else
+// only sees their own attendance.
+const resolveRequest = async (req) => {
+  const timezone = resolveTimezone(await punchService.getUserTimezone(req.user.userId));
+  const today = toDateOnly(new Date(), timezone);
+  const range = analyticsService.getRange(req.query, today);
+
+  let filters = { department: req.query.department, employee: req.query.employee };
+  if (!ADMIN_ROLES.includes(req.user.role)) {
+    const own = await Employee.findOne({ userId: req.user.userId, isActive: true }).select('_id');
+    if (!own) {
+      throw new AppError('Employee profile not found', 404);
+    }
+    filters = { employee: String(own._id) };
+  }
+
+  return { range, filters, today };
+};
+
+// @desc    Attendance rate, late counts, average lateness and overtime per day, week or month
+// @route   GET /api/analytics/trend
+// @access  Private (own attendance) / Admin (everyone, by department or employee)
+const getTrend = async (req, res) => {
+  try {
+    const { range, filters } = await resolveRequest(req);
+
+    res.json({
+      success: true,
+      data: await analyticsService.getTrend(range, filters)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching attendance trend');
+  }
+};
+
+// @desc    Attendance rate, late counts and average lateness per department
+// @route   GET /api/analytics/departments
+// @access  Private/Admin
+const getDepartmentBreakdown = async (req, res) => {
+  try {
+    const { range, filters } = await resolveRequest(req);
+
+    res.json({
+      success: true,
+      data: await analyticsService.getByDepartment(range, filters)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching department breakdown');
+  }
+};
+
+// @desc    Lateness and absence by day of week, clock-ins and late arrivals by hour of day
+// @route   GET /api/analytics/patterns
+// @access  Private (own attendance) / Admin
+const getPatterns = async (req, res) => {
+  try {
+    const { range, filters } = await resolveRequest(req);
+
+    res.json({
+      success: true,
+      data: await analyticsService.getPatterns(range, filters)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching attendance patterns');
+  }
+};
+
+// @desc    Attendance records behind a chart point (bucket, dayOfWeek, hour, status, late, workMode)
+// @route   GET /api/analytics/records
+// @access  Private (own attendance) / Admin
+const getRecords = async (req, res) => {
+  try {
+    const { range, filters } = await resolveRequest(req);
+    const { bucket, dayOfWeek, hour, status, late, workMode } = req.query;
+
+    res.json({
+      success: true,
+      data: await analyticsService.getRecords(range, filters, { bucket, dayOfWeek, hour, status, late, workMode })
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching analytics records');
+  }
+};
+
+// @desc    Today's headcount and the period's attendance against the period before
+// @route   GET /api/analytics/summary
+// @access  Private (own attendance) / Admin
+const getSummary = async (req, res) => {
+  try {
+    const { range, filters, today } = await resolveRequest(req);
+
+    res.json({
+      success: true,
+      data: await analyticsService.getSummary(range, today, filters)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching analytics summary');
+  }
+};
+
+module.exports = {
+  getTrend,
+  getDepartmentBreakdown,
+  getPatterns,
+  getRecords,
+  getSummary
+};
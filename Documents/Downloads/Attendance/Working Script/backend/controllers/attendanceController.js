@@ -1,179 +1,411 @@
+const mongoose = require('mongoose');
 const AttendanceLog = require('../models/AttendanceLog');
 const Employee = require('../models/Employee');
 const Department = require('../models/Department');
 const User = require('../models/User');
-const moment = require('moment');
-const fs = require('fs');
-const path = require('path');
-const csvWriter = require('csv-writer').createObjectCsvWriter;
+const ExportJob = require('../models/ExportJob');
+const moment = require('moment-timezone');
 const biometricService = require('../services/biometricService');
 const locationService = require('../services/locationService');
 const notificationService = require('../services/notificationService');
+const punchService = require('../services/punchService');
+const exportService = require('../services/exportService');
+const revisionService = require('../services/revisionService');
+const jobService = require('../services/jobService');
+const presenceService = require('../services/presenceService');
+const reviewService = require('../services/reviewService');
 const { validationResult } = require('express-validator');
-const { attendance } = require('../utils/logger');
+const { sendError } = require('../middleware/errorMiddleware');
+const {
+  resolveTimezone,
+  toDateOnly,
+  parseDateOnly,
+  formatDateOnly,
+  getMonthRange
+} = require('../utils/timezone');
+
+const ADMIN_ROLES = ['admin', 'master_admin'];
+const BREAK_REASONS = ['lunch', 'tea', 'meeting', 'personal', 'other'];
+const LOCKED_MESSAGE = 'Attendance record is locked by an approved timesheet. Reopen the timesheet to change it.';
+
+// Find the employee's attendance log that is clocked in but not yet clocked out
+const findOpenAttendance = (employeeId) => punchService.findOpenAttendance(employeeId);
+
+// Summarise break usage against the shift's break allowance
+const getBreakSummary = (attendanceLog) => {
+  const shift = attendanceLog.shift;
+  const allowanceMinutes = shift?.breakTime?.duration || 0;
+  const usedMinutes = attendanceLog.getBreakMinutesUsed();
+
+  return {
+    activeBreak: attendanceLog.activeBreak,
+    usedMinutes: Math.round(usedMinutes),
+    allowanceMinutes,
+    remainingMinutes: Math.max(0, Math.round(allowanceMinutes - usedMinutes)),
+    paid: shift?.breakTime?.paid ?? true
+  };
+};
+
+// Read the punch location from a JSON body or multipart form fields, along with the
+// details of the GPS fix the device reported
+const getRequestLocation = (body) => {
+  let location = body.location;
+  if (typeof location === 'string') {
+    try {
+      location = JSON.parse(location);
+    } catch (error) {
+      location = null;
+    }
+  }
+
+  const source = location || body;
+  const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+  };
+  const capturedAt = source.positionTimestamp ? new Date(Number(source.positionTimestamp) || source.positionTimestamp) : null;
+
+  return {
+    latitude: parseFloat(source.latitude),
+    longitude: parseFloat(source.longitude),
+    address: source.address || undefined,
+    accuracy: toNumber(source.accuracy),
+    altitude: toNumber(source.altitude),
+    speed: toNumber(source.speed),
+    capturedAt: capturedAt && !isNaN(capturedAt) ? capturedAt : undefined
+  };
+};
+
+const MOBILE_USER_AGENT = /Mobi|Android|iPhone|iPad|iPod/i;
+
+// Capture the device the punch came from. The client sends a random ID it keeps in local
+// storage, used to spot one device punching for several employees. The device type is decided
+// here: kiosk, terminal and manual punches are exempt from checks, so only their own paths set them.
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+  deviceType: MOBILE_USER_AGENT.test(req.get('user-agent') || '') ? 'mobile' : 'web',
+  deviceId: typeof req.body.deviceId === 'string' ? req.body.deviceId.slice(0, 100) : undefined
+});
+
+// Send punch rule violations back to the client, anything else is a server error
+const isPunchError = (error) => Boolean(error.isOperational && error.statusCode);
 
-// Clock In - Employee marks attendance with face recognition and GPS
+// Clock In - Employee marks attendance with face recognition and GPS or a site QR code, or remotely
+// (workMode "remote") on a day with approved remote work
 const clockIn = async (req, res) => {
   try {
-    const { location, deviceInfo } = req.body;
-    const employeeId = req.user.id;
+    // GPS may be missing indoors when a site QR code was scanned; the punch service decides
+    const location = getRequestLocation(req.body);
 
-    // Validate location
-    const isValidLocation = await locationService.validateLocation(location);
-    if (!isValidLocation) {
-      return res.status(400).json({
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid location. You must be within the allowed area to clock in.'
+        message: 'Employee profile not found'
       });
     }
 
-    // Verify biometric if face image provided
-    if (req.file) {
-      const biometricResult = await biometricService.verifyFace(req.file.path, employeeId);
-      if (!biometricResult.success) {
-        return res.status(400).json({
-          success: false,
-          message: 'Biometric verification failed. Please try again.'
-        });
-      }
-    }
-
-    // Check if already clocked in today
-    const today = moment().startOf('day');
-    const existingAttendance = await AttendanceLog.findOne({
-      employee: employeeId,
-      date: {
-        $gte: today.toDate(),
-        $lt: moment(today).endOf('day').toDate()
-      }
+    const { attendanceLog } = await punchService.clockIn(employee, {
+      location,
+      qrToken: req.body.qrToken,
+      faceImage: req.file,
+      deviceInfo: getDeviceInfo(req),
+      project: req.body.project,
+      workMode: req.body.workMode,
+      createdBy: req.user.userId
     });
 
-    if (existingAttendance && existingAttendance.clockInTime) {
-      return res.status(400).json({
+    res.status(201).json({
+      success: true,
+      message: 'Successfully clocked in',
+      data: attendanceLog
+    });
+  } catch (error) {
+    if (isPunchError(error)) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'You have already clocked in today.'
+        message: error.message
       });
     }
 
-    // Create new attendance log
-    const attendanceLog = new AttendanceLog({
-      employee: employeeId,
-      date: new Date(),
-      clockInTime: new Date(),
-      location: location,
-      deviceInfo: deviceInfo,
-      status: 'present'
+    console.error('Clock in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during clock in'
     });
+  }
+};
 
-    await attendanceLog.save();
+// Clock Out - Employee clocks out with face recognition
+const clockOut = async (req, res) => {
+  try {
+    const location = getRequestLocation(req.body);
 
-    // Log successful clock in
-    attendance.clockIn(employeeId, location, 'biometric', { deviceInfo });
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
 
-    // Send notification
-    await notificationService.sendNotification(employeeId, {
-      type: 'attendance',
-      message: 'Successfully clocked in',
-      data: { attendanceId: attendanceLog._id }
+    const { attendanceLog } = await punchService.clockOut(employee, {
+      location,
+      qrToken: req.body.qrToken,
+      faceImage: req.file,
+      deviceInfo: getDeviceInfo(req)
     });
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Successfully clocked in',
+      message: `Successfully clocked out. Working hours: ${attendanceLog.netWorkingHours.toFixed(2)}`,
       data: attendanceLog
     });
   } catch (error) {
-    attendance.biometricFailure(req.user.id, 'Clock in error', 1, { error: error.message });
+    if (isPunchError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Clock out error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during clock in'
+      message: 'Server error during clock out'
     });
   }
 };
 
-// Clock Out - Employee clocks out with face recognition
-const clockOut = async (req, res) => {
+// Sync Offline Punch - Replay a clock-in/out the device queued while offline
+const syncOfflinePunch = async (req, res) => {
   try {
-    const { location, deviceInfo } = req.body;
-    const employeeId = req.user.id;
+    const { eventId, type, deviceTime, sentAt } = req.body;
 
-    // Validate location
-    const isValidLocation = await locationService.validateLocation(location);
-    if (!isValidLocation) {
+    if (!eventId || !['clock_in', 'clock_out'].includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid location. You must be within the allowed area to clock out.'
+        message: 'An event ID and a type of clock_in or clock_out are required'
       });
     }
 
-    // Verify biometric if face image provided
-    if (req.file) {
-      const biometricResult = await biometricService.verifyFace(req.file.path, employeeId);
-      if (!biometricResult.success) {
-        return res.status(400).json({
-          success: false,
-          message: 'Biometric verification failed. Please try again.'
-        });
-      }
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
     }
 
-    // Find today's attendance log
-    const today = moment().startOf('day');
-    const attendanceLog = await AttendanceLog.findOne({
-      employee: employeeId,
-      date: {
-        $gte: today.toDate(),
-        $lt: moment(today).endOf('day').toDate()
+    // Replays are retried until acknowledged, so an event we already applied is a success
+    const existing = await punchService.findByClientEventId(employee._id, eventId);
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Event already synced',
+        data: existing
+      });
+    }
+
+    const receivedAt = new Date();
+    const { time, skewSeconds, irregularities } = punchService.assessDeviceTime({
+      deviceTime,
+      sentAt,
+      receivedAt
+    });
+
+    const punch = {
+      location: getRequestLocation(req.body),
+      faceImage: req.file,
+      deviceInfo: getDeviceInfo(req),
+      time,
+      irregularities,
+      offline: {
+        clientEventId: eventId,
+        deviceTime: new Date(deviceTime),
+        clockSkewSeconds: skewSeconds,
+        syncedAt: receivedAt
       }
+    };
+
+    const { attendanceLog } = type === 'clock_in'
+      ? await punchService.clockIn(employee, { ...punch, project: req.body.project, workMode: req.body.workMode, createdBy: req.user.userId })
+      : await punchService.clockOut(employee, punch);
+
+    res.status(201).json({
+      success: true,
+      message: `Offline ${type === 'clock_in' ? 'clock in' : 'clock out'} synced`,
+      flagged: irregularities.length > 0,
+      data: attendanceLog
     });
+  } catch (error) {
+    if (isPunchError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Two replays of the same event raced past the duplicate check
+    if (error.code === 11000 && JSON.stringify(error.keyPattern || {}).includes('offline.clientEventId')) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Event already synced'
+      });
+    }
+
+    console.error('Offline punch sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while syncing offline punch'
+    });
+  }
+};
+
+// Start Break - Employee starts a break during an open clock-in
+const startBreak = async (req, res) => {
+  try {
+    const { reason = 'other', location } = req.body;
+
+    if (!BREAK_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Break reason must be one of: ${BREAK_REASONS.join(', ')}`
+      });
+    }
 
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const attendanceLog = await findOpenAttendance(employee._id);
     if (!attendanceLog) {
       return res.status(400).json({
         success: false,
-        message: 'No clock in record found for today.'
+        message: 'You must be clocked in to start a break.'
       });
     }
 
-    if (attendanceLog.clockOutTime) {
+    if (attendanceLog.activeBreak) {
       return res.status(400).json({
         success: false,
-        message: 'You have already clocked out today.'
+        message: 'You are already on a break.'
       });
     }
 
-    // Update attendance log with clock out time
-    attendanceLog.clockOutTime = new Date();
-    attendanceLog.location = location;
-    attendanceLog.deviceInfo = deviceInfo;
+    await attendanceLog.startBreak(reason, location);
+    presenceService.publish(employee._id, 'break_start');
 
-    // Calculate working hours
-    const clockInTime = moment(attendanceLog.clockInTime);
-    const clockOutTime = moment(attendanceLog.clockOutTime);
-    const workingHours = clockOutTime.diff(clockInTime, 'hours', true);
-    attendanceLog.workingHours = workingHours;
+    res.status(201).json({
+      success: true,
+      message: 'Break started',
+      data: {
+        attendance: attendanceLog,
+        breakSummary: getBreakSummary(attendanceLog)
+      }
+    });
+  } catch (error) {
+    console.error('Start break error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting break'
+    });
+  }
+};
 
-    await attendanceLog.save();
+// End Break - Employee ends the break in progress
+const endBreak = async (req, res) => {
+  try {
+    const { location } = req.body;
 
-    // Log successful clock out
-    attendance.clockOut(employeeId, location, 'biometric', { deviceInfo, workingHours });
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const attendanceLog = await findOpenAttendance(employee._id);
+    if (!attendanceLog || !attendanceLog.activeBreak) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active break found.'
+      });
+    }
+
+    await attendanceLog.endBreak(location);
+    presenceService.publish(employee._id, 'break_end');
 
-    // Send notification
-    await notificationService.sendNotification(employeeId, {
-      type: 'attendance',
-      message: `Successfully clocked out. Working hours: ${workingHours.toFixed(2)}`,
-      data: { attendanceId: attendanceLog._id }
+    const breakSummary = getBreakSummary(attendanceLog);
+    const exceeded = breakSummary.allowanceMinutes > 0 &&
+      breakSummary.usedMinutes > breakSummary.allowanceMinutes;
+
+    res.status(200).json({
+      success: true,
+      message: exceeded
+        ? `Break ended. You have exceeded your ${breakSummary.allowanceMinutes} minute break allowance.`
+        : 'Break ended',
+      data: {
+        attendance: attendanceLog,
+        breakSummary
+      }
     });
+  } catch (error) {
+    console.error('End break error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending break'
+    });
+  }
+};
+
+// Switch Job - Employee moves their time to another project without clocking out
+const switchJob = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const attendanceLog = await findOpenAttendance(employee._id);
+    if (!attendanceLog) {
+      return res.status(400).json({
+        success: false,
+        message: 'Clock in before switching jobs.'
+      });
+    }
+
+    await jobService.switchJob(attendanceLog, req.body.project);
+    await attendanceLog.populate('jobSegments.project', 'code name');
 
     res.status(200).json({
       success: true,
-      message: 'Successfully clocked out',
+      message: 'Job switched',
       data: attendanceLog
     });
   } catch (error) {
-    attendance.biometricFailure(req.user.id, 'Clock out error', 1, { error: error.message });
+    if (isPunchError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Switch job error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during clock out'
+      message: 'Server error while switching jobs'
     });
   }
 };
@@ -225,8 +457,8 @@ const getAttendanceByDate = async (req, res) => {
     const { date } = req.params;
     const { page = 1, limit = 10 } = req.query;
 
-    const startDate = moment(date).startOf('day').toDate();
-    const endDate = moment(date).endOf('day').toDate();
+    const startDate = parseDateOnly(date);
+    const endDate = moment.utc(startDate).endOf('day').toDate();
 
     const query = {
       date: {
@@ -310,31 +542,46 @@ const getAllAttendance = async (req, res) => {
   }
 };
 
+// Edits only match unlocked records; tell a missing record apart from one an approved timesheet locks
+const sendMissingOrLocked = async (res, id) => {
+  const exists = await AttendanceLog.exists({ _id: id });
+  res.status(exists ? 409 : 404).json({
+    success: false,
+    message: exists ? LOCKED_MESSAGE : 'Attendance record not found'
+  });
+};
+
 // Update attendance record (Admin only)
 const updateAttendance = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { reason, ...updates } = req.body;
 
-    const attendanceLog = await AttendanceLog.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('employee', 'firstName lastName employeeId');
+    const attendanceLog = await revisionService.updateLog(id, updates, {
+      reason,
+      changedBy: req.user.userId
+    });
 
     if (!attendanceLog) {
-      return res.status(404).json({
-        success: false,
-        message: 'Attendance record not found'
-      });
+      return sendMissingOrLocked(res, id);
     }
 
+    await attendanceLog.populate('employee', 'firstName lastName employeeId');
+
     res.status(200).json({
       success: true,
       message: 'Attendance record updated successfully',
       data: attendanceLog
     });
   } catch (error) {
+    // A missing reason is the client's mistake, not a server error
+    if (error.isOperational && error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update attendance error:', error);
     res.status(500).json({
       success: false,
@@ -348,24 +595,86 @@ const deleteAttendance = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const attendanceLog = await AttendanceLog.findByIdAndDelete(id);
+    const attendanceLog = await revisionService.deleteLog(id, {
+      reason: req.body?.reason || req.query.reason,
+      changedBy: req.user.userId
+    });
 
     if (!attendanceLog) {
+      return sendMissingOrLocked(res, id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance record deleted successfully'
+    });
+  } catch (error) {
+    if (error.isOperational && error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Delete attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting attendance record'
+    });
+  }
+};
+
+// @desc    Get the revision history of an attendance record
+// @route   GET /api/attendance/:id/history
+// @access  Private (Admin, the employee's manager, or the employee)
+const getAttendanceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(404).json({
         success: false,
         message: 'Attendance record not found'
       });
     }
 
+    const [attendanceLog, revisions] = await Promise.all([
+      AttendanceLog.findById(id).select('employee date').populate('employee', 'userId manager'),
+      revisionService.getHistory(id)
+    ]);
+
+    // A deleted record leaves only its revisions behind
+    const employeeId = attendanceLog?.employee?._id || revisions[0]?.employee;
+    if (!employeeId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    if (!ADMIN_ROLES.includes(req.user.role)) {
+      const viewer = await reviewService.getEmployeeForUser(req.user);
+      const employee = attendanceLog?.employee || await Employee.findById(employeeId).select('userId manager');
+      const isOwner = viewer && viewer._id.equals(employeeId);
+      const isManager = viewer && employee?.manager && employee.manager.equals(viewer._id);
+
+      if (!isOwner && !isManager) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not allowed to view this record\'s history'
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Attendance record deleted successfully'
+      data: revisions
     });
   } catch (error) {
-    console.error('Delete attendance error:', error);
+    console.error('Get attendance history error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting attendance record'
+      message: 'Server error while fetching attendance history'
     });
   }
 };
@@ -435,148 +744,174 @@ const getAttendanceStats = async (req, res) => {
   }
 };
 
-// Generate attendance report
+// Stream an export straight to the response. The cursor keeps data flowing, so the request
+// timeout (an idle timeout) does not cut off a long download.
+const streamExport = async (res, format, query, prefix) => {
+  // A download may take longer than the request timeout; it ends when the cursor does
+  res.setTimeout(0);
+  res.setHeader('Content-Type', exportService.getContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${exportService.getFileName(format, prefix)}"`);
+  await exportService.writeExport(format, query, res);
+};
+
+const getExportFilters = (query) => ({
+  startDate: query.startDate,
+  endDate: query.endDate,
+  department: query.department,
+  employee: query.employee,
+  status: query.status
+});
+
+// Generate attendance report: a page of JSON, or the whole range as a CSV, XLSX or NDJSON download
 const getAttendanceReport = async (req, res) => {
   try {
-    const { startDate, endDate, department, format = 'json' } = req.query;
+    const { format = 'json' } = req.query;
+    const query = await exportService.buildQuery(getExportFilters(req.query));
 
-    let query = {};
-
-    // Add date range filter
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    if (format !== 'json') {
+      return await streamExport(res, exportService.normalizeFormat(format), query, 'attendance_report');
     }
 
-    const attendanceRecords = await AttendanceLog.find(query)
-      .populate('employee', 'firstName lastName employeeId department')
-      .sort({ date: -1 });
-
-    if (format === 'csv') {
-      // Generate CSV report
-      const csvData = attendanceRecords.map(record => ({
-        employeeId: record.employee.employeeId,
-        employeeName: `${record.employee.firstName} ${record.employee.lastName}`,
-        date: moment(record.date).format('YYYY-MM-DD'),
-        clockInTime: record.clockInTime ? moment(record.clockInTime).format('HH:mm:ss') : '',
-        clockOutTime: record.clockOutTime ? moment(record.clockOutTime).format('HH:mm:ss') : '',
-        workingHours: record.workingHours || 0,
-        status: record.status
-      }));
-
-      const csvFilePath = path.join(__dirname, '../temp', `attendance_report_${Date.now()}.csv`);
-      const writer = csvWriter({
-        path: csvFilePath,
-        header: [
-          { id: 'employeeId', title: 'Employee ID' },
-          { id: 'employeeName', title: 'Employee Name' },
-          { id: 'date', title: 'Date' },
-          { id: 'clockInTime', title: 'Clock In' },
-          { id: 'clockOutTime', title: 'Clock Out' },
-          { id: 'workingHours', title: 'Working Hours' },
-          { id: 'status', title: 'Status' }
-        ]
-      });
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const [records, total] = await Promise.all([
+      AttendanceLog.find(query)
+        .populate({
+          path: 'employee',
+          select: 'employeeId userId department',
+          populate: { path: 'userId', select: 'firstName lastName' }
+        })
+        .sort({ date: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      exportService.countRecords(query)
+    ]);
 
-      await writer.writeRecords(csvData);
+    res.status(200).json({
+      success: true,
+      data: records,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Generating attendance report');
+  }
+};
 
-      res.download(csvFilePath, 'attendance_report.csv', (err) => {
-        if (err) {
-          console.error('CSV download error:', err);
-        }
-        // Clean up temporary file
-        fs.unlinkSync(csvFilePath);
-      });
-    } else {
-      res.status(200).json({
+// Export attendance data in CSV, XLSX or NDJSON. Exports over the size threshold, or requested
+// with async=true, are queued as a background job and a 202 with the job is returned instead.
+const exportAttendance = async (req, res) => {
+  try {
+    const format = exportService.normalizeFormat(req.query.format);
+    const filters = getExportFilters(req.query);
+    const query = await exportService.buildQuery(filters);
+
+    const total = await exportService.countRecords(query);
+    if (req.query.async === 'true' || total > exportService.asyncThreshold) {
+      const job = await exportService.createJob(format, filters, req.user.userId);
+      return res.status(202).json({
         success: true,
-        data: attendanceRecords
+        message: `Export of ${total} records queued. You will be notified when it is ready to download.`,
+        data: job
       });
     }
+
+    await streamExport(res, format, query, 'attendance_export');
+  } catch (error) {
+    sendError(res, error, 'Exporting attendance data');
+  }
+};
+
+// Get the signed-in user's recent export jobs
+const getExportJobs = async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ requestedBy: req.user.userId })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
   } catch (error) {
-    console.error('Get attendance report error:', error);
+    console.error('Get export jobs error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while generating attendance report'
+      message: 'Server error while fetching export jobs'
     });
   }
 };
 
-// Export attendance data
-const exportAttendance = async (req, res) => {
+// Get one export job's progress
+const getExportJob = async (req, res) => {
   try {
-    const { startDate, endDate, format = 'csv' } = req.query;
-
-    let query = {};
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    const job = await ExportJob.findOne({ _id: req.params.id, requestedBy: req.user.userId });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export job not found'
+      });
     }
 
-    const attendanceRecords = await AttendanceLog.find(query)
-      .populate('employee', 'firstName lastName employeeId department')
-      .sort({ date: -1 });
-
-    if (format === 'csv') {
-      const csvData = attendanceRecords.map(record => ({
-        employeeId: record.employee.employeeId,
-        employeeName: `${record.employee.firstName} ${record.employee.lastName}`,
-        date: moment(record.date).format('YYYY-MM-DD'),
-        clockInTime: record.clockInTime ? moment(record.clockInTime).format('HH:mm:ss') : '',
-        clockOutTime: record.clockOutTime ? moment(record.clockOutTime).format('HH:mm:ss') : '',
-        workingHours: record.workingHours || 0,
-        status: record.status
-      }));
-
-      const csvFilePath = path.join(__dirname, '../temp', `attendance_export_${Date.now()}.csv`);
-      
-      // Ensure temp directory exists
-      const tempDir = path.dirname(csvFilePath);
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export job'
+    });
+  }
+};
 
-      const writer = csvWriter({
-        path: csvFilePath,
-        header: [
-          { id: 'employeeId', title: 'Employee ID' },
-          { id: 'employeeName', title: 'Employee Name' },
-          { id: 'date', title: 'Date' },
-          { id: 'clockInTime', title: 'Clock In' },
-          { id: 'clockOutTime', title: 'Clock Out' },
-          { id: 'workingHours', title: 'Working Hours' },
-          { id: 'status', title: 'Status' }
-        ]
+// Download a finished export job's file
+const downloadExportJob = async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, requestedBy: req.user.userId })
+      .select('+filePath');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export job not found'
       });
+    }
 
-      await writer.writeRecords(csvData);
-
-      res.download(csvFilePath, `attendance_export_${moment().format('YYYY-MM-DD')}.csv`, (err) => {
-        if (err) {
-          console.error('Export download error:', err);
-        }
-        // Clean up temporary file
-        try {
-          fs.unlinkSync(csvFilePath);
-        } catch (cleanupError) {
-          console.error('File cleanup error:', cleanupError);
-        }
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: `Export is ${job.status}`
       });
-    } else {
-      res.status(200).json({
-        success: true,
-        data: attendanceRecords
+    }
+
+    if (!job.filePath || job.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'Export has expired. Please run it again.'
       });
     }
+
+    // Large files may take longer than the request timeout to send
+    res.setTimeout(0);
+    res.download(job.filePath, job.fileName, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Export download error:', err);
+        res.status(410).json({
+          success: false,
+          message: 'Export file is no longer available'
+        });
+      }
+    });
   } catch (error) {
-    console.error('Export attendance error:', error);
+    console.error('Download export job error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while exporting attendance data'
+      message: 'Server error while downloading export'
     });
   }
 };
@@ -584,7 +919,7 @@ const exportAttendance = async (req, res) => {
 // Bulk update attendance records
 const bulkUpdateAttendance = async (req, res) => {
   try {
-    const { updates } = req.body; // Array of { id, data } objects
+    const { updates } = req.body; // Array of { id, data, reason } objects
 
     if (!Array.isArray(updates)) {
       return res.status(400).json({
@@ -596,11 +931,17 @@ const bulkUpdateAttendance = async (req, res) => {
     const results = [];
     for (const update of updates) {
       try {
-        const updatedRecord = await AttendanceLog.findByIdAndUpdate(
-          update.id,
-          update.data,
-          { new: true, runValidators: true }
-        );
+        // Each update may give its own reason; otherwise the batch's reason applies to all
+        const updatedRecord = await revisionService.updateLog(update.id, update.data, {
+          reason: update.reason || req.body.reason,
+          changedBy: req.user.userId,
+          source: 'bulk'
+        });
+        if (!updatedRecord) {
+          const exists = await AttendanceLog.exists({ _id: update.id });
+          results.push({ id: update.id, success: false, error: exists ? LOCKED_MESSAGE : 'Attendance record not found' });
+          continue;
+        }
         results.push({ id: update.id, success: true, data: updatedRecord });
       } catch (error) {
         results.push({ id: update.id, success: false, error: error.message });
@@ -625,15 +966,14 @@ const bulkUpdateAttendance = async (req, res) => {
 const getAttendanceSummary = async (req, res) => {
   try {
     const { month, year } = req.query;
-    const startDate = moment(`${year}-${month}-01`).startOf('month');
-    const endDate = moment(startDate).endOf('month');
+    const { start: startDate, end: endDate } = getMonthRange(year, month);
 
     const pipeline = [
       {
         $match: {
           date: {
-            $gte: startDate.toDate(),
-            $lte: endDate.toDate()
+            $gte: startDate,
+            $lte: endDate
           }
         }
       },
@@ -684,20 +1024,32 @@ const getAttendanceSummary = async (req, res) => {
 // Get today's attendance
 const getTodayAttendance = async (req, res) => {
   try {
-    const today = moment().startOf('day');
-    const endOfDay = moment().endOf('day');
+    // "Today" is the calendar day in the requesting user's timezone
+    const timezone = resolveTimezone(await punchService.getUserTimezone(req.user.userId));
+    const today = toDateOnly(new Date(), timezone);
 
-    const attendanceRecords = await AttendanceLog.find({
+    const query = {
       date: {
-        $gte: today.toDate(),
-        $lte: endOfDay.toDate()
+        $gte: today,
+        $lte: moment.utc(today).endOf('day').toDate()
       }
-    })
+    };
+
+    // Employees only see their own record
+    if (!['admin', 'master_admin'].includes(req.user.role)) {
+      const employee = await reviewService.getEmployeeForUser(req.user);
+      query.employee = employee?._id || null;
+    }
+
+    const attendanceRecords = await AttendanceLog.find(query)
     .populate('employee', 'firstName lastName employeeId department')
-    .sort({ clockInTime: 1 });
+    .populate('jobSegments.project', 'code name')
+    .sort({ 'clockIn.time': 1 });
 
     res.status(200).json({
       success: true,
+      date: formatDateOnly(today),
+      timezone,
       data: attendanceRecords
     });
   } catch (error) {
@@ -713,16 +1065,23 @@ const getTodayAttendance = async (req, res) => {
 const getMonthlyAttendance = async (req, res) => {
   try {
     const { month, year } = req.params;
-    const employeeId = req.user.id;
 
-    const startDate = moment(`${year}-${month}-01`).startOf('month');
-    const endDate = moment(startDate).endOf('month');
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    // Attendance dates are already local calendar days, so month bounds need no offset
+    const { start: startDate, end: endDate } = getMonthRange(year, month);
 
     const attendanceRecords = await AttendanceLog.find({
-      employee: employeeId,
+      employee: employee._id,
       date: {
-        $gte: startDate.toDate(),
-        $lte: endDate.toDate()
+        $gte: startDate,
+        $lte: endDate
       }
     }).sort({ date: 1 });
 
@@ -824,14 +1183,22 @@ const verifyBiometric = async (req, res) => {
 module.exports = {
   clockIn,
   clockOut,
+  syncOfflinePunch,
+  startBreak,
+  endBreak,
+  switchJob,
   getAttendanceByEmployee,
   getAttendanceByDate,
   getAllAttendance,
   updateAttendance,
   deleteAttendance,
+  getAttendanceHistory,
   getAttendanceStats,
   getAttendanceReport,
   exportAttendance,
+  getExportJobs,
+  getExportJob,
+  downloadExportJob,
   bulkUpdateAttendance,
   getAttendanceSummary,
   getTodayAttendance,
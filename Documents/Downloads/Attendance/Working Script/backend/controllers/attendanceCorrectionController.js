@@ -0,0 +1,433 @@
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const AttendanceLog = require('../models/AttendanceLog');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const revisionService = require('../services/revisionService');
+const pairingService = require('../services/pairingService');
+const reviewService = require('../services/reviewService');
+const moment = require('moment');
+const Shift = require('../models/Shift');
+const { sendError } = require('../middleware/errorMiddleware');
+const { resolveTimezone, parseDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Notify the employee's manager, or the admins when no manager is assigned
+const notifyReviewers = async (correction, employee) => {
+  const recipients = await reviewService.getReviewers(employee);
+
+  await notificationService.sendNotification(recipients, {
+    sender: correction.createdBy,
+    type: 'attendance_correction_request',
+    title: 'Attendance Correction Request',
+    message: `${employee.fullName || employee.employeeId} requested a correction for ${formatDateOnly(correction.date)}: ${correction.reason}`,
+    priority: 'medium',
+    category: 'attendance',
+    actionRequired: true,
+    actionUrl: '/attendance',
+    actionLabel: 'Review request',
+    data: { correctionId: correction._id },
+    relatedEntity: {
+      entityType: 'AttendanceCorrection',
+      entityId: correction._id
+    }
+  });
+};
+
+// Tell the employee how their request was decided
+const notifyEmployee = async (correction, reviewer) => {
+  const approved = correction.status === 'approved';
+  const date = formatDateOnly(correction.date);
+
+  await notificationService.sendNotification(correction.employee.userId, {
+    sender: reviewer.userId,
+    type: approved ? 'attendance_correction_approved' : 'attendance_correction_rejected',
+    title: approved ? 'Attendance Correction Approved' : 'Attendance Correction Rejected',
+    message: approved
+      ? `Your attendance correction for ${date} has been approved`
+      : `Your attendance correction for ${date} was rejected${correction.reviewComments ? `: ${correction.reviewComments}` : ''}`,
+    priority: 'medium',
+    category: 'attendance',
+    data: {
+      correctionId: correction._id,
+      attendanceId: correction.attendanceLog
+    },
+    relatedEntity: {
+      entityType: 'AttendanceCorrection',
+      entityId: correction._id
+    }
+  });
+};
+
+// @desc    Request a correction to an attendance record
+// @route   POST /api/attendance-corrections
+// @access  Private
+const createCorrection = async (req, res) => {
+  try {
+    const { attendanceId, date, requestedClockIn, requestedClockOut, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for the correction is required'
+      });
+    }
+
+    if (!attendanceId && !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'An attendance record or date is required'
+      });
+    }
+
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    let attendanceLog = null;
+    if (attendanceId) {
+      attendanceLog = await AttendanceLog.findOne({ _id: attendanceId, employee: employee._id });
+      if (!attendanceLog) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance record not found'
+        });
+      }
+    } else {
+      const day = moment.utc(parseDateOnly(date));
+      attendanceLog = await AttendanceLog.findOne({
+        employee: employee._id,
+        date: { $gte: day.toDate(), $lte: day.clone().endOf('day').toDate() }
+      });
+    }
+
+    if (!requestedClockIn && !attendanceLog?.clockIn?.time) {
+      return res.status(400).json({
+        success: false,
+        message: 'A clock-in time is required for a day without a clock-in'
+      });
+    }
+
+    const correctionDate = attendanceLog ? attendanceLog.date : parseDateOnly(date);
+    const duplicate = await AttendanceCorrection.findOne({
+      employee: employee._id,
+      date: correctionDate,
+      status: 'pending'
+    });
+
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A correction for this day is already pending review'
+      });
+    }
+
+    const correction = await AttendanceCorrection.create({
+      employee: employee._id,
+      attendanceLog: attendanceLog?._id,
+      date: correctionDate,
+      original: attendanceLog ? {
+        clockIn: attendanceLog.clockIn?.time,
+        clockOut: attendanceLog.clockOut?.time,
+        status: attendanceLog.status
+      } : undefined,
+      requestedClockIn: requestedClockIn || undefined,
+      requestedClockOut: requestedClockOut || undefined,
+      reason: reason.trim(),
+      createdBy: req.user.userId
+    });
+
+    await employee.populate('userId', 'firstName lastName');
+    await notifyReviewers(correction, employee);
+
+    res.status(201).json({
+      success: true,
+      data: correction,
+      message: 'Correction request submitted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Creating correction request');
+  }
+};
+
+// @desc    Get my correction requests
+// @route   GET /api/attendance-corrections/my-requests
+// @access  Private
+const getMyCorrections = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const query = { employee: employee._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const corrections = await AttendanceCorrection.find(query)
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: corrections
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching correction requests');
+  }
+};
+
+// @desc    Get correction requests awaiting the current reviewer
+// @route   GET /api/attendance-corrections/pending
+// @access  Private (Admin or Manager)
+const getPendingCorrections = async (req, res) => {
+  try {
+    const query = { status: 'pending' };
+
+    const employeeFilter = await reviewService.getReviewQueueFilter(req.user);
+    if (employeeFilter) {
+      query.employee = employeeFilter;
+    }
+
+    const corrections = await AttendanceCorrection.find(query)
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: corrections
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching correction requests');
+  }
+};
+
+// @desc    Approve a correction request and rewrite the attendance record
+// @route   PUT /api/attendance-corrections/:id/approve
+// @access  Private (Admin or Manager)
+const approveCorrection = async (req, res) => {
+  try {
+    const { comments } = req.body;
+
+    const correction = await AttendanceCorrection.findById(req.params.id)
+      .populate('employee');
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Correction request not found'
+      });
+    }
+
+    if (!(await reviewService.canReview(req.user, correction.employee))) {
+      return res.status(403).json({
+        success: false,
+        message: reviewService.isOwn(req.user, correction.employee)
+          ? 'You cannot review your own correction request'
+          : 'You are not allowed to review this correction request'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Correction request is not pending'
+      });
+    }
+
+    let attendanceLog = correction.attendanceLog
+      ? await AttendanceLog.findById(correction.attendanceLog)
+      : await AttendanceLog.findOne({ employee: correction.employee._id, date: correction.date });
+
+    if (attendanceLog?.lockedByTimesheet) {
+      return res.status(409).json({
+        success: false,
+        message: 'This day belongs to an approved timesheet. Reopen the timesheet before approving the correction.'
+      });
+    }
+
+    // A correction to one end of the day has to fit the other end as it stands
+    const clockIn = correction.requestedClockIn || attendanceLog?.clockIn?.time;
+    const clockOut = correction.requestedClockOut || attendanceLog?.clockOut?.time;
+    if (!clockIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'A clock-in time is required for a day without a clock-in'
+      });
+    }
+    if (clockOut && clockOut <= clockIn) {
+      return res.status(400).json({
+        success: false,
+        message: correction.requestedClockOut
+          ? 'The corrected clock-out must be after the clock-in'
+          : 'The corrected clock-in must be before the clock-out'
+      });
+    }
+
+    if (!attendanceLog) {
+      const [shift, account] = await Promise.all([
+        correction.employee.shift ? Shift.findById(correction.employee.shift) : Shift.getDefaultShift(),
+        User.findById(correction.employee.userId).select('preferences.timezone')
+      ]);
+
+      attendanceLog = new AttendanceLog({
+        employee: correction.employee._id,
+        date: correction.date,
+        timezone: resolveTimezone(shift?.timezone, account?.preferences?.timezone),
+        shift: shift?._id,
+        createdBy: req.user.userId
+      });
+    }
+
+    const before = attendanceLog.isNew
+      ? { _id: attendanceLog._id, employee: attendanceLog.employee }
+      : attendanceLog.toObject({ virtuals: false });
+
+    await attendanceLog.applyCorrection(correction, req.user.userId);
+    await revisionService.record({
+      before,
+      after: attendanceLog.toObject({ virtuals: false }),
+      reason: correction.reason,
+      changedBy: req.user.userId,
+      source: 'correction'
+    });
+    await pairingService.syncPunches(attendanceLog, { reason: correction.reason, userId: req.user.userId });
+
+    correction.attendanceLog = attendanceLog._id;
+    correction.status = 'approved';
+    correction.reviewedBy = req.user.userId;
+    correction.reviewedAt = new Date();
+    correction.reviewComments = comments;
+    await correction.save();
+
+    await notifyEmployee(correction, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        correction,
+        attendance: attendanceLog
+      },
+      message: 'Correction request approved successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Approving correction request');
+  }
+};
+
+// @desc    Reject a correction request
+// @route   PUT /api/attendance-corrections/:id/reject
+// @access  Private (Admin or Manager)
+const rejectCorrection = async (req, res) => {
+  try {
+    const { comments } = req.body;
+
+    if (!comments) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comments are required when rejecting a correction request'
+      });
+    }
+
+    const correction = await AttendanceCorrection.findById(req.params.id)
+      .populate('employee');
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Correction request not found'
+      });
+    }
+
+    if (!(await reviewService.canReview(req.user, correction.employee))) {
+      return res.status(403).json({
+        success: false,
+        message: reviewService.isOwn(req.user, correction.employee)
+          ? 'You cannot review your own correction request'
+          : 'You are not allowed to review this correction request'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Correction request is not pending'
+      });
+    }
+
+    correction.status = 'rejected';
+    correction.reviewedBy = req.user.userId;
+    correction.reviewedAt = new Date();
+    correction.reviewComments = comments;
+    await correction.save();
+
+    await notifyEmployee(correction, req.user);
+
+    res.json({
+      success: true,
+      data: correction,
+      message: 'Correction request rejected'
+    });
+  } catch (error) {
+    sendError(res, error, 'Rejecting correction request');
+  }
+};
+
+// @desc    Cancel my pending correction request
+// @route   PUT /api/attendance-corrections/:id/cancel
+// @access  Private
+const cancelCorrection = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    const correction = employee && await AttendanceCorrection.findOne({
+      _id: req.params.id,
+      employee: employee._id
+    });
+
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Correction request not found'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending correction requests can be cancelled'
+      });
+    }
+
+    correction.status = 'cancelled';
+    await correction.save();
+
+    res.json({
+      success: true,
+      data: correction,
+      message: 'Correction request cancelled'
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancelling correction request');
+  }
+};
+
+module.exports = {
+  createCorrection,
+  getMyCorrections,
+  getPendingCorrections,
+  approveCorrection,
+  rejectCorrection,
+  cancelCorrection
+};
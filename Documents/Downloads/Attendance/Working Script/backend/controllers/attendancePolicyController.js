@@ -0,0 +1,96 @@
+const policyService = require('../services/policyService');
+const { sendError } = require('../middleware/errorMiddleware');
+
+const POLICY_FIELDS = ['name', 'scope', 'effectiveFrom', 'graceMinutes', 'earlyDepartureGraceMinutes', 'rounding', 'minimumHours', 'lateDeduction', 'remoteWork'];
+const VERSION_FIELDS = ['effectiveFrom', 'graceMinutes', 'earlyDepartureGraceMinutes', 'rounding', 'minimumHours', 'lateDeduction', 'remoteWork'];
+
+// Pick the editable fields from the request body, plus the one target the scope points at
+const pickFields = (body, fields) => {
+  const values = fields.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+    return picked;
+  }, {});
+  if (['department', 'site', 'shift'].includes(body.scope)) {
+    values[body.scope] = body[body.scope] || undefined;
+  }
+  return values;
+};
+
+// @desc    List attendance policies in force or scheduled, or every version with includeHistory=true
+// @route   GET /api/attendance-policies
+// @access  Private/Admin
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await policyService.list({
+      includeHistory: req.query.includeHistory === 'true',
+      scope: req.query.scope
+    });
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching attendance policies');
+  }
+};
+
+// @desc    Create an attendance policy for everyone, a department, a site or a shift
+// @route   POST /api/attendance-policies
+// @access  Private/Admin
+const createPolicy = async (req, res) => {
+  try {
+    const policy = await policyService.create(pickFields(req.body, POLICY_FIELDS), req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attendance policy created',
+      data: policy
+    });
+  } catch (error) {
+    sendError(res, error, 'Creating attendance policy');
+  }
+};
+
+// @desc    Change a policy's rules from a date by adding a version; earlier days keep the old rules
+// @route   POST /api/attendance-policies/:id/versions
+// @access  Private/Admin
+const createPolicyVersion = async (req, res) => {
+  try {
+    const policy = await policyService.createVersion(req.params.id, pickFields(req.body, VERSION_FIELDS), req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${policy.version} will apply from ${req.body.effectiveFrom || 'today'}`,
+      data: policy
+    });
+  } catch (error) {
+    sendError(res, error, 'Creating attendance policy version');
+  }
+};
+
+// @desc    Retire a policy after an end date (today by default)
+// @route   DELETE /api/attendance-policies/:id
+// @access  Private/Admin
+const retirePolicy = async (req, res) => {
+  try {
+    const policy = await policyService.retire(req.params.id, req.body?.effectiveTo || req.query.effectiveTo);
+
+    res.json({
+      success: true,
+      message: 'Attendance policy retired',
+      data: policy
+    });
+  } catch (error) {
+    sendError(res, error, 'Retiring attendance policy');
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  createPolicyVersion,
+  retirePolicy
+};
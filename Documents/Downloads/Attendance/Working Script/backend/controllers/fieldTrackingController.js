@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const fieldTrackingService = require('../services/fieldTrackingService');
+const punchService = require('../services/punchService');
+const reviewService = require('../services/reviewService');
+const { sendError } = require('../middleware/errorMiddleware');
+const { resolveTimezone, toDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Managers see their direct reports' routes, admins everyone's, and everyone their own
+const canView = async (user, employee) => {
+  return reviewService.isOwn(user, employee) || reviewService.canReview(user, employee);
+};
+
+// The requested shift day, or today in the user's timezone
+const getDate = async (req) => {
+  if (req.query.date) {
+    return req.query.date;
+  }
+  return formatDateOnly(toDateOnly(new Date(), resolveTimezone(await punchService.getUserTimezone(req.user.userId))));
+};
+
+// @desc    Whether I should be sharing my location, my consent and the notice to agree to
+// @route   GET /api/field-tracking/status
+// @access  Private
+const getTrackingStatus = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await fieldTrackingService.getStatus(employee)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching field tracking status');
+  }
+};
+
+// @desc    Agree to the location notice (granted, noticeVersion) or withdraw consent
+// @route   PUT /api/field-tracking/consent
+// @access  Private
+const updateConsent = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const consent = await fieldTrackingService.setConsent(employee, {
+      granted: req.body.granted,
+      noticeVersion: req.body.noticeVersion
+    });
+
+    res.json({
+      success: true,
+      data: consent,
+      message: consent.granted ? 'Location sharing enabled for field shifts' : 'Location sharing consent withdrawn'
+    });
+  } catch (error) {
+    sendError(res, error, 'Updating field tracking consent');
+  }
+};
+
+// @desc    Share my current position during a field shift
+// @route   POST /api/field-tracking/pings
+// @access  Private
+const recordPing = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const ping = await fieldTrackingService.recordPing(employee, {
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+      accuracy: req.body.accuracy,
+      speed: req.body.speed,
+      recordedAt: req.body.recordedAt
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: ping._id,
+        recordedAt: ping.recordedAt,
+        outOfArea: ping.outOfArea
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Recording location ping');
+  }
+};
+
+// @desc    Employees who shared their location on a day, with ping counts
+// @route   GET /api/field-tracking/employees?date=YYYY-MM-DD
+// @access  Private (Admin or Manager)
+const getTrackedEmployees = async (req, res) => {
+  try {
+    const employeeIds = await reviewService.getReviewableEmployeeIds(req.user);
+
+    res.json({
+      success: true,
+      data: await fieldTrackingService.getTrackedEmployees(employeeIds, await getDate(req))
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching tracked employees');
+  }
+};
+
+// @desc    An employee's route and timeline for a day
+// @route   GET /api/field-tracking/employees/:employeeId/timeline?date=YYYY-MM-DD
+// @access  Private (Admin, the employee's manager or the employee)
+const getTimeline = async (req, res) => {
+  try {
+    const employee = mongoose.Types.ObjectId.isValid(req.params.employeeId)
+      ? await Employee.findById(req.params.employeeId).select('userId manager')
+      : null;
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (!(await canView(req.user, employee))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to view this employee\'s location'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await fieldTrackingService.getTimeline(employee._id, await getDate(req))
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching field timeline');
+  }
+};
+
+module.exports = {
+  getTrackingStatus,
+  updateConsent,
+  recordPing,
+  getTrackedEmployees,
+  getTimeline
+};
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const reviewService = require('../services/reviewService');
+const { parseDateOnly } = require('../utils/timezone');
+
+const IRREGULARITY_TYPES = ['location_mismatch', 'biometric_failed', 'multiple_entries', 'suspicious_activity', 'unpaired_punch'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const REVIEW_ACTIONS = {
+  resolve: 'resolved',
+  dismiss: 'dismissed'
+};
+
+// Match irregularities by review state; findings resolved before reviews were recorded count as resolved
+const getStatusMatch = (status) => {
+  switch (status) {
+    case 'resolved':
+      return { 'irregularities.resolved': true, 'irregularities.review.status': { $ne: 'dismissed' } };
+    case 'dismissed':
+      return { 'irregularities.review.status': 'dismissed' };
+    case 'all':
+      return {};
+    default:
+      return { 'irregularities.resolved': false };
+  }
+};
+
+// @desc    Get the irregularity review queue, most severe and most recent first
+// @route   GET /api/irregularities
+// @access  Private (Admin, or Manager for their direct reports)
+const getIrregularities = async (req, res) => {
+  try {
+    const { status = 'open', severity, type, employee, startDate, endDate } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const logMatch = { 'irregularities.0': { $exists: true } };
+    if (startDate || endDate) {
+      logMatch.date = {};
+      if (startDate) logMatch.date.$gte = parseDateOnly(startDate);
+      if (endDate) logMatch.date.$lte = parseDateOnly(endDate);
+    }
+    if (employee) {
+      if (!mongoose.Types.ObjectId.isValid(employee)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid employee ID'
+        });
+      }
+      logMatch.employee = new mongoose.Types.ObjectId(employee);
+    }
+
+    const employeeFilter = await reviewService.getReviewQueueFilter(req.user);
+    if (employeeFilter) {
+      logMatch.$and = [{ employee: employeeFilter }];
+    }
+
+    const itemMatch = getStatusMatch(status);
+    if (SEVERITIES.includes(severity)) {
+      itemMatch['irregularities.severity'] = severity;
+    }
+    if (IRREGULARITY_TYPES.includes(type)) {
+      itemMatch['irregularities.type'] = type;
+    }
+
+    const [result] = await AttendanceLog.aggregate([
+      { $match: logMatch },
+      { $unwind: '$irregularities' },
+      { $match: itemMatch },
+      {
+        $addFields: {
+          severityRank: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$irregularities.severity', 'high'] }, then: 0 },
+                { case: { $eq: ['$irregularities.severity', 'medium'] }, then: 1 }
+              ],
+              default: 2
+            }
+          }
+        }
+      },
+      { $sort: { severityRank: 1, 'irregularities.detectedAt': -1, 'clockIn.time': -1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: '$irregularities._id',
+                attendanceId: '$_id',
+                employee: 1,
+                date: 1,
+                timezone: 1,
+                clockInTime: '$clockIn.time',
+                clockOutTime: '$clockOut.time',
+                irregularity: '$irregularities'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const items = await AttendanceLog.populate(result.items, {
+      path: 'employee',
+      model: 'Employee',
+      select: 'employeeId userId department',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    });
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get irregularities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching irregularities'
+    });
+  }
+};
+
+// @desc    Resolve or dismiss an irregularity
+// @route   PUT /api/irregularities/:attendanceId/:irregularityId
+// @access  Private (Admin or the employee's manager)
+const reviewIrregularity = async (req, res) => {
+  try {
+    const { action, notes } = req.body;
+
+    if (!REVIEW_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be resolve or dismiss'
+      });
+    }
+
+    // Dismissing a finding says the detection was wrong, so the reviewer has to say why
+    if (action === 'dismiss' && !notes?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note is required to dismiss an irregularity'
+      });
+    }
+
+    const attendanceLog = mongoose.Types.ObjectId.isValid(req.params.attendanceId)
+      ? await AttendanceLog.findById(req.params.attendanceId)
+      : null;
+    const irregularity = attendanceLog?.irregularities.id(req.params.irregularityId);
+    if (!irregularity) {
+      return res.status(404).json({
+        success: false,
+        message: 'Irregularity not found'
+      });
+    }
+
+    const employee = await Employee.findById(attendanceLog.employee).select('userId manager');
+    if (!employee || !(await reviewService.canReview(req.user, employee))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to review this irregularity'
+      });
+    }
+
+    if (irregularity.resolved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Irregularity has already been reviewed'
+      });
+    }
+
+    irregularity.resolved = true;
+    irregularity.review = {
+      status: REVIEW_ACTIONS[action],
+      notes: notes?.trim() || undefined,
+      reviewedBy: req.user.userId,
+      reviewedAt: new Date()
+    };
+
+    await attendanceLog.save();
+
+    res.json({
+      success: true,
+      message: `Irregularity ${REVIEW_ACTIONS[action]}`,
+      data: irregularity
+    });
+  } catch (error) {
+    console.error('Review irregularity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing irregularity'
+    });
+  }
+};
+
+module.exports = {
+  getIrregularities,
+  reviewIrregularity
+};
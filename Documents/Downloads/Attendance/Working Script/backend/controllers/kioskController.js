@@ -0,0 +1,403 @@
+const KioskDevice = require('../models/KioskDevice');
+const Employee = require('../models/Employee');
+const punchService = require('../services/punchService');
+const qrTokenService = require('../services/qrTokenService');
+const { formatWithOffset, resolveTimezone } = require('../utils/timezone');
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Same message for unknown IDs and wrong PINs, so the shared screen cannot be used to probe employee IDs
+const INVALID_CREDENTIALS = 'Employee ID, PIN or badge not recognised';
+
+// Find the employee behind kiosk credentials: a badge code, or an employee ID plus PIN
+const findKioskEmployee = async ({ employeeId, pin, badgeCode }) => {
+  if (badgeCode) {
+    return Employee.findOne({
+      'kioskCredentials.badgeCode': Employee.hashBadgeCode(badgeCode),
+      isActive: true
+    }).populate('userId', 'firstName');
+  }
+
+  if (!employeeId || !pin) {
+    return null;
+  }
+
+  const employee = await Employee.findOne({ employeeId: String(employeeId).trim(), isActive: true })
+    .select('+kioskCredentials.pin')
+    .populate('userId', 'firstName');
+
+  if (!employee || !(await employee.compareKioskPin(pin))) {
+    return null;
+  }
+
+  return employee;
+};
+
+// Only what the person standing at the kiosk needs to see
+const toKioskEmployee = (employee) => ({
+  firstName: employee.userId?.firstName || ''
+});
+
+// @desc    Register a kiosk device and issue its token
+// @route   POST /api/kiosk/devices
+// @access  Private/Admin
+const registerKiosk = async (req, res) => {
+  try {
+    const { name, location, timezone } = req.body;
+
+    const kiosk = new KioskDevice({
+      name,
+      location,
+      timezone: timezone || undefined,
+      createdBy: req.user.userId
+    });
+    const token = kiosk.generateToken();
+
+    await kiosk.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk registered. Copy the token now, it will not be shown again.',
+      data: {
+        kiosk,
+        token
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Register kiosk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering kiosk'
+    });
+  }
+};
+
+// @desc    List kiosk devices
+// @route   GET /api/kiosk/devices
+// @access  Private/Admin
+const getKiosks = async (req, res) => {
+  try {
+    const kiosks = await KioskDevice.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: kiosks
+    });
+  } catch (error) {
+    console.error('Get kiosks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching kiosks'
+    });
+  }
+};
+
+// @desc    Issue a new token for a kiosk, invalidating the old one
+// @route   PUT /api/kiosk/devices/:id/token
+// @access  Private/Admin
+const regenerateKioskToken = async (req, res) => {
+  try {
+    const kiosk = await KioskDevice.findById(req.params.id);
+    if (!kiosk) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    const token = kiosk.generateToken();
+    kiosk.isActive = true;
+    kiosk.revokedAt = undefined;
+    kiosk.revokedBy = undefined;
+    await kiosk.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk token regenerated. Copy the token now, it will not be shown again.',
+      data: {
+        kiosk,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate kiosk token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating kiosk token'
+    });
+  }
+};
+
+// @desc    Revoke a kiosk device
+// @route   PUT /api/kiosk/devices/:id/revoke
+// @access  Private/Admin
+const revokeKiosk = async (req, res) => {
+  try {
+    const kiosk = await KioskDevice.findByIdAndUpdate(
+      req.params.id,
+      {
+        isActive: false,
+        revokedAt: new Date(),
+        revokedBy: req.user.userId
+      },
+      { new: true }
+    );
+
+    if (!kiosk) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk revoked',
+      data: kiosk
+    });
+  } catch (error) {
+    console.error('Revoke kiosk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking kiosk'
+    });
+  }
+};
+
+// @desc    Set an employee's kiosk PIN and/or badge code
+// @route   PUT /api/kiosk/employees/:employeeId/credentials
+// @access  Private/Admin
+const setKioskCredentials = async (req, res) => {
+  try {
+    const { pin, badgeCode } = req.body;
+
+    if (!pin && !badgeCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'A PIN or badge code is required'
+      });
+    }
+
+    if (pin && !PIN_PATTERN.test(String(pin))) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 4 to 8 digits'
+      });
+    }
+
+    // Looked up by the employee code admins already know, e.g. EMP001
+    const employee = await Employee.findOne({ employeeId: req.params.employeeId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (badgeCode) {
+      const hashedBadge = Employee.hashBadgeCode(badgeCode);
+      const existing = await Employee.findOne({
+        'kioskCredentials.badgeCode': hashedBadge,
+        _id: { $ne: employee._id }
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'This badge code is already assigned to another employee'
+        });
+      }
+      employee.setBadgeCode(badgeCode);
+    }
+
+    if (pin) {
+      await employee.setKioskPin(pin);
+    }
+
+    await employee.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk credentials updated'
+    });
+  } catch (error) {
+    // Another admin assigned the same badge between the check above and this save
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This badge code is already assigned to another employee'
+      });
+    }
+
+    console.error('Set kiosk credentials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating kiosk credentials'
+    });
+  }
+};
+
+// @desc    Get the kiosk's own configuration
+// @route   GET /api/kiosk/session
+// @access  Kiosk
+const getKioskSession = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      name: req.kiosk.name,
+      locationName: req.kiosk.location?.name,
+      timezone: resolveTimezone(req.kiosk.timezone)
+    }
+  });
+};
+
+// @desc    Get the current rotating QR code for the kiosk's site
+// @route   GET /api/kiosk/qr
+// @access  Kiosk
+const getSiteQrCode = async (req, res) => {
+  try {
+    const { token, expiresAt, refreshInSeconds } = qrTokenService.issueToken(req.kiosk);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        qrImage: await qrTokenService.renderToken(token),
+        expiresAt,
+        refreshInSeconds
+      }
+    });
+  } catch (error) {
+    console.error('Get site QR code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating QR code'
+    });
+  }
+};
+
+// @desc    Identify an employee at the kiosk and tell them which punch is next
+// @route   POST /api/kiosk/identify
+// @access  Kiosk
+const identifyEmployee = async (req, res) => {
+  try {
+    const employee = await findKioskEmployee(req.body);
+    if (!employee) {
+      return res.status(401).json({
+        success: false,
+        message: INVALID_CREDENTIALS
+      });
+    }
+
+    const openAttendance = await punchService.findOpenAttendance(employee._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        employee: toKioskEmployee(employee),
+        nextAction: openAttendance ? 'clock_out' : 'clock_in'
+      }
+    });
+  } catch (error) {
+    console.error('Kiosk identify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while identifying employee'
+    });
+  }
+};
+
+// @desc    Clock an employee in or out from the kiosk after face capture
+// @route   POST /api/kiosk/punch
+// @access  Kiosk
+const kioskPunch = async (req, res) => {
+  try {
+    const employee = await findKioskEmployee(req.body);
+    if (!employee) {
+      return res.status(401).json({
+        success: false,
+        message: INVALID_CREDENTIALS
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A face capture is required to punch at the kiosk'
+      });
+    }
+
+    const kiosk = req.kiosk;
+    const punch = {
+      location: {
+        latitude: kiosk.location.latitude,
+        longitude: kiosk.location.longitude,
+        address: kiosk.location.address || kiosk.location.name,
+        source: 'kiosk',
+        siteDevice: kiosk._id
+      },
+      faceImage: req.file,
+      deviceInfo: {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        deviceType: 'kiosk',
+        deviceId: kiosk._id.toString()
+      }
+    };
+
+    const openAttendance = await punchService.findOpenAttendance(employee._id);
+    const action = openAttendance ? 'clock_out' : 'clock_in';
+
+    const { attendanceLog, punch: recorded } = action === 'clock_in'
+      ? await punchService.clockIn(employee, {
+        ...punch,
+        siteTimezone: kiosk.timezone,
+        project: req.body.project,
+        createdBy: employee.userId._id
+      })
+      : await punchService.clockOut(employee, punch);
+
+    // Keep the response to what can safely be shown on a shared screen
+    res.status(200).json({
+      success: true,
+      message: action === 'clock_in' ? 'Clocked in' : 'Clocked out',
+      data: {
+        employee: toKioskEmployee(employee),
+        action,
+        time: formatWithOffset(recorded.time, attendanceLog.timezone)
+      }
+    });
+  } catch (error) {
+    if (error.isOperational && error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Kiosk punch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during kiosk punch'
+    });
+  }
+};
+
+module.exports = {
+  registerKiosk,
+  getKiosks,
+  regenerateKioskToken,
+  revokeKiosk,
+  setKioskCredentials,
+  getKioskSession,
+  getSiteQrCode,
+  identifyEmployee,
+  kioskPunch
+};
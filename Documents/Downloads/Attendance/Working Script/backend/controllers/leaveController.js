@@ -2,6 +2,7 @@ const LeaveRequest = require('../models/LeaveRequest');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
 const notificationService = require('../services/notificationService');
+const presenceService = require('../services/presenceService');
 const moment = require('moment');
 const mongoose = require('mongoose');
 
@@ -388,6 +389,7 @@ const approveLeaveRequest = async (req, res) => {
     leaveRequest.comments = comments;
 
     await leaveRequest.save();
+    presenceService.publish(leaveRequest.employee._id, 'leave');
 
     // Send notification to employee
     await notificationService.sendNotification({
@@ -813,6 +815,7 @@ const bulkApproveLeaves = async (req, res) => {
       leave.approvedDate = new Date();
       leave.comments = comments;
       await leave.save();
+      presenceService.publish(leave.employee._id, 'leave');
 
       // Send notifications
       await notificationService.sendNotification({
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Employee = require('../models/Employee');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const overtimeService = require('../services/overtimeService');
+const analyticsService = require('../services/analyticsService');
+const punchService = require('../services/punchService');
+const notificationService = require('../services/notificationService');
+const reviewService = require('../services/reviewService');
+const { sendError } = require('../middleware/errorMiddleware');
+const { resolveTimezone, toDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// How far back employees are shown overtime they worked without approval
+const MY_UNAPPROVED_DAYS = 45;
+
+// Today in the user's timezone
+const getToday = async (user) => {
+  return toDateOnly(new Date(), resolveTimezone(await punchService.getUserTimezone(user.userId)));
+};
+
+const findRequest = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return OvertimeRequest.findById(id).populate({
+    path: 'employee',
+    select: 'employeeId userId manager',
+    populate: { path: 'userId', select: 'firstName lastName' }
+  });
+};
+
+// Notify the employee's manager, or the admins when no manager is assigned
+const notifyReviewers = async (request, employee, userId) => {
+  const recipients = await reviewService.getReviewers(employee);
+
+  const worked = request.timing === 'post' ? 'worked' : 'to work';
+  await notificationService.sendNotification(recipients, {
+    sender: userId,
+    type: 'overtime_request',
+    title: 'Overtime Requested',
+    message: `${employee.fullName || employee.employeeId} asked ${worked} ${request.hours}h overtime on ${formatDateOnly(request.date)}: ${request.reason}`,
+    priority: 'medium',
+    category: 'attendance',
+    actionRequired: true,
+    actionUrl: '/overtime',
+    actionLabel: 'Review request',
+    data: { requestId: request._id },
+    relatedEntity: {
+      entityType: 'OvertimeRequest',
+      entityId: request._id
+    }
+  });
+};
+
+// Tell the employee how their request was decided
+const notifyEmployee = async (request, reviewer) => {
+  const approved = request.status === 'approved';
+  const day = formatDateOnly(request.date);
+
+  await notificationService.sendNotification(request.employee.userId._id || request.employee.userId, {
+    sender: reviewer.userId,
+    type: approved ? 'overtime_approved' : 'overtime_rejected',
+    title: approved ? 'Overtime Approved' : 'Overtime Declined',
+    message: approved
+      ? `${request.approvedHours}h overtime on ${day} is approved${request.approvedHours < request.hours ? ` (of ${request.hours}h requested)` : ''}`
+      : `Your ${request.hours}h overtime on ${day} was declined: ${request.reviewComments}`,
+    priority: approved ? 'low' : 'medium',
+    category: 'attendance',
+    actionUrl: '/overtime',
+    data: { requestId: request._id },
+    relatedEntity: {
+      entityType: 'OvertimeRequest',
+      entityId: request._id
+    }
+  });
+};
+
+// @desc    Get my overtime requests, and recent days I worked overtime that isn't approved
+// @route   GET /api/overtime/mine
+// @access  Private
+const getMyRequests = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const today = await getToday(req.user);
+    const [requests, unapproved] = await Promise.all([
+      OvertimeRequest.find({ employee: employee._id })
+        .populate('reviewedBy', 'firstName lastName')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ date: -1 })
+        .limit(50),
+      overtimeService.getUnapprovedDays([employee._id], {
+        start: moment.utc(today).subtract(MY_UNAPPROVED_DAYS, 'days').toDate(),
+        end: today
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: { requests, unapproved }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching overtime requests');
+  }
+};
+
+// @desc    Request overtime for a day (date, hours, reason). Managers and admins may raise it for an
+//          employee they review, which approves it straight away.
+// @route   POST /api/overtime
+// @access  Private
+const createRequest = async (req, res) => {
+  try {
+    let employee;
+    if (req.body.employee) {
+      employee = mongoose.Types.ObjectId.isValid(req.body.employee)
+        ? await Employee.findOne({ _id: req.body.employee, isActive: true })
+        : null;
+    } else {
+      employee = await reviewService.getEmployeeForUser(req.user);
+    }
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: req.body.employee ? 'Employee not found' : 'Employee profile not found'
+      });
+    }
+
+    const own = reviewService.isOwn(req.user, employee);
+    if (!own && !(await reviewService.canReview(req.user, employee))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to request overtime for this employee'
+      });
+    }
+
+    const request = await overtimeService.create(employee, req.body, req.user.userId, await getToday(req.user));
+
+    await employee.populate('userId', 'firstName lastName');
+    if (own) {
+      await notifyReviewers(request, employee, req.user.userId);
+    } else {
+      request.employee = employee;
+      await overtimeService.review(request, req.user, { status: 'approved', comments: req.body.comments });
+      await notifyEmployee(request, req.user);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: request,
+      message: own ? 'Overtime request submitted for approval' : 'Overtime approved'
+    });
+  } catch (error) {
+    sendError(res, error, 'Requesting overtime');
+  }
+};
+
+// @desc    Get overtime requests for the current reviewer, pending ones by default
+// @route   GET /api/overtime?status=pending
+// @access  Private (Admin or Manager)
+const getReviewRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const employeeFilter = await reviewService.getReviewQueueFilter(req.user);
+    if (employeeFilter) {
+      query.employee = employeeFilter;
+    }
+
+    const requests = await OvertimeRequest.find(query)
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: [
+          { path: 'userId', select: 'firstName lastName' },
+          { path: 'department', select: 'name' }
+        ]
+      })
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ date: status === 'pending' ? 1 : -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching overtime requests');
+  }
+};
+
+// @desc    Employees the current reviewer may raise overtime for
+// @route   GET /api/overtime/employees
+// @access  Private (Admin or Manager)
+const getReviewableEmployees = async (req, res) => {
+  try {
+    const employeeIds = await reviewService.getReviewableEmployeeIds(req.user);
+    const query = { isActive: true };
+    if (employeeIds) {
+      query._id = { $in: employeeIds };
+    }
+
+    const employees = await Employee.find(query)
+      .select('employeeId userId')
+      .populate('userId', 'firstName lastName')
+      .sort({ employeeId: 1 });
+
+    res.json({
+      success: true,
+      data: employees.map(employee => ({
+        _id: employee._id,
+        employeeId: employee.employeeId,
+        name: employee.userId ? `${employee.userId.firstName} ${employee.userId.lastName}` : employee.employeeId
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching employees');
+  }
+};
+
+// @desc    Days the reviewer's employees worked overtime that isn't approved (period or startDate/endDate)
+// @route   GET /api/overtime/unapproved
+// @access  Private (Admin or Manager)
+const getUnapprovedOvertime = async (req, res) => {
+  try {
+    const range = analyticsService.getRange(req.query, await getToday(req.user));
+    const employeeIds = await reviewService.getReviewableEmployeeIds(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        range: { startDate: formatDateOnly(range.start), endDate: formatDateOnly(range.end) },
+        days: await overtimeService.getUnapprovedDays(employeeIds, range)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching unapproved overtime');
+  }
+};
+
+// @desc    Approve (optionally fewer approvedHours) or reject an overtime request
+// @route   PUT /api/overtime/:id/review
+// @access  Private (Admin or the employee's manager)
+const reviewRequest = async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    if (!(await reviewService.canReview(req.user, request.employee))) {
+      return res.status(403).json({
+        success: false,
+        message: reviewService.isOwn(req.user, request.employee)
+          ? 'You cannot review your own overtime request'
+          : 'You are not allowed to review this request'
+      });
+    }
+
+    await overtimeService.review(request, req.user, {
+      status: req.body.status,
+      approvedHours: req.body.approvedHours,
+      comments: req.body.comments
+    });
+    await notifyEmployee(request, req.user);
+
+    res.json({
+      success: true,
+      data: request,
+      message: `Overtime request ${request.status}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Reviewing overtime request');
+  }
+};
+
+// @desc    Withdraw a pending request, or approved overtime for a day not yet worked
+// @route   PUT /api/overtime/:id/cancel
+// @access  Private (the employee, their manager or an admin)
+const cancelRequest = async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    const own = reviewService.isOwn(req.user, request.employee);
+    if (!own && !(await reviewService.canReview(req.user, request.employee))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to cancel this request'
+      });
+    }
+
+    await overtimeService.cancel(request, await getToday(req.user));
+
+    res.json({
+      success: true,
+      data: request,
+      message: 'Overtime request cancelled'
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancelling overtime request');
+  }
+};
+
+module.exports = {
+  getMyRequests,
+  createRequest,
+  getReviewRequests,
+  getReviewableEmployees,
+  getUnapprovedOvertime,
+  reviewRequest,
+  cancelRequest
+};
@@ -4,7 +4,11 @@ const User = require('../models/User');
 const Department = require('../models/Department');
 const AttendanceLog = require('../models/AttendanceLog');
 const notificationService = require('../services/notificationService');
+const timesheetService = require('../services/timesheetService');
+const policyService = require('../services/policyService');
+const overtimeService = require('../services/overtimeService');
 const moment = require('moment');
+const { getMonthRange } = require('../utils/timezone');
 const mongoose = require('mongoose');
 
 // @desc    Generate payroll for employees
@@ -12,7 +16,15 @@ const mongoose = require('mongoose');
 // @access  Private (Admin)
 const generatePayroll = async (req, res) => {
   try {
-    const { month, year, employeeIds, includeOvertime = true, includeBonus = false } = req.body;
+    const {
+      month,
+      year,
+      employeeIds,
+      includeOvertime = true,
+      includeBonus = false,
+      // Only pay from attendance signed off on weekly timesheets
+      requireApprovedTimesheets = process.env.PAYROLL_REQUIRE_APPROVED_TIMESHEETS === 'true'
+    } = req.body;
 
     // Validation
     if (!month || !year) {
@@ -29,17 +41,19 @@ const generatePayroll = async (req, res) => {
       });
     }
 
-    const startDate = moment(`${year}-${month}-01`).startOf('month');
-    const endDate = moment(`${year}-${month}-01`).endOf('month');
+    // Attendance dates are local calendar days, so the period is the same for every timezone
+    const period = getMonthRange(year, month);
+    const startDate = moment.utc(period.start);
+    const endDate = moment.utc(period.end).endOf('day');
 
     // Build employee query
     let employeeQuery = { isActive: true };
     if (employeeIds && employeeIds.length > 0) {
-      employeeQuery._id = { $in: employeeIds.map(id => mongoose.Types.ObjectId(id)) };
+      employeeQuery._id = { $in: employeeIds.map(id => new mongoose.Types.ObjectId(id)) };
     }
 
     const employees = await Employee.find(employeeQuery)
-      .populate('user', 'firstName lastName email employeeId')
+      .populate('userId', 'firstName lastName email')
       .populate('department', 'name');
 
     if (!employees.length) {
@@ -50,48 +64,71 @@ const generatePayroll = async (req, res) => {
     }
 
     const payrollReports = [];
+    const skipped = [];
 
     for (const employee of employees) {
       try {
+        if (requireApprovedTimesheets) {
+          const unapprovedWeeks = await timesheetService.getUnapprovedWeeks(
+            employee._id,
+            startDate.toDate(),
+            endDate.toDate()
+          );
+          if (unapprovedWeeks.length) {
+            skipped.push({ employee: employee._id, employeeId: employee.employeeId, unapprovedWeeks });
+            continue;
+          }
+        }
+
         // Get attendance data for the month
         const attendanceRecords = await AttendanceLog.find({
-          employee: employee.user._id,
-          clockInTime: {
+          employee: employee._id,
+          date: {
             $gte: startDate.toDate(),
             $lte: endDate.toDate()
           },
-          status: 'present'
+          status: { $in: AttendanceLog.WORKED_STATUSES }
         });
 
-        // Calculate working days, present days, absent days
+        // Calculate working days, present days, absent days; half days count as half, and late days
+        // may cost paid days under the attendance policy the day was evaluated with
         const totalWorkingDays = startDate.daysInMonth();
-        const presentDays = attendanceRecords.length;
-        const absentDays = totalWorkingDays - presentDays;
+        const halfDays = attendanceRecords.filter(record => record.status === 'half_day').length;
+        const lateDays = attendanceRecords.filter(record => record.isLate).length;
+        const remoteDays = attendanceRecords.filter(record => record.workMode === 'remote').length;
+        const lateDeductionDays = await policyService.getLateDeductionDays(attendanceRecords);
+        const presentDays = Math.max(0, attendanceRecords.length - halfDays / 2 - lateDeductionDays);
+
+        // Absences are recorded per shift day by the absence marking job
+        const absentDays = await AttendanceLog.countDocuments({
+          employee: employee._id,
+          date: {
+            $gte: startDate.toDate(),
+            $lte: endDate.toDate()
+          },
+          status: 'absent'
+        });
 
-        // Calculate regular hours and overtime
+        // Calculate regular hours and overtime; only overtime approved on an overtime request is paid,
+        // and what was worked beyond it is reported separately
         let totalRegularHours = 0;
-        let totalOvertimeHours = 0;
-        
         attendanceRecords.forEach(record => {
-          if (record.totalHours && record.totalHours > 0) {
-            const regularHours = Math.min(record.totalHours, 8); // Assuming 8 hours is regular
-            const overtimeHours = Math.max(0, record.totalHours - 8);
-            
-            totalRegularHours += regularHours;
-            totalOvertimeHours += overtimeHours;
-          }
+          totalRegularHours += Math.max(0, record.netWorkingHours - (record.overtimeHours || 0));
         });
 
+        const overtime = await overtimeService.summarize(attendanceRecords);
+        const totalOvertimeHours = overtime.approvedHours;
+
         // Calculate gross salary
         const baseSalary = employee.salary || 0;
         const dailySalary = baseSalary / totalWorkingDays;
         let grossSalary = dailySalary * presentDays;
 
         // Add overtime pay
+        const hourlyRate = baseSalary / (totalWorkingDays * 8);
         let overtimePay = 0;
         if (includeOvertime && totalOvertimeHours > 0) {
-          const hourlyRate = baseSalary / (totalWorkingDays * 8);
-          overtimePay = totalOvertimeHours * hourlyRate * 1.5; // 1.5x for overtime
+          overtimePay = overtime.weightedHours * hourlyRate; // At each shift's overtime multiplier
         }
 
         // Add bonus
@@ -109,64 +146,88 @@ const generatePayroll = async (req, res) => {
 
         // Calculate net salary
         const netSalary = grossSalary + overtimePay + bonusAmount - totalDeductions;
-
-        // Check if payroll already exists for this period
-        const existingPayroll = await PayrollReport.findOne({
-          employee: employee.user._id,
-          month,
-          year
-        });
+        const round = (value) => parseFloat(value.toFixed(2));
 
         const payrollData = {
-          employee: employee.user._id,
-          month,
-          year,
-          baseSalary,
-          grossSalary: parseFloat(grossSalary.toFixed(2)),
-          overtimeHours: totalOvertimeHours,
-          overtimePay: parseFloat(overtimePay.toFixed(2)),
-          bonusAmount: parseFloat(bonusAmount.toFixed(2)),
+          employee: employee._id,
+          payPeriod: {
+            startDate: period.start,
+            endDate: period.end,
+            type: 'monthly'
+          },
+          attendance: {
+            totalWorkingDays,
+            actualWorkingDays: attendanceRecords.length,
+            presentDays,
+            absentDays,
+            lateDays,
+            halfDays,
+            lateDeductionDays,
+            remoteDays
+          },
+          workingHours: {
+            regularHours: round(totalRegularHours),
+            overtimeHours: totalOvertimeHours,
+            unapprovedOvertimeHours: overtime.unapprovedHours,
+            totalHours: round(totalRegularHours + totalOvertimeHours)
+          },
+          salary: {
+            basicSalary: baseSalary,
+            hourlyRate: round(hourlyRate),
+            overtimeRate: totalOvertimeHours > 0 ? round(overtime.weightedHours * hourlyRate / totalOvertimeHours) : undefined
+          },
+          earnings: {
+            basicPay: round(grossSalary),
+            overtimePay: round(overtimePay),
+            bonus: round(bonusAmount)
+          },
           deductions: {
-            tax: parseFloat(taxDeduction.toFixed(2)),
-            providentFund: parseFloat(providentFund.toFixed(2)),
-            other: 0,
-            total: parseFloat(totalDeductions.toFixed(2))
+            tax: { incomeTax: round(taxDeduction) },
+            retirement: round(providentFund)
           },
-          netSalary: parseFloat(netSalary.toFixed(2)),
-          workingDays: totalWorkingDays,
-          presentDays,
-          absentDays,
-          totalHours: totalRegularHours + totalOvertimeHours,
-          status: 'generated',
-          generatedBy: req.user._id,
-          generatedAt: new Date()
+          totals: {
+            grossPay: round(grossSalary + overtimePay + bonusAmount),
+            totalDeductions: round(totalDeductions),
+            netPay: round(netSalary)
+          },
+          status: 'draft',
+          generatedBy: req.user.userId
         };
 
-        let payrollReport;
-        if (existingPayroll) {
-          payrollReport = await PayrollReport.findByIdAndUpdate(
-            existingPayroll._id,
-            payrollData,
-            { new: true, runValidators: true }
-          ).populate('employee', 'firstName lastName employeeId');
+        // Regenerating a period replaces the earlier figures; totals are recalculated on save
+        let payrollReport = await PayrollReport.findOne({
+          employee: employee._id,
+          'payPeriod.startDate': period.start,
+          'payPeriod.endDate': period.end
+        });
+        if (payrollReport) {
+          payrollReport.set(payrollData);
+          await payrollReport.save();
         } else {
           payrollReport = await PayrollReport.create(payrollData);
-          await payrollReport.populate('employee', 'firstName lastName employeeId');
         }
+        await payrollReport.populate({
+          path: 'employee',
+          select: 'employeeId userId',
+          populate: { path: 'userId', select: 'firstName lastName' }
+        });
 
         payrollReports.push(payrollReport);
 
         // Send notification to employee
-        await notificationService.sendNotification({
-          recipient: employee.user._id,
+        await notificationService.sendNotification(employee.userId._id, {
           type: 'payroll_generated',
           title: 'Payroll Generated',
           message: `Your payroll for ${moment().month(month - 1).format('MMMM')} ${year} has been generated`,
-          data: { payrollId: payrollReport._id }
+          data: { payrollId: payrollReport._id },
+          relatedEntity: {
+            entityType: 'PayrollReport',
+            entityId: payrollReport._id
+          }
         });
 
       } catch (error) {
-        console.error(`Error generating payroll for employee ${employee.user.employeeId}:`, error);
+        console.error(`Error generating payroll for employee ${employee.employeeId}:`, error);
         // Continue processing other employees
       }
     }
@@ -174,7 +235,8 @@ const generatePayroll = async (req, res) => {
     res.status(201).json({
       success: true,
       data: payrollReports,
-      message: `Payroll generated for ${payrollReports.length} employees`
+      skipped,
+      message: `Payroll generated for ${payrollReports.length} employees${skipped.length ? `; ${skipped.length} skipped for unapproved timesheets` : ''}`
     });
   } catch (error) {
     console.error('Generate payroll error:', error);
@@ -704,7 +766,7 @@ const getPayrollStats = async (req, res) => {
   }
 };
 
-// @desc    Calculate overtime for employees
+// @desc    Approved (paid) and unapproved overtime per employee for a month
 // @route   POST /api/payroll/calculate-overtime
 // @access  Private (Admin)
 const calculateOvertime = async (req, res) => {
@@ -718,9 +780,59 @@ const calculateOvertime = async (req, res) => {
       });
     }
 
+    const period = getMonthRange(year, month);
+    const query = {
+      date: { $gte: period.start, $lte: moment.utc(period.end).endOf('day').toDate() },
+      status: { $in: AttendanceLog.WORKED_STATUSES },
+      overtimeHours: { $gt: 0 }
+    };
+    if (employeeIds && employeeIds.length > 0) {
+      query.employee = { $in: employeeIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const records = await AttendanceLog.find(query).select('employee date shift overtimeHours');
+    const { days, ...totals } = await overtimeService.summarize(records);
+
+    const byEmployee = new Map();
+    days.forEach(day => {
+      const key = String(day.employee);
+      const row = byEmployee.get(key) || { employee: day.employee, workedHours: 0, approvedHours: 0, unapprovedHours: 0, days: [] };
+      row.workedHours += day.workedHours;
+      row.approvedHours += day.approvedHours;
+      row.unapprovedHours += day.unapprovedHours;
+      row.days.push(day);
+      byEmployee.set(key, row);
+    });
+
+    const profiles = await Employee.find({ _id: { $in: [...byEmployee.values()].map(row => row.employee) } })
+      .select('employeeId userId')
+      .populate('userId', 'firstName lastName');
+    const profileById = new Map(profiles.map(profile => [String(profile._id), profile]));
+
+    const employees = [...byEmployee.values()].map(row => {
+      const profile = profileById.get(String(row.employee));
+      return {
+        ...row,
+        employeeId: profile?.employeeId,
+        name: profile?.userId ? `${profile.userId.firstName} ${profile.userId.lastName}` : profile?.employeeId,
+        workedHours: parseFloat(row.workedHours.toFixed(2)),
+        approvedHours: parseFloat(row.approvedHours.toFixed(2)),
+        unapprovedHours: parseFloat(row.unapprovedHours.toFixed(2))
+      };
+    }).sort((a, b) => b.unapprovedHours - a.unapprovedHours);
+
     res.json({
       success: true,
-      message: 'Overtime calculation feature coming soon'
+      data: {
+        month,
+        year,
+        totals: {
+          workedHours: totals.workedHours,
+          approvedHours: totals.approvedHours,
+          unapprovedHours: totals.unapprovedHours
+        },
+        employees
+      }
     });
   } catch (error) {
     console.error('Calculate overtime error:', error);
@@ -0,0 +1,38 @@
+const presenceService = require('../services/presenceService');
+const punchService = require('../services/punchService');
+const { resolveTimezone } = require('../utils/timezone');
+
+// @desc    Who is in, on break, late, absent or on leave right now; live updates come over the /presence socket
+// @route   GET /api/presence
+// @access  Private (Admin, or managers for their own department)
+const getPresenceBoard = async (req, res) => {
+  try {
+    const scope = await presenceService.resolveScope(req.user, {
+      department: req.query.department,
+      site: req.query.site
+    });
+    const timezone = resolveTimezone(await punchService.getUserTimezone(req.user.userId));
+
+    res.json({
+      success: true,
+      data: await presenceService.getBoard({ ...scope, timezone })
+    });
+  } catch (error) {
+    if (error.isOperational && error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get presence board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching the presence board'
+    });
+  }
+};
+
+module.exports = {
+  getPresenceBoard
+};
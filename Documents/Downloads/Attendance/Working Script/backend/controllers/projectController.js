@@ -0,0 +1,317 @@
+const Project = require('../models/Project');
+const CostCenter = require('../models/CostCenter');
+const Employee = require('../models/Employee');
+const jobService = require('../services/jobService');
+const punchService = require('../services/punchService');
+
+const PROJECT_FIELDS = ['code', 'name', 'client', 'costCenter', 'description', 'isActive'];
+const COST_CENTER_FIELDS = ['code', 'name', 'description', 'isActive'];
+
+// Pick the editable fields from the request body
+const pickFields = (body, fields) => {
+  return fields.reduce((values, field) => {
+    if (body[field] !== undefined) {
+      values[field] = field === 'costCenter' ? body[field] || undefined : body[field];
+    }
+    return values;
+  }, {});
+};
+
+// Turn schema and duplicate-code errors into a 400 response; returns false for anything else
+const sendValidationError = (res, error, label) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    res.status(400).json({
+      success: false,
+      message: error.errors
+        ? Object.values(error.errors).map(err => err.message).join(', ')
+        : error.message
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: `A ${label} with this code already exists`
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    List active projects to clock into, and whether the user's shift requires picking one
+// @route   GET /api/projects/active
+// @access  Private
+const getActiveProjects = async (req, res) => {
+  try {
+    const [projects, employee] = await Promise.all([
+      Project.find({ isActive: true }).select('code name client').sort({ name: 1 }),
+      Employee.findOne({ userId: req.user.userId, isActive: true })
+    ]);
+    const shift = employee ? await punchService.getEmployeeShift(employee) : null;
+
+    res.json({
+      success: true,
+      data: {
+        projects,
+        jobRequired: Boolean(shift?.jobRequired)
+      }
+    });
+  } catch (error) {
+    console.error('Get active projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching projects'
+    });
+  }
+};
+
+// @desc    List projects
+// @route   GET /api/projects
+// @access  Private/Admin
+const getProjects = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const projects = await Project.find(query)
+      .populate('costCenter', 'code name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: projects
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching projects'
+    });
+  }
+};
+
+// @desc    Create a project
+// @route   POST /api/projects
+// @access  Private/Admin
+const createProject = async (req, res) => {
+  try {
+    const project = await Project.create({
+      ...pickFields(req.body, PROJECT_FIELDS),
+      createdBy: req.user.userId
+    });
+    await project.populate('costCenter', 'code name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created',
+      data: project
+    });
+  } catch (error) {
+    if (sendValidationError(res, error, 'project')) {
+      return;
+    }
+
+    console.error('Create project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating project'
+    });
+  }
+};
+
+// @desc    Update a project, including reactivating it
+// @route   PUT /api/projects/:id
+// @access  Private/Admin
+const updateProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    project.set(pickFields(req.body, PROJECT_FIELDS));
+    project.updatedBy = req.user.userId;
+    await project.save();
+    await project.populate('costCenter', 'code name');
+
+    res.json({
+      success: true,
+      message: 'Project updated',
+      data: project
+    });
+  } catch (error) {
+    if (sendValidationError(res, error, 'project')) {
+      return;
+    }
+
+    console.error('Update project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating project'
+    });
+  }
+};
+
+// @desc    Deactivate a project; past time stays allocated to it
+// @route   DELETE /api/projects/:id
+// @access  Private/Admin
+const deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user.userId },
+      { new: true }
+    );
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Project deactivated'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating project'
+    });
+  }
+};
+
+// @desc    List cost centers
+// @route   GET /api/projects/cost-centers
+// @access  Private/Admin
+const getCostCenters = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const costCenters = await CostCenter.find(query).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: costCenters
+    });
+  } catch (error) {
+    console.error('Get cost centers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cost centers'
+    });
+  }
+};
+
+// @desc    Create a cost center
+// @route   POST /api/projects/cost-centers
+// @access  Private/Admin
+const createCostCenter = async (req, res) => {
+  try {
+    const costCenter = await CostCenter.create({
+      ...pickFields(req.body, COST_CENTER_FIELDS),
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cost center created',
+      data: costCenter
+    });
+  } catch (error) {
+    if (sendValidationError(res, error, 'cost center')) {
+      return;
+    }
+
+    console.error('Create cost center error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating cost center'
+    });
+  }
+};
+
+// @desc    Update a cost center
+// @route   PUT /api/projects/cost-centers/:id
+// @access  Private/Admin
+const updateCostCenter = async (req, res) => {
+  try {
+    const costCenter = await CostCenter.findById(req.params.id);
+    if (!costCenter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cost center not found'
+      });
+    }
+
+    costCenter.set(pickFields(req.body, COST_CENTER_FIELDS));
+    costCenter.updatedBy = req.user.userId;
+    await costCenter.save();
+
+    res.json({
+      success: true,
+      message: 'Cost center updated',
+      data: costCenter
+    });
+  } catch (error) {
+    if (sendValidationError(res, error, 'cost center')) {
+      return;
+    }
+
+    console.error('Update cost center error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cost center'
+    });
+  }
+};
+
+// @desc    Hours per project, employee and period, as JSON or CSV
+// @route   GET /api/projects/report?startDate&endDate&project&costCenter&employee&period=day|week|month&format=csv
+// @access  Private/Admin
+const getProjectHoursReport = async (req, res) => {
+  try {
+    const { startDate, endDate, project, costCenter, employee, period, format } = req.query;
+    const rows = await jobService.getHoursReport({ startDate, endDate, project, costCenter, employee, period });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="project_hours_${startDate}_${endDate}.csv"`);
+      return res.send(jobService.toCsv(rows));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rows,
+        totalHours: Math.round(rows.reduce((sum, row) => sum + row.hours, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    if (error.isOperational && error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Project hours report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating project hours report'
+    });
+  }
+};
+
+module.exports = {
+  getActiveProjects,
+  getProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+  getCostCenters,
+  createCostCenter,
+  updateCostCenter,
+  getProjectHoursReport
+};
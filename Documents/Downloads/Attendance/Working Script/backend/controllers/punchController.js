@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Punch = require('../models/Punch');
+const Employee = require('../models/Employee');
+const pairingService = require('../services/pairingService');
+const punchService = require('../services/punchService');
+const revisionService = require('../services/revisionService');
+const { sendError } = require('../middleware/errorMiddleware');
+const { resolveTimezone, parseDateOnly, toDateOnly } = require('../utils/timezone');
+
+const ADMIN_ROLES = ['admin', 'master_admin'];
+const PUNCH_TYPES = ['in', 'out'];
+
+// Run a change to a day's punches and record what it did to the day's attendance log
+const withRevision = async ({ employee, date }, { reason, userId }, change) => {
+  const previous = await pairingService.findDayLog(employee, date);
+  const before = previous ? previous.toObject({ virtuals: false }) : null;
+
+  const attendanceLog = await change();
+  if (attendanceLog) {
+    await revisionService.record({
+      before: before || { _id: attendanceLog._id, employee: attendanceLog.employee },
+      after: attendanceLog.toObject({ virtuals: false }),
+      reason,
+      changedBy: userId,
+      source: 'punch'
+    });
+  }
+  return attendanceLog;
+};
+
+// @desc    List raw punches for a date range, with voided ones on request
+// @route   GET /api/punches
+// @access  Private (own punches) / Admin (any employee)
+const getPunches = async (req, res) => {
+  try {
+    const { employee, startDate, endDate, includeVoided } = req.query;
+    const query = {};
+
+    if (ADMIN_ROLES.includes(req.user.role)) {
+      if (employee) {
+        if (!mongoose.Types.ObjectId.isValid(employee)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Employee must be an ID'
+          });
+        }
+        query.employee = employee;
+      }
+    } else {
+      const own = await Employee.findOne({ userId: req.user.userId, isActive: true });
+      query.employee = own?._id || null;
+    }
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = parseDateOnly(startDate);
+      if (endDate) query.date.$lte = parseDateOnly(endDate);
+      if (Object.values(query.date).some(value => isNaN(value))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dates must be in YYYY-MM-DD format'
+        });
+      }
+    }
+
+    if (includeVoided !== 'true') {
+      query['voided.at'] = { $exists: false };
+    }
+
+    const punches = await Punch.find(query)
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .populate('createdBy voided.by', 'firstName lastName')
+      .sort({ time: 1 })
+      .limit(1000);
+
+    res.json({
+      success: true,
+      data: punches
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching punches');
+  }
+};
+
+// @desc    Add a punch by hand, e.g. one the employee forgot, and pair the day again
+// @route   POST /api/punches
+// @access  Private/Admin
+const addPunch = async (req, res) => {
+  try {
+    const { employee: employeeId, time, type, reason } = req.body;
+    const why = revisionService.requireReason(reason);
+
+    const employee = mongoose.Types.ObjectId.isValid(employeeId) ? await Employee.findById(employeeId) : null;
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const punchTime = new Date(time);
+    if (!time || isNaN(punchTime) || (type && !PUNCH_TYPES.includes(type))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid time and a type of in or out are required'
+      });
+    }
+
+    const shift = await punchService.getEmployeeShift(employee);
+    const timezone = resolveTimezone(shift?.timezone, await punchService.getUserTimezone(employee.userId));
+    const date = shift ? shift.getShiftDate(punchTime, timezone) : toDateOnly(punchTime, timezone);
+
+    const attendanceLog = await withRevision({ employee: employee._id, date }, { reason: why, userId: req.user.userId }, () => (
+      pairingService.addManualPunch({
+        employee: employee._id,
+        date,
+        time: punchTime,
+        type,
+        reason: why,
+        createdBy: req.user.userId,
+        defaults: { timezone, shift: shift?._id }
+      })
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Punch added',
+      data: attendanceLog
+    });
+  } catch (error) {
+    sendError(res, error, 'Adding punch');
+  }
+};
+
+// Correct or void a punch, recording the change against the day's attendance
+const changePunch = async (req, res, remove) => {
+  try {
+    const { time, type } = req.body || {};
+    const why = revisionService.requireReason(req.body?.reason || req.query.reason);
+
+    if (type && !PUNCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Punch type must be in or out'
+      });
+    }
+
+    const punch = mongoose.Types.ObjectId.isValid(req.params.id) ? await Punch.findById(req.params.id) : null;
+    if (!punch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Punch not found'
+      });
+    }
+
+    let replacement = null;
+    const attendanceLog = await withRevision(punch, { reason: why, userId: req.user.userId }, async () => {
+      const result = await pairingService.correctPunch(punch._id, { time, type, remove }, { reason: why, userId: req.user.userId });
+      replacement = result.punch;
+      return result.attendanceLog;
+    });
+
+    res.json({
+      success: true,
+      message: remove ? 'Punch voided' : 'Punch corrected',
+      data: {
+        punch: replacement,
+        attendance: attendanceLog
+      }
+    });
+  } catch (error) {
+    sendError(res, error, remove ? 'Voiding punch' : 'Correcting punch');
+  }
+};
+
+// @desc    Correct a punch's time or direction; the original is voided and kept
+// @route   PUT /api/punches/:id
+// @access  Private/Admin
+const correctPunch = async (req, res) => {
+  await changePunch(req, res, false);
+};
+
+// @desc    Void a punch and pair its day again
+// @route   DELETE /api/punches/:id
+// @access  Private/Admin
+const voidPunch = async (req, res) => {
+  await changePunch(req, res, true);
+};
+
+// @desc    Pair punches into attendance again for a date range, optionally for one employee
+// @route   POST /api/punches/pair
+// @access  Private/Admin
+const pairPunches = async (req, res) => {
+  try {
+    const { employee, startDate, endDate } = req.body;
+    const result = await pairingService.rebuildRange({ employee, startDate, endDate });
+
+    res.json({
+      success: true,
+      message: `Paired ${result.rebuilt} of ${result.days} days again`,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Pairing punches');
+  }
+};
+
+module.exports = {
+  getPunches,
+  addPunch,
+  correctPunch,
+  voidPunch,
+  pairPunches
+};
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const RemoteWorkRequest = require('../models/RemoteWorkRequest');
+const remoteWorkService = require('../services/remoteWorkService');
+const analyticsService = require('../services/analyticsService');
+const punchService = require('../services/punchService');
+const notificationService = require('../services/notificationService');
+const reviewService = require('../services/reviewService');
+const { sendError } = require('../middleware/errorMiddleware');
+const { resolveTimezone, toDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Today in the user's timezone
+const getToday = async (user) => {
+  return toDateOnly(new Date(), resolveTimezone(await punchService.getUserTimezone(user.userId)));
+};
+
+const findRequest = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return RemoteWorkRequest.findById(id).populate({
+    path: 'employee',
+    select: 'employeeId userId manager',
+    populate: { path: 'userId', select: 'firstName lastName' }
+  });
+};
+
+const describeRequest = (request) => {
+  const until = request.endDate ? formatDateOnly(request.endDate) : 'further notice';
+  if (request.type === 'standing') {
+    return `every ${request.weekdays.join(', ')} from ${formatDateOnly(request.startDate)} until ${until}`;
+  }
+  return request.endDate && formatDateOnly(request.startDate) === until
+    ? `on ${until}`
+    : `from ${formatDateOnly(request.startDate)} to ${until}`;
+};
+
+// Notify the employee's manager, or the admins when no manager is assigned
+const notifyReviewers = async (request, employee, userId) => {
+  const recipients = await reviewService.getReviewers(employee);
+
+  await notificationService.sendNotification(recipients, {
+    sender: userId,
+    type: 'remote_work_request',
+    title: 'Remote Work Requested',
+    message: `${employee.fullName || employee.employeeId} asked to work remotely ${describeRequest(request)}${request.reason ? `: ${request.reason}` : ''}`,
+    priority: 'medium',
+    category: 'attendance',
+    actionRequired: true,
+    actionUrl: '/remote-work',
+    actionLabel: 'Review request',
+    data: { requestId: request._id },
+    relatedEntity: {
+      entityType: 'RemoteWorkRequest',
+      entityId: request._id
+    }
+  });
+};
+
+// Tell the employee how their request was decided
+const notifyEmployee = async (request, reviewer) => {
+  const approved = request.status === 'approved';
+
+  await notificationService.sendNotification(request.employee.userId._id || request.employee.userId, {
+    sender: reviewer.userId,
+    type: approved ? 'remote_work_approved' : 'remote_work_rejected',
+    title: approved ? 'Remote Work Approved' : 'Remote Work Declined',
+    message: approved
+      ? `You may work remotely ${describeRequest(request)}`
+      : `Your request to work remotely ${describeRequest(request)} was declined: ${request.reviewComments}`,
+    priority: approved ? 'low' : 'medium',
+    category: 'attendance',
+    actionUrl: '/remote-work',
+    data: { requestId: request._id },
+    relatedEntity: {
+      entityType: 'RemoteWorkRequest',
+      entityId: request._id
+    }
+  });
+};
+
+// @desc    Whether I can clock in remotely today, and this week's remote days against the cap
+// @route   GET /api/remote-work/status
+// @access  Private
+const getRemoteStatus = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const shift = await punchService.getEmployeeShift(employee);
+    const status = await remoteWorkService.getStatus(employee, shift, await getToday(req.user));
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching remote work status');
+  }
+};
+
+// @desc    Get my remote work requests and arrangements
+// @route   GET /api/remote-work/mine
+// @access  Private
+const getMyRequests = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const requests = await RemoteWorkRequest.find({ employee: employee._id })
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ startDate: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching remote work requests');
+  }
+};
+
+// @desc    Request remote dates or a standing weekly arrangement
+// @route   POST /api/remote-work
+// @access  Private
+const createRequest = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const request = await remoteWorkService.create(employee, req.body, req.user.userId, await getToday(req.user));
+
+    await employee.populate('userId', 'firstName lastName');
+    await notifyReviewers(request, employee, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: request,
+      message: 'Remote work request submitted for approval'
+    });
+  } catch (error) {
+    sendError(res, error, 'Requesting remote work');
+  }
+};
+
+// @desc    Get remote work requests for the current reviewer, pending ones by default
+// @route   GET /api/remote-work?status=pending
+// @access  Private (Admin or Manager)
+const getReviewRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const employeeFilter = await reviewService.getReviewQueueFilter(req.user);
+    if (employeeFilter) {
+      query.employee = employeeFilter;
+    }
+
+    const requests = await RemoteWorkRequest.find(query)
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: [
+          { path: 'userId', select: 'firstName lastName' },
+          { path: 'department', select: 'name' }
+        ]
+      })
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ startDate: status === 'pending' ? 1 : -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching remote work requests');
+  }
+};
+
+// @desc    Approve or reject a remote work request
+// @route   PUT /api/remote-work/:id/review
+// @access  Private (Admin or the employee's manager)
+const reviewRequest = async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remote work request not found'
+      });
+    }
+
+    if (!(await reviewService.canReview(req.user, request.employee))) {
+      return res.status(403).json({
+        success: false,
+        message: reviewService.isOwn(req.user, request.employee)
+          ? 'You cannot review your own remote work request'
+          : 'You are not allowed to review this request'
+      });
+    }
+
+    await remoteWorkService.review(request, req.user, {
+      status: req.body.status,
+      comments: req.body.comments
+    });
+    await notifyEmployee(request, req.user);
+
+    res.json({
+      success: true,
+      data: request,
+      message: `Remote work request ${request.status}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Reviewing remote work request');
+  }
+};
+
+// @desc    Withdraw a request, or end an approved arrangement from today
+// @route   PUT /api/remote-work/:id/cancel
+// @access  Private (the employee, their manager or an admin)
+const cancelRequest = async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remote work request not found'
+      });
+    }
+
+    const own = reviewService.isOwn(req.user, request.employee);
+    if (!own && !(await reviewService.canReview(req.user, request.employee))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to cancel this request'
+      });
+    }
+
+    await remoteWorkService.cancel(request, await getToday(req.user));
+
+    res.json({
+      success: true,
+      data: request,
+      message: request.status === 'cancelled' ? 'Remote work request cancelled' : 'Remote work arrangement ended'
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancelling remote work request');
+  }
+};
+
+// @desc    On-site and remote days and hours per employee (period or startDate/endDate, department)
+// @route   GET /api/remote-work/report
+// @access  Private/Admin
+const getRemoteWorkReport = async (req, res) => {
+  try {
+    const range = analyticsService.getRange(req.query, await getToday(req.user));
+
+    res.json({
+      success: true,
+      data: await remoteWorkService.getReport(range, {
+        department: req.query.department,
+        employee: req.query.employee
+      })
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching remote work report');
+  }
+};
+
+module.exports = {
+  getRemoteStatus,
+  getMyRequests,
+  createRequest,
+  getReviewRequests,
+  reviewRequest,
+  cancelRequest,
+  getRemoteWorkReport
+};
@@ -17,7 +17,12 @@ const createShift = asyncHandler(async (req, res) => {
     workingDays,
     isFlexible,
     description,
-    department
+    department,
+    timezone,
+    autoClockOut,
+    locationRestrictions,
+    jobRequired,
+    fieldTracking
   } = req.body;
 
   // Validate time format
@@ -47,6 +52,11 @@ const createShift = asyncHandler(async (req, res) => {
     isFlexible: isFlexible || false,
     description,
     department,
+    timezone: timezone || undefined,
+    autoClockOut,
+    locationRestrictions,
+    jobRequired: Boolean(jobRequired),
+    fieldTracking,
     createdBy: req.user._id
   });
 
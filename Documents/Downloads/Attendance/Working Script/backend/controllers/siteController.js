@@ -0,0 +1,280 @@
+const WorkSite = require('../models/WorkSite');
+const Employee = require('../models/Employee');
+const licenseService = require('../services/licenseService');
+
+const SITE_FIELDS = ['name', 'address', 'timezone', 'boundary', 'gpsSafeguards', 'activeHours'];
+
+// Pick the editable site fields from the request body
+const getSiteFields = (body) => {
+  return SITE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = field === 'timezone' ? body[field] || undefined : body[field];
+    }
+    return fields;
+  }, {});
+};
+
+// Turn schema and duplicate-name errors into a 400 response; returns false for anything else
+const sendSiteError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A site with this name already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Refuse a new active site once the license's location limit is reached
+const sendLocationLimitError = async (res) => {
+  const limit = await licenseService.checkLocationLimit();
+  if (limit.allowed) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: `Your license allows ${limit.limit} work sites and ${limit.current} are active. Deactivate a site or upgrade the license to add more.`
+  });
+  return true;
+};
+
+// @desc    Create a work site
+// @route   POST /api/sites
+// @access  Private/Admin
+const createSite = async (req, res) => {
+  try {
+    if (await sendLocationLimitError(res)) {
+      return;
+    }
+
+    const site = await WorkSite.create({
+      ...getSiteFields(req.body),
+      createdBy: req.user.userId
+    });
+    await licenseService.syncLocationUsage();
+
+    res.status(201).json({
+      success: true,
+      message: 'Work site created',
+      data: site
+    });
+  } catch (error) {
+    if (sendSiteError(res, error)) {
+      return;
+    }
+
+    console.error('Create work site error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating work site'
+    });
+  }
+};
+
+// @desc    List work sites
+// @route   GET /api/sites
+// @access  Private/Admin
+const getSites = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const sites = await WorkSite.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: sites
+    });
+  } catch (error) {
+    console.error('Get work sites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching work sites'
+    });
+  }
+};
+
+// @desc    Get a work site with the employees assigned to it
+// @route   GET /api/sites/:id
+// @access  Private/Admin
+const getSite = async (req, res) => {
+  try {
+    const site = await WorkSite.findById(req.params.id);
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work site not found'
+      });
+    }
+
+    const employees = await Employee.find({ sites: site._id, isActive: true })
+      .select('employeeId userId')
+      .populate('userId', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: {
+        ...site.toJSON(),
+        employees
+      }
+    });
+  } catch (error) {
+    console.error('Get work site error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching work site'
+    });
+  }
+};
+
+// @desc    Update a work site, including reactivating it
+// @route   PUT /api/sites/:id
+// @access  Private/Admin
+const updateSite = async (req, res) => {
+  try {
+    const site = await WorkSite.findById(req.params.id);
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work site not found'
+      });
+    }
+
+    const reactivating = req.body.isActive === true && !site.isActive;
+    if (reactivating && await sendLocationLimitError(res)) {
+      return;
+    }
+
+    site.set(getSiteFields(req.body));
+    if (reactivating) {
+      site.isActive = true;
+    }
+    site.updatedBy = req.user.userId;
+
+    await site.save();
+    if (reactivating) {
+      await licenseService.syncLocationUsage();
+    }
+
+    res.json({
+      success: true,
+      message: 'Work site updated',
+      data: site
+    });
+  } catch (error) {
+    if (sendSiteError(res, error)) {
+      return;
+    }
+
+    console.error('Update work site error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating work site'
+    });
+  }
+};
+
+// @desc    Deactivate a work site; punches no longer match it and it stops counting against the license
+// @route   DELETE /api/sites/:id
+// @access  Private/Admin
+const deleteSite = async (req, res) => {
+  try {
+    const site = await WorkSite.findById(req.params.id);
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work site not found'
+      });
+    }
+
+    // Past punches keep pointing at the site, so it is deactivated rather than removed
+    site.isActive = false;
+    site.updatedBy = req.user.userId;
+    await site.save();
+    await licenseService.syncLocationUsage();
+
+    res.json({
+      success: true,
+      message: 'Work site deactivated'
+    });
+  } catch (error) {
+    console.error('Delete work site error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating work site'
+    });
+  }
+};
+
+// @desc    Set the employees assigned to a work site, by employee ID
+// @route   PUT /api/sites/:id/employees
+// @access  Private/Admin
+const assignSiteEmployees = async (req, res) => {
+  try {
+    const { employeeIds } = req.body;
+
+    if (!Array.isArray(employeeIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'employeeIds must be a list of employee IDs'
+      });
+    }
+
+    const site = await WorkSite.findById(req.params.id);
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work site not found'
+      });
+    }
+
+    const codes = [...new Set(employeeIds.map(id => String(id).trim()).filter(Boolean))];
+    const employees = await Employee.find({ employeeId: { $in: codes } }).select('employeeId');
+
+    const found = new Set(employees.map(employee => employee.employeeId));
+    const unknown = codes.filter(code => !found.has(code));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown employee IDs: ${unknown.join(', ')}`
+      });
+    }
+
+    const ids = employees.map(employee => employee._id);
+    await Employee.updateMany(
+      { sites: site._id, _id: { $nin: ids } },
+      { $pull: { sites: site._id } }
+    );
+    await Employee.updateMany(
+      { _id: { $in: ids } },
+      { $addToSet: { sites: site._id } }
+    );
+
+    res.json({
+      success: true,
+      message: `${ids.length} employee(s) assigned to ${site.name}`
+    });
+  } catch (error) {
+    console.error('Assign work site employees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning employees'
+    });
+  }
+};
+
+module.exports = {
+  createSite,
+  getSites,
+  getSite,
+  updateSite,
+  deleteSite,
+  assignSiteEmployees
+};
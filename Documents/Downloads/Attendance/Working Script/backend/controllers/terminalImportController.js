@@ -0,0 +1,134 @@
+const fs = require('fs');
+const TerminalUserMapping = require('../models/TerminalUserMapping');
+const terminalImportService = require('../services/terminalImportService');
+const { sendError } = require('../middleware/errorMiddleware');
+
+// Read the uploaded punch log and run it through the importer, removing the upload afterwards
+const runUpload = async (req, dryRun) => {
+  try {
+    const content = await fs.promises.readFile(req.file.path, 'utf8');
+    return await terminalImportService.run(content, {
+      timezone: req.body.timezone,
+      dryRun,
+      createdBy: req.user.userId
+    });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
+// @desc    Preview a terminal punch log: who each punch belongs to and what importing it would do
+// @route   POST /api/terminal-imports/preview
+// @access  Private/Admin
+const previewTerminalImport = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Punch log file is required'
+    });
+  }
+
+  try {
+    const data = await runUpload(req, true);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Previewing terminal punches');
+  }
+};
+
+// @desc    Import a terminal punch log into attendance records
+// @route   POST /api/terminal-imports
+// @access  Private/Admin
+const importTerminalPunches = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Punch log file is required'
+    });
+  }
+
+  try {
+    const data = await runUpload(req, false);
+
+    res.json({
+      success: true,
+      message: 'Terminal import completed',
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Importing terminal punches');
+  }
+};
+
+// @desc    List terminal user to employee mappings
+// @route   GET /api/terminal-imports/mappings
+// @access  Private/Admin
+const getTerminalMappings = async (req, res) => {
+  try {
+    const mappings = await terminalImportService.getMappings();
+
+    res.json({
+      success: true,
+      data: mappings
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching terminal mappings');
+  }
+};
+
+// @desc    Map a terminal user ID (optionally for one terminal) to an employee
+// @route   POST /api/terminal-imports/mappings
+// @access  Private/Admin
+const saveTerminalMapping = async (req, res) => {
+  try {
+    const mapping = await terminalImportService.saveMapping(req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Terminal mapping saved',
+      data: mapping
+    });
+  } catch (error) {
+    sendError(res, error, 'Saving terminal mapping');
+  }
+};
+
+// @desc    Remove a terminal user mapping
+// @route   DELETE /api/terminal-imports/mappings/:id
+// @access  Private/Admin
+const deleteTerminalMapping = async (req, res) => {
+  try {
+    const mapping = await TerminalUserMapping.findByIdAndDelete(req.params.id);
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Terminal mapping not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Terminal mapping removed'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mapping ID'
+      });
+    }
+    sendError(res, error, 'Deleting terminal mapping');
+  }
+};
+
+module.exports = {
+  previewTerminalImport,
+  importTerminalPunches,
+  getTerminalMappings,
+  saveTerminalMapping,
+  deleteTerminalMapping
+};
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const Employee = require('../models/Employee');
+const timesheetService = require('../services/timesheetService');
+const notificationService = require('../services/notificationService');
+const reviewService = require('../services/reviewService');
+const { sendError } = require('../middleware/errorMiddleware');
+const { formatDateOnly } = require('../utils/timezone');
+
+const findTimesheet = (id) => {
+  return Timesheet.findById(id).populate({
+    path: 'employee',
+    select: 'employeeId userId manager',
+    populate: { path: 'userId', select: 'firstName lastName' }
+  });
+};
+
+// Notify the employee's manager, or the admins when no manager is assigned
+const notifyReviewers = async (timesheet, employee, userId) => {
+  const recipients = await reviewService.getReviewers(employee);
+
+  await notificationService.sendNotification(recipients, {
+    sender: userId,
+    type: 'timesheet_submitted',
+    title: 'Timesheet Submitted',
+    message: `${employee.fullName || employee.employeeId} submitted their timesheet for the week of ${formatDateOnly(timesheet.weekStart)} (${timesheet.totals.workingHours}h)`,
+    priority: 'medium',
+    category: 'attendance',
+    actionRequired: true,
+    actionUrl: '/attendance',
+    actionLabel: 'Review timesheet',
+    data: { timesheetId: timesheet._id },
+    relatedEntity: {
+      entityType: 'Timesheet',
+      entityId: timesheet._id
+    }
+  });
+};
+
+// Tell the employee how their timesheet was decided
+const notifyEmployee = async (timesheet, reviewer) => {
+  const approved = timesheet.status === 'approved';
+  const week = formatDateOnly(timesheet.weekStart);
+
+  await notificationService.sendNotification(timesheet.employee.userId._id || timesheet.employee.userId, {
+    sender: reviewer.userId,
+    type: approved ? 'timesheet_approved' : 'timesheet_returned',
+    title: approved ? 'Timesheet Approved' : 'Timesheet Returned',
+    message: approved
+      ? `Your timesheet for the week of ${week} has been approved`
+      : `Your timesheet for the week of ${week} was returned: ${timesheet.reviewComments}`,
+    priority: approved ? 'low' : 'medium',
+    category: 'attendance',
+    actionRequired: !approved,
+    actionUrl: '/attendance',
+    data: { timesheetId: timesheet._id },
+    relatedEntity: {
+      entityType: 'Timesheet',
+      entityId: timesheet._id
+    }
+  });
+};
+
+// @desc    Get a week's attendance and timesheet, mine or (for reviewers) an employee's
+// @route   GET /api/timesheets/week?weekStart=YYYY-MM-DD&employee=:id
+// @access  Private
+const getWeek = async (req, res) => {
+  try {
+    const { weekStart, employee: employeeId } = req.query;
+
+    let employee;
+    if (employeeId) {
+      employee = mongoose.Types.ObjectId.isValid(employeeId) && await Employee.findById(employeeId);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee not found'
+        });
+      }
+      if (!reviewService.isOwn(req.user, employee) && !(await reviewService.canReview(req.user, employee))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not allowed to view this timesheet'
+        });
+      }
+    } else {
+      employee = await reviewService.getEmployeeForUser(req.user);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee profile not found'
+        });
+      }
+    }
+
+    const summary = await timesheetService.getWeekSummary(employee._id, weekStart);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching timesheet');
+  }
+};
+
+// @desc    Get my timesheets
+// @route   GET /api/timesheets/my-timesheets
+// @access  Private
+const getMyTimesheets = async (req, res) => {
+  try {
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const timesheets = await Timesheet.find({ employee: employee._id })
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ weekStart: -1 })
+      .limit(26);
+
+    res.json({
+      success: true,
+      data: timesheets
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching timesheets');
+  }
+};
+
+// @desc    Submit or resubmit a week's timesheet
+// @route   POST /api/timesheets/submit
+// @access  Private
+const submitTimesheet = async (req, res) => {
+  try {
+    const { weekStart, notes } = req.body;
+
+    if (!weekStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'The week to submit is required'
+      });
+    }
+
+    const employee = await reviewService.getEmployeeForUser(req.user);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const timesheet = await timesheetService.submit(employee, weekStart, notes, req.user.userId);
+
+    await employee.populate('userId', 'firstName lastName');
+    await notifyReviewers(timesheet, employee, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet submitted for approval'
+    });
+  } catch (error) {
+    sendError(res, error, 'Submitting timesheet');
+  }
+};
+
+// @desc    Get timesheets for the current reviewer, submitted ones by default
+// @route   GET /api/timesheets/review?status=submitted
+// @access  Private (Admin or Manager)
+const getReviewTimesheets = async (req, res) => {
+  try {
+    const { status = 'submitted' } = req.query;
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const employeeFilter = await reviewService.getReviewQueueFilter(req.user);
+    if (employeeFilter) {
+      query.employee = employeeFilter;
+    }
+
+    const timesheets = await Timesheet.find(query)
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ weekStart: status === 'submitted' ? 1 : -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: timesheets
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching timesheets');
+  }
+};
+
+// Load a timesheet and check the user may review it; sends the error response and returns null otherwise
+const loadForReview = async (req, res) => {
+  const timesheet = await findTimesheet(req.params.id);
+  if (!timesheet) {
+    res.status(404).json({
+      success: false,
+      message: 'Timesheet not found'
+    });
+    return null;
+  }
+
+  if (!(await reviewService.canReview(req.user, timesheet.employee))) {
+    res.status(403).json({
+      success: false,
+      message: reviewService.isOwn(req.user, timesheet.employee)
+        ? 'You cannot review your own timesheet'
+        : 'You are not allowed to review this timesheet'
+    });
+    return null;
+  }
+
+  return timesheet;
+};
+
+// @desc    Approve a timesheet and lock its attendance records
+// @route   PUT /api/timesheets/:id/approve
+// @access  Private (Admin or Manager)
+const approveTimesheet = async (req, res) => {
+  try {
+    const timesheet = await loadForReview(req, res);
+    if (!timesheet) return;
+
+    await timesheetService.approve(timesheet, req.user.userId, req.body.comments);
+    await notifyEmployee(timesheet, req.user);
+
+    res.json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet approved'
+    });
+  } catch (error) {
+    sendError(res, error, 'Approving timesheet');
+  }
+};
+
+// @desc    Return a timesheet to the employee with comments
+// @route   PUT /api/timesheets/:id/return
+// @access  Private (Admin or Manager)
+const returnTimesheet = async (req, res) => {
+  try {
+    const timesheet = await loadForReview(req, res);
+    if (!timesheet) return;
+
+    await timesheetService.returnToEmployee(timesheet, req.user.userId, req.body.comments);
+    await notifyEmployee(timesheet, req.user);
+
+    res.json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet returned to the employee'
+    });
+  } catch (error) {
+    sendError(res, error, 'Returning timesheet');
+  }
+};
+
+// @desc    Reopen an approved timesheet, unlocking its attendance records
+// @route   PUT /api/timesheets/:id/reopen
+// @access  Private (Admin)
+const reopenTimesheet = async (req, res) => {
+  try {
+    const timesheet = await findTimesheet(req.params.id);
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    // Reopening unlocks the attendance, so it is not for the timesheet's own employee either
+    if (reviewService.isOwn(req.user, timesheet.employee)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot reopen your own timesheet'
+      });
+    }
+
+    await timesheetService.reopen(timesheet, req.user.userId, req.body.comments);
+    await notifyEmployee(timesheet, req.user);
+
+    res.json({
+      success: true,
+      data: timesheet,
+      message: 'Timesheet reopened'
+    });
+  } catch (error) {
+    sendError(res, error, 'Reopening timesheet');
+  }
+};
+
+module.exports = {
+  getWeek,
+  getMyTimesheets,
+  submitTimesheet,
+  getReviewTimesheets,
+  approveTimesheet,
+  returnTimesheet,
+  reopenTimesheet
+};
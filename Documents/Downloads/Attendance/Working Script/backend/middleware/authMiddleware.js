@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const KioskDevice = require('../models/KioskDevice');
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-default-secret-key';
@@ -179,6 +180,76 @@ const checkOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
   };
 };
 
+// Kiosk authentication - shared devices identify themselves with a device token, not a user session
+const protectKiosk = async (req, res, next) => {
+  try {
+    const token = req.headers['x-kiosk-token'];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk token is required'
+      });
+    }
+
+    const kiosk = await KioskDevice.findByToken(token);
+    if (!kiosk) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk not registered or revoked'
+      });
+    }
+
+    await KioskDevice.updateOne(
+      { _id: kiosk._id },
+      { lastSeenAt: new Date(), lastIpAddress: req.ip }
+    );
+
+    req.kiosk = kiosk;
+    next();
+  } catch (error) {
+    console.error('Kiosk auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during kiosk authentication'
+    });
+  }
+};
+
+// Socket.io authentication - the client passes its JWT in the handshake auth payload
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return next(new Error('Access token is required'));
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return next(new Error('User not found or account deactivated'));
+    }
+
+    socket.user = {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      firstName: user.firstName,
+      lastName: user.lastName
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+
+    console.error('Socket auth error:', error);
+    next(new Error('Server error during authentication'));
+  }
+};
+
 // FIXED: Export with correct naming
 module.exports = {
   authenticateToken, // Main auth middleware
@@ -187,5 +258,7 @@ module.exports = {
   authorizeRoles,
   checkRoleHierarchy,
   optionalAuth,
-  checkOwnershipOrAdmin
+  checkOwnershipOrAdmin,
+  protectKiosk,
+  authenticateSocket
 };
\ No newline at end of file
@@ -13,6 +13,37 @@ class AppError extends Error {
   }
 }
 
+// Answer a controller's caught error: validation, cast and AppError problems go back to the client,
+// anything else is logged and reported as a server error while doing `label`. Once a streamed
+// response has started the only option is to abort it.
+const sendError = (res, error, label) => {
+  if (res.headersSent) {
+    logger.error(`${label} error:`, error);
+    res.destroy(error);
+    return;
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.errors
+        ? Object.values(error.errors).map(err => err.message).join(', ')
+        : error.message
+    });
+  }
+  if (error.isOperational && error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${label.toLowerCase()}`
+  });
+};
+
 // Async error handler wrapper
 const asyncHandler = (fn) => {
   return (req, res, next) => {
@@ -352,6 +383,7 @@ const responseTimeMonitor = (req, res, next) => {
 
 module.exports = {
   AppError,
+  sendError,
   asyncHandler,
   errorHandler,
   notFound,
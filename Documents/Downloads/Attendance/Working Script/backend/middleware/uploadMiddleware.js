@@ -75,6 +75,13 @@ const fileFilter = (req, file, cb) => {
     } else {
       cb(new Error('File type not allowed'), false);
     }
+  } else if (file.fieldname === 'punchLog') {
+    // Fingerprint terminal exports are plain text (.txt, .dat, .tsv or .csv)
+    if (['text/plain', 'text/tab-separated-values', 'text/csv', 'application/octet-stream'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only text punch log files are allowed'), false);
+    }
   } else {
     cb(null, true);
   }
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// An employee's latest Bradford score, kept so managers are told once when a trigger threshold is crossed
+// rather than on every evaluation. The ranked report is computed live; this only records what was last sent.
+const absenceScoreSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+    unique: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowEnd: {
+    type: Date,
+    required: true
+  },
+  spells: {
+    type: Number,
+    default: 0
+  },
+  days: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  // Highest threshold the score is at or above, null below the first
+  threshold: {
+    type: Number,
+    default: null
+  },
+  // Highest threshold managers have been notified about; drops back when the score does
+  notifiedThreshold: {
+    type: Number,
+    default: null
+  },
+  notifiedAt: {
+    type: Date
+  },
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+absenceScoreSchema.index({ score: -1 });
+
+module.exports = mongoose.model('AbsenceScore', absenceScoreSchema);
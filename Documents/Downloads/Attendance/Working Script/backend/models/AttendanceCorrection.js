@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const attendanceCorrectionSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  attendanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  original: {
+    clockIn: Date,
+    clockOut: Date,
+    status: String
+  },
+  requestedClockIn: {
+    type: Date
+  },
+  requestedClockOut: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason for the correction is required'],
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComments: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+attendanceCorrectionSchema.index({ employee: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ status: 1 });
+attendanceCorrectionSchema.index({ attendanceLog: 1 });
+
+// Pre-validate middleware
+attendanceCorrectionSchema.pre('validate', function(next) {
+  if (!this.requestedClockIn && !this.requestedClockOut) {
+    this.invalidate('requestedClockIn', 'A corrected clock-in or clock-out time is required');
+  }
+
+  if (this.requestedClockIn && this.requestedClockOut && this.requestedClockOut <= this.requestedClockIn) {
+    this.invalidate('requestedClockOut', 'Clock-out time must be after clock-in time');
+  }
+
+  const now = new Date();
+  if ((this.requestedClockIn && this.requestedClockIn > now) || (this.requestedClockOut && this.requestedClockOut > now)) {
+    this.invalidate('requestedClockIn', 'Corrected times cannot be in the future');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  toDateOnly,
+  formatDateOnly,
+  formatWithOffset,
+  atLocalTime
+} = require('../utils/timezone');
+
+// Statuses recorded for days without a clock-in (absence, leave, holiday)
+const NON_WORKING_STATUSES = ['absent', 'holiday', 'leave'];
+
+// Statuses that count as a day worked
+const WORKED_STATUSES = ['present', 'late', 'early_departure', 'half_day'];
+
+// Clock-in details are only required for days the employee actually punched
+function requiresPunch() {
+  return !NON_WORKING_STATUSES.includes(this.status);
+}
+
+// Punches from fingerprint terminals, entered by an admin or through an approved correction have no GPS fix
+const PUNCHES_WITHOUT_LOCATION = ['terminal', 'manual'];
+
+function requiresPunchLocation() {
+  return requiresPunch.call(this)
+    && !this.correction
+    && !PUNCHES_WITHOUT_LOCATION.includes(this.clockIn?.deviceInfo?.deviceType);
+}
 
 const attendanceLogSchema = new mongoose.Schema({
   employee: {
@@ -6,27 +34,57 @@ const attendanceLogSchema = new mongoose.Schema({
     ref: 'Employee',
     required: true
   },
+  // Shift day as a date-only value (midnight UTC of the local calendar day)
   date: {
     type: Date,
     required: true,
-    default: () => new Date(new Date().setHours(0, 0, 0, 0))
+    default: () => toDateOnly(new Date())
+  },
+  // IANA timezone the shift day and expected times are computed in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be a valid IANA timezone'
+    }
   },
   clockIn: {
     time: {
       type: Date,
-      required: true
+      required: requiresPunch
     },
     location: {
       latitude: {
         type: Number,
-        required: true
+        required: requiresPunchLocation
       },
       longitude: {
         type: Number,
-        required: true
+        required: requiresPunchLocation
       },
       address: {
         type: String
+      },
+      // Fix details reported by the device: accuracy radius (m), altitude (m), speed (m/s), when it was taken
+      accuracy: Number,
+      altitude: Number,
+      speed: Number,
+      capturedAt: Date,
+      // How presence was established: device GPS, a scanned site QR code, or a kiosk at the site;
+      // remote is a GPS position recorded while working from home, not matched to a geofence
+      source: {
+        type: String,
+        enum: ['gps', 'qr', 'kiosk', 'remote']
+      },
+      siteDevice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KioskDevice'
+      },
+      // Work site the punch was matched to
+      site: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkSite'
       }
     },
     biometric: {
@@ -46,7 +104,15 @@ const attendanceLogSchema = new mongoose.Schema({
     deviceInfo: {
       userAgent: String,
       ipAddress: String,
-      deviceType: String
+      deviceType: String,
+      deviceId: String
+    },
+    // Set when the punch was queued on the device while offline and replayed later
+    offline: {
+      clientEventId: String,
+      deviceTime: Date,
+      clockSkewSeconds: Number,
+      syncedAt: Date
     }
   },
   clockOut: {
@@ -62,6 +128,26 @@ const attendanceLogSchema = new mongoose.Schema({
       },
       address: {
         type: String
+      },
+      // Fix details reported by the device: accuracy radius (m), altitude (m), speed (m/s), when it was taken
+      accuracy: Number,
+      altitude: Number,
+      speed: Number,
+      capturedAt: Date,
+      // How presence was established: device GPS, a scanned site QR code, or a kiosk at the site;
+      // remote is a GPS position recorded while working from home, not matched to a geofence
+      source: {
+        type: String,
+        enum: ['gps', 'qr', 'kiosk', 'remote']
+      },
+      siteDevice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KioskDevice'
+      },
+      // Work site the punch was matched to
+      site: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkSite'
       }
     },
     biometric: {
@@ -81,7 +167,15 @@ const attendanceLogSchema = new mongoose.Schema({
     deviceInfo: {
       userAgent: String,
       ipAddress: String,
-      deviceType: String
+      deviceType: String,
+      deviceId: String
+    },
+    // Set when the punch was queued on the device while offline and replayed later
+    offline: {
+      clientEventId: String,
+      deviceTime: Date,
+      clockSkewSeconds: Number,
+      syncedAt: Date
     }
   },
   breaks: [{
@@ -101,8 +195,38 @@ const attendanceLogSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number,
       address: String
+    },
+    // Gap between two worked sessions (clocked out and back in), derived from punches by the pairing engine
+    betweenSessions: {
+      type: Boolean,
+      default: false
     }
   }],
+  // In/out pairs derived from the day's punches; clockIn and clockOut above are the first in and last out
+  sessions: [{
+    _id: false,
+    clockIn: {
+      type: Date,
+      required: true
+    },
+    clockOut: Date,
+    inPunch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Punch'
+    },
+    outPunch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Punch'
+    }
+  }],
+  // Punches the pairing engine couldn't match, e.g. a clock out with no clock in before it
+  unpairedPunches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Punch'
+  }],
+  pairedAt: Date,
+  // When the day was judged over (its shift had ended, or a job closed it) and the minimum-hours rule applied
+  dayClosedAt: Date,
   totalWorkingHours: {
     type: Number,
     min: 0,
@@ -113,6 +237,11 @@ const attendanceLogSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  unpaidBreakTime: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   overtimeHours: {
     type: Number,
     min: 0,
@@ -120,7 +249,7 @@ const attendanceLogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['present', 'absent', 'late', 'early_departure', 'holiday', 'leave'],
+    enum: ['present', 'absent', 'late', 'early_departure', 'half_day', 'holiday', 'leave'],
     default: 'present'
   },
   isLate: {
@@ -145,6 +274,43 @@ const attendanceLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Shift'
   },
+  // Where the day was worked; a day with any remote session counts as remote
+  workMode: {
+    type: String,
+    enum: ['onsite', 'remote'],
+    default: 'onsite'
+  },
+  // Approved request the remote day was worked under
+  remoteWorkRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RemoteWorkRequest'
+  },
+  // Field shift location sharing for the day; the pings themselves are kept in LocationPing.
+  // The anchor is where the employee has been since they last moved further than the idle radius.
+  fieldTracking: {
+    lastPingAt: Date,
+    anchor: {
+      latitude: Number,
+      longitude: Number,
+      since: Date
+    },
+    outOfArea: {
+      type: Boolean,
+      default: false
+    },
+    idleAlertedAt: Date,
+    silentAlertedAt: Date
+  },
+  // Attendance policy version the day was evaluated under; kept so later versions don't change past days
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendancePolicy'
+  },
+  // Punch times after the policy's rounding, used for payable hours
+  rounded: {
+    clockIn: Date,
+    clockOut: Date
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -161,7 +327,7 @@ const attendanceLogSchema = new mongoose.Schema({
   irregularities: [{
     type: {
       type: String,
-      enum: ['location_mismatch', 'biometric_failed', 'multiple_entries', 'suspicious_activity']
+      enum: ['location_mismatch', 'biometric_failed', 'multiple_entries', 'suspicious_activity', 'unpaired_punch']
     },
     description: {
       type: String,
@@ -172,15 +338,72 @@ const attendanceLogSchema = new mongoose.Schema({
       enum: ['low', 'medium', 'high'],
       default: 'medium'
     },
+    // Which punch raised the finding
+    punch: {
+      type: String,
+      enum: ['clock_in', 'clock_out']
+    },
+    // Other employees' attendance logs involved, e.g. punched from the same device
+    relatedAttendance: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AttendanceLog'
+    }],
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    },
     resolved: {
       type: Boolean,
       default: false
+    },
+    // Outcome of the admin review: resolved (confirmed and handled) or dismissed (false positive)
+    review: {
+      status: {
+        type: String,
+        enum: ['resolved', 'dismissed']
+      },
+      notes: {
+        type: String,
+        maxlength: 500
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
     }
   }],
   automaticallyGenerated: {
     type: Boolean,
     default: false
   },
+  correction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceCorrection'
+  },
+  // Time worked on each project, in order; the last segment stays open until the next switch or clock out
+  jobSegments: [{
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    // Copied from the project when the segment starts, so later changes to the project don't move past hours
+    costCenter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CostCenter'
+    },
+    startTime: {
+      type: Date,
+      required: true
+    },
+    endTime: Date
+  }],
+  // Set while the week's timesheet is approved; the record can't be edited until it is reopened
+  lockedByTimesheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timesheet'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -195,11 +418,23 @@ const attendanceLogSchema = new mongoose.Schema({
 attendanceLogSchema.index({ employee: 1, date: 1 }, { unique: true });
 attendanceLogSchema.index({ date: 1 });
 attendanceLogSchema.index({ status: 1 });
+attendanceLogSchema.index({ employee: 1, workMode: 1, date: 1 });
+attendanceLogSchema.index({ 'fieldTracking.lastPingAt': 1 }, { sparse: true });
 attendanceLogSchema.index({ 'clockIn.time': 1 });
+attendanceLogSchema.index({ 'irregularities.resolved': 1 });
+attendanceLogSchema.index({ 'clockIn.deviceInfo.deviceId': 1, 'clockIn.time': 1 });
+attendanceLogSchema.index({ 'clockIn.deviceInfo.ipAddress': 1, 'clockIn.time': 1 });
+attendanceLogSchema.index({ 'clockIn.offline.clientEventId': 1 }, { unique: true, sparse: true });
+attendanceLogSchema.index({ 'clockOut.offline.clientEventId': 1 }, { unique: true, sparse: true });
 
-// Virtual for net working hours (excluding breaks)
+// Virtual for net working hours (excluding unpaid breaks)
 attendanceLogSchema.virtual('netWorkingHours').get(function() {
-  return Math.max(0, this.totalWorkingHours - this.totalBreakTime);
+  return Math.max(0, this.totalWorkingHours - this.unpaidBreakTime);
+});
+
+// Virtual for the break currently in progress, if any
+attendanceLogSchema.virtual('activeBreak').get(function() {
+  return (this.breaks || []).find(b => !b.endTime) || null;
 });
 
 // Virtual for formatted date
@@ -207,14 +442,73 @@ attendanceLogSchema.virtual('formattedDate').get(function() {
   return this.date.toISOString().split('T')[0];
 });
 
+// Virtual for punch times in the day's timezone, with explicit UTC offsets
+attendanceLogSchema.virtual('localTimes').get(function() {
+  const timezone = this.timezone || DEFAULT_TIMEZONE;
+  return {
+    timezone,
+    date: this.date ? formatDateOnly(this.date) : null,
+    clockIn: formatWithOffset(this.clockIn?.time, timezone),
+    clockOut: formatWithOffset(this.clockOut?.time, timezone)
+  };
+});
+
+// Attendance policy for the day: the version recorded on the log, or the one in force for its shift, site and department
+async function loadPolicy(log) {
+  const AttendancePolicy = log.model('AttendancePolicy');
+  if (log.policy) {
+    return AttendancePolicy.findById(log.policy._id || log.policy);
+  }
+  if (!log.clockIn?.time) {
+    return null;
+  }
+
+  const employee = await log.model('Employee').findById(log.employee).select('department');
+  const policy = await AttendancePolicy.resolve({
+    shift: log.shift?._id || log.shift,
+    site: log.clockIn.location?.site,
+    department: employee?.department,
+    date: log.date
+  });
+  if (policy) {
+    log.policy = policy._id;
+  }
+  return policy;
+}
+
 // Pre-save middleware to calculate working hours and status
 attendanceLogSchema.pre('save', async function(next) {
   try {
+    const policy = await loadPolicy(this);
+    // A status set by hand in an admin edit stays as chosen
+    const keepStatus = Boolean(this.$locals.keepStatus);
+    // The day is over at the end of its shift, or of the local day without one
+    let dayEnd = this.date ? atLocalTime(this.date, 0, 0, this.timezone || DEFAULT_TIMEZONE).add(1, 'day').toDate() : null;
+
     // Calculate total working hours if both clock in and out exist
     if (this.clockIn?.time && this.clockOut?.time) {
-      const workingMilliseconds = this.clockOut.time - this.clockIn.time;
+      // Payable hours follow the policy's rounding; the punches themselves are kept as recorded
+      const clockInTime = policy ? policy.roundTime(this.clockIn.time, 'in') : this.clockIn.time;
+      const clockOutTime = policy ? policy.roundTime(this.clockOut.time, 'out') : this.clockOut.time;
+      if (policy) {
+        this.rounded = { clockIn: clockInTime, clockOut: clockOutTime };
+      }
+
+      const workingMilliseconds = Math.max(0, clockOutTime - clockInTime);
       this.totalWorkingHours = workingMilliseconds / (1000 * 60 * 60); // Convert to hours
       
+      // A break or job still running at clock out ends with the shift
+      this.breaks.forEach(breakItem => {
+        if (!breakItem.endTime) {
+          breakItem.endTime = this.clockOut.time;
+        }
+      });
+      this.jobSegments.forEach(segment => {
+        if (!segment.endTime) {
+          segment.endTime = this.clockOut.time;
+        }
+      });
+
       // Calculate total break time
       let totalBreakMinutes = 0;
       this.breaks.forEach(breakItem => {
@@ -223,6 +517,7 @@ attendanceLogSchema.pre('save', async function(next) {
         }
       });
       this.totalBreakTime = totalBreakMinutes / 60; // Convert to hours
+      this.unpaidBreakTime = this.totalBreakTime;
     }
 
     // Get shift information for calculations
@@ -231,41 +526,65 @@ attendanceLogSchema.pre('save', async function(next) {
       const shift = this.shift;
       
       if (shift && this.clockIn?.time) {
+        // Expected times come from the shift day, so overnight shifts end the next morning
+        const { start: expectedStart, end: expectedEnd } = shift.getShiftWindow(this.date, this.timezone);
+        dayEnd = expectedEnd;
+
+        // A policy's grace periods replace the shift's thresholds: within grace the punch isn't late at all
+        const lateGrace = policy ? policy.graceMinutes : 0;
+        const lateThreshold = policy ? policy.graceMinutes : shift.lateThreshold;
+        const earlyGrace = policy ? policy.earlyDepartureGraceMinutes : 0;
+        const earlyThreshold = policy ? policy.earlyDepartureGraceMinutes : shift.earlyDepartureThreshold;
+
         // Calculate if late
-        const expectedStart = new Date(this.date);
-        expectedStart.setHours(shift.startTime.hour, shift.startTime.minute, 0, 0);
-        
-        if (this.clockIn.time > expectedStart) {
+        const lateBy = (this.clockIn.time - expectedStart) / (1000 * 60); // minutes
+        if (lateBy > lateGrace) {
           this.isLate = true;
-          this.lateBy = (this.clockIn.time - expectedStart) / (1000 * 60); // minutes
+          this.lateBy = lateBy;
           
-          if (this.lateBy > shift.lateThreshold) {
+          if (this.lateBy > lateThreshold && !keepStatus) {
             this.status = 'late';
           }
         }
         
         // Calculate if early departure
         if (this.clockOut?.time) {
-          const expectedEnd = new Date(this.date);
-          expectedEnd.setHours(shift.endTime.hour, shift.endTime.minute, 0, 0);
-          
-          if (this.clockOut.time < expectedEnd) {
+          const earlyBy = (expectedEnd - this.clockOut.time) / (1000 * 60); // minutes
+          if (earlyBy > earlyGrace) {
             this.isEarlyDeparture = true;
-            this.earlyBy = (expectedEnd - this.clockOut.time) / (1000 * 60); // minutes
+            this.earlyBy = earlyBy;
             
-            if (this.earlyBy > shift.earlyDepartureThreshold) {
+            if (this.earlyBy > earlyThreshold && !keepStatus) {
               this.status = 'early_departure';
             }
           }
         }
         
-        // Calculate overtime
-        if (this.totalWorkingHours > shift.workingHours) {
-          this.overtimeHours = this.totalWorkingHours - shift.workingHours;
-        }
+        // Paid breaks are only paid up to the shift's allowance
+        const breakAllowanceHours = (shift.breakTime?.duration || 0) / 60;
+        this.unpaidBreakTime = shift.breakTime?.paid
+          ? Math.max(0, this.totalBreakTime - breakAllowanceHours)
+          : this.totalBreakTime;
+
+        // Calculate overtime worked; payroll only pays what is approved on an overtime request
+        this.overtimeHours = Math.max(0, this.netWorkingHours - shift.workingHours);
       }
     }
 
+    // A clock out before the day is over may only end a session (lunch, a split shift), so the day is judged
+    // once its shift has ended, or when auto clock-out or the absence job closes it
+    const dayOver = Boolean(this.clockOut?.time) && Boolean(this.$locals.closeDay || (dayEnd && new Date() >= dayEnd));
+    if (dayOver && !this.dayClosedAt) {
+      this.dayClosedAt = new Date();
+    }
+
+    // Once the day is over, too few hours make it a half day, or an absence below the half-day minimum
+    const { fullDay = 0, halfDay = 0 } = policy?.minimumHours || {};
+    if (fullDay && !keepStatus && dayOver && !['holiday', 'leave'].includes(this.status)
+      && this.netWorkingHours < fullDay) {
+      this.status = this.netWorkingHours < halfDay ? 'absent' : 'half_day';
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -274,6 +593,12 @@ attendanceLogSchema.pre('save', async function(next) {
 
 // Method to add break
 attendanceLogSchema.methods.startBreak = function(reason, location) {
+  if (this.clockOut?.time) {
+    throw new Error('Cannot start a break after clocking out');
+  }
+  if (this.activeBreak) {
+    throw new Error('A break is already in progress');
+  }
   this.breaks.push({
     startTime: new Date(),
     reason,
@@ -295,6 +620,35 @@ attendanceLogSchema.methods.endBreak = function(location) {
   throw new Error('No active break found');
 };
 
+// Method to get break minutes taken so far, counting a running break up to now
+attendanceLogSchema.methods.getBreakMinutesUsed = function(now = new Date()) {
+  return this.breaks.reduce((total, breakItem) => {
+    const end = breakItem.endTime || now;
+    return total + (end - breakItem.startTime) / (1000 * 60);
+  }, 0);
+};
+
+// Method to apply approved corrected punch times; the pre-save hook recomputes hours and status
+attendanceLogSchema.methods.applyCorrection = function(correction, approverId) {
+  if (correction.requestedClockIn) {
+    this.set('clockIn.time', correction.requestedClockIn);
+  }
+  if (correction.requestedClockOut) {
+    this.set('clockOut.time', correction.requestedClockOut);
+  }
+
+  this.status = 'present';
+  this.isLate = false;
+  this.lateBy = 0;
+  this.isEarlyDeparture = false;
+  this.earlyBy = 0;
+  this.overtimeHours = 0;
+  this.correction = correction._id;
+  this.approvalStatus = 'approved';
+  this.approvedBy = approverId;
+  return this.save();
+};
+
 // Method to add irregularity
 attendanceLogSchema.methods.addIrregularity = function(type, description, severity = 'medium') {
   this.irregularities.push({
@@ -346,4 +700,6 @@ attendanceLogSchema.statics.getAttendanceSummary = async function(employeeId, st
   return result[0] || {};
 };
 
+attendanceLogSchema.statics.WORKED_STATUSES = WORKED_STATUSES;
+
 module.exports = mongoose.model('AttendanceLog', attendanceLogSchema);
\ No newline at end of file
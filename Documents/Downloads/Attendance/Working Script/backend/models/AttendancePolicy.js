@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['default', 'department', 'site', 'shift'];
+
+// Rules for turning punches into lateness, payable hours and day status, attached to the whole organisation
+// (default), a department, a work site or a shift. Each document is one version of a policy: versions of the
+// same policy share a policyGroup and cover consecutive date ranges, so changing a rule never alters days
+// evaluated under an earlier version.
+const attendancePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  policyGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  scope: {
+    type: String,
+    enum: SCOPES,
+    required: [true, 'Policy scope is required']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [function() { return this.scope === 'department'; }, 'Department is required for a department policy']
+  },
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkSite',
+    required: [function() { return this.scope === 'site'; }, 'Work site is required for a site policy']
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: [function() { return this.scope === 'shift'; }, 'Shift is required for a shift policy']
+  },
+  // Date-only bounds, both inclusive; no end date means the version is in force until replaced
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  // Minutes after the shift start before a clock in counts as late
+  graceMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 240
+  },
+  // Minutes before the shift end a clock out may come without counting as an early departure
+  earlyDepartureGraceMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 240
+  },
+  // Payable clock in and out times are rounded to the increment: to the nearest step, or in the employee's
+  // favour (clock in down, clock out up). Lateness is still judged on the real punch.
+  rounding: {
+    increment: {
+      type: Number,
+      enum: [0, 5, 10, 15, 30],
+      default: 0
+    },
+    mode: {
+      type: String,
+      enum: ['nearest', 'employee'],
+      default: 'nearest'
+    }
+  },
+  // Net hours needed for the day to count in full or as a half day; a day below both counts as absent
+  minimumHours: {
+    fullDay: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 24
+    },
+    halfDay: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 24
+    }
+  },
+  // Every lateCount late days in a pay period deduct deductDays from the paid days; a lateCount of 0 turns it off
+  lateDeduction: {
+    lateCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    deductDays: {
+      type: Number,
+      default: 0.5,
+      min: 0,
+      max: 5
+    }
+  },
+  // Working from home: whether remote clock ins are allowed at all, and how many remote days an employee
+  // may work in a Monday-to-Sunday week (0 means no cap). Each day still needs an approved request.
+  remoteWork: {
+    allowed: {
+      type: Boolean,
+      default: true
+    },
+    maxDaysPerWeek: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 7
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+attendancePolicySchema.index({ scope: 1, effectiveFrom: 1 });
+attendancePolicySchema.index({ policyGroup: 1, version: 1 }, { unique: true });
+
+attendancePolicySchema.pre('validate', function(next) {
+  if (this.minimumHours.halfDay > this.minimumHours.fullDay && this.minimumHours.fullDay > 0) {
+    this.invalidate('minimumHours.halfDay', 'Half-day minimum cannot exceed the full-day minimum');
+  }
+  if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Policy cannot end before it starts');
+  }
+  next();
+});
+
+// Whether this version covers a shift day
+attendancePolicySchema.methods.isInForce = function(date) {
+  return this.effectiveFrom <= date && (!this.effectiveTo || this.effectiveTo >= date);
+};
+
+// Round a punch to the policy's increment; in the employee's favour clock ins round down and clock outs up
+attendancePolicySchema.methods.roundTime = function(time, direction) {
+  const step = (this.rounding?.increment || 0) * 60 * 1000;
+  if (!time || !step) return time;
+
+  const value = new Date(time).getTime();
+  if (this.rounding.mode === 'employee') {
+    return new Date(direction === 'in' ? Math.floor(value / step) * step : Math.ceil(value / step) * step);
+  }
+  return new Date(Math.round(value / step) * step);
+};
+
+// Paid days deducted for a pay period's late days
+attendancePolicySchema.methods.getLateDeductionDays = function(lateDays) {
+  const { lateCount, deductDays } = this.lateDeduction || {};
+  if (!lateCount) return 0;
+  return Math.floor(lateDays / lateCount) * deductDays;
+};
+
+// The version in force on a shift day for the most specific match: shift, then site, then department, then default
+attendancePolicySchema.statics.resolve = async function({ shift, site, department, date }) {
+  const candidates = [{ scope: 'default' }];
+  if (department) candidates.push({ scope: 'department', department });
+  if (site) candidates.push({ scope: 'site', site });
+  if (shift) candidates.push({ scope: 'shift', shift });
+
+  const policies = await this.find({
+    $or: candidates,
+    effectiveFrom: { $lte: date },
+    $and: [{ $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }] }]
+  });
+
+  for (const scope of ['shift', 'site', 'department', 'default']) {
+    const match = policies
+      .filter(policy => policy.scope === scope)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+    if (match) return match;
+  }
+  return null;
+};
+
+attendancePolicySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('AttendancePolicy', attendancePolicySchema);
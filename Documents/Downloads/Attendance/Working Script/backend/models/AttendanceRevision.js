@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One edit to an attendance record: who made it, when, why, and each field's value before and after.
+// Revisions are the audit trail for disputes, so once written they can never be changed or removed.
+const attendanceRevisionSchema = new mongoose.Schema({
+  attendanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'delete'],
+    default: 'update'
+  },
+  // Where the edit came from: the edit form, a bulk update, an approved correction request, or a punch change
+  source: {
+    type: String,
+    enum: ['manual', 'bulk', 'correction', 'punch'],
+    default: 'manual'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // The whole record as it was, kept for deletions since nothing else remains of it
+  snapshot: mongoose.Schema.Types.Mixed,
+  reason: {
+    type: String,
+    required: [true, 'A reason for the change is required'],
+    trim: true,
+    maxlength: 1000
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceRevisionSchema.index({ attendanceLog: 1, createdAt: -1 });
+attendanceRevisionSchema.index({ employee: 1, createdAt: -1 });
+
+attendanceRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Attendance revisions cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Attendance revisions cannot be modified or deleted'));
+};
+
+attendanceRevisionSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+attendanceRevisionSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
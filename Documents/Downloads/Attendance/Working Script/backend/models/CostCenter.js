@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A budget line that project time is charged to, e.g. for billing or internal cost allocation
+const costCenterSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Cost center code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: {
+    type: String,
+    required: [true, 'Cost center name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+costCenterSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.model('CostCenter', costCenterSchema);
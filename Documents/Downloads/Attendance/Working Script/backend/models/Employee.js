@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const employeeSchema = new mongoose.Schema({
   userId: { // FIXED: was 'user', should be 'userId'
@@ -65,6 +67,11 @@ const employeeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee'
   },
+  // Work sites the employee may punch at, in addition to their shift's sites
+  sites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkSite'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -75,6 +82,28 @@ const employeeSchema = new mongoose.Schema({
     faceEncoding: String,
     lastUpdated: Date
   },
+  // Credentials used to identify the employee on shared kiosk devices
+  kioskCredentials: {
+    pin: {
+      type: String,
+      select: false
+    },
+    badgeCode: {
+      type: String,
+      select: false
+    },
+    updatedAt: Date
+  },
+  // Consent to share location during field shifts, and the version of the notice it was given under
+  fieldTrackingConsent: {
+    granted: {
+      type: Boolean,
+      default: false
+    },
+    noticeVersion: String,
+    grantedAt: Date,
+    withdrawnAt: Date
+  },
   performanceRating: {
     type: Number,
     min: 1,
@@ -90,14 +119,55 @@ employeeSchema.index({ userId: 1 });
 employeeSchema.index({ employeeId: 1 });
 employeeSchema.index({ department: 1 });
 employeeSchema.index({ isActive: 1 });
+// A badge identifies exactly one employee at the kiosk; employees without a badge are left out of the index
+employeeSchema.index(
+  { 'kioskCredentials.badgeCode': 1 },
+  { unique: true, partialFilterExpression: { 'kioskCredentials.badgeCode': { $type: 'string' } } }
+);
 
 // Virtual for full name via populated user
 employeeSchema.virtual('fullName').get(function() {
   return this.userId ? `${this.userId.firstName} ${this.userId.lastName}` : '';
 });
 
-// Ensure virtual fields are serialized
-employeeSchema.set('toJSON', { virtuals: true });
+// Badge codes are stored hashed but must stay searchable, so they use a plain digest
+employeeSchema.statics.hashBadgeCode = function(badgeCode) {
+  return crypto.createHash('sha256').update(String(badgeCode).trim()).digest('hex');
+};
+
+// Set the kiosk PIN (hashed like a password)
+employeeSchema.methods.setKioskPin = async function(pin) {
+  const salt = await bcrypt.genSalt(10);
+  this.set('kioskCredentials.pin', await bcrypt.hash(String(pin), salt));
+  this.set('kioskCredentials.updatedAt', new Date());
+};
+
+// Set the kiosk badge code
+employeeSchema.methods.setBadgeCode = function(badgeCode) {
+  this.set('kioskCredentials.badgeCode', this.constructor.hashBadgeCode(badgeCode));
+  this.set('kioskCredentials.updatedAt', new Date());
+};
+
+// Compare a kiosk PIN; the document must be loaded with +kioskCredentials.pin
+employeeSchema.methods.compareKioskPin = async function(pin) {
+  const hash = this.kioskCredentials?.pin;
+  if (!hash || !pin) {
+    return false;
+  }
+  return bcrypt.compare(String(pin), hash);
+};
+
+// Ensure virtual fields are serialized, without kiosk secrets
+employeeSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    if (ret.kioskCredentials) {
+      delete ret.kioskCredentials.pin;
+      delete ret.kioskCredentials.badgeCode;
+    }
+    return ret;
+  }
+});
 employeeSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Employee', employeeSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// An attendance export too large to stream within one request, written to disk in the background
+const exportJobSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'ndjson'],
+    required: true
+  },
+  // Query filters as requested, so the job can be re-run or shown to the user
+  filters: {
+    startDate: String,
+    endDate: String,
+    department: String,
+    employee: String,
+    status: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  recordCount: {
+    type: Number,
+    default: 0
+  },
+  fileName: String,
+  filePath: {
+    type: String,
+    select: false
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // The file is deleted after this, and the download link stops working
+  expiresAt: Date,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
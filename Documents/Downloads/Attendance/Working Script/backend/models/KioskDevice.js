@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { isValidTimezone } = require('../utils/timezone');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const kioskDeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Kiosk name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  // Where the kiosk is installed; punches from the kiosk are recorded at this location
+  location: {
+    name: {
+      type: String,
+      trim: true
+    },
+    address: String,
+    latitude: {
+      type: Number,
+      required: [true, 'Kiosk latitude is required'],
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Kiosk longitude is required'],
+      min: -180,
+      max: 180
+    }
+  },
+  timezone: {
+    type: String,
+    validate: {
+      validator: (value) => !value || isValidTimezone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so admins can tell devices apart
+  tokenPrefix: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSeenAt: Date,
+  lastIpAddress: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      // Never send the token hash back to clients
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+kioskDeviceSchema.index({ isActive: 1 });
+
+// Issue a new device token; only the hash is stored, so the raw token is returned once
+kioskDeviceSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = hashToken(token);
+  this.tokenPrefix = token.substring(0, 8);
+  return token;
+};
+
+// Find the active kiosk a device token belongs to
+kioskDeviceSchema.statics.findByToken = function(token) {
+  if (!token) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ tokenHash: hashToken(token), isActive: true });
+};
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
@@ -473,6 +473,10 @@ licenseSchema.methods.canAddEmployee = function() {
   return this.usage.currentEmployees < this.limits.maxEmployees;
 };
 
+licenseSchema.methods.canAddLocation = function() {
+  return this.usage.currentLocations < this.limits.maxLocations;
+};
+
 // Method to check API limit
 licenseSchema.methods.canMakeAPICall = function() {
   return this.usage.apiCallsThisMonth < this.limits.apiCallsPerMonth;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A position shared by an employee on a field shift while clocked in. Kept apart from punches and
+// attendance logs so the volume doesn't weigh on them; MongoDB deletes each ping at expiresAt.
+const locationPingSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  attendanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog',
+    required: true
+  },
+  // Shift day of the attendance log, date-only
+  date: {
+    type: Date,
+    required: true
+  },
+  // When the device took the fix, and when it reached the server
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Accuracy radius (m) and speed (m/s) as reported by the device
+  accuracy: Number,
+  speed: Number,
+  // Outside every service area of the shift; false when the shift has none
+  outOfArea: {
+    type: Boolean,
+    default: false
+  },
+  // The service area the ping fell in
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkSite'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+});
+
+locationPingSchema.index({ employee: 1, date: 1, recordedAt: 1 });
+locationPingSchema.index({ attendanceLog: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
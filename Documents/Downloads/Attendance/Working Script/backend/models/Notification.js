@@ -19,7 +19,9 @@ const notificationSchema = new mongoose.Schema({
       'leave_approved',
       'leave_rejected',
       'shift_changed',
+      'overtime_request',
       'overtime_approved',
+      'overtime_rejected',
       'payroll_generated',
       'birthday',
       'system_maintenance',
@@ -28,7 +30,18 @@ const notificationSchema = new mongoose.Schema({
       'password_reset',
       'account_locked',
       'irregular_attendance',
+      'attendance_correction_request',
+      'attendance_correction_approved',
+      'attendance_correction_rejected',
+      'timesheet_submitted',
+      'timesheet_approved',
+      'timesheet_returned',
+      'remote_work_request',
+      'remote_work_approved',
+      'remote_work_rejected',
       'license_expiring',
+      'absence_threshold',
+      'field_tracking_alert',
       'department_update',
       'general'
     ]
@@ -154,7 +167,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['AttendanceLog', 'LeaveRequest', 'Employee', 'Department', 'PayrollReport', 'License']
+      enum: ['AttendanceLog', 'AttendanceCorrection', 'Timesheet', 'LeaveRequest', 'Employee', 'Department', 'PayrollReport', 'License', 'RemoteWorkRequest', 'OvertimeRequest']
     },
     entityId: {
       type: mongoose.Schema.Types.ObjectId
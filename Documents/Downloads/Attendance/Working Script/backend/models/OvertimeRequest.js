@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Extra hours on one shift day, raised before or after they are worked by the employee or by their manager
+// for them. Only approved hours are paid, up to the shift's daily overtime limit.
+const overtimeRequestSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  // Date-only shift day
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  hours: {
+    type: Number,
+    required: [true, 'Hours are required'],
+    min: [0.25, 'Request at least a quarter of an hour'],
+    max: [24, 'Hours cannot exceed 24']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: 500
+  },
+  // Whether the request was raised before the day or once the hours were worked
+  timing: {
+    type: String,
+    enum: ['pre', 'post'],
+    default: 'pre'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  // The reviewer may approve fewer hours than were asked for
+  approvedHours: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComments: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+overtimeRequestSchema.index({ employee: 1, date: 1, status: 1 });
+overtimeRequestSchema.index({ status: 1, createdAt: -1 });
+
+overtimeRequestSchema.pre('validate', function(next) {
+  if (this.approvedHours != null && this.approvedHours > this.hours) {
+    this.invalidate('approvedHours', 'Approved hours cannot exceed the hours requested');
+  }
+  next();
+});
+
+module.exports = mongoose.model('OvertimeRequest', overtimeRequestSchema);
@@ -52,6 +52,18 @@ const payrollReportSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Paid days deducted for repeated lateness under the attendance policy
+    lateDeductionDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Days worked from home, included in the present days
+    remoteDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     holidayDays: {
       type: Number,
       default: 0,
@@ -74,6 +86,12 @@ const payrollReportSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Overtime worked without approval, or beyond the shift's daily limit; not paid
+    unapprovedOvertimeHours: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     totalHours: {
       type: Number,
       required: true,
@@ -558,6 +576,7 @@ payrollReportSchema.methods.recalculate = function() {
 payrollReportSchema.statics.generateForEmployee = async function(employeeId, startDate, endDate, generatedBy) {
   const Employee = mongoose.model('Employee');
   const AttendanceLog = mongoose.model('AttendanceLog');
+  const overtimeService = require('../services/overtimeService');
   
   const employee = await Employee.findById(employeeId).populate('user');
   if (!employee) {
@@ -576,7 +595,9 @@ payrollReportSchema.statics.generateForEmployee = async function(employeeId, sta
   const absentDays = attendanceLogs.filter(log => log.status === 'absent').length;
   const lateDays = attendanceLogs.filter(log => log.isLate).length;
   const regularHours = attendanceLogs.reduce((sum, log) => sum + (log.totalWorkingHours || 0), 0);
-  const overtimeHours = attendanceLogs.reduce((sum, log) => sum + (log.overtimeHours || 0), 0);
+  // Only approved overtime is paid
+  const overtime = await overtimeService.summarize(attendanceLogs);
+  const overtimeHours = overtime.approvedHours;
   
   // Calculate basic salary (assuming monthly salary)
   const daysInMonth = new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0).getDate();
@@ -584,9 +605,9 @@ payrollReportSchema.statics.generateForEmployee = async function(employeeId, sta
   const dailyRate = basicSalary / daysInMonth;
   const basicPay = dailyRate * presentDays;
   
-  // Calculate overtime pay (assuming 1.5x rate)
+  // Calculate overtime pay at each shift's overtime multiplier
   const hourlyRate = basicSalary / (daysInMonth * 8); // Assuming 8 hours per day
-  const overtimePay = hourlyRate * overtimeHours * 1.5;
+  const overtimePay = hourlyRate * overtime.weightedHours;
   
   // Create payroll report
   const payrollData = {
@@ -606,6 +627,7 @@ payrollReportSchema.statics.generateForEmployee = async function(employeeId, sta
     workingHours: {
       regularHours,
       overtimeHours,
+      unapprovedOvertimeHours: overtime.unapprovedHours,
       totalHours: regularHours + overtimeHours
     },
     salary: {
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A job employees can clock their time against, so hours can be billed per client project
+const projectSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Project code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: 20
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  client: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  costCenter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ code: 1 }, { unique: true });
+projectSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// One raw clock event as it was recorded. Daily attendance logs are derived from these by the pairing engine.
+// Punches are never edited: a correction voids the punch and records a manual one in its place.
+const punchSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  // Shift day the punch belongs to, as a date-only value like AttendanceLog.date
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: Date,
+    required: true
+  },
+  // Terminals don't always say which way a punch went; the pairing engine alternates untyped punches
+  type: {
+    type: String,
+    enum: ['in', 'out', null],
+    default: null
+  },
+  // device: punched by the employee (web, mobile, kiosk, terminal); manual: entered by an admin or correction;
+  // system: stamped by the automatic clock-out
+  source: {
+    type: String,
+    enum: ['device', 'manual', 'system'],
+    default: 'device'
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    address: String,
+    accuracy: Number,
+    altitude: Number,
+    speed: Number,
+    capturedAt: Date,
+    source: {
+      type: String,
+      enum: ['gps', 'qr', 'kiosk', 'remote']
+    },
+    siteDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KioskDevice'
+    },
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkSite'
+    }
+  },
+  biometric: {
+    faceImageUrl: String,
+    confidence: Number,
+    verified: Boolean
+  },
+  deviceInfo: {
+    userAgent: String,
+    ipAddress: String,
+    deviceType: String,
+    deviceId: String
+  },
+  offline: {
+    clientEventId: String,
+    deviceTime: Date,
+    clockSkewSeconds: Number,
+    syncedAt: Date
+  },
+  // Daily log the punch was last paired into
+  attendanceLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog'
+  },
+  // Set when the punch was withdrawn or replaced; voided punches are ignored by pairing but kept for audit
+  voided: {
+    at: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Punch'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+punchSchema.index({ employee: 1, date: 1, time: 1 });
+punchSchema.index({ employee: 1, time: 1 });
+punchSchema.index({ 'offline.clientEventId': 1 }, { sparse: true });
+
+module.exports = mongoose.model('Punch', punchSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Permission to work from home, approved by the employee's manager or an admin: either a run of dates,
+// or a standing arrangement for certain weekdays from a start date (open-ended when there is no end date)
+const remoteWorkRequestSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['dates', 'standing'],
+    default: 'dates'
+  },
+  // Date-only bounds, both inclusive
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [function() { return this.type === 'dates'; }, 'End date is required'],
+    default: null
+  },
+  weekdays: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComments: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+remoteWorkRequestSchema.index({ employee: 1, status: 1, startDate: 1 });
+remoteWorkRequestSchema.index({ status: 1, createdAt: -1 });
+
+remoteWorkRequestSchema.pre('validate', function(next) {
+  if (this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  if (this.type === 'standing' && !this.weekdays.length) {
+    this.invalidate('weekdays', 'Pick the weekdays of the standing arrangement');
+  }
+  next();
+});
+
+// Whether the request lets the employee work remotely on a shift day
+remoteWorkRequestSchema.methods.covers = function(date) {
+  if (date < this.startDate || (this.endDate && date > this.endDate)) {
+    return false;
+  }
+  return this.type === 'dates' || this.weekdays.includes(moment.utc(date).format('dddd').toLowerCase());
+};
+
+remoteWorkRequestSchema.statics.WEEKDAYS = WEEKDAYS;
+
+module.exports = mongoose.model('RemoteWorkRequest', remoteWorkRequestSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  toDateOnly,
+  atLocalTime
+} = require('../utils/timezone');
+
+// How long before a shift starting just after midnight a clock-in on the previous evening still counts for it
+const EARLY_CLOCK_IN_MINUTES = 60;
 
 const shiftSchema = new mongoose.Schema({
   name: {
@@ -47,6 +56,14 @@ const shiftSchema = new mongoose.Schema({
       max: 59
     }
   },
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: value => !value || isValidTimezone(value),
+      message: 'Timezone must be a valid IANA timezone (e.g. Europe/London)'
+    }
+  },
   workingHours: {
     type: Number,
     required: true,
@@ -116,11 +133,34 @@ const shiftSchema = new mongoose.Schema({
       min: 0
     }
   },
+  autoClockOut: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    graceMinutes: {
+      type: Number,
+      default: 120, // minutes after shift end before an open session is closed
+      min: 0
+    },
+    maxHours: {
+      type: Number,
+      default: 16, // hard cap on a single session
+      min: 1,
+      max: 24
+    }
+  },
   locationRestrictions: {
     required: {
       type: Boolean,
       default: false
     },
+    // Work sites employees on this shift may punch at
+    sites: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkSite'
+    }],
+    // Locations defined on the shift itself, from before work sites existed
     allowedLocations: [{
       name: {
         type: String,
@@ -141,12 +181,73 @@ const shiftSchema = new mongoose.Schema({
         default: 100, // meters
         min: 10
       }
-    }]
+    }],
+    // Checks on the GPS fix itself. 'flag' records problems for review, 'reject' refuses the punch.
+    gpsSafeguards: {
+      mode: {
+        type: String,
+        enum: ['off', 'flag', 'reject'],
+        default: 'flag'
+      },
+      // Oldest position accepted, measured from the punch
+      maxFixAgeSeconds: {
+        type: Number,
+        default: 120,
+        min: 10
+      },
+      // The whole accuracy circle must lie inside the geofence, not just its center
+      requireAccuracyInside: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Site QR codes: 'alternative' lets a scan stand in for GPS, 'required' asks for both
+    qrCode: {
+      type: String,
+      enum: ['disabled', 'alternative', 'required'],
+      default: 'alternative'
+    }
   },
   biometricRequired: {
     type: Boolean,
     default: true
   },
+  // Employees must pick the project they are working on when clocking in
+  jobRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Field shifts: employees who consent share their position periodically while clocked in
+  fieldTracking: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    pingIntervalMinutes: {
+      type: Number,
+      default: 10,
+      min: 1,
+      max: 60
+    },
+    // Staying within idleRadiusMeters this long raises an idle alert; 0 turns idle alerts off
+    idleMinutes: {
+      type: Number,
+      default: 45,
+      min: 0,
+      max: 480
+    },
+    idleRadiusMeters: {
+      type: Number,
+      default: 200,
+      min: 20,
+      max: 5000
+    },
+    // Work sites outlining where the crew may work; pings outside all of them are out of area
+    serviceAreas: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkSite'
+    }]
+  },
   color: {
     type: String,
     default: '#3B82F6',
@@ -274,26 +375,62 @@ shiftSchema.methods.isActiveOnDay = function(dayName) {
   return this.workingDays[day] === true;
 };
 
-// Method to check if time is within shift hours
-shiftSchema.methods.isWithinShiftHours = function(time) {
-  const shiftStart = new Date();
-  shiftStart.setHours(this.startTime.hour, this.startTime.minute, 0, 0);
-  
-  const shiftEnd = new Date();
-  shiftEnd.setHours(this.endTime.hour, this.endTime.minute, 0, 0);
-  
-  // Handle overnight shifts
-  if (shiftEnd < shiftStart) {
-    shiftEnd.setDate(shiftEnd.getDate() + 1);
+// Method to check if the shift runs past midnight (e.g. 22:00-06:00)
+shiftSchema.methods.isOvernight = function() {
+  const start = this.startTime.hour * 60 + this.startTime.minute;
+  const end = this.endTime.hour * 60 + this.endTime.minute;
+  return end <= start;
+};
+
+// Method to get the start and end of the shift that begins on the given shift day.
+// Shift times are wall-clock times in the shift's (or the given) timezone.
+shiftSchema.methods.getShiftWindow = function(shiftDate, timezone = this.timezone || DEFAULT_TIMEZONE) {
+  const start = atLocalTime(shiftDate, this.startTime.hour, this.startTime.minute, timezone);
+  const end = atLocalTime(shiftDate, this.endTime.hour, this.endTime.minute, timezone);
+
+  // Overnight shifts end on the following calendar day
+  if (this.isOvernight()) {
+    end.add(1, 'day');
   }
-  
-  return time >= shiftStart && time <= shiftEnd;
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+// Method to attribute a punch to a shift day. A punch belongs to the previous day while that day's shift is
+// still running, up to the auto clock-out grace after its end; a punch shortly before a shift that starts
+// just after midnight belongs to the next day; anything else belongs to the local calendar day.
+shiftSchema.methods.getShiftDate = function(time, timezone = this.timezone || DEFAULT_TIMEZONE) {
+  const punch = new Date(time);
+  const punchDay = toDateOnly(punch, timezone);
+  const dayAt = (offset) => {
+    const day = new Date(punchDay);
+    day.setUTCDate(day.getUTCDate() + offset);
+    return day;
+  };
+
+  const previous = dayAt(-1);
+  const graceMs = (this.autoClockOut?.graceMinutes ?? 120) * 60 * 1000;
+  if (punch.getTime() <= this.getShiftWindow(previous, timezone).end.getTime() + graceMs) {
+    return previous;
+  }
+
+  const next = dayAt(1);
+  if (this.getShiftWindow(next, timezone).start.getTime() - punch.getTime() <= EARLY_CLOCK_IN_MINUTES * 60 * 1000) {
+    return next;
+  }
+
+  return punchDay;
+};
+
+// Method to check if time is within shift hours
+shiftSchema.methods.isWithinShiftHours = function(time, timezone = this.timezone || DEFAULT_TIMEZONE) {
+  const { start, end } = this.getShiftWindow(this.getShiftDate(time, timezone), timezone);
+  return time >= start && time <= end;
 };
 
 // Method to calculate if employee is late
-shiftSchema.methods.calculateLateness = function(clockInTime) {
-  const shiftStart = new Date(clockInTime);
-  shiftStart.setHours(this.startTime.hour, this.startTime.minute, 0, 0);
+shiftSchema.methods.calculateLateness = function(clockInTime, shiftDate, timezone = this.timezone || DEFAULT_TIMEZONE) {
+  const shiftStart = this.getShiftWindow(shiftDate || this.getShiftDate(clockInTime, timezone), timezone).start;
   
   if (clockInTime <= shiftStart) {
     return { isLate: false, lateBy: 0 };
@@ -307,10 +444,18 @@ shiftSchema.methods.calculateLateness = function(clockInTime) {
   };
 };
 
-// Method to calculate early departure
-shiftSchema.methods.calculateEarlyDeparture = function(clockOutTime) {
-  const shiftEnd = new Date(clockOutTime);
-  shiftEnd.setHours(this.endTime.hour, this.endTime.minute, 0, 0);
+// Method to calculate early departure; pass the shift day the clock-in was attributed to
+shiftSchema.methods.calculateEarlyDeparture = function(clockOutTime, shiftDate, timezone = this.timezone || DEFAULT_TIMEZONE) {
+  if (!shiftDate) {
+    // Without a shift day, assume the latest shift that had started by clock-out
+    shiftDate = this.getShiftDate(clockOutTime, timezone);
+    if (this.getShiftWindow(shiftDate, timezone).start > clockOutTime) {
+      shiftDate = new Date(shiftDate);
+      shiftDate.setUTCDate(shiftDate.getUTCDate() - 1);
+    }
+  }
+
+  const shiftEnd = this.getShiftWindow(shiftDate, timezone).end;
   
   if (clockOutTime >= shiftEnd) {
     return { isEarly: false, earlyBy: 0 };
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Links the user number enrolled on a fingerprint terminal to an employee.
+// A mapping without a deviceId applies to every terminal; one with a deviceId overrides it for that terminal.
+const terminalUserMappingSchema = new mongoose.Schema({
+  deviceUserId: {
+    type: String,
+    required: [true, 'Terminal user ID is required'],
+    trim: true,
+    maxlength: 50
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+terminalUserMappingSchema.index({ deviceUserId: 1, deviceId: 1 }, { unique: true });
+terminalUserMappingSchema.index({ employee: 1 });
+
+module.exports = mongoose.model('TerminalUserMapping', terminalUserMappingSchema);
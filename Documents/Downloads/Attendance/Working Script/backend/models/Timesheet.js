@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// An employee's attendance for one Monday-to-Sunday week, submitted for their manager's sign-off
+const timesheetSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'approved', 'returned'],
+    default: 'submitted'
+  },
+  attendanceLogs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceLog'
+  }],
+  // Totals as submitted, so the reviewer signs off on the numbers the employee saw
+  totals: {
+    daysWorked: { type: Number, default: 0 },
+    workingHours: { type: Number, default: 0 },
+    overtimeHours: { type: Number, default: 0 },
+    absentDays: { type: Number, default: 0 },
+    leaveDays: { type: Number, default: 0 }
+  },
+  employeeNotes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewComments: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Every submit, approve, return and reopen, oldest first
+  history: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'returned', 'reopened'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    comments: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+timesheetSchema.index({ employee: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, weekStart: 1 });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
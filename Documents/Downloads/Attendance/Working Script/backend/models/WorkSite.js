@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const pointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, { _id: false });
+
+const workSiteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  timezone: {
+    type: String,
+    validate: {
+      validator: (value) => !value || isValidTimezone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  // Where punches count as on site: a radius around a point, or a polygon traced around the premises
+  boundary: {
+    type: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      default: 'circle'
+    },
+    center: pointSchema,
+    radius: {
+      type: Number,
+      min: 10, // meters
+      max: 10000
+    },
+    polygon: [pointSchema]
+  },
+  // Overrides the shift's GPS safeguards for punches at this site; unset fields follow the shift
+  gpsSafeguards: {
+    mode: {
+      type: String,
+      enum: ['off', 'flag', 'reject']
+    },
+    maxFixAgeSeconds: {
+      type: Number,
+      min: 10
+    },
+    requireAccuracyInside: Boolean
+  },
+  // Hours the site is open; punches at the site outside them are rejected
+  activeHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+      default: '00:00'
+    },
+    end: {
+      type: String,
+      match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+      default: '23:59'
+    },
+    // Days the opening starts on, 0 = Sunday
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [0, 1, 2, 3, 4, 5, 6]
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+workSiteSchema.index({ name: 1 }, { unique: true });
+workSiteSchema.index({ isActive: 1 });
+
+// The boundary must be complete for its type
+workSiteSchema.pre('validate', function(next) {
+  const boundary = this.boundary || {};
+
+  if (boundary.type === 'polygon') {
+    if (!boundary.polygon || boundary.polygon.length < 3) {
+      this.invalidate('boundary.polygon', 'A polygon boundary needs at least 3 points');
+    }
+  } else {
+    if (!boundary.center) {
+      this.invalidate('boundary.center', 'A circle boundary needs a center point');
+    }
+    if (!boundary.radius) {
+      this.invalidate('boundary.radius', 'A circle boundary needs a radius');
+    }
+  }
+
+  next();
+});
+
+// Central point of the site, e.g. for showing it on a map or measuring distance to it
+workSiteSchema.virtual('centroid').get(function() {
+  const boundary = this.boundary || {};
+  if (boundary.type === 'polygon' && boundary.polygon?.length) {
+    const total = boundary.polygon.reduce((sum, point) => ({
+      latitude: sum.latitude + point.latitude,
+      longitude: sum.longitude + point.longitude
+    }), { latitude: 0, longitude: 0 });
+    return {
+      latitude: total.latitude / boundary.polygon.length,
+      longitude: total.longitude / boundary.polygon.length
+    };
+  }
+  return boundary.center || null;
+});
+
+// Method to check if the site is open at an instant, in the site's timezone.
+// Openings that end before they start run past midnight into the next day.
+workSiteSchema.methods.isOpenAt = function(time = new Date(), fallbackTimezone = DEFAULT_TIMEZONE) {
+  const hours = this.activeHours;
+  if (!hours?.enabled) {
+    return true;
+  }
+
+  const local = moment.tz(time, this.timezone || fallbackTimezone);
+  const toMinutes = (value) => {
+    const [hour, minute] = value.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+  const minutes = local.hours() * 60 + local.minutes();
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  const days = hours.days || [];
+
+  if (start <= end) {
+    return days.includes(local.day()) && minutes >= start && minutes <= end;
+  }
+
+  if (minutes >= start) {
+    return days.includes(local.day());
+  }
+  return minutes <= end && days.includes(local.clone().subtract(1, 'day').day());
+};
+
+module.exports = mongoose.model('WorkSite', workSiteSchema);
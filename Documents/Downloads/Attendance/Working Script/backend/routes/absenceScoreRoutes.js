@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getAbsenceScores,
+  getEmployeeAbsenceScore,
+  evaluateAbsenceScores
+} = require('../controllers/absenceScoreController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.get('/', getAbsenceScores);
+router.get('/employees/:employeeId', getEmployeeAbsenceScore);
+router.post('/evaluate', evaluateAbsenceScores);
+
+module.exports = router;
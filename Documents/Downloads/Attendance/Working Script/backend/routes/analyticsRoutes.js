@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getTrend,
+  getDepartmentBreakdown,
+  getPatterns,
+  getRecords,
+  getSummary
+} = require('../controllers/analyticsController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes (employees only see their own attendance)
+router.get('/summary', getSummary);
+router.get('/trend', getTrend);
+router.get('/patterns', getPatterns);
+router.get('/records', getRecords);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.get('/departments', getDepartmentBreakdown);
+
+module.exports = router;
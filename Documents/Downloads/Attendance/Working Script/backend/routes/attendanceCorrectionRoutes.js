@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  createCorrection,
+  getMyCorrections,
+  getPendingCorrections,
+  approveCorrection,
+  rejectCorrection,
+  cancelCorrection
+} = require('../controllers/attendanceCorrectionController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes
+router.post('/', createCorrection);
+router.get('/my-requests', getMyCorrections);
+router.put('/:id/cancel', cancelCorrection);
+
+// Reviewer routes - admins, or the requesting employee's manager (checked per request)
+router.get('/pending', getPendingCorrections);
+router.put('/:id/approve', approveCorrection);
+router.put('/:id/reject', rejectCorrection);
+
+module.exports = router;
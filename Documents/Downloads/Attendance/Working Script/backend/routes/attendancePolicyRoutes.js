@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getPolicies,
+  createPolicy,
+  createPolicyVersion,
+  retirePolicy
+} = require('../controllers/attendancePolicyController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.get('/', getPolicies);
+router.post('/', createPolicy);
+router.post('/:id/versions', createPolicyVersion);
+router.delete('/:id', retirePolicy);
+
+module.exports = router;
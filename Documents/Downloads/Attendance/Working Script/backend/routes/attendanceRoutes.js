@@ -3,14 +3,22 @@ const { attendance } = require('../utils/logger');
 const {
   clockIn,
   clockOut,
+  syncOfflinePunch,
+  startBreak,
+  endBreak,
+  switchJob,
   getAttendanceByEmployee,
   getAttendanceByDate,
   getAllAttendance,
   updateAttendance,
   deleteAttendance,
+  getAttendanceHistory,
   getAttendanceStats,
   getAttendanceReport,
   exportAttendance,
+  getExportJobs,
+  getExportJob,
+  downloadExportJob,
   bulkUpdateAttendance,
   getAttendanceSummary,
   getTodayAttendance,
@@ -30,6 +38,10 @@ router.use(protect);
 // Employee routes
 router.post('/clock-in', upload.single('faceImage'), clockIn);
 router.post('/clock-out', upload.single('faceImage'), clockOut);
+router.post('/offline-sync', upload.single('faceImage'), syncOfflinePunch);
+router.post('/break/start', startBreak);
+router.post('/break/end', endBreak);
+router.post('/switch-job', switchJob);
 router.post('/validate-location', validateLocation);
 router.post('/upload-face', upload.single('faceImage'), uploadFaceImage);
 router.post('/verify-biometric', upload.single('faceImage'), verifyBiometric);
@@ -38,6 +50,9 @@ router.get('/my-attendance', getAttendanceByEmployee);
 router.get('/today', getTodayAttendance);
 router.get('/monthly/:month/:year', getMonthlyAttendance);
 
+// Admins, the employee's manager and the employee themselves may read a record's history
+router.get('/:id/history', getAttendanceHistory);
+
 // Admin and Master Admin routes
 router.use(authorize('admin', 'master_admin'));
 
@@ -48,6 +63,9 @@ router.route('/')
 router.get('/stats', getAttendanceStats);
 router.get('/report', getAttendanceReport);
 router.get('/export', exportAttendance);
+router.get('/exports', getExportJobs);
+router.get('/exports/:id', getExportJob);
+router.get('/exports/:id/download', downloadExportJob);
 router.get('/summary', getAttendanceSummary);
 
 router.route('/date/:date')
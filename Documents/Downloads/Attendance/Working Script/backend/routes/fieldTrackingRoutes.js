@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getTrackingStatus,
+  updateConsent,
+  recordPing,
+  getTrackedEmployees,
+  getTimeline
+} = require('../controllers/fieldTrackingController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes
+router.get('/status', getTrackingStatus);
+router.put('/consent', updateConsent);
+router.post('/pings', recordPing);
+
+// Manager routes - admins, or the employee's manager (checked per request)
+router.get('/employees', getTrackedEmployees);
+router.get('/employees/:employeeId/timeline', getTimeline);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getIrregularities,
+  reviewIrregularity
+} = require('../controllers/irregularityController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Reviewer routes - admins, or the employee's manager (scoped per request)
+router.get('/', getIrregularities);
+router.put('/:attendanceId/:irregularityId', reviewIrregularity);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  registerKiosk,
+  getKiosks,
+  regenerateKioskToken,
+  revokeKiosk,
+  setKioskCredentials,
+  getKioskSession,
+  getSiteQrCode,
+  identifyEmployee,
+  kioskPunch
+} = require('../controllers/kioskController');
+const { protect, authorize, protectKiosk } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// Rate limiting per kiosk device rather than per IP, since several kiosks may share a NAT
+const kioskLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.KIOSK_RATE_LIMIT, 10) || 30,
+  message: {
+    success: false,
+    message: 'Too many attempts from this kiosk, please wait a moment.',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.kiosk._id.toString()
+});
+
+// Kiosk routes - authenticated by the device token
+router.get('/session', protectKiosk, getKioskSession);
+router.get('/qr', protectKiosk, getSiteQrCode);
+router.post('/identify', protectKiosk, kioskLimiter, identifyEmployee);
+router.post('/punch', protectKiosk, kioskLimiter, upload.single('faceImage'), kioskPunch);
+
+// Admin and Master Admin routes
+router.use(protect);
+router.use(authorize('admin', 'master_admin'));
+
+router.route('/devices')
+  .get(getKiosks)
+  .post(registerKiosk);
+
+router.put('/devices/:id/token', regenerateKioskToken);
+router.put('/devices/:id/revoke', revokeKiosk);
+router.put('/employees/:employeeId/credentials', setKioskCredentials);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getMyRequests,
+  createRequest,
+  getReviewRequests,
+  getReviewableEmployees,
+  getUnapprovedOvertime,
+  reviewRequest,
+  cancelRequest
+} = require('../controllers/overtimeController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes; managers and admins may also raise overtime for their employees
+router.get('/mine', getMyRequests);
+router.post('/', createRequest);
+router.put('/:id/cancel', cancelRequest);
+
+// Reviewer routes - admins, or the employee's manager (checked per request)
+router.get('/', getReviewRequests);
+router.get('/employees', getReviewableEmployees);
+router.get('/unapproved', getUnapprovedOvertime);
+router.put('/:id/review', reviewRequest);
+
+module.exports = router;
@@ -46,6 +46,7 @@ router.use(authorize('admin', 'master_admin'));
 router.route('/')
   .get(getPayrollReports)
   .post(generatePayroll);
+router.post('/generate', generatePayroll);
 
 router.get('/stats', getPayrollStats);
 router.get('/summary', getPayrollSummary);
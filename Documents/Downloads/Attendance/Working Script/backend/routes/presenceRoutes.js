@@ -0,0 +1,12 @@
+const express = require('express');
+const { getPresenceBoard } = require('../controllers/presenceController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication; the controller limits non-admins to the department they manage
+router.use(protect);
+
+router.get('/', getPresenceBoard);
+
+module.exports = router;
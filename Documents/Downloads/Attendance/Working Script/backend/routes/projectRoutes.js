@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  getActiveProjects,
+  getProjects,
+  createProject,
+  updateProject,
+  deleteProject,
+  getCostCenters,
+  createCostCenter,
+  updateCostCenter,
+  getProjectHoursReport
+} = require('../controllers/projectController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes
+router.get('/active', getActiveProjects);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.get('/report', getProjectHoursReport);
+
+router.get('/cost-centers', getCostCenters);
+router.post('/cost-centers', createCostCenter);
+router.put('/cost-centers/:id', updateCostCenter);
+
+router.get('/', getProjects);
+router.post('/', createProject);
+router.put('/:id', updateProject);
+router.delete('/:id', deleteProject);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getPunches,
+  addPunch,
+  correctPunch,
+  voidPunch,
+  pairPunches
+} = require('../controllers/punchController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes (employees only see their own punches)
+router.get('/', getPunches);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.post('/', addPunch);
+router.post('/pair', pairPunches);
+router.put('/:id', correctPunch);
+router.delete('/:id', voidPunch);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getRemoteStatus,
+  getMyRequests,
+  createRequest,
+  getReviewRequests,
+  reviewRequest,
+  cancelRequest,
+  getRemoteWorkReport
+} = require('../controllers/remoteWorkController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes
+router.get('/status', getRemoteStatus);
+router.get('/mine', getMyRequests);
+router.post('/', createRequest);
+router.put('/:id/cancel', cancelRequest);
+
+// Admin and Master Admin routes
+router.get('/report', authorize('admin', 'master_admin'), getRemoteWorkReport);
+
+// Reviewer routes - admins, or the employee's manager (checked per request)
+router.get('/', getReviewRequests);
+router.put('/:id/review', reviewRequest);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  createSite,
+  getSites,
+  getSite,
+  updateSite,
+  deleteSite,
+  assignSiteEmployees
+} = require('../controllers/siteController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.get('/', getSites);
+router.post('/', createSite);
+router.get('/:id', getSite);
+router.put('/:id', updateSite);
+router.delete('/:id', deleteSite);
+router.put('/:id/employees', assignSiteEmployees);
+
+module.exports = router;
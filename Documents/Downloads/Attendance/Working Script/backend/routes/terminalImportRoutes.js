@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  previewTerminalImport,
+  importTerminalPunches,
+  getTerminalMappings,
+  saveTerminalMapping,
+  deleteTerminalMapping
+} = require('../controllers/terminalImportController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Admin and Master Admin routes
+router.use(authorize('admin', 'master_admin'));
+
+router.get('/mappings', getTerminalMappings);
+router.post('/mappings', saveTerminalMapping);
+router.delete('/mappings/:id', deleteTerminalMapping);
+
+router.post('/preview', upload.single('punchLog'), previewTerminalImport);
+router.post('/', upload.single('punchLog'), importTerminalPunches);
+
+module.exports = router;
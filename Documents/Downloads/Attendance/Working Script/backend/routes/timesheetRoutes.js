@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getWeek,
+  getMyTimesheets,
+  submitTimesheet,
+  getReviewTimesheets,
+  approveTimesheet,
+  returnTimesheet,
+  reopenTimesheet
+} = require('../controllers/timesheetController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Employee routes
+router.get('/week', getWeek);
+router.get('/my-timesheets', getMyTimesheets);
+router.post('/submit', submitTimesheet);
+
+// Reviewer routes - admins, or the employee's manager (checked per request)
+router.get('/review', getReviewTimesheets);
+router.put('/:id/approve', approveTimesheet);
+router.put('/:id/return', returnTimesheet);
+
+// Undoing an approval unlocks attendance that payroll may have relied on, so only admins can
+router.put('/:id/reopen', authorize('admin', 'master_admin'), reopenTimesheet);
+
+module.exports = router;
@@ -8,12 +8,35 @@ const path = require('path');
 require('dotenv').config();
 
 // Import database connection - FIXED: Destructured import
-const { connectDB } = require('./config/db');
+const { connectDB, isConnected } = require('./config/db');
+
+// Import background services
+const absenceService = require('./services/absenceService');
+const autoClockOutService = require('./services/autoClockOutService');
+const presenceService = require('./services/presenceService');
+const bradfordService = require('./services/bradfordService');
+const fieldTrackingService = require('./services/fieldTrackingService');
+const exportService = require('./services/exportService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
+const attendanceCorrectionRoutes = require('./routes/attendanceCorrectionRoutes');
+const timesheetRoutes = require('./routes/timesheetRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const terminalImportRoutes = require('./routes/terminalImportRoutes');
+const punchRoutes = require('./routes/punchRoutes');
+const attendancePolicyRoutes = require('./routes/attendancePolicyRoutes');
+const presenceRoutes = require('./routes/presenceRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const absenceScoreRoutes = require('./routes/absenceScoreRoutes');
+const remoteWorkRoutes = require('./routes/remoteWorkRoutes');
+const fieldTrackingRoutes = require('./routes/fieldTrackingRoutes');
+const overtimeRoutes = require('./routes/overtimeRoutes');
+const kioskRoutes = require('./routes/kioskRoutes');
+const irregularityRoutes = require('./routes/irregularityRoutes');
+const siteRoutes = require('./routes/siteRoutes');
 const leaveRoutes = require('./routes/leaveRoutes');
 const shiftRoutes = require('./routes/shiftRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
@@ -56,18 +79,20 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
-// CORS configuration
+// CORS configuration (shared with the presence sockets)
+const allowedOrigins = [
+  process.env.CLIENT_URL || 'http://localhost:3000',
+  'http://localhost:5001', // YOUR FRONTEND PORT
+  'http://10.10.101.41:5001', // YOUR NETWORK FRONTEND
+  'https://74bf87eb-258e-428f-a547-0ea6acade4f4-00-23yctluasyb7r.pike.replit.dev',
+  /\.replit\.dev$/
+];
+
 app.use(cors({
-  origin: [
-    process.env.CLIENT_URL || 'http://localhost:3000',
-    'http://localhost:5001', // YOUR FRONTEND PORT
-    'http://10.10.101.41:5001', // YOUR NETWORK FRONTEND
-    'https://74bf87eb-258e-428f-a547-0ea6acade4f4-00-23yctluasyb7r.pike.replit.dev',
-    /\.replit\.dev$/
-  ],
+  origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Kiosk-Token'],
   optionsSuccessStatus: 200
 }));
 
@@ -100,6 +125,11 @@ app.use((req, res, next) => {
 // Request timeout middleware
 app.use((req, res, next) => {
   res.setTimeout(30000, () => {
+    // Too late for an error response once a download has started; drop the connection instead
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
     res.status(408).json({ 
       success: false, 
       message: 'Request timeout' 
@@ -181,6 +211,21 @@ app.use('/api', validateLicense);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/attendance-corrections', attendanceCorrectionRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/terminal-imports', terminalImportRoutes);
+app.use('/api/punches', punchRoutes);
+app.use('/api/attendance-policies', attendancePolicyRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/absence-scores', absenceScoreRoutes);
+app.use('/api/remote-work', remoteWorkRoutes);
+app.use('/api/field-tracking', fieldTrackingRoutes);
+app.use('/api/overtime', overtimeRoutes);
+app.use('/api/kiosk', kioskRoutes);
+app.use('/api/irregularities', irregularityRoutes);
+app.use('/api/sites', siteRoutes);
 app.use('/api/leaves', leaveRoutes);
 app.use('/api/shifts', shiftRoutes);
 app.use('/api/notifications', notificationRoutes);
@@ -236,11 +281,131 @@ if (process.env.NODE_ENV === 'development') {
           'DELETE /api/users/:id': 'Delete user (Admin)'
         },
         attendance: {
-          'POST /api/attendance/clock-in': 'Clock in',
+          'POST /api/attendance/clock-in': 'Clock in (workMode remote on approved remote days skips the geofence)',
           'POST /api/attendance/clock-out': 'Clock out',
+          'POST /api/attendance/offline-sync': 'Replay a clock in/out queued offline',
+          'POST /api/attendance/break/start': 'Start a break',
+          'POST /api/attendance/break/end': 'End the current break',
           'GET /api/attendance/my-attendance': 'Get my attendance records',
           'GET /api/attendance/today': 'Get today\'s attendance',
-          'GET /api/attendance/stats': 'Get attendance statistics (Admin)'
+          'GET /api/attendance/stats': 'Get attendance statistics (Admin)',
+          'GET /api/attendance/export': 'Stream attendance as CSV, XLSX or NDJSON, or queue a large export (Admin)',
+          'GET /api/attendance/exports': 'List my export jobs (Admin)',
+          'GET /api/attendance/exports/:id/download': 'Download a finished export (Admin)',
+          'PUT /api/attendance/:id': 'Edit an attendance record; a reason is required (Admin)',
+          'GET /api/attendance/:id/history': 'Get an attendance record\'s revision history'
+        },
+        attendanceCorrections: {
+          'POST /api/attendance-corrections': 'Request an attendance correction',
+          'GET /api/attendance-corrections/my-requests': 'Get my correction requests',
+          'GET /api/attendance-corrections/pending': 'Get correction requests to review (Admin/Manager)',
+          'PUT /api/attendance-corrections/:id/approve': 'Approve correction request (Admin/Manager)',
+          'PUT /api/attendance-corrections/:id/reject': 'Reject correction request (Admin/Manager)'
+        },
+        timesheets: {
+          'GET /api/timesheets/week': 'Get a week\'s attendance and timesheet',
+          'GET /api/timesheets/my-timesheets': 'Get my timesheets',
+          'POST /api/timesheets/submit': 'Submit a week\'s timesheet',
+          'GET /api/timesheets/review': 'Get timesheets to review (Admin/Manager)',
+          'PUT /api/timesheets/:id/approve': 'Approve timesheet and lock its attendance (Admin/Manager)',
+          'PUT /api/timesheets/:id/return': 'Return timesheet with comments (Admin/Manager)',
+          'PUT /api/timesheets/:id/reopen': 'Reopen approved timesheet (Admin)'
+        },
+        projects: {
+          'GET /api/projects/active': 'List projects to clock into and whether my shift requires one',
+          'POST /api/attendance/switch-job': 'Switch the project I am clocked into',
+          'GET /api/projects': 'List projects (Admin)',
+          'POST /api/projects': 'Create project (Admin)',
+          'PUT /api/projects/:id': 'Update project (Admin)',
+          'DELETE /api/projects/:id': 'Deactivate project (Admin)',
+          'GET /api/projects/cost-centers': 'List cost centers (Admin)',
+          'POST /api/projects/cost-centers': 'Create cost center (Admin)',
+          'PUT /api/projects/cost-centers/:id': 'Update cost center (Admin)',
+          'GET /api/projects/report': 'Hours per project, employee and period as JSON or CSV (Admin)'
+        },
+        punches: {
+          'GET /api/punches': 'List raw punches; employees see their own',
+          'POST /api/punches': 'Add a punch by hand with a reason (Admin)',
+          'PUT /api/punches/:id': 'Correct a punch time or direction with a reason (Admin)',
+          'DELETE /api/punches/:id': 'Void a punch with a reason (Admin)',
+          'POST /api/punches/pair': 'Pair punches into attendance again for a date range (Admin)'
+        },
+        attendancePolicies: {
+          'GET /api/attendance-policies': 'List attendance policies, with every version on request (Admin)',
+          'POST /api/attendance-policies': 'Create a policy for everyone, a department, a site or a shift (Admin)',
+          'POST /api/attendance-policies/:id/versions': 'Change a policy from a date with a new version (Admin)',
+          'DELETE /api/attendance-policies/:id': 'Retire a policy after an end date (Admin)'
+        },
+        presence: {
+          'GET /api/presence': "Who's in, on break, late, absent or on leave now (Admin, managers for their department)",
+          'SOCKET /presence': 'Live board: connect with auth { token, scope }, emit presence:subscribe to change scope; receives presence:board and presence:update'
+        },
+        analytics: {
+          'GET /api/analytics/summary': "Today's headcount and the period's attendance rate against the period before",
+          'GET /api/analytics/trend': 'Attendance rate, lateness and overtime by day, week or month (period or startDate/endDate, groupBy)',
+          'GET /api/analytics/departments': 'Attendance rate, late counts and average lateness per department (Admin)',
+          'GET /api/analytics/patterns': 'Lateness by day of week and clock-ins by hour of day',
+          'GET /api/analytics/records': 'Records behind a chart point (bucket, dayOfWeek, hour, status, late, workMode)'
+        },
+        absenceScores: {
+          'GET /api/absence-scores': 'Employees ranked by Bradford score with trend (department, date, weeks) (Admin)',
+          'GET /api/absence-scores/employees/:employeeId': "An employee's Bradford score and absence spells (Admin)",
+          'POST /api/absence-scores/evaluate': 'Score everyone now and notify managers of crossed thresholds (Admin)'
+        },
+        remoteWork: {
+          'GET /api/remote-work/status': 'Whether I can clock in remotely today, and remote days used this week',
+          'GET /api/remote-work/mine': 'My remote work requests and standing arrangements',
+          'POST /api/remote-work': 'Request remote dates or a standing weekly arrangement',
+          'PUT /api/remote-work/:id/cancel': 'Withdraw a request or end an arrangement from today',
+          'GET /api/remote-work': 'Requests to review (Admin, managers for direct reports)',
+          'PUT /api/remote-work/:id/review': 'Approve or reject a request (Admin, managers for direct reports)',
+          'GET /api/remote-work/report': 'On-site and remote days and hours per employee (Admin)'
+        },
+        fieldTracking: {
+          'GET /api/field-tracking/status': 'Whether I should share my location now, my consent and the location notice',
+          'PUT /api/field-tracking/consent': 'Agree to the location notice or withdraw consent',
+          'POST /api/field-tracking/pings': 'Share my position during a field shift',
+          'GET /api/field-tracking/employees': 'Employees who shared their location on a day (Admin, managers for direct reports)',
+          'GET /api/field-tracking/employees/:employeeId/timeline': 'An employee\'s route for a day (Admin, managers for direct reports)'
+        },
+        overtime: {
+          'GET /api/overtime/mine': 'My overtime requests and recent overtime worked without approval',
+          'POST /api/overtime': 'Request overtime for a day; raised by a manager or admin for an employee it is approved at once',
+          'PUT /api/overtime/:id/cancel': 'Withdraw a request, or approved overtime for a day not yet worked',
+          'GET /api/overtime': 'Requests to review (Admin, managers for direct reports)',
+          'GET /api/overtime/employees': 'Employees I may raise overtime for (Admin, managers for direct reports)',
+          'GET /api/overtime/unapproved': 'Overtime worked without approval (Admin, managers for direct reports)',
+          'PUT /api/overtime/:id/review': 'Approve, possibly fewer hours, or reject a request (Admin, managers for direct reports)'
+        },
+        terminalImports: {
+          'POST /api/terminal-imports/preview': 'Preview a fingerprint terminal punch log (Admin)',
+          'POST /api/terminal-imports': 'Import a fingerprint terminal punch log into attendance (Admin)',
+          'GET /api/terminal-imports/mappings': 'List terminal user to employee mappings (Admin)',
+          'POST /api/terminal-imports/mappings': 'Map a terminal user ID to an employee (Admin)',
+          'DELETE /api/terminal-imports/mappings/:id': 'Remove a terminal user mapping (Admin)'
+        },
+        kiosk: {
+          'GET /api/kiosk/session': 'Get kiosk configuration (Kiosk token)',
+          'GET /api/kiosk/qr': 'Get the rotating site QR code (Kiosk token)',
+          'POST /api/kiosk/identify': 'Identify employee by ID and PIN or badge (Kiosk token)',
+          'POST /api/kiosk/punch': 'Clock in or out with face capture (Kiosk token)',
+          'GET /api/kiosk/devices': 'List kiosk devices (Admin)',
+          'POST /api/kiosk/devices': 'Register kiosk device (Admin)',
+          'PUT /api/kiosk/devices/:id/token': 'Regenerate kiosk token (Admin)',
+          'PUT /api/kiosk/devices/:id/revoke': 'Revoke kiosk device (Admin)',
+          'PUT /api/kiosk/employees/:employeeId/credentials': 'Set employee kiosk PIN or badge (Admin)'
+        },
+        sites: {
+          'GET /api/sites': 'List work sites (Admin)',
+          'POST /api/sites': 'Create work site (Admin)',
+          'GET /api/sites/:id': 'Get work site with assigned employees (Admin)',
+          'PUT /api/sites/:id': 'Update work site (Admin)',
+          'DELETE /api/sites/:id': 'Deactivate work site (Admin)',
+          'PUT /api/sites/:id/employees': 'Set employees assigned to a work site (Admin)'
+        },
+        irregularities: {
+          'GET /api/irregularities': 'Get the irregularity review queue (Admin)',
+          'PUT /api/irregularities/:attendanceId/:irregularityId': 'Resolve or dismiss an irregularity (Admin)'
         },
         leaves: {
           'GET /api/leaves': 'Get leave requests (Admin)',
@@ -329,6 +494,9 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Live presence board over socket.io on the same port
+presenceService.attach(server, { origins: allowedOrigins });
+
 // Handle server errors
 server.on('error', (error) => {
   if (error.syscall !== 'listen') {
@@ -391,6 +559,54 @@ const setupBackgroundTasks = () => {
     setInterval(() => {
       console.log('Running background cleanup...');
     }, 60 * 60 * 1000);
+
+    // Mark absences, leave and holidays once each shift has ended
+    const absenceInterval = (parseInt(process.env.ABSENCE_JOB_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+    const runAbsenceJob = () => {
+      if (!isConnected()) return;
+      absenceService.runDueShifts().catch(error => {
+        console.error('Absence marking job failed:', error);
+      });
+    };
+    runAbsenceJob();
+    setInterval(runAbsenceJob, absenceInterval);
+
+    // Close sessions left open past the shift's auto clock-out policy
+    const autoClockOutInterval = (parseInt(process.env.AUTO_CLOCK_OUT_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+    const runAutoClockOutJob = () => {
+      if (!isConnected()) return;
+      autoClockOutService.closeDueSessions().catch(error => {
+        console.error('Auto clock-out job failed:', error);
+      });
+    };
+    runAutoClockOutJob();
+    setInterval(runAutoClockOutJob, autoClockOutInterval);
+
+    // Recalculate Bradford scores and alert managers to newly crossed thresholds
+    const bradfordInterval = (parseInt(process.env.BRADFORD_JOB_INTERVAL_HOURS, 10) || 24) * 60 * 60 * 1000;
+    setInterval(() => {
+      if (!isConnected()) return;
+      bradfordService.evaluate().catch(error => {
+        console.error('Bradford scoring job failed:', error);
+      });
+    }, bradfordInterval);
+
+    // Tell managers when a field employee's device stops sending its location
+    const fieldTrackingInterval = (parseInt(process.env.FIELD_TRACKING_JOB_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+    setInterval(() => {
+      if (!isConnected()) return;
+      fieldTrackingService.checkSilentSessions().catch(error => {
+        console.error('Field tracking job failed:', error);
+      });
+    }, fieldTrackingInterval);
+
+    // Delete export files past their download window
+    setInterval(() => {
+      if (!isConnected()) return;
+      exportService.cleanupExpiredJobs().catch(error => {
+        console.error('Export cleanup job failed:', error);
+      });
+    }, 60 * 60 * 1000);
   }
 };
 
@@ -0,0 +1,205 @@
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const Shift = require('../models/Shift');
+const presenceService = require('./presenceService');
+const { logger } = require('../utils/logger');
+const { resolveTimezone, toDateOnly, formatDateOnly } = require('../utils/timezone');
+
+class AbsenceService {
+  constructor() {
+    // How long after a shift ends before its no-shows are marked
+    this.graceMinutes = parseInt(process.env.ABSENCE_GRACE_MINUTES, 10) || 60;
+    // How many past shift days to re-check, so missed runs are caught up
+    this.lookbackDays = parseInt(process.env.ABSENCE_LOOKBACK_DAYS, 10) || 2;
+  }
+
+  // Get the moment a shift ends for the shift day `date` (overnight shifts end the next day)
+  getShiftEnd(shift, date, timezone) {
+    return moment(shift.getShiftWindow(date, timezone).end);
+  }
+
+  // Find a special date entry on the shift for the given day
+  getSpecialDate(shift, date) {
+    return (shift.specialDates || []).find(special =>
+      formatDateOnly(special.date) === formatDateOnly(date)
+    );
+  }
+
+  // Check whether the shift expects attendance on the given day
+  isWorkingDay(shift, date) {
+    return shift.isActiveOnDay(moment.utc(date).format('dddd'));
+  }
+
+  // Get the employees who work the given shift (the default shift covers unassigned employees)
+  async getShiftEmployees(shift) {
+    const query = { isActive: true };
+
+    if (shift.isDefault) {
+      query.$or = [{ shift: shift._id }, { shift: null }, { shift: { $exists: false } }];
+    } else {
+      query.shift = shift._id;
+    }
+
+    return Employee.find(query)
+      .select('_id userId joinDate')
+      .populate('userId', 'preferences.timezone');
+  }
+
+  // Group a shift's employees by the timezone their attendance days are computed in
+  groupByTimezone(shift, employees) {
+    const groups = new Map();
+
+    employees.forEach(employee => {
+      const timezone = resolveTimezone(shift.timezone, employee.userId?.preferences?.timezone);
+      if (!groups.has(timezone)) {
+        groups.set(timezone, []);
+      }
+      groups.get(timezone).push(employee);
+    });
+
+    return groups;
+  }
+
+  // Create absent/leave/holiday entries for one shift day; existing logs are never touched
+  async markShiftDay(shift, date, timezone, shiftEmployees) {
+    const day = moment.utc(date);
+    const specialDate = this.getSpecialDate(shift, date);
+    const isHoliday = Boolean(specialDate?.isHoliday);
+
+    if (!isHoliday && !this.isWorkingDay(shift, date)) {
+      return { shift: shift.code, date: day.format('YYYY-MM-DD'), timezone, created: 0, skipped: true };
+    }
+
+    const employees = shiftEmployees
+      .filter(employee => !employee.joinDate || toDateOnly(employee.joinDate, timezone) <= day.toDate());
+
+    if (!employees.length) {
+      return { shift: shift.code, date: day.format('YYYY-MM-DD'), timezone, created: 0 };
+    }
+
+    const employeeIds = employees.map(employee => employee._id);
+
+    const approvedLeaves = await LeaveRequest.find({
+      employee: { $in: employeeIds },
+      status: 'approved',
+      startDate: { $lte: moment(day).endOf('day').toDate() },
+      endDate: { $gte: day.toDate() }
+    }).select('employee leaveType');
+
+    const leaveByEmployee = new Map(
+      approvedLeaves.map(leave => [leave.employee.toString(), leave])
+    );
+
+    const operations = employeeIds.map(employeeId => {
+      const leave = leaveByEmployee.get(employeeId.toString());
+      let status = 'absent';
+      let notes = 'Automatically marked absent: no clock-in recorded';
+
+      if (isHoliday) {
+        status = 'holiday';
+        notes = `Holiday${specialDate.description ? `: ${specialDate.description}` : ''}`;
+      } else if (leave) {
+        status = 'leave';
+        notes = `On approved ${leave.leaveType} leave`;
+      }
+
+      return {
+        updateOne: {
+          // Match on the whole day so punches stored with a time of day still count
+          filter: {
+            employee: employeeId,
+            date: { $gte: day.toDate(), $lte: moment(day).endOf('day').toDate() }
+          },
+          update: {
+            $setOnInsert: {
+              employee: employeeId,
+              date: day.toDate(),
+              timezone,
+              shift: shift._id,
+              status,
+              notes,
+              approvalStatus: 'approved',
+              automaticallyGenerated: true
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    const result = await AttendanceLog.bulkWrite(operations, { ordered: false });
+    await this.closeWorkedDays(employeeIds, day);
+
+    return {
+      shift: shift.code,
+      date: day.format('YYYY-MM-DD'),
+      timezone,
+      created: result.upsertedCount || 0
+    };
+  }
+
+  // Judge days whose last session ended before the shift did (nobody came back after lunch, say): their
+  // minimum hours are only checked once the day is over, which no punch marks
+  async closeWorkedDays(employeeIds, day) {
+    const logs = await AttendanceLog.find({
+      employee: { $in: employeeIds },
+      date: { $gte: day.toDate(), $lte: moment(day).endOf('day').toDate() },
+      'clockOut.time': { $exists: true },
+      dayClosedAt: null
+    });
+
+    for (const attendanceLog of logs) {
+      attendanceLog.$locals.closeDay = true;
+      try {
+        await attendanceLog.save();
+      } catch (error) {
+        logger.error('Closing attendance day failed', error, { attendanceId: attendanceLog._id });
+      }
+    }
+  }
+
+  // Mark every shift day whose end (plus grace period) has passed within the lookback window
+  async runDueShifts(now = new Date()) {
+    const shifts = await Shift.find({ isActive: true });
+    const results = [];
+
+    for (const shift of shifts) {
+      const groups = this.groupByTimezone(shift, await this.getShiftEmployees(shift));
+
+      // Each timezone has its own calendar day, so "today" differs per group
+      for (const [timezone, employees] of groups) {
+        for (let offset = this.lookbackDays; offset >= 0; offset--) {
+          const date = moment.utc(toDateOnly(now, timezone)).subtract(offset, 'days').toDate();
+          const dueAt = this.getShiftEnd(shift, date, timezone).add(this.graceMinutes, 'minutes');
+
+          if (dueAt.isAfter(now)) {
+            continue;
+          }
+
+          try {
+            results.push(await this.markShiftDay(shift, date, timezone, employees));
+          } catch (error) {
+            logger.error('Absence marking failed', error, {
+              shiftId: shift._id,
+              date: formatDateOnly(date),
+              timezone
+            });
+          }
+        }
+      }
+    }
+
+    const created = results.reduce((total, result) => total + result.created, 0);
+    if (created > 0) {
+      logger.info('Absence marking completed', { created, shiftDays: results.length });
+      presenceService.refresh();
+    }
+
+    return { created, results };
+  }
+}
+
+// Export singleton instance
+module.exports = new AbsenceService();
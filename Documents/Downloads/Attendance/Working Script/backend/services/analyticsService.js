@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const { AppError } = require('../middleware/errorMiddleware');
+const { parseDateOnly, formatDateOnly, getWeekRange, getMonthRange } = require('../utils/timezone');
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Preset ranges are the trailing window ending today, grouped at a grain that gives a readable number of points
+const PERIODS = {
+  week: { length: { days: 7 }, groupBy: 'day' },
+  month: { length: { months: 1 }, groupBy: 'week' },
+  quarter: { length: { months: 3 }, groupBy: 'week' },
+  year: { length: { months: 12 }, groupBy: 'month' }
+};
+
+// Bucket keys as $dateToString formats over the shift day (a date-only value, so UTC)
+const BUCKET_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const MAX_RANGE_DAYS = 400;
+const MAX_RECORDS = 500;
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Per-group totals shared by every breakdown. Attendance rate is days worked over days that should have been.
+const totalsStage = {
+  records: { $sum: 1 },
+  worked: { $sum: { $cond: [{ $in: ['$status', AttendanceLog.WORKED_STATUSES] }, 1, 0] } },
+  absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+  leave: { $sum: { $cond: [{ $eq: ['$status', 'leave'] }, 1, 0] } },
+  halfDays: { $sum: { $cond: [{ $eq: ['$status', 'half_day'] }, 1, 0] } },
+  remote: { $sum: { $cond: [{ $and: [{ $in: ['$status', AttendanceLog.WORKED_STATUSES] }, { $eq: ['$workMode', 'remote'] }] }, 1, 0] } },
+  late: { $sum: { $cond: ['$isLate', 1, 0] } },
+  lateMinutes: { $sum: { $cond: ['$isLate', '$lateBy', 0] } },
+  overtimeHours: { $sum: '$overtimeHours' }
+};
+
+const formatTotals = (group) => {
+  const expected = group.worked + group.absent;
+  return {
+    records: group.records,
+    worked: group.worked,
+    absent: group.absent,
+    leave: group.leave,
+    halfDays: group.halfDays,
+    onsite: group.worked - group.remote,
+    remote: group.remote,
+    late: group.late,
+    attendanceRate: expected ? round((group.worked / expected) * 100) : null,
+    lateRate: group.worked ? round((group.late / group.worked) * 100) : null,
+    averageLateMinutes: group.late ? round(group.lateMinutes / group.late) : 0,
+    overtimeHours: round(group.overtimeHours)
+  };
+};
+
+// Attendance analytics over AttendanceLog: trends by day, week or month, breakdowns by department,
+// day-of-week and hour-of-day patterns, and the records behind any point for drill-down
+class AnalyticsService {
+  // Resolve a preset period or an explicit range, and the grain to group it by
+  getRange({ period = 'month', startDate, endDate, groupBy }, today) {
+    let range;
+    if (startDate || endDate) {
+      range = {
+        start: parseDateOnly(startDate || endDate),
+        end: parseDateOnly(endDate || startDate)
+      };
+      if (isNaN(range.start) || isNaN(range.end)) {
+        throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+      }
+      if (range.end < range.start) {
+        throw new AppError('End date must be on or after the start date', 400);
+      }
+      if (moment.utc(range.end).diff(range.start, 'days') > MAX_RANGE_DAYS) {
+        throw new AppError(`Analytics cover at most ${MAX_RANGE_DAYS} days at a time`, 400);
+      }
+    } else {
+      const preset = PERIODS[period];
+      if (!preset) {
+        throw new AppError(`Period must be one of: ${Object.keys(PERIODS).join(', ')}`, 400);
+      }
+      range = {
+        start: moment.utc(today).subtract(preset.length).add(1, 'day').toDate(),
+        end: moment.utc(today).toDate()
+      };
+    }
+
+    const grain = groupBy || PERIODS[period]?.groupBy || 'day';
+    if (!BUCKET_FORMATS[grain]) {
+      throw new AppError(`Group by must be one of: ${Object.keys(BUCKET_FORMATS).join(', ')}`, 400);
+    }
+    return { ...range, groupBy: grain };
+  }
+
+  // Date-only bounds of one trend bucket, for drilling into it
+  getBucketRange(groupBy, bucket) {
+    if (groupBy === 'week') {
+      const [year, week] = bucket.split('-W').map(Number);
+      return getWeekRange(moment.utc().isoWeekYear(year).isoWeek(week).toDate());
+    }
+    if (groupBy === 'month') {
+      const [year, month] = bucket.split('-');
+      return getMonthRange(year, month);
+    }
+    const day = parseDateOnly(bucket);
+    return { start: day, end: day };
+  }
+
+  // Match stage for a range, narrowed to a department or employee
+  async buildMatch({ start, end }, { department, employee } = {}) {
+    const match = {
+      date: { $gte: start, $lte: moment.utc(end).endOf('day').toDate() }
+    };
+
+    for (const id of [department, employee]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Department and employee must be IDs', 400);
+      }
+    }
+
+    if (employee) {
+      match.employee = new mongoose.Types.ObjectId(employee);
+    } else if (department) {
+      const employees = await Employee.find({ department }).select('_id');
+      match.employee = { $in: employees.map(item => item._id) };
+    }
+    return match;
+  }
+
+  // Attendance rate, lateness and overtime per bucket
+  async getTrend(range, filters) {
+    const match = await this.buildMatch(range, filters);
+    const groups = await AttendanceLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: BUCKET_FORMATS[range.groupBy], date: '$date' } },
+          ...totalsStage
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const points = groups.map(group => ({ bucket: group._id, ...formatTotals(group) }));
+    const overall = formatTotals(groups.reduce((sum, group) => {
+      Object.keys(totalsStage).forEach(key => { sum[key] = (sum[key] || 0) + group[key]; });
+      return sum;
+    }, Object.fromEntries(Object.keys(totalsStage).map(key => [key, 0]))));
+
+    return {
+      range: { startDate: formatDateOnly(range.start), endDate: formatDateOnly(range.end), groupBy: range.groupBy },
+      totals: overall,
+      points
+    };
+  }
+
+  // Attendance rate, late counts and average lateness per department
+  async getByDepartment(range, filters) {
+    const match = await this.buildMatch(range, filters);
+    const groups = await AttendanceLog.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'employees',
+          localField: 'employee',
+          foreignField: '_id',
+          as: 'employeeDoc'
+        }
+      },
+      { $unwind: '$employeeDoc' },
+      { $group: { _id: '$employeeDoc.department', ...totalsStage } },
+      {
+        $lookup: {
+          from: 'departments',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'departmentDoc'
+        }
+      },
+      { $sort: { late: -1 } }
+    ]);
+
+    return groups.map(group => ({
+      department: group._id,
+      name: group.departmentDoc[0]?.name || 'No department',
+      ...formatTotals(group)
+    }));
+  }
+
+  // Lateness and absence by day of week, and clock-ins and late arrivals by local hour of day
+  async getPatterns(range, filters) {
+    const match = await this.buildMatch(range, filters);
+    const [byDay, byHour] = await Promise.all([
+      AttendanceLog.aggregate([
+        { $match: match },
+        { $group: { _id: { $isoDayOfWeek: '$date' }, ...totalsStage } },
+        { $sort: { _id: 1 } }
+      ]),
+      AttendanceLog.aggregate([
+        { $match: { ...match, 'clockIn.time': { $exists: true } } },
+        {
+          $group: {
+            // Each day's clock-in hour in the timezone the day was recorded in
+            _id: { $hour: { date: '$clockIn.time', timezone: { $ifNull: ['$timezone', 'UTC'] } } },
+            clockIns: { $sum: 1 },
+            late: { $sum: { $cond: ['$isLate', 1, 0] } },
+            lateMinutes: { $sum: { $cond: ['$isLate', '$lateBy', 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const days = new Map(byDay.map(group => [group._id, group]));
+    const hours = new Map(byHour.map(group => [group._id, group]));
+    const empty = Object.fromEntries(Object.keys(totalsStage).map(key => [key, 0]));
+
+    return {
+      dayOfWeek: DAY_NAMES.map((name, index) => ({
+        dayOfWeek: index + 1,
+        name,
+        ...formatTotals(days.get(index + 1) || empty)
+      })),
+      hourOfDay: Array.from({ length: 24 }, (unused, hour) => {
+        const group = hours.get(hour) || { clockIns: 0, late: 0, lateMinutes: 0 };
+        return {
+          hour,
+          clockIns: group.clockIns,
+          late: group.late,
+          averageLateMinutes: group.late ? round(group.lateMinutes / group.late) : 0
+        };
+      })
+    };
+  }
+
+  // The attendance records behind a chart point
+  async getRecords(range, filters, { bucket, dayOfWeek, hour, status, late, workMode } = {}) {
+    // A week or month at the edge of the range only covers the days inside it
+    let bounds = range;
+    if (bucket) {
+      const period = this.getBucketRange(range.groupBy, bucket);
+      if (isNaN(period.start)) {
+        throw new AppError('Unknown chart bucket', 400);
+      }
+      bounds = {
+        start: period.start > range.start ? period.start : range.start,
+        end: period.end < range.end ? period.end : range.end
+      };
+    }
+
+    const match = await this.buildMatch(bounds, filters);
+    const conditions = [];
+    if (dayOfWeek) conditions.push({ $eq: [{ $isoDayOfWeek: '$date' }, parseInt(dayOfWeek, 10)] });
+    if (hour !== undefined && hour !== '') {
+      conditions.push({ $eq: [{ $hour: { date: '$clockIn.time', timezone: { $ifNull: ['$timezone', 'UTC'] } } }, parseInt(hour, 10)] });
+    }
+    if (conditions.length) match.$expr = { $and: conditions };
+    if (status === 'worked') match.status = { $in: AttendanceLog.WORKED_STATUSES };
+    else if (status) match.status = status;
+    if (late === 'true') match.isLate = true;
+    // Days recorded before work modes existed were all on site
+    if (workMode === 'remote') match.workMode = 'remote';
+    else if (workMode === 'onsite') match.workMode = { $ne: 'remote' };
+
+    const records = await AttendanceLog.find(match)
+      .select('employee date timezone workMode clockIn.time clockOut.time status isLate lateBy isEarlyDeparture earlyBy totalWorkingHours unpaidBreakTime overtimeHours')
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: [
+          { path: 'userId', select: 'firstName lastName' },
+          { path: 'department', select: 'name' }
+        ]
+      })
+      .sort({ date: -1, 'clockIn.time': 1 })
+      .limit(MAX_RECORDS + 1);
+
+    return {
+      range: { startDate: formatDateOnly(bounds.start), endDate: formatDateOnly(bounds.end) },
+      truncated: records.length > MAX_RECORDS,
+      records: records.slice(0, MAX_RECORDS)
+    };
+  }
+
+  // Today's headcount for the dashboard cards, with the period's attendance rate against the one before it
+  async getSummary(range, today, filters) {
+    const employeeQuery = { isActive: true };
+    if (filters.department) employeeQuery.department = filters.department;
+    if (filters.employee) employeeQuery._id = filters.employee;
+
+    const length = moment.utc(range.end).diff(range.start, 'days') + 1;
+    const previous = {
+      start: moment.utc(range.start).subtract(length, 'days').toDate(),
+      end: moment.utc(range.start).subtract(1, 'day').toDate(),
+      groupBy: range.groupBy
+    };
+
+    const [totalEmployees, todayTrend, current, before] = await Promise.all([
+      Employee.countDocuments(employeeQuery),
+      this.getTrend({ start: today, end: today, groupBy: 'day' }, filters),
+      this.getTrend(range, filters),
+      this.getTrend(previous, filters)
+    ]);
+
+    return {
+      totalEmployees,
+      today: todayTrend.totals,
+      period: current.totals,
+      previousPeriod: before.totals
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AnalyticsService();
@@ -0,0 +1,131 @@
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const notificationService = require('./notificationService');
+const pairingService = require('./pairingService');
+const { logger } = require('../utils/logger');
+const { DEFAULT_TIMEZONE, formatDateOnly } = require('../utils/timezone');
+
+class AutoClockOutService {
+  constructor() {
+    // Policy for sessions without a shift, or shifts created before the policy existed
+    this.defaultGraceMinutes = parseInt(process.env.AUTO_CLOCK_OUT_GRACE_MINUTES, 10) || 120;
+    this.defaultMaxHours = parseInt(process.env.AUTO_CLOCK_OUT_MAX_HOURS, 10) || 16;
+  }
+
+  // Resolve the auto clock-out policy for a session's shift
+  getPolicy(shift) {
+    const policy = shift?.autoClockOut || {};
+
+    return {
+      enabled: policy.enabled !== false,
+      graceMinutes: policy.graceMinutes ?? this.defaultGraceMinutes,
+      maxHours: policy.maxHours ?? this.defaultMaxHours
+    };
+  }
+
+  // Work out when an open session should be closed: shift end plus grace, or the hard cap, whichever is first
+  getClockOutTime(attendanceLog) {
+    const policy = this.getPolicy(attendanceLog.shift);
+    if (!policy.enabled) {
+      return null;
+    }
+
+    // On a split day the open session started at its own clock in, not the day's first
+    const openSession = attendanceLog.sessions?.[attendanceLog.sessions.length - 1];
+    const clockInTime = moment(openSession?.clockIn || attendanceLog.clockIn.time);
+    const candidates = [clockInTime.clone().add(policy.maxHours, 'hours')];
+
+    if (attendanceLog.shift?.endTime) {
+      const shiftClose = moment(attendanceLog.shift.getShiftWindow(attendanceLog.date, attendanceLog.timezone).end)
+        .add(policy.graceMinutes, 'minutes');
+
+      // Ignore the shift rule when the clock-in came after the shift had already closed
+      if (shiftClose.isAfter(clockInTime)) {
+        candidates.push(shiftClose);
+      }
+    }
+
+    return moment.min(candidates);
+  }
+
+  // Stamp a system clock-out, flag the missing punch and let the employee know
+  async closeSession(attendanceLog, clockOutTime) {
+    const localClockOut = moment.tz(clockOutTime, attendanceLog.timezone || DEFAULT_TIMEZONE);
+
+    attendanceLog.approvalStatus = 'pending';
+    attendanceLog.irregularities.push({
+      type: 'suspicious_activity',
+      description: `Missing clock-out: session closed automatically at ${localClockOut.format('YYYY-MM-DD HH:mm Z')}`,
+      severity: 'medium'
+    });
+    // Nobody is coming back to this session, so the day is over and judged on its hours
+    attendanceLog.$locals.closeDay = true;
+    await pairingService.recordPunch(attendanceLog, {
+      type: 'out',
+      time: clockOutTime.toDate(),
+      source: 'system',
+      deviceInfo: {
+        deviceType: 'system'
+      }
+    });
+
+    const recipient = attendanceLog.employee?.userId;
+    if (recipient) {
+      await notificationService.sendNotification(recipient, {
+        type: 'irregular_attendance',
+        title: 'You were clocked out automatically',
+        message: `You did not clock out on ${formatDateOnly(attendanceLog.date)}, so your session was closed at ${localClockOut.format('HH:mm z')}. Request a correction if this time is wrong.`,
+        priority: 'high',
+        category: 'attendance',
+        actionRequired: true,
+        actionUrl: '/attendance',
+        actionLabel: 'Request correction',
+        data: {
+          attendanceId: attendanceLog._id,
+          clockOutTime: clockOutTime.toDate()
+        },
+        relatedEntity: {
+          entityType: 'AttendanceLog',
+          entityId: attendanceLog._id
+        }
+      });
+    }
+  }
+
+  // Close every open session that has passed its policy deadline
+  async closeDueSessions(now = new Date()) {
+    const openLogs = await AttendanceLog.find({
+      'clockIn.time': { $exists: true, $lte: now },
+      'clockOut.time': { $exists: false }
+    })
+      .populate('shift')
+      .populate('employee', 'userId');
+
+    let closed = 0;
+
+    for (const attendanceLog of openLogs) {
+      const clockOutTime = this.getClockOutTime(attendanceLog);
+      if (!clockOutTime || clockOutTime.isAfter(now)) {
+        continue;
+      }
+
+      try {
+        await this.closeSession(attendanceLog, clockOutTime);
+        closed++;
+      } catch (error) {
+        logger.error('Auto clock-out failed', error, {
+          attendanceId: attendanceLog._id
+        });
+      }
+    }
+
+    if (closed > 0) {
+      logger.info('Auto clock-out completed', { closed });
+    }
+
+    return { closed };
+  }
+}
+
+// Export singleton instance
+module.exports = new AutoClockOutService();
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AbsenceScore = require('../models/AbsenceScore');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const notificationService = require('./notificationService');
+const reviewService = require('./reviewService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { resolveTimezone, toDateOnly, parseDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Commonly used UK trigger points
+const DEFAULT_THRESHOLDS = '51:Informal review,201:First written warning,401:Final written warning,651:Dismissal review';
+
+const MAX_WINDOW_WEEKS = 104;
+
+// Bradford factor B = S² × D over a rolling window, where S is the number of separate absence spells and
+// D the total days absent. Spells come from days marked absent and days of unplanned sick leave (sick leave
+// requested on or after its first day). Holidays don't break a spell; a day worked or on other leave does.
+class BradfordService {
+  constructor() {
+    this.windowWeeks = parseInt(process.env.BRADFORD_WINDOW_WEEKS, 10) || 52;
+    // The trend compares today's score with the score this many weeks ago
+    this.trendWeeks = parseInt(process.env.BRADFORD_TREND_WEEKS, 10) || 4;
+    // Absence days further apart than this with no records between (e.g. missing data) are separate spells
+    this.spellGapDays = parseInt(process.env.BRADFORD_SPELL_GAP_DAYS, 10) || 4;
+    this.thresholds = this.parseThresholds(process.env.BRADFORD_THRESHOLDS || DEFAULT_THRESHOLDS);
+  }
+
+  // "51:Informal review,201:First written warning" into thresholds sorted by score
+  parseThresholds(value) {
+    return value.split(',')
+      .map(item => {
+        const [score, ...label] = item.split(':');
+        return { score: parseInt(score, 10), label: label.join(':').trim() || `Score ${parseInt(score, 10)}` };
+      })
+      .filter(threshold => threshold.score > 0)
+      .sort((a, b) => a.score - b.score);
+  }
+
+  // The highest threshold a score has reached, or null
+  getThreshold(score) {
+    return [...this.thresholds].reverse().find(threshold => score >= threshold.score) || null;
+  }
+
+  // The window end date and length for a request, defaulting to the configured window ending today
+  resolveOptions({ date, weeks } = {}, today) {
+    const end = date ? parseDateOnly(date) : today;
+    if (isNaN(end)) {
+      throw new AppError('Date must be in YYYY-MM-DD format', 400);
+    }
+    if (end > today) {
+      throw new AppError('Scores can only be calculated up to today', 400);
+    }
+
+    const length = weeks ? parseInt(weeks, 10) : this.windowWeeks;
+    if (!length || length < 1 || length > MAX_WINDOW_WEEKS) {
+      throw new AppError(`Window must be between 1 and ${MAX_WINDOW_WEEKS} weeks`, 400);
+    }
+    return { end, weeks: length };
+  }
+
+  getWindow(end, weeks) {
+    return {
+      start: moment.utc(end).subtract(weeks, 'weeks').add(1, 'day').toDate(),
+      end: moment.utc(end).toDate()
+    };
+  }
+
+  // Each employee's attendance days in the range, in date order, as absence days or breaks between spells
+  async loadDays(employeeIds, start, end) {
+    const endOfRange = moment.utc(end).endOf('day').toDate();
+    const timezone = resolveTimezone();
+
+    const [logs, sickLeaves] = await Promise.all([
+      AttendanceLog.find({ employee: { $in: employeeIds }, date: { $gte: start, $lte: endOfRange } })
+        .select('employee date status')
+        .sort({ date: 1 })
+        .lean(),
+      LeaveRequest.find({
+        employee: { $in: employeeIds },
+        leaveType: 'sick',
+        status: 'approved',
+        startDate: { $lte: endOfRange },
+        endDate: { $gte: start }
+      }).select('employee startDate endDate appliedDate').lean()
+    ]);
+
+    // Sick leave booked ahead (e.g. for an operation) is planned and doesn't count
+    const unplanned = new Map();
+    sickLeaves
+      .filter(leave => formatDateOnly(toDateOnly(leave.appliedDate, timezone)) >= formatDateOnly(leave.startDate))
+      .forEach(leave => {
+        const key = String(leave.employee);
+        if (!unplanned.has(key)) unplanned.set(key, []);
+        unplanned.get(key).push({ start: formatDateOnly(leave.startDate), end: formatDateOnly(leave.endDate) });
+      });
+
+    const days = new Map();
+    logs.forEach(log => {
+      const key = String(log.employee);
+      const date = formatDateOnly(log.date);
+      let type = 'break';
+
+      if (log.status === 'holiday') {
+        return;
+      }
+      if (log.status === 'absent') {
+        type = 'absence';
+      } else if (log.status === 'leave' && (unplanned.get(key) || []).some(leave => date >= leave.start && date <= leave.end)) {
+        type = 'sick_leave';
+      }
+
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push({ date, type });
+    });
+    return days;
+  }
+
+  // Group the absence days inside a window into spells of consecutive absence
+  buildSpells(days, { start, end }) {
+    const from = formatDateOnly(start);
+    const to = formatDateOnly(end);
+    const spells = [];
+    let current = null;
+
+    days.filter(day => day.date >= from && day.date <= to).forEach(day => {
+      if (day.type === 'break') {
+        current = null;
+        return;
+      }
+
+      const gap = current ? moment.utc(day.date).diff(moment.utc(current.endDate), 'days') : Infinity;
+      if (gap === 0) {
+        return;
+      }
+      if (gap > this.spellGapDays) {
+        current = { startDate: day.date, endDate: day.date, days: 0, sources: [] };
+        spells.push(current);
+      }
+      current.endDate = day.date;
+      current.days += 1;
+      if (!current.sources.includes(day.type)) current.sources.push(day.type);
+    });
+
+    return spells;
+  }
+
+  summarize(days, window) {
+    const spells = this.buildSpells(days, window);
+    const totalDays = spells.reduce((total, spell) => total + spell.days, 0);
+    const score = spells.length * spells.length * totalDays;
+    return { spells, days: totalDays, score, threshold: this.getThreshold(score) };
+  }
+
+  // Current and earlier score for every active employee matching the filters
+  async calculate({ department, employee } = {}, { end, weeks }) {
+    for (const id of [department, employee]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Department and employee must be IDs', 400);
+      }
+    }
+
+    const query = { isActive: true };
+    if (employee) query._id = employee;
+    if (department) query.department = department;
+
+    const employees = await Employee.find(query)
+      .select('employeeId userId department manager')
+      .populate('userId', 'firstName lastName')
+      .populate('department', 'name');
+
+    const window = this.getWindow(end, weeks);
+    const previousWindow = this.getWindow(moment.utc(end).subtract(this.trendWeeks, 'weeks').toDate(), weeks);
+    const days = await this.loadDays(employees.map(item => item._id), previousWindow.start, window.end);
+
+    const results = employees.map(profile => {
+      const employeeDays = days.get(String(profile._id)) || [];
+      return {
+        profile,
+        current: this.summarize(employeeDays, window),
+        previous: this.summarize(employeeDays, previousWindow)
+      };
+    });
+
+    return { window, previousWindow, weeks, results };
+  }
+
+  formatWindow({ start, end }) {
+    return { startDate: formatDateOnly(start), endDate: formatDateOnly(end) };
+  }
+
+  formatRow({ profile, current, previous }) {
+    return {
+      employee: profile._id,
+      employeeId: profile.employeeId,
+      name: profile.userId ? `${profile.userId.firstName} ${profile.userId.lastName}` : profile.employeeId,
+      department: profile.department ? { _id: profile.department._id, name: profile.department.name } : null,
+      spells: current.spells.length,
+      days: current.days,
+      score: current.score,
+      threshold: current.threshold,
+      previousScore: previous.score,
+      change: current.score - previous.score,
+      trend: current.score > previous.score ? 'up' : current.score < previous.score ? 'down' : 'steady'
+    };
+  }
+
+  // Employees with absences in either window, highest score first
+  async getReport(filters, options) {
+    const { window, previousWindow, weeks, results } = await this.calculate(filters, options);
+
+    const employees = results
+      .filter(result => result.current.score > 0 || result.previous.score > 0)
+      .map(result => this.formatRow(result))
+      .sort((a, b) => b.score - a.score || b.days - a.days || a.name.localeCompare(b.name))
+      .map((row, index) => ({ rank: index + 1, ...row }));
+
+    return {
+      window: { ...this.formatWindow(window), weeks },
+      previousWindow: this.formatWindow(previousWindow),
+      trendWeeks: this.trendWeeks,
+      thresholds: this.thresholds,
+      employees
+    };
+  }
+
+  // One employee's score with the spells behind it
+  async getEmployeeScore(employeeId, options) {
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      throw new AppError('Employee not found', 404);
+    }
+
+    const { window, weeks, results } = await this.calculate({ employee: employeeId }, options);
+    if (!results.length) {
+      throw new AppError('Employee not found', 404);
+    }
+
+    return {
+      window: { ...this.formatWindow(window), weeks },
+      thresholds: this.thresholds,
+      ...this.formatRow(results[0]),
+      spells: results[0].current.spells
+    };
+  }
+
+  // Score everyone as of today and tell managers about anyone who crossed a new threshold
+  async evaluate(today = toDateOnly(new Date(), resolveTimezone())) {
+    const { window, weeks, results } = await this.calculate({}, { end: today, weeks: this.windowWeeks });
+    const stored = await AbsenceScore.find({ employee: { $in: results.map(result => result.profile._id) } });
+    const previous = new Map(stored.map(score => [String(score.employee), score]));
+    let notified = 0;
+
+    const operations = [];
+    for (const result of results) {
+      const { profile, current } = result;
+      const reached = current.threshold?.score ?? null;
+      const alreadyNotified = previous.get(String(profile._id))?.notifiedThreshold ?? null;
+      const update = {
+        windowStart: window.start,
+        windowEnd: window.end,
+        spells: current.spells.length,
+        days: current.days,
+        score: current.score,
+        threshold: reached,
+        calculatedAt: new Date()
+      };
+
+      if (reached !== null && (alreadyNotified === null || reached > alreadyNotified)) {
+        try {
+          await this.notifyManagers(profile, this.formatRow(result), weeks);
+          update.notifiedThreshold = reached;
+          update.notifiedAt = new Date();
+          notified += 1;
+        } catch (error) {
+          logger.error('Failed to send Bradford threshold alert', error, { employeeId: profile._id, score: current.score });
+        }
+      } else if (alreadyNotified !== null && (reached === null || reached < alreadyNotified)) {
+        // Crossing the same threshold again after dropping below it is worth another alert
+        update.notifiedThreshold = reached;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { employee: profile._id },
+          update: { $set: update },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length) {
+      await AbsenceScore.bulkWrite(operations, { ordered: false });
+    }
+
+    logger.info('Bradford scores evaluated', { employees: results.length, notified });
+    return { date: formatDateOnly(today), evaluated: results.length, notified };
+  }
+
+  // The employee's manager, or the admins when no manager is assigned
+  async notifyManagers(profile, row, weeks) {
+    const recipients = await reviewService.getReviewers(profile);
+
+    const highest = this.thresholds[this.thresholds.length - 1];
+    await notificationService.sendNotification(recipients, {
+      type: 'absence_threshold',
+      title: `Absence Trigger Reached - ${row.name}`,
+      message: `${row.name} has a Bradford score of ${row.score} (${row.spells} spell(s), ${row.days} day(s) absent in the last ${weeks} weeks), reaching "${row.threshold.label}" at ${row.threshold.score}`,
+      priority: row.threshold.score === highest.score ? 'high' : 'medium',
+      category: 'attendance',
+      actionRequired: true,
+      actionUrl: '/absence-scores',
+      actionLabel: 'View absence scores',
+      data: {
+        employeeId: profile._id,
+        score: row.score,
+        spells: row.spells,
+        days: row.days,
+        threshold: row.threshold
+      },
+      relatedEntity: {
+        entityType: 'Employee',
+        entityId: profile._id
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new BradfordService();
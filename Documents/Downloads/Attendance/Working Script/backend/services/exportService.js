@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const ExcelJS = require('exceljs');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const ExportJob = require('../models/ExportJob');
+const notificationService = require('./notificationService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { parseDateOnly, formatDateOnly, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+const COLUMNS = [
+  { key: 'employeeId', header: 'Employee ID', width: 14 },
+  { key: 'employeeName', header: 'Employee Name', width: 28 },
+  { key: 'department', header: 'Department', width: 20 },
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'clockIn', header: 'Clock In', width: 10 },
+  { key: 'clockOut', header: 'Clock Out', width: 10 },
+  { key: 'workingHours', header: 'Working Hours', width: 14 },
+  { key: 'overtimeHours', header: 'Overtime Hours', width: 14 },
+  { key: 'status', header: 'Status', width: 16 },
+  { key: 'timezone', header: 'Timezone', width: 20 }
+];
+
+// Streams attendance records out of Mongo through a cursor, so exports of any size use
+// constant memory. Large ranges run as background jobs that write to disk for later download.
+class ExportService {
+  constructor() {
+    this.exportDir = process.env.EXPORT_DIR || path.join(__dirname, '../exports');
+    // Above this many records the export is queued rather than streamed in the request
+    this.asyncThreshold = parseInt(process.env.EXPORT_ASYNC_THRESHOLD, 10) || 50000;
+    this.retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 24;
+    this.batchSize = 500;
+  }
+
+  normalizeFormat(format = 'csv') {
+    // 'excel' is what older clients send
+    const value = format === 'excel' ? 'xlsx' : String(format).toLowerCase();
+    if (!FORMATS[value]) {
+      throw new AppError(`Unsupported export format. Use one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+    }
+    return value;
+  }
+
+  getContentType(format) {
+    return FORMATS[format].contentType;
+  }
+
+  getFileName(format, prefix = 'attendance_export') {
+    return `${prefix}_${moment().format('YYYY-MM-DD')}.${FORMATS[format].extension}`;
+  }
+
+  // Turn request filters into an AttendanceLog query. Department and employee may be given as
+  // IDs or as the names shown in the UI; both are resolved to employee IDs up front.
+  async buildQuery({ startDate, endDate, department, employee, status } = {}) {
+    const query = {};
+
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = parseDateOnly(startDate);
+      if (endDate) query.date.$lte = parseDateOnly(endDate);
+      if (Object.values(query.date).some(value => isNaN(value))) {
+        throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+      }
+    }
+
+    if (status === 'overtime') {
+      query.overtimeHours = { $gt: 0 };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const employeeFilters = [];
+    if (department) {
+      const departmentDoc = mongoose.Types.ObjectId.isValid(department)
+        ? { _id: department }
+        : await Department.findOne({ name: new RegExp(`^${this.escapeRegex(department)}$`, 'i') }).select('_id');
+      employeeFilters.push({ department: departmentDoc?._id || null });
+    }
+
+    if (employee) {
+      employeeFilters.push(await this.buildEmployeeMatch(employee));
+    }
+
+    if (employeeFilters.length) {
+      const employees = await Employee.find({ $and: employeeFilters }).select('_id').lean();
+      query.employee = { $in: employees.map(item => item._id) };
+    }
+
+    return query;
+  }
+
+  // Match an employee by ID, employee code, or part of their name
+  async buildEmployeeMatch(search) {
+    if (mongoose.Types.ObjectId.isValid(search)) {
+      return { _id: search };
+    }
+
+    const pattern = new RegExp(this.escapeRegex(search.trim()), 'i');
+    const users = await User.find({
+      $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }]
+    }).select('_id').lean();
+
+    return {
+      $or: [
+        { employeeId: pattern },
+        { userId: { $in: users.map(user => user._id) } }
+      ]
+    };
+  }
+
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  countRecords(query) {
+    return AttendanceLog.countDocuments(query);
+  }
+
+  createCursor(query) {
+    return AttendanceLog.find(query)
+      .select('employee date timezone clockIn.time clockOut.time totalWorkingHours unpaidBreakTime overtimeHours status')
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: [
+          { path: 'userId', select: 'firstName lastName' },
+          { path: 'department', select: 'name' }
+        ]
+      })
+      .sort({ date: -1, _id: 1 })
+      .lean()
+      .cursor({ batchSize: this.batchSize });
+  }
+
+  // One export row, with punch times in the attendance day's own timezone
+  toRow(record) {
+    const timezone = record.timezone || DEFAULT_TIMEZONE;
+    const user = record.employee?.userId;
+    const formatTime = (time) => (time ? moment(time).tz(timezone).format('HH:mm:ss') : '');
+    const netHours = Math.max(0, (record.totalWorkingHours || 0) - (record.unpaidBreakTime || 0));
+
+    return {
+      employeeId: record.employee?.employeeId || '',
+      employeeName: user ? `${user.firstName} ${user.lastName}` : '',
+      department: record.employee?.department?.name || '',
+      date: record.date ? formatDateOnly(record.date) : '',
+      clockIn: formatTime(record.clockIn?.time),
+      clockOut: formatTime(record.clockOut?.time),
+      workingHours: Math.round(netHours * 100) / 100,
+      overtimeHours: Math.round((record.overtimeHours || 0) * 100) / 100,
+      status: record.status,
+      timezone
+    };
+  }
+
+  // Write every matching record to the stream in the given format and end it; returns the number written
+  async writeExport(format, query, output) {
+    const cursor = this.createCursor(query);
+    let count = 0;
+
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+        const sheet = workbook.addWorksheet('Attendance');
+        sheet.columns = COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+
+        for await (const record of cursor) {
+          sheet.addRow(this.toRow(record)).commit();
+          count++;
+        }
+        sheet.commit();
+        await workbook.commit();
+        return count;
+      }
+
+      // pipeline handles backpressure from slow clients and stops reading if they disconnect
+      await pipeline(
+        Readable.from(this.formatLines(format, cursor, () => count++)),
+        output
+      );
+      return count;
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  // CSV or NDJSON text for the records, one line per record
+  async *formatLines(format, cursor, onRecord) {
+    if (format === 'csv') {
+      yield `${COLUMNS.map(column => this.toCsvValue(column.header)).join(',')}\r\n`;
+    }
+
+    for await (const record of cursor) {
+      const row = this.toRow(record);
+      onRecord();
+      yield format === 'csv'
+        ? `${COLUMNS.map(column => this.toCsvValue(row[column.key])).join(',')}\r\n`
+        : `${JSON.stringify(row)}\n`;
+    }
+  }
+
+  toCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Queue an export to run in the background; the requester is notified when it is ready
+  async createJob(format, filters, userId) {
+    const job = await ExportJob.create({
+      format,
+      filters,
+      requestedBy: userId
+    });
+
+    setImmediate(() => {
+      this.runJob(job._id).catch(error => {
+        logger.error('Export job crashed', error, { exportJobId: job._id });
+      });
+    });
+
+    return job;
+  }
+
+  async runJob(jobId) {
+    const job = await ExportJob.findById(jobId);
+    if (!job || job.status !== 'queued') {
+      return;
+    }
+
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    const fileName = this.getFileName(job.format);
+    const filePath = path.join(this.exportDir, `${job._id}.${FORMATS[job.format].extension}`);
+
+    try {
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      const query = await this.buildQuery(job.filters);
+      const output = fs.createWriteStream(filePath);
+      const finished = once(output, 'finish');
+      const count = await this.writeExport(job.format, query, output);
+      await finished;
+
+      job.set({
+        status: 'completed',
+        recordCount: count,
+        fileName,
+        filePath,
+        completedAt: new Date(),
+        expiresAt: moment().add(this.retentionHours, 'hours').toDate()
+      });
+      await job.save();
+
+      logger.info('Export job completed', { exportJobId: job._id, format: job.format, recordCount: count });
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      job.set({ status: 'failed', error: error.message, completedAt: new Date() });
+      await job.save();
+      logger.error('Export job failed', error, { exportJobId: job._id });
+    }
+
+    await this.notifyRequester(job);
+  }
+
+  notifyRequester(job) {
+    const completed = job.status === 'completed';
+    return notificationService.sendNotification(job.requestedBy, {
+      type: 'general',
+      title: completed ? 'Attendance export ready' : 'Attendance export failed',
+      message: completed
+        ? `Your ${job.format.toUpperCase()} export of ${job.recordCount} records is ready to download for the next ${this.retentionHours} hours.`
+        : `Your ${job.format.toUpperCase()} export could not be generated: ${job.error}`,
+      priority: completed ? 'medium' : 'high',
+      category: 'attendance',
+      actionUrl: '/attendance',
+      actionLabel: completed ? 'Download' : 'View exports',
+      data: { exportJobId: job._id }
+    }).catch(error => {
+      logger.error('Failed to notify export requester', error, { exportJobId: job._id });
+    });
+  }
+
+  // Delete the files of expired exports
+  async cleanupExpiredJobs() {
+    const jobs = await ExportJob.find({
+      status: 'completed',
+      expiresAt: { $lte: new Date() },
+      filePath: { $ne: null }
+    }).select('+filePath');
+
+    for (const job of jobs) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+      job.filePath = undefined;
+      await job.save();
+    }
+
+    return jobs.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new ExportService();
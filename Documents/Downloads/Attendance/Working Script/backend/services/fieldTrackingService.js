@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const LocationPing = require('../models/LocationPing');
+const User = require('../models/User');
+const WorkSite = require('../models/WorkSite');
+const locationService = require('./locationService');
+const notificationService = require('./notificationService');
+const punchService = require('./punchService');
+const reviewService = require('./reviewService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { DEFAULT_TIMEZONE, parseDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Bump when the notice text changes materially, so employees are asked to agree again
+const NOTICE_VERSION = '1';
+
+// Pings may arrive a little ahead of server time from devices with a fast clock
+const MAX_CLOCK_AHEAD_MINUTES = 5;
+
+// A device that stops sending is reported once it has missed this many pings (or idle minutes, if longer)
+const SILENT_AFTER_MISSED_PINGS = 3;
+
+const ALERTS = {
+  out_of_area: { title: 'Out of Service Area', priority: 'high' },
+  idle: { title: 'Idle', priority: 'medium' },
+  silent: { title: 'No Location Updates', priority: 'medium' }
+};
+
+// Field shifts: employees who have agreed to the location notice share their position every few minutes
+// while clocked in. Pings are kept in their own collection for a limited time. Managers see the day's route
+// and are alerted when someone stays put too long, leaves the shift's service areas or stops sending.
+class FieldTrackingService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.FIELD_PING_RETENTION_DAYS, 10) || 30;
+  }
+
+  getNotice() {
+    return {
+      version: NOTICE_VERSION,
+      retentionDays: this.retentionDays,
+      text: 'While you are clocked in on a field shift, your location is shared with your manager every few minutes. ' +
+        'Sharing stops when you clock out. Your manager can see your route for the day and is alerted if you stay in ' +
+        'one place for a long time, leave your service area or stop sending updates. ' +
+        `Location updates are deleted after ${this.retentionDays} days. You can withdraw your consent at any time.`
+    };
+  }
+
+  // Field tracking settings of a shift, with the schema defaults for shifts saved before they existed
+  getSettings(shift) {
+    const settings = shift?.fieldTracking || {};
+    return {
+      enabled: Boolean(settings.enabled),
+      pingIntervalMinutes: settings.pingIntervalMinutes || 10,
+      idleMinutes: settings.idleMinutes ?? 45,
+      idleRadiusMeters: settings.idleRadiusMeters || 200,
+      serviceAreas: settings.serviceAreas || []
+    };
+  }
+
+  hasConsent(employee) {
+    const consent = employee.fieldTrackingConsent;
+    return Boolean(consent?.granted && consent.noticeVersion === NOTICE_VERSION);
+  }
+
+  getServiceAreas(settings) {
+    return settings.serviceAreas.length
+      ? WorkSite.find({ _id: { $in: settings.serviceAreas }, isActive: true })
+      : [];
+  }
+
+  // Start of the open session; state left from an earlier session the same day doesn't carry over
+  getSessionStart(attendanceLog) {
+    const openSession = attendanceLog.sessions?.[attendanceLog.sessions.length - 1];
+    return openSession?.clockIn || attendanceLog.clockIn?.time;
+  }
+
+  // Whether the employee should be sharing their location now, and the notice they must agree to
+  async getStatus(employee) {
+    const openLog = await punchService.findOpenAttendance(employee._id);
+    const shift = openLog?.shift || await punchService.getEmployeeShift(employee);
+    const settings = this.getSettings(shift);
+    const consented = this.hasConsent(employee);
+
+    return {
+      enabled: settings.enabled,
+      consented,
+      consent: employee.fieldTrackingConsent || null,
+      notice: this.getNotice(),
+      clockedIn: Boolean(openLog),
+      active: settings.enabled && consented && Boolean(openLog),
+      pingIntervalMinutes: settings.pingIntervalMinutes,
+      lastPingAt: openLog?.fieldTracking?.lastPingAt || null
+    };
+  }
+
+  // Agree to the current notice, or withdraw consent
+  async setConsent(employee, { granted, noticeVersion }) {
+    if (typeof granted !== 'boolean') {
+      throw new AppError('Granted must be true or false', 400);
+    }
+    if (granted && noticeVersion !== NOTICE_VERSION) {
+      throw new AppError('The location notice has changed. Read it again before agreeing.', 409);
+    }
+
+    const previous = employee.fieldTrackingConsent || {};
+    employee.fieldTrackingConsent = granted
+      ? { granted: true, noticeVersion, grantedAt: new Date() }
+      : { granted: false, noticeVersion: previous.noticeVersion, grantedAt: previous.grantedAt, withdrawnAt: new Date() };
+    await employee.save();
+
+    logger.info(granted ? 'Field tracking consent granted' : 'Field tracking consent withdrawn', {
+      employeeId: employee._id,
+      noticeVersion
+    });
+    return employee.fieldTrackingConsent;
+  }
+
+  // Store a ping for the employee's open session and raise any alerts it triggers
+  async recordPing(employee, { latitude, longitude, accuracy, speed, recordedAt }, receivedAt = new Date()) {
+    const position = { latitude: Number(latitude), longitude: Number(longitude) };
+    if (!locationService.isValidCoordinate(position.latitude, position.longitude)) {
+      throw new AppError('Valid location coordinates are required', 400);
+    }
+
+    const openLog = await punchService.findOpenAttendance(employee._id);
+    if (!openLog) {
+      throw new AppError('You are not clocked in', 400);
+    }
+
+    const settings = this.getSettings(openLog.shift);
+    if (!settings.enabled) {
+      throw new AppError('Location sharing is not enabled for your shift', 403);
+    }
+    if (!this.hasConsent(employee)) {
+      throw new AppError('Agree to the location notice before sharing your location', 403);
+    }
+
+    const time = recordedAt ? new Date(recordedAt) : receivedAt;
+    if (isNaN(time)) {
+      throw new AppError('Recorded time must be a valid timestamp', 400);
+    }
+    if (moment(time).isAfter(moment(receivedAt).add(MAX_CLOCK_AHEAD_MINUTES, 'minutes'))) {
+      throw new AppError('Recorded time is in the future', 400);
+    }
+    if (time < this.getSessionStart(openLog)) {
+      throw new AppError('Recorded time is before you clocked in', 400);
+    }
+
+    const areas = await this.getServiceAreas(settings);
+    const area = areas.find(site => locationService.isWithinBoundary(position.latitude, position.longitude, site.boundary).withinFence);
+
+    const ping = await LocationPing.create({
+      employee: employee._id,
+      attendanceLog: openLog._id,
+      date: openLog.date,
+      recordedAt: time,
+      receivedAt,
+      ...position,
+      accuracy: accuracy !== undefined && accuracy !== '' ? Number(accuracy) : undefined,
+      speed: speed !== undefined && speed !== '' ? Number(speed) : undefined,
+      outOfArea: areas.length > 0 && !area,
+      site: area?._id,
+      expiresAt: moment(time).add(this.retentionDays, 'days').toDate()
+    });
+
+    // A ping older than the latest one (e.g. queued on the device) is kept for the route but doesn't move the state
+    const lastPingAt = openLog.fieldTracking?.lastPingAt;
+    if (!lastPingAt || time >= lastPingAt) {
+      await this.updateState(openLog, employee, ping, settings);
+    }
+
+    return ping;
+  }
+
+  // Track the session's area and idle state from its newest ping, alerting on the way into either
+  async updateState(attendanceLog, employee, ping, settings) {
+    const stored = attendanceLog.fieldTracking || {};
+    const state = stored.lastPingAt && stored.lastPingAt >= this.getSessionStart(attendanceLog) ? stored : {};
+    const update = {
+      'fieldTracking.lastPingAt': ping.recordedAt,
+      'fieldTracking.outOfArea': ping.outOfArea,
+      'fieldTracking.silentAlertedAt': null
+    };
+    const alerts = [];
+
+    if (ping.outOfArea && !state.outOfArea) {
+      alerts.push({ kind: 'out_of_area', since: ping.recordedAt });
+    }
+
+    // Fixes less precise than the idle radius can't tell movement from noise, so they leave the anchor alone
+    const anchor = state.anchor?.since ? state.anchor : null;
+    const precise = !ping.accuracy || ping.accuracy <= settings.idleRadiusMeters;
+    const moved = !anchor || (precise && locationService.calculateDistance(
+      anchor.latitude, anchor.longitude, ping.latitude, ping.longitude
+    ) > settings.idleRadiusMeters);
+
+    if (moved) {
+      update['fieldTracking.anchor'] = { latitude: ping.latitude, longitude: ping.longitude, since: ping.recordedAt };
+      update['fieldTracking.idleAlertedAt'] = null;
+    } else if (
+      settings.idleMinutes &&
+      !state.idleAlertedAt &&
+      moment(ping.recordedAt).diff(anchor.since, 'minutes', true) >= settings.idleMinutes
+    ) {
+      alerts.push({ kind: 'idle', since: anchor.since });
+      update['fieldTracking.idleAlertedAt'] = ping.recordedAt;
+    }
+
+    await AttendanceLog.updateOne({ _id: attendanceLog._id }, { $set: update });
+
+    for (const alert of alerts) {
+      try {
+        await this.notifyManagers(employee, attendanceLog, { ...alert, ping, settings });
+      } catch (error) {
+        logger.error('Failed to send field tracking alert', error, { attendanceId: attendanceLog._id, alert: alert.kind });
+      }
+    }
+  }
+
+  // Report open field sessions whose device has stopped sending pings
+  async checkSilentSessions(now = new Date()) {
+    const openLogs = await AttendanceLog.find({
+      'clockIn.time': { $exists: true },
+      'clockOut.time': { $exists: false },
+      'fieldTracking.lastPingAt': { $exists: true },
+      'fieldTracking.silentAlertedAt': null
+    })
+      .populate('shift')
+      .populate('employee', 'userId employeeId manager fieldTrackingConsent');
+
+    let alerted = 0;
+
+    for (const attendanceLog of openLogs) {
+      const settings = this.getSettings(attendanceLog.shift);
+      // Nothing is expected from employees who withdrew consent
+      if (!settings.enabled || !settings.idleMinutes || !attendanceLog.employee || !this.hasConsent(attendanceLog.employee)) {
+        continue;
+      }
+
+      const since = moment.max(
+        moment(attendanceLog.fieldTracking.lastPingAt),
+        moment(this.getSessionStart(attendanceLog))
+      );
+      const limit = Math.max(settings.idleMinutes, settings.pingIntervalMinutes * SILENT_AFTER_MISSED_PINGS);
+      if (moment(now).diff(since, 'minutes', true) < limit) {
+        continue;
+      }
+
+      try {
+        await this.notifyManagers(attendanceLog.employee, attendanceLog, { kind: 'silent', since: since.toDate(), settings });
+        await AttendanceLog.updateOne({ _id: attendanceLog._id }, { $set: { 'fieldTracking.silentAlertedAt': now } });
+        alerted++;
+      } catch (error) {
+        logger.error('Failed to send field tracking alert', error, { attendanceId: attendanceLog._id, alert: 'silent' });
+      }
+    }
+
+    if (alerted > 0) {
+      logger.info('Silent field sessions reported', { alerted });
+    }
+    return alerted;
+  }
+
+  // The employee's manager, or the admins when no manager is assigned
+  async notifyManagers(employee, attendanceLog, { kind, since, ping, settings }) {
+    const recipients = await reviewService.getReviewers(employee);
+
+    const account = await User.findById(employee.userId).select('firstName lastName');
+    const name = account ? `${account.firstName} ${account.lastName}` : employee.employeeId;
+    const localTime = moment.tz(since, attendanceLog.timezone || DEFAULT_TIMEZONE).format('HH:mm');
+    const messages = {
+      out_of_area: `${name} left the service area at ${localTime}`,
+      idle: `${name} has stayed within ${settings.idleRadiusMeters} m of the same place since ${localTime}`,
+      silent: `No location has been received from ${name} since ${localTime}`
+    };
+    const date = formatDateOnly(attendanceLog.date);
+
+    await notificationService.sendNotification(recipients, {
+      type: 'field_tracking_alert',
+      title: `Field Alert - ${ALERTS[kind].title}`,
+      message: messages[kind],
+      priority: ALERTS[kind].priority,
+      category: 'attendance',
+      actionRequired: true,
+      actionUrl: `/field-tracking?employee=${employee._id}&date=${date}`,
+      actionLabel: 'View route',
+      data: {
+        attendanceId: attendanceLog._id,
+        employeeId: employee._id,
+        alert: kind,
+        since,
+        latitude: ping?.latitude,
+        longitude: ping?.longitude
+      },
+      relatedEntity: {
+        entityType: 'AttendanceLog',
+        entityId: attendanceLog._id
+      }
+    });
+  }
+
+  // Stretches where consecutive pings stayed within the idle radius for at least the idle time
+  findIdleStretches(pings, settings) {
+    if (!settings.idleMinutes) {
+      return [];
+    }
+
+    const stretches = [];
+    let anchor = null;
+    let last = null;
+    const close = () => {
+      if (anchor && last && moment(last.recordedAt).diff(anchor.recordedAt, 'minutes', true) >= settings.idleMinutes) {
+        stretches.push({
+          from: anchor.recordedAt,
+          to: last.recordedAt,
+          minutes: Math.round(moment(last.recordedAt).diff(anchor.recordedAt, 'minutes', true)),
+          latitude: anchor.latitude,
+          longitude: anchor.longitude
+        });
+      }
+    };
+
+    pings.forEach(ping => {
+      if (ping.accuracy && ping.accuracy > settings.idleRadiusMeters) {
+        return;
+      }
+      const moved = !anchor || String(anchor.attendanceLog) !== String(ping.attendanceLog) ||
+        locationService.calculateDistance(anchor.latitude, anchor.longitude, ping.latitude, ping.longitude) > settings.idleRadiusMeters;
+      if (moved) {
+        close();
+        anchor = ping;
+      }
+      last = ping;
+    });
+    close();
+
+    return stretches;
+  }
+
+  // The employee's route on a shift day: pings in order, sessions, idle stretches and service areas
+  async getTimeline(employeeId, dateValue) {
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      throw new AppError('Employee not found', 404);
+    }
+    const date = parseDateOnly(dateValue);
+    if (!dateValue || isNaN(date)) {
+      throw new AppError('Date must be in YYYY-MM-DD format', 400);
+    }
+
+    const employee = await Employee.findById(employeeId)
+      .select('employeeId userId manager department fieldTrackingConsent')
+      .populate('userId', 'firstName lastName')
+      .populate('department', 'name');
+    if (!employee) {
+      throw new AppError('Employee not found', 404);
+    }
+
+    const dayRange = { $gte: date, $lte: moment.utc(date).endOf('day').toDate() };
+    const [attendanceLog, pings] = await Promise.all([
+      AttendanceLog.findOne({ employee: employee._id, date: dayRange }).populate('shift'),
+      LocationPing.find({ employee: employee._id, date: dayRange })
+        .select('-employee -__v -expiresAt')
+        .sort({ recordedAt: 1 })
+        .lean()
+    ]);
+
+    const settings = this.getSettings(attendanceLog?.shift || await punchService.getEmployeeShift(employee));
+    const areas = await this.getServiceAreas(settings);
+
+    let distanceMeters = 0;
+    for (let i = 1; i < pings.length; i++) {
+      if (String(pings[i].attendanceLog) === String(pings[i - 1].attendanceLog)) {
+        distanceMeters += locationService.calculateDistance(
+          pings[i - 1].latitude, pings[i - 1].longitude, pings[i].latitude, pings[i].longitude
+        );
+      }
+    }
+
+    const idleStretches = this.findIdleStretches(pings, settings);
+
+    return {
+      employee: {
+        _id: employee._id,
+        employeeId: employee.employeeId,
+        name: employee.fullName || employee.employeeId,
+        department: employee.department ? { _id: employee.department._id, name: employee.department.name } : null,
+        consented: this.hasConsent(employee)
+      },
+      date: formatDateOnly(date),
+      timezone: attendanceLog?.timezone || DEFAULT_TIMEZONE,
+      settings: {
+        enabled: settings.enabled,
+        pingIntervalMinutes: settings.pingIntervalMinutes,
+        idleMinutes: settings.idleMinutes,
+        idleRadiusMeters: settings.idleRadiusMeters
+      },
+      sessions: (attendanceLog?.sessions || []).map(session => ({
+        clockIn: session.clockIn,
+        clockOut: session.clockOut || null
+      })),
+      serviceAreas: areas.map(site => ({
+        _id: site._id,
+        name: site.name,
+        boundary: site.boundary,
+        centroid: site.centroid
+      })),
+      pings,
+      idleStretches,
+      summary: {
+        pings: pings.length,
+        outOfArea: pings.filter(ping => ping.outOfArea).length,
+        distanceKm: Math.round(distanceMeters / 10) / 100,
+        idleMinutes: idleStretches.reduce((total, stretch) => total + stretch.minutes, 0),
+        firstPingAt: pings[0]?.recordedAt || null,
+        lastPingAt: pings[pings.length - 1]?.recordedAt || null
+      }
+    };
+  }
+
+  // Employees who shared their location on a shift day, limited to the given IDs unless null
+  async getTrackedEmployees(employeeIds, dateValue) {
+    const date = parseDateOnly(dateValue);
+    if (!dateValue || isNaN(date)) {
+      throw new AppError('Date must be in YYYY-MM-DD format', 400);
+    }
+
+    const match = { date: { $gte: date, $lte: moment.utc(date).endOf('day').toDate() } };
+    if (employeeIds) {
+      match.employee = { $in: employeeIds };
+    }
+
+    const groups = await LocationPing.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$employee',
+          pings: { $sum: 1 },
+          outOfArea: { $sum: { $cond: ['$outOfArea', 1, 0] } },
+          firstPingAt: { $min: '$recordedAt' },
+          lastPingAt: { $max: '$recordedAt' }
+        }
+      }
+    ]);
+
+    const profiles = await Employee.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('employeeId userId')
+      .populate('userId', 'firstName lastName');
+    const byId = new Map(profiles.map(profile => [String(profile._id), profile]));
+
+    return groups
+      .map(group => {
+        const profile = byId.get(String(group._id));
+        return {
+          employee: group._id,
+          employeeId: profile?.employeeId,
+          name: profile?.fullName || profile?.employeeId,
+          pings: group.pings,
+          outOfArea: group.outOfArea,
+          firstPingAt: group.firstPingAt,
+          lastPingAt: group.lastPingAt
+        };
+      })
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+}
+
+// Export singleton instance
+module.exports = new FieldTrackingService();
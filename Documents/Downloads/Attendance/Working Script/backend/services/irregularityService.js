@@ -0,0 +1,240 @@
+const Punch = require('../models/Punch');
+const locationService = require('./locationService');
+const notificationService = require('./notificationService');
+const { logger } = require('../utils/logger');
+
+// Looks for signs that a punch was not made by the employee in person: one device or network
+// punching for several people (buddy punching), travel faster than is possible between punches,
+// a run of weak face matches, and GPS positions replayed unchanged from earlier days
+class IrregularityService {
+  constructor() {
+    this.sharedDeviceWindowMinutes = parseInt(process.env.IRREGULARITY_SHARED_DEVICE_WINDOW_MINUTES, 10) || 10;
+    // Offices share one public IP, so an address is only suspicious when many employees use it at once
+    this.sharedIpMinEmployees = parseInt(process.env.IRREGULARITY_SHARED_IP_MIN_EMPLOYEES, 10) || 3;
+    this.maxTravelSpeedKmh = parseFloat(process.env.IRREGULARITY_MAX_TRAVEL_SPEED_KMH) || 250;
+    // Below this distance GPS drift dominates and speeds are meaningless
+    this.minTravelDistanceMeters = 1000;
+    this.lowConfidenceThreshold = parseFloat(process.env.IRREGULARITY_LOW_BIOMETRIC_CONFIDENCE) || 0.85;
+    this.lowConfidenceMinCount = parseInt(process.env.IRREGULARITY_LOW_BIOMETRIC_COUNT, 10) || 3;
+    this.lowConfidenceLookbackDays = parseInt(process.env.IRREGULARITY_LOW_BIOMETRIC_DAYS, 10) || 14;
+    // Real fixes jitter between punches; the exact same coordinates on this many days points to a spoofing app
+    this.repeatedCoordinateMinDays = parseInt(process.env.IRREGULARITY_REPEATED_COORDINATE_DAYS, 10) || 2;
+    this.repeatedCoordinateLookbackDays = 30;
+  }
+
+  // Run every check against a punch that was just saved, record the findings on the log and alert
+  // managers. Detection problems are logged rather than thrown so they never block a punch.
+  async reviewPunch(attendanceLog, employee, record, preflagged = []) {
+    const punch = record.type === 'out' ? 'clock_out' : 'clock_in';
+    let findings = [];
+
+    try {
+      const checks = await Promise.all([
+        this.checkSharedDevice(record),
+        this.checkImpossibleTravel(record),
+        this.checkLowBiometricConfidence(record),
+        this.checkRepeatedCoordinates(record)
+      ]);
+      findings = checks.flat().map(finding => ({ ...finding, punch }));
+
+      if (findings.length > 0) {
+        attendanceLog.irregularities.push(...findings);
+        await attendanceLog.save();
+      }
+    } catch (error) {
+      logger.error('Irregularity detection failed', error, {
+        attendanceId: attendanceLog._id,
+        punch
+      });
+    }
+
+    const alerts = [...preflagged.map(item => ({ ...item, punch })), ...findings];
+    if (alerts.length > 0) {
+      this.alertManagers(attendanceLog, employee, alerts);
+    }
+
+    return findings;
+  }
+
+  // Other employees punching from the same device, or in numbers from the same IP, within minutes
+  async checkSharedDevice(record) {
+    const { deviceInfo } = record;
+
+    // Kiosks are shared by design and identify each employee themselves
+    if (!deviceInfo || deviceInfo.deviceType === 'kiosk') {
+      return [];
+    }
+
+    const windowMs = this.sharedDeviceWindowMinutes * 60 * 1000;
+    const from = new Date(record.time.getTime() - windowMs);
+    const to = new Date(record.time.getTime() + windowMs);
+    const findings = [];
+
+    // Every punch counts, not only a day's first clock in and last clock out
+    const findNearbyPunches = (field, value) => Punch.find({
+      employee: { $ne: record.employee },
+      [`deviceInfo.${field}`]: value,
+      time: { $gte: from, $lte: to },
+      'voided.at': { $exists: false }
+    }).select('employee attendanceLog');
+
+    if (deviceInfo.deviceId) {
+      const sameDevice = await findNearbyPunches('deviceId', deviceInfo.deviceId);
+      if (sameDevice.length > 0) {
+        findings.push({
+          type: 'multiple_entries',
+          description: `Same device used to punch for ${this.countEmployees(sameDevice)} other employee(s) within ${this.sharedDeviceWindowMinutes} minutes`,
+          severity: 'high',
+          relatedAttendance: this.relatedLogs(sameDevice)
+        });
+      }
+    }
+
+    if (deviceInfo.ipAddress) {
+      const sameIp = await findNearbyPunches('ipAddress', deviceInfo.ipAddress);
+      const otherEmployees = this.countEmployees(sameIp);
+      if (otherEmployees + 1 >= this.sharedIpMinEmployees) {
+        findings.push({
+          type: 'multiple_entries',
+          description: `${otherEmployees + 1} employees punched from IP ${deviceInfo.ipAddress} within ${this.sharedDeviceWindowMinutes} minutes`,
+          severity: 'medium',
+          relatedAttendance: this.relatedLogs(sameIp)
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  // Distance from the employee's previous punch that could not have been covered in the time between
+  async checkImpossibleTravel(current) {
+    if (!this.hasCoordinates(current.location)) {
+      return [];
+    }
+
+    const previous = await this.findPreviousPunch(current);
+    if (!previous || !this.hasCoordinates(previous.location)) {
+      return [];
+    }
+
+    const meters = locationService.calculateDistance(
+      previous.location.latitude,
+      previous.location.longitude,
+      current.location.latitude,
+      current.location.longitude
+    );
+    if (meters < this.minTravelDistanceMeters) {
+      return [];
+    }
+
+    const hours = Math.abs(current.time - previous.time) / (1000 * 60 * 60);
+    const km = meters / 1000;
+    const speedKmh = hours > 0 ? km / hours : Infinity;
+    if (speedKmh <= this.maxTravelSpeedKmh) {
+      return [];
+    }
+
+    return [{
+      type: 'location_mismatch',
+      description: `Moved ${km.toFixed(1)} km in ${Math.round(hours * 60)} minutes since the previous punch (${Number.isFinite(speedKmh) ? Math.round(speedKmh) : 'instant'} km/h)`,
+      severity: 'high'
+    }];
+  }
+
+  // A run of face matches that passed, but only just
+  async checkLowBiometricConfidence(record) {
+    const confidence = record.biometric?.confidence;
+    if (typeof confidence !== 'number' || confidence >= this.lowConfidenceThreshold) {
+      return [];
+    }
+
+    const since = new Date(Date.now() - this.lowConfidenceLookbackDays * 24 * 60 * 60 * 1000);
+    const count = await Punch.countDocuments({
+      employee: record.employee,
+      time: { $gte: since },
+      'biometric.confidence': { $lt: this.lowConfidenceThreshold },
+      'voided.at': { $exists: false }
+    });
+    if (count < this.lowConfidenceMinCount) {
+      return [];
+    }
+
+    return [{
+      type: 'biometric_failed',
+      description: `${count} low-confidence face matches in the last ${this.lowConfidenceLookbackDays} days (latest ${Math.round(confidence * 100)}%)`,
+      severity: count >= this.lowConfidenceMinCount * 2 ? 'high' : 'medium'
+    }];
+  }
+
+  // GPS coordinates identical, to the last digit, to punches on other days
+  async checkRepeatedCoordinates(record) {
+    const { location } = record;
+    // QR and kiosk punches record the site's fixed position, so repeats are expected there
+    if (location?.source !== 'gps' || !this.hasCoordinates(location)) {
+      return [];
+    }
+
+    const since = new Date(Date.now() - this.repeatedCoordinateLookbackDays * 24 * 60 * 60 * 1000);
+    const punches = await Punch.find({
+      employee: record.employee,
+      _id: { $ne: record._id },
+      time: { $gte: since },
+      'location.source': 'gps',
+      'location.latitude': location.latitude,
+      'location.longitude': location.longitude,
+      'voided.at': { $exists: false }
+    }).select('date');
+
+    const days = new Set(punches.map(item => item.date.toISOString().slice(0, 10)));
+    days.delete(record.date.toISOString().slice(0, 10));
+    if (days.size + 1 < this.repeatedCoordinateMinDays) {
+      return [];
+    }
+
+    return [{
+      type: 'location_mismatch',
+      description: `Exact same GPS coordinates (${location.latitude}, ${location.longitude}) reported on ${days.size + 1} different days`,
+      severity: 'medium'
+    }];
+  }
+
+  // The employee's last punch before this one, from any session or day
+  findPreviousPunch(record) {
+    return Punch.findOne({
+      employee: record.employee,
+      _id: { $ne: record._id },
+      time: { $lt: record.time },
+      'voided.at': { $exists: false }
+    })
+      .sort({ time: -1 })
+      .select('time location');
+  }
+
+  // Tell the employee's manager and the admins about new findings
+  alertManagers(attendanceLog, employee, findings) {
+    findings.forEach((finding) => {
+      notificationService.sendAttendanceAlert(employee, finding.type, {
+        description: finding.description,
+        severity: finding.severity,
+        attendanceId: attendanceLog._id,
+        punch: finding.punch
+      });
+    });
+  }
+
+  hasCoordinates(location) {
+    return locationService.isValidCoordinate(location?.latitude, location?.longitude);
+  }
+
+  countEmployees(punches) {
+    return new Set(punches.map(item => item.employee.toString())).size;
+  }
+
+  // Daily logs the matching punches were paired into
+  relatedLogs(punches) {
+    return [...new Set(punches.map(item => item.attendanceLog?.toString()).filter(Boolean))];
+  }
+}
+
+// Export singleton instance
+module.exports = new IrregularityService();
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Project = require('../models/Project');
+const exportService = require('./exportService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { parseDateOnly, formatDateOnly, getWeekRange } = require('../utils/timezone');
+
+const PERIODS = ['day', 'week', 'month'];
+
+// Reports are built in memory, so one covers a bounded range like the attendance analytics
+const MAX_REPORT_DAYS = 400;
+
+const REPORT_COLUMNS = [
+  { key: 'period', header: 'Period' },
+  { key: 'projectCode', header: 'Project Code' },
+  { key: 'projectName', header: 'Project' },
+  { key: 'client', header: 'Client' },
+  { key: 'costCenter', header: 'Cost Center' },
+  { key: 'employeeId', header: 'Employee ID' },
+  { key: 'employeeName', header: 'Employee Name' },
+  { key: 'hours', header: 'Hours' }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Job time allocation: employees clock into a project and may switch projects during the day.
+// Each stretch of work becomes a job segment on the day's attendance log; reports total them per project.
+class JobService {
+  // An active project to clock time against
+  async resolveProject(projectId) {
+    const project = mongoose.Types.ObjectId.isValid(projectId)
+      ? await Project.findOne({ _id: projectId, isActive: true })
+      : null;
+    if (!project) {
+      throw new AppError('Select an active project to clock your time against', 400);
+    }
+    return project;
+  }
+
+  // The project for a clock in, or null when none was picked and the shift doesn't ask for one
+  async resolveClockInProject(shift, projectId) {
+    if (!projectId) {
+      if (shift?.jobRequired) {
+        throw new AppError('Your shift requires you to pick the project you are working on', 400);
+      }
+      return null;
+    }
+    return this.resolveProject(projectId);
+  }
+
+  startSegment(attendanceLog, project, time) {
+    attendanceLog.jobSegments.push({
+      project: project._id,
+      costCenter: project.costCenter,
+      startTime: time
+    });
+  }
+
+  getOpenSegment(attendanceLog) {
+    return attendanceLog.jobSegments.find(segment => !segment.endTime) || null;
+  }
+
+  // Close the current project and start another on the employee's open session
+  async switchJob(attendanceLog, projectId, time = new Date()) {
+    const project = await this.resolveProject(projectId);
+
+    const current = this.getOpenSegment(attendanceLog);
+    if (current?.project.equals(project._id)) {
+      throw new AppError(`You are already working on ${project.name}`, 400);
+    }
+    if (current) {
+      current.endTime = time;
+    }
+
+    this.startSegment(attendanceLog, project, time);
+    await attendanceLog.save();
+
+    logger.info('Job switched', {
+      employeeId: attendanceLog.employee,
+      attendanceId: attendanceLog._id,
+      projectId: project._id
+    });
+
+    return attendanceLog;
+  }
+
+  // Hours worked in a segment, leaving out any breaks taken during it
+  getSegmentHours(segment, breaks = [], now = new Date()) {
+    const start = new Date(segment.startTime);
+    const end = new Date(segment.endTime || now);
+
+    const breakMs = breaks.reduce((total, breakItem) => {
+      const overlapStart = Math.max(start, new Date(breakItem.startTime));
+      const overlapEnd = Math.min(end, new Date(breakItem.endTime || now));
+      return total + Math.max(0, overlapEnd - overlapStart);
+    }, 0);
+
+    return Math.max(0, end - start - breakMs) / (1000 * 60 * 60);
+  }
+
+  // The reporting period an attendance day falls in
+  getPeriodKey(date, period) {
+    if (period === 'day') {
+      return formatDateOnly(date);
+    }
+    if (period === 'week') {
+      return formatDateOnly(getWeekRange(date).start);
+    }
+    return moment.utc(date).format('YYYY-MM');
+  }
+
+  // Hours per project, employee and period for the filters, sorted by period, project and employee
+  async getHoursReport({ startDate, endDate, project, costCenter, employee, period = 'week' } = {}) {
+    if (!PERIODS.includes(period)) {
+      throw new AppError(`Period must be one of: ${PERIODS.join(', ')}`, 400);
+    }
+
+    if ([project, costCenter, employee].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError('Project, cost center and employee filters must be IDs', 400);
+    }
+
+    if (!startDate || !endDate) {
+      throw new AppError('Start date and end date are required', 400);
+    }
+    const start = parseDateOnly(startDate);
+    const end = parseDateOnly(endDate);
+    if (isNaN(start) || isNaN(end)) {
+      throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+    }
+    if (end < start) {
+      throw new AppError('End date must be on or after the start date', 400);
+    }
+    if (moment.utc(end).diff(start, 'days') > MAX_REPORT_DAYS) {
+      throw new AppError(`Project hours reports cover at most ${MAX_REPORT_DAYS} days at a time`, 400);
+    }
+
+    const query = {
+      date: { $gte: start, $lte: end },
+      'jobSegments.0': { $exists: true }
+    };
+    if (employee) {
+      query.employee = employee;
+    }
+    if (project) {
+      query['jobSegments.project'] = project;
+    }
+
+    const logs = await AttendanceLog.find(query)
+      .select('employee date breaks jobSegments')
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .populate({
+        path: 'jobSegments.project',
+        select: 'code name client'
+      })
+      .populate({
+        path: 'jobSegments.costCenter',
+        select: 'code name'
+      })
+      .lean();
+
+    const rows = new Map();
+    for (const log of logs) {
+      for (const segment of log.jobSegments) {
+        if (project && String(segment.project?._id) !== String(project)) continue;
+        if (costCenter && String(segment.costCenter?._id) !== String(costCenter)) continue;
+
+        const periodKey = this.getPeriodKey(log.date, period);
+        const key = `${periodKey}|${segment.project?._id}|${log.employee?._id}`;
+        if (!rows.has(key)) {
+          const user = log.employee?.userId;
+          rows.set(key, {
+            period: periodKey,
+            projectCode: segment.project?.code || '',
+            projectName: segment.project?.name || '',
+            client: segment.project?.client || '',
+            costCenter: segment.costCenter ? `${segment.costCenter.code} ${segment.costCenter.name}` : '',
+            employeeId: log.employee?.employeeId || '',
+            employeeName: user ? `${user.firstName} ${user.lastName}` : '',
+            hours: 0
+          });
+        }
+        rows.get(key).hours += this.getSegmentHours(segment, log.breaks);
+      }
+    }
+
+    return [...rows.values()]
+      .map(row => ({ ...row, hours: round(row.hours) }))
+      .sort((a, b) => (
+        a.period.localeCompare(b.period)
+        || a.projectCode.localeCompare(b.projectCode)
+        || a.employeeName.localeCompare(b.employeeName)
+      ));
+  }
+
+  toCsv(rows) {
+    const lines = [REPORT_COLUMNS.map(column => exportService.toCsvValue(column.header)).join(',')];
+    rows.forEach(row => {
+      lines.push(REPORT_COLUMNS.map(column => exportService.toCsvValue(row[column.key])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+}
+
+// Export singleton instance
+module.exports = new JobService();
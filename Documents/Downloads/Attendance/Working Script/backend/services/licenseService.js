@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Employee = require('../models/Employee');
 const AttendanceLog = require('../models/AttendanceLog');
+const License = require('../models/License');
+const WorkSite = require('../models/WorkSite');
 const crypto = require('crypto');
 const moment = require('moment');
 
@@ -39,6 +41,38 @@ const getCurrentUserCount = async () => {
   }
 };
 
+// Get the license currently in force, if one has been installed
+const getActiveLicense = () => {
+  return License.findOne({ status: { $in: ['active', 'trial'] } }).sort({ createdAt: -1 });
+};
+
+// Record the number of active work sites against the license's location usage
+const syncLocationUsage = async (license = null) => {
+  const activeLicense = license || await getActiveLicense();
+  if (!activeLicense) {
+    return null;
+  }
+
+  const currentLocations = await WorkSite.countDocuments({ isActive: true });
+  await activeLicense.updateUsage('currentLocations', currentLocations);
+  return activeLicense;
+};
+
+// Check whether another work site fits within the license's location limit.
+// Installations without a license are not limited.
+const checkLocationLimit = async () => {
+  const license = await syncLocationUsage();
+  if (!license) {
+    return { allowed: true };
+  }
+
+  return {
+    allowed: license.canAddLocation(),
+    current: license.usage.currentLocations,
+    limit: license.limits.maxLocations
+  };
+};
+
 // Get license usage statistics
 const getLicenseUsage = async () => {
   try {
@@ -317,6 +351,9 @@ module.exports = {
   generateLicenseKey,
   validateLicenseKey,
   getCurrentUserCount,
+  getActiveLicense,
+  syncLocationUsage,
+  checkLocationLimit,
   getLicenseUsage,
   getMonthlyUsage,
   getFeatureUsage,
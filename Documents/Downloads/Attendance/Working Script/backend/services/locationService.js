@@ -323,6 +323,78 @@ class LocationService {
     };
   }
 
+  // Check if coordinates are inside a polygon given as [{ latitude, longitude }] (ray casting)
+  isPointInPolygon(latitude, longitude, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const { latitude: yi, longitude: xi } = polygon[i];
+      const { latitude: yj, longitude: xj } = polygon[j];
+
+      const crosses = (yi > latitude) !== (yj > latitude) &&
+        longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+      if (crosses) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  // Distance in meters from a point to the nearest polygon edge. Sites are small enough
+  // to project onto a flat plane around the point.
+  distanceToPolygon(latitude, longitude, polygon) {
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLon = 111320 * Math.cos(this.toRadians(latitude));
+    const project = (point) => ({
+      x: (point.longitude - longitude) * metersPerDegreeLon,
+      y: (point.latitude - latitude) * metersPerDegreeLat
+    });
+
+    let nearest = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = project(polygon[j]);
+      const b = project(polygon[i]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+      nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+
+    return nearest;
+  }
+
+  // Check coordinates against a site boundary: { type: 'circle', center, radius } or { type: 'polygon', polygon }.
+  // edgeDistance is how far inside the boundary the point is, 0 when outside.
+  isWithinBoundary(latitude, longitude, boundary) {
+    if (boundary.type === 'polygon') {
+      const inside = this.isPointInPolygon(latitude, longitude, boundary.polygon);
+      const edge = Math.round(this.distanceToPolygon(latitude, longitude, boundary.polygon));
+      return {
+        withinFence: inside,
+        distance: inside ? 0 : edge,
+        edgeDistance: inside ? edge : 0
+      };
+    }
+
+    const check = this.isWithinGeofence(
+      latitude,
+      longitude,
+      boundary.center.latitude,
+      boundary.center.longitude,
+      boundary.radius || 100
+    );
+    // Report how far outside the fence the point is, so circles and polygons compare alike
+    return {
+      withinFence: check.withinFence,
+      distance: Math.max(0, check.distance - (boundary.radius || 100)),
+      edgeDistance: Math.max(0, (boundary.radius || 100) - check.distance)
+    };
+  }
+
   // Validate coordinates
   isValidCoordinate(latitude, longitude) {
     return (
@@ -613,41 +685,44 @@ class LocationService {
     };
   }
 
-  // Location-based attendance validation
-  async validateAttendanceLocation(userLat, userLon, allowedLocations) {
-    const validationResults = [];
-
-    for (const location of allowedLocations) {
-      const check = this.isWithinGeofence(
-        userLat,
-        userLon,
-        location.coordinates.latitude,
-        location.coordinates.longitude,
-        location.radius || 100
-      );
+  // Location-based attendance validation, against work sites (circle or polygon boundaries)
+  // and legacy shift locations ({ name, coordinates, radius })
+  async validateAttendanceLocation(userLat, userLon, allowedLocations, { includeAddress = true } = {}) {
+    const validationResults = allowedLocations.map((location) => {
+      const boundary = location.boundary || {
+        type: 'circle',
+        center: location.coordinates,
+        radius: location.radius
+      };
+      const check = this.isWithinBoundary(userLat, userLon, boundary);
 
-      validationResults.push({
+      return {
         locationName: location.name,
+        site: location.boundary ? location : undefined,
         withinGeofence: check.withinFence,
         distance: check.distance,
+        edgeDistance: check.edgeDistance,
         allowed: check.withinFence
-      });
-    }
+      };
+    });
 
     // Check if user is within any allowed location
     const isAllowed = validationResults.some(result => result.allowed);
-    const closestLocation = validationResults.reduce((closest, current) => 
-      current.distance < closest.distance ? current : closest
-    );
+    const closestLocation = validationResults.length
+      ? validationResults.reduce((closest, current) =>
+        current.distance < closest.distance ? current : closest
+      )
+      : null;
 
     return {
       allowed: isAllowed,
+      matchedLocation: validationResults.find(result => result.allowed) || null,
       closestLocation,
       allChecks: validationResults,
       userLocation: {
         latitude: userLat,
         longitude: userLon,
-        address: await this.getAddressFromCoordinates(userLat, userLon)
+        address: includeAddress ? await this.getAddressFromCoordinates(userLat, userLon) : undefined
       }
     };
   }
@@ -118,6 +118,9 @@ class NotificationService {
           emailContent = await this.generateLeaveEmail(notification, user);
           break;
         case 'attendance_reminder':
+        case 'attendance_correction_request':
+        case 'attendance_correction_approved':
+        case 'attendance_correction_rejected':
           emailContent = await this.generateAttendanceEmail(notification, user);
           break;
         case 'payroll_generated':
@@ -284,44 +287,54 @@ class NotificationService {
   async sendAttendanceAlert(employee, alertType, details) {
     try {
       const User = require('../models/User');
-      
+      const Employee = require('../models/Employee');
+
+      const profile = await Employee.findById(employee._id)
+        .select('employeeId userId')
+        .populate('userId', 'firstName lastName');
+
       // Get managers and admins
       const managers = await User.find({
         role: { $in: ['admin', 'master_admin'] },
         isActive: true
-      });
+      }).select('_id');
+      const recipients = managers.map(manager => manager._id.toString());
 
       // Add employee's direct manager if exists
       if (employee.manager) {
-        const Employee = require('../models/Employee');
-        const managerEmployee = await Employee.findById(employee.manager).populate('user');
-        if (managerEmployee && managerEmployee.user) {
-          managers.push(managerEmployee.user);
+        const managerEmployee = await Employee.findById(employee.manager).select('userId');
+        if (managerEmployee?.userId) {
+          recipients.push(managerEmployee.userId.toString());
         }
       }
 
-      const alertEmail = emailHelper.generateAttendanceAlertEmail(employee, alertType, details);
+      const employeeName = profile?.userId
+        ? `${profile.userId.firstName} ${profile.userId.lastName}`
+        : employee.employeeId;
 
       // Send to all managers
-      for (const manager of managers) {
-        await this.sendNotification(manager._id, {
+      for (const recipient of new Set(recipients)) {
+        await this.sendNotification(recipient, {
           type: 'irregular_attendance',
-          title: `Attendance Alert - ${employee.user.firstName} ${employee.user.lastName}`,
+          title: `Attendance Alert - ${employeeName}`,
           message: `${alertType.toUpperCase()}: ${details.description}`,
-          priority: 'high',
+          priority: details.severity || 'high',
           category: 'attendance',
+          actionRequired: true,
+          actionUrl: '/irregularities',
+          actionLabel: 'Review',
           data: {
             employeeId: employee._id,
             alertType,
             details
           },
           relatedEntity: {
-            entityType: 'Employee',
-            entityId: employee._id
+            entityType: details.attendanceId ? 'AttendanceLog' : 'Employee',
+            entityId: details.attendanceId || employee._id
           }
         }, {
           inApp: { enabled: true },
-          email: { enabled: true },
+          email: { enabled: this.emailEnabled },
           sms: { enabled: false },
           push: { enabled: false }
         });
@@ -579,6 +592,10 @@ class NotificationService {
       'payroll_generated',
       'license_expiring',
       'irregular_attendance',
+      'absence_threshold',
+      'attendance_correction_request',
+      'attendance_correction_approved',
+      'attendance_correction_rejected',
       'system_maintenance'
     ];
 
@@ -0,0 +1,214 @@
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const Shift = require('../models/Shift');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { parseDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// How far ahead overtime can be requested, and how long after the day it can still be claimed
+const MAX_DAYS_AHEAD = 60;
+const MAX_DAYS_BACK = 45;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Overtime pre-approval: the attendance log records the hours worked past the shift, but only hours approved
+// on an overtime request are paid, capped per day by the shift's overtime rules. The rest is reported as
+// unapproved so a manager can still approve it after the fact.
+class OvertimeService {
+  // Validate a new request and check the day doesn't already have one pending or approved
+  async create(employee, { date, hours, reason }, createdBy, today) {
+    const day = parseDateOnly(date);
+    if (!date || isNaN(day)) {
+      throw new AppError('Date must be in YYYY-MM-DD format', 400);
+    }
+    if (moment.utc(day).diff(today, 'days') > MAX_DAYS_AHEAD) {
+      throw new AppError(`Overtime can be requested at most ${MAX_DAYS_AHEAD} days ahead`, 400);
+    }
+    if (moment.utc(today).diff(day, 'days') > MAX_DAYS_BACK) {
+      throw new AppError(`Overtime must be claimed within ${MAX_DAYS_BACK} days of working it`, 400);
+    }
+
+    const requested = Number(hours);
+    if (!Number.isFinite(requested) || requested < 0.25 || requested > 24) {
+      throw new AppError('Hours must be between 0.25 and 24', 400);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('Give a reason for the overtime', 400);
+    }
+
+    const existing = await OvertimeRequest.findOne({
+      employee: employee._id,
+      date: day,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (existing) {
+      throw new AppError(`There is already ${existing.status} overtime for ${formatDateOnly(day)}`, 409);
+    }
+
+    const request = await OvertimeRequest.create({
+      employee: employee._id,
+      date: day,
+      hours: requested,
+      reason,
+      timing: day < today ? 'post' : 'pre',
+      createdBy
+    });
+
+    logger.info('Overtime requested', { employeeId: employee._id, requestId: request._id, hours: requested });
+    return request;
+  }
+
+  // Approve, possibly fewer hours than asked for, or reject a pending request
+  async review(request, reviewer, { status, approvedHours, comments }) {
+    if (!['approved', 'rejected'].includes(status)) {
+      throw new AppError('Status must be approved or rejected', 400);
+    }
+    if (request.status !== 'pending') {
+      throw new AppError(`This request has already been ${request.status}`, 400);
+    }
+    if (status === 'rejected' && !comments) {
+      throw new AppError('Give a reason when rejecting a request', 400);
+    }
+
+    let approved = null;
+    if (status === 'approved') {
+      approved = approvedHours == null || approvedHours === '' ? request.hours : Number(approvedHours);
+      if (!Number.isFinite(approved) || approved <= 0 || approved > request.hours) {
+        throw new AppError(`Approved hours must be more than 0 and at most the ${request.hours} requested`, 400);
+      }
+    }
+
+    request.set({
+      status,
+      approvedHours: approved,
+      reviewedBy: reviewer.userId,
+      reviewedAt: new Date(),
+      reviewComments: comments
+    });
+    await request.save();
+    return request;
+  }
+
+  // Withdraw a pending request, or approved overtime for a day not yet worked
+  async cancel(request, today) {
+    if (!['pending', 'approved'].includes(request.status)) {
+      throw new AppError(`This request has already been ${request.status}`, 400);
+    }
+    if (request.status === 'approved' && request.date < today) {
+      throw new AppError('Approved overtime for a day already worked cannot be withdrawn', 400);
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+    return request;
+  }
+
+  // Split each log's overtime into the hours approved for payment and the unapproved rest. Approved hours
+  // are capped by the hours actually worked past the shift and by the shift's daily overtime limit, and are
+  // not paid at all when the shift doesn't allow overtime.
+  async summarize(logs) {
+    const withOvertime = logs.filter(log => log.overtimeHours > 0);
+    const summary = { workedHours: 0, approvedHours: 0, unapprovedHours: 0, weightedHours: 0, days: [] };
+    if (!withOvertime.length) {
+      return summary;
+    }
+
+    const [requests, shifts] = await Promise.all([
+      OvertimeRequest.find({
+        employee: { $in: [...new Set(withOvertime.map(log => String(log.employee._id || log.employee)))] },
+        date: { $in: withOvertime.map(log => log.date) },
+        status: 'approved'
+      }).select('employee date approvedHours'),
+      Shift.find({ _id: { $in: withOvertime.map(log => log.shift).filter(Boolean) } }).select('overtimeRules')
+    ]);
+
+    const approvedByDay = new Map();
+    requests.forEach(request => {
+      const key = `${request.employee}:${formatDateOnly(request.date)}`;
+      approvedByDay.set(key, (approvedByDay.get(key) || 0) + request.approvedHours);
+    });
+    const rulesByShift = new Map(shifts.map(shift => [String(shift._id), shift.overtimeRules || {}]));
+
+    withOvertime.forEach(log => {
+      const rules = log.shift ? rulesByShift.get(String(log.shift._id || log.shift)) || {} : {};
+      const limit = rules.enabled === false ? 0 : (rules.maxDailyHours ?? Infinity);
+      const requested = approvedByDay.get(`${log.employee._id || log.employee}:${formatDateOnly(log.date)}`) || 0;
+
+      const worked = round(log.overtimeHours);
+      const approved = round(Math.min(worked, requested, limit));
+      const day = {
+        log: log._id,
+        employee: log.employee,
+        date: formatDateOnly(log.date),
+        workedHours: worked,
+        approvedHours: approved,
+        unapprovedHours: round(worked - approved),
+        multiplier: rules.multiplier || 1.5
+      };
+
+      summary.workedHours += day.workedHours;
+      summary.approvedHours += day.approvedHours;
+      summary.unapprovedHours += day.unapprovedHours;
+      summary.weightedHours += day.approvedHours * day.multiplier;
+      summary.days.push(day);
+    });
+
+    ['workedHours', 'approvedHours', 'unapprovedHours', 'weightedHours'].forEach(field => {
+      summary[field] = round(summary[field]);
+    });
+    return summary;
+  }
+
+  // Days in a range with overtime worked but not approved, with any request still pending for them.
+  // employeeIds null means everyone.
+  async getUnapprovedDays(employeeIds, { start, end }) {
+    const query = {
+      date: { $gte: start, $lte: moment.utc(end).endOf('day').toDate() },
+      overtimeHours: { $gt: 0 }
+    };
+    if (employeeIds) {
+      query.employee = { $in: employeeIds };
+    }
+
+    const logs = await AttendanceLog.find(query)
+      .select('employee date shift overtimeHours')
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId department',
+        populate: [
+          { path: 'userId', select: 'firstName lastName' },
+          { path: 'department', select: 'name' }
+        ]
+      })
+      .sort({ date: -1 })
+      .limit(500);
+
+    const { days } = await this.summarize(logs.filter(log => log.employee));
+    const unapproved = days.filter(day => day.unapprovedHours > 0);
+    if (!unapproved.length) {
+      return [];
+    }
+
+    const pending = await OvertimeRequest.find({
+      employee: { $in: unapproved.map(day => day.employee._id) },
+      date: { $in: unapproved.map(day => parseDateOnly(day.date)) },
+      status: 'pending'
+    }).select('employee date hours');
+    const pendingByDay = new Map(pending.map(request => [`${request.employee}:${formatDateOnly(request.date)}`, request]));
+
+    return unapproved.map(day => ({
+      ...day,
+      employee: {
+        _id: day.employee._id,
+        employeeId: day.employee.employeeId,
+        name: day.employee.userId ? `${day.employee.userId.firstName} ${day.employee.userId.lastName}` : day.employee.employeeId,
+        department: day.employee.department ? { _id: day.employee.department._id, name: day.employee.department.name } : null
+      },
+      pendingRequest: pendingByDay.get(`${day.employee._id}:${day.date}`) || null
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new OvertimeService();
@@ -0,0 +1,388 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Punch = require('../models/Punch');
+const presenceService = require('./presenceService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { DEFAULT_TIMEZONE, parseDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Punch fields copied onto the daily log's clockIn and clockOut
+const PUNCH_DETAILS = ['time', 'location', 'biometric', 'deviceInfo', 'offline'];
+
+// Longest range a single re-pairing run may cover
+const MAX_REBUILD_DAYS = 93;
+
+const byTime = (a, b) => a.time - b.time;
+
+const employeeIdOf = (attendanceLog) => attendanceLog.employee?._id || attendanceLog.employee;
+
+const pickDetails = (source = {}) => PUNCH_DETAILS.reduce((details, field) => {
+  if (source[field] !== undefined) {
+    details[field] = source[field];
+  }
+  return details;
+}, {});
+
+// Pairing engine: every clock event is stored as a raw Punch, and the day's attendance log is derived from them.
+// A day can hold several in/out sessions (lunch, split shifts); the gaps between them become breaks.
+// Deriving is repeatable, so correcting a punch and pairing the day again always gives the same log.
+class PairingService {
+  // Pair a day's punches, in time order, into sessions. An in followed by an out is a session and untyped
+  // punches alternate. An in followed by another in, or an out with nothing open, is left unpaired.
+  // A final in with nothing after it is the session still in progress.
+  pair(punches) {
+    const sessions = [];
+    const unpaired = [];
+    let pending = null;
+
+    punches.forEach(punch => {
+      const type = punch.type || (pending ? 'out' : 'in');
+
+      if (type === 'in') {
+        if (pending) {
+          unpaired.push(pending);
+        }
+        pending = punch;
+      } else if (pending) {
+        sessions.push({ in: pending, out: punch });
+        pending = null;
+      } else {
+        unpaired.push(punch);
+      }
+    });
+
+    if (pending) {
+      sessions.push({ in: pending, out: null });
+    }
+
+    return { sessions, unpaired };
+  }
+
+  // Punches still in force for a shift day, oldest first
+  getPunches(employeeId, date) {
+    return Punch.find({
+      employee: employeeId,
+      date,
+      'voided.at': { $exists: false }
+    }).sort({ time: 1, createdAt: 1 });
+  }
+
+  findDayLog(employeeId, date) {
+    return AttendanceLog.findOne({
+      employee: employeeId,
+      date: {
+        $gte: date,
+        $lte: moment.utc(date).endOf('day').toDate()
+      }
+    });
+  }
+
+  assertUnlocked(attendanceLog) {
+    if (attendanceLog?.lockedByTimesheet) {
+      throw new AppError('This day belongs to an approved timesheet. Reopen the timesheet before changing its punches.', 409);
+    }
+  }
+
+  // Logs written before punches were stored have no punches yet; record them from the log's own clock in and out.
+  // Returns true when punches were created.
+  async ensurePunches(attendanceLog) {
+    if (attendanceLog.isNew || !attendanceLog.clockIn?.time) {
+      return false;
+    }
+
+    const employee = employeeIdOf(attendanceLog);
+    if (await Punch.exists({ employee, date: attendanceLog.date })) {
+      return false;
+    }
+
+    const log = attendanceLog.toObject({ virtuals: false });
+    const fromLog = (details, type) => ({
+      employee,
+      date: log.date,
+      type,
+      source: details.deviceInfo?.deviceType === 'system' ? 'system' : log.correction ? 'manual' : 'device',
+      ...pickDetails(details),
+      attendanceLog: log._id,
+      createdBy: log.createdBy
+    });
+
+    const punches = [fromLog(log.clockIn, 'in')];
+    if (log.clockOut?.time) {
+      punches.push(fromLog(log.clockOut, 'out'));
+    }
+    await Punch.insertMany(punches);
+    return true;
+  }
+
+  // Derive the log from the day's punches: sessions, first in and last out, breaks between sessions,
+  // and an irregularity for anything left unpaired. Hours, lateness and overtime follow on save.
+  apply(attendanceLog, punches) {
+    const { sessions, unpaired } = this.pair([...punches].sort(byTime));
+    const timezone = attendanceLog.timezone || DEFAULT_TIMEZONE;
+
+    attendanceLog.sessions = sessions.map(session => ({
+      clockIn: session.in.time,
+      clockOut: session.out?.time,
+      inPunch: session.in._id,
+      outPunch: session.out?._id
+    }));
+    attendanceLog.unpairedPunches = unpaired.map(punch => punch._id);
+    attendanceLog.pairedAt = new Date();
+    attendanceLog.set({ isLate: false, lateBy: 0, isEarlyDeparture: false, earlyBy: 0 });
+
+    const ownBreaks = attendanceLog.breaks.filter(breakItem => !breakItem.betweenSessions);
+
+    if (!sessions.length) {
+      // Nothing left to count: every punch was voided, or the day only has an unmatched clock out
+      attendanceLog.set({
+        clockIn: undefined,
+        clockOut: undefined,
+        status: 'absent',
+        totalWorkingHours: 0,
+        totalBreakTime: 0,
+        unpaidBreakTime: 0,
+        overtimeHours: 0
+      });
+      attendanceLog.breaks = ownBreaks;
+    } else {
+      const last = sessions[sessions.length - 1];
+      attendanceLog.clockIn = pickDetails(sessions[0].in.toObject());
+      attendanceLog.set('clockOut', last.out ? pickDetails(last.out.toObject()) : undefined);
+      attendanceLog.status = 'present';
+
+      const gaps = sessions.slice(1).map((session, index) => ({
+        startTime: sessions[index].out.time,
+        endTime: session.in.time,
+        reason: 'other',
+        betweenSessions: true
+      }));
+      attendanceLog.breaks = [...ownBreaks, ...gaps].sort((a, b) => a.startTime - b.startTime);
+    }
+
+    // Replace the previous pairing's finding; reviewed findings stay for the record
+    attendanceLog.irregularities = attendanceLog.irregularities.filter(item => (
+      item.type !== 'unpaired_punch' || item.resolved || item.review?.status
+    ));
+    if (unpaired.length) {
+      const list = unpaired
+        .map(punch => `${punch.type === 'out' ? 'out' : 'in'} at ${moment(punch.time).tz(timezone).format('HH:mm')}`)
+        .join(', ');
+      attendanceLog.irregularities.push({
+        type: 'unpaired_punch',
+        description: `Punches without a matching clock in or clock out: ${list}`,
+        severity: 'medium'
+      });
+    }
+
+    return attendanceLog;
+  }
+
+  // Store a new punch on the day's log and pair the day again
+  async recordPunch(attendanceLog, { type, time, location, biometric, deviceInfo, offline, source = 'device', note, createdBy }) {
+    this.assertUnlocked(attendanceLog);
+    await this.ensurePunches(attendanceLog);
+
+    const punch = new Punch({
+      employee: employeeIdOf(attendanceLog),
+      date: attendanceLog.date,
+      time,
+      type,
+      source,
+      location,
+      biometric,
+      deviceInfo,
+      offline,
+      note,
+      attendanceLog: attendanceLog._id,
+      createdBy
+    });
+
+    // The punch is the source of truth: store it before the log, so a failed log save leaves a punch
+    // that rebuildDay pairs again rather than a log pointing at a punch that never existed
+    await punch.save();
+
+    const punches = await this.getPunches(punch.employee, attendanceLog.date);
+    this.apply(attendanceLog, punches);
+    await attendanceLog.save();
+
+    presenceService.publish(punch.employee, attendanceLog.clockOut?.time ? 'clock_out' : 'clock_in');
+    return punch;
+  }
+
+  // Pair a shift day again from its punches. Returns the log, or null when the day has neither log nor punches.
+  async rebuildDay(employeeId, date, defaults = {}) {
+    let attendanceLog = await this.findDayLog(employeeId, date);
+    this.assertUnlocked(attendanceLog);
+
+    if (attendanceLog) {
+      await this.ensurePunches(attendanceLog);
+    }
+
+    const punches = await this.getPunches(employeeId, date);
+    if (!attendanceLog) {
+      if (!punches.length) {
+        return null;
+      }
+      attendanceLog = new AttendanceLog({ employee: employeeId, date, ...defaults });
+    }
+
+    this.apply(attendanceLog, punches);
+    await attendanceLog.save();
+    await Punch.updateMany({ employee: employeeId, date }, { attendanceLog: attendanceLog._id });
+
+    return attendanceLog;
+  }
+
+  // Add a punch an admin entered by hand, e.g. one the employee forgot
+  async addManualPunch({ employee, date, time, type, reason, createdBy, defaults }) {
+    const attendanceLog = await this.findDayLog(employee, date);
+    this.assertUnlocked(attendanceLog);
+    if (attendanceLog) {
+      await this.ensurePunches(attendanceLog);
+    }
+
+    await Punch.create({
+      employee,
+      date,
+      time,
+      type: type || null,
+      source: 'manual',
+      deviceInfo: { deviceType: 'manual' },
+      note: reason,
+      createdBy
+    });
+
+    return this.rebuildDay(employee, date, { ...defaults, createdBy });
+  }
+
+  // Move or retype a punch by voiding it and recording a manual replacement, or void it outright
+  async correctPunch(punchId, { time, type, remove = false }, { reason, userId }) {
+    const punch = mongoose.Types.ObjectId.isValid(punchId) ? await Punch.findById(punchId) : null;
+    if (!punch || punch.voided?.at) {
+      throw new AppError('Punch not found', 404);
+    }
+    this.assertUnlocked(await this.findDayLog(punch.employee, punch.date));
+
+    let replacement = null;
+    if (!remove) {
+      const newTime = time ? new Date(time) : punch.time;
+      if (isNaN(newTime)) {
+        throw new AppError('A valid punch time is required', 400);
+      }
+      if (Math.abs(newTime - punch.time) > 24 * 60 * 60 * 1000) {
+        throw new AppError('To move a punch to another day, remove it and add a new one', 400);
+      }
+
+      replacement = await Punch.create({
+        employee: punch.employee,
+        date: punch.date,
+        type: type === undefined ? punch.type : type || null,
+        source: 'manual',
+        ...pickDetails(punch.toObject()),
+        time: newTime,
+        note: reason,
+        createdBy: userId
+      });
+    }
+
+    punch.voided = { at: new Date(), by: userId, reason, replacedBy: replacement?._id };
+    await punch.save();
+
+    const attendanceLog = await this.rebuildDay(punch.employee, punch.date);
+    return { punch: replacement, attendanceLog };
+  }
+
+  // Make the punches agree with clock in and out times set directly on the log by an approved correction
+  // or an admin edit: the first in and last out punches are replaced with manual ones at the new times
+  async syncPunches(attendanceLog, { reason, userId }) {
+    if (!attendanceLog.clockIn?.time || await this.ensurePunches(attendanceLog)) {
+      return attendanceLog;
+    }
+
+    const employee = employeeIdOf(attendanceLog);
+    const log = attendanceLog.toObject({ virtuals: false });
+    const { sessions } = this.pair(await this.getPunches(employee, log.date));
+    const firstIn = sessions[0]?.in;
+    const lastOut = sessions[sessions.length - 1]?.out;
+
+    const changes = [];
+    if (firstIn?.time.getTime() !== log.clockIn.time.getTime()) {
+      changes.push({ previous: firstIn, type: 'in', details: log.clockIn });
+    }
+    if (log.clockOut?.time && lastOut?.time.getTime() !== log.clockOut.time.getTime()) {
+      changes.push({ previous: lastOut, type: 'out', details: log.clockOut });
+    }
+    if (!changes.length) {
+      return attendanceLog;
+    }
+
+    for (const change of changes) {
+      const replacement = await Punch.create({
+        employee,
+        date: log.date,
+        type: change.type,
+        source: 'manual',
+        ...pickDetails(change.details),
+        attendanceLog: log._id,
+        note: reason,
+        createdBy: userId
+      });
+
+      if (change.previous) {
+        change.previous.voided = { at: new Date(), by: userId, reason, replacedBy: replacement._id };
+        await change.previous.save();
+      }
+    }
+
+    this.apply(attendanceLog, await this.getPunches(employee, log.date));
+    await attendanceLog.save();
+    return attendanceLog;
+  }
+
+  // Pair every day with punches in a date range again, e.g. after a bulk correction or a pairing fix
+  async rebuildRange({ employee, startDate, endDate }) {
+    const start = parseDateOnly(startDate);
+    const end = parseDateOnly(endDate);
+    if (!startDate || !endDate || isNaN(start) || isNaN(end) || start > end) {
+      throw new AppError('Start and end dates are required in YYYY-MM-DD format', 400);
+    }
+    if (moment.utc(end).diff(start, 'days') >= MAX_REBUILD_DAYS) {
+      throw new AppError(`Pair at most ${MAX_REBUILD_DAYS} days at a time`, 400);
+    }
+    if (employee && !mongoose.Types.ObjectId.isValid(employee)) {
+      throw new AppError('Employee must be an ID', 400);
+    }
+
+    const match = { date: { $gte: start, $lte: end } };
+    if (employee) {
+      match.employee = new mongoose.Types.ObjectId(employee);
+    }
+
+    const days = await Punch.aggregate([
+      { $match: match },
+      { $group: { _id: { employee: '$employee', date: '$date' } } }
+    ]);
+
+    let rebuilt = 0;
+    const skipped = [];
+    for (const { _id: day } of days) {
+      try {
+        await this.rebuildDay(day.employee, day.date);
+        rebuilt++;
+      } catch (error) {
+        if (!error.isOperational && error.name !== 'ValidationError') {
+          throw error;
+        }
+        skipped.push({ employee: day.employee, date: formatDateOnly(day.date), reason: error.message });
+      }
+    }
+
+    logger.info('Punches paired again', { employee, startDate, endDate, rebuilt, skipped: skipped.length });
+
+    return { days: days.length, rebuilt, skipped };
+  }
+}
+
+// Export singleton instance
+module.exports = new PairingService();
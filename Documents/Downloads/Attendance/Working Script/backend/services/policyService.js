@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { parseDateOnly, formatDateOnly, toDateOnly } = require('../utils/timezone');
+
+// Rules a new version may change; the name, scope and target stay with the policy
+const RULE_FIELDS = ['graceMinutes', 'earlyDepartureGraceMinutes', 'rounding', 'minimumHours', 'lateDeduction', 'remoteWork'];
+const TARGET_FIELDS = { department: 'department', site: 'site', shift: 'shift' };
+
+const populateTargets = (query) => query
+  .populate('department', 'name code')
+  .populate('site', 'name code')
+  .populate('shift', 'name')
+  .populate('createdBy', 'firstName lastName');
+
+// Attendance policies are effective-dated: a change is a new version starting on a date that hasn't been
+// evaluated yet, and the version before it is closed the day before. Versions are never edited in place.
+class PolicyService {
+  // Policy start and end dates may not reach back before today
+  parseEffectiveDate(value, label) {
+    const today = toDateOnly(new Date());
+    const date = value ? parseDateOnly(value) : today;
+    if (isNaN(date)) {
+      throw new AppError(`${label} must be a date in YYYY-MM-DD format`, 400);
+    }
+    if (date < today) {
+      throw new AppError(`${label} cannot be in the past; attendance already evaluated keeps its policy`, 400);
+    }
+    return date;
+  }
+
+  // Current policies, or every version when history is requested
+  async list({ includeHistory = false, scope } = {}) {
+    const query = {};
+    if (scope) query.scope = scope;
+    if (!includeHistory) {
+      query.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: toDateOnly(new Date()) } }];
+    }
+
+    return populateTargets(AttendancePolicy.find(query)).sort({ scope: 1, name: 1, version: 1 });
+  }
+
+  // The latest version of the policy a version belongs to
+  async getLatestVersion(id) {
+    const policy = mongoose.Types.ObjectId.isValid(id) ? await AttendancePolicy.findById(id) : null;
+    if (!policy) {
+      throw new AppError('Attendance policy not found', 404);
+    }
+    return AttendancePolicy.findOne({ policyGroup: policy.policyGroup }).sort({ version: -1 });
+  }
+
+  async create(values, userId) {
+    const effectiveFrom = this.parseEffectiveDate(values.effectiveFrom, 'Effective date');
+    const target = TARGET_FIELDS[values.scope];
+
+    // One open policy per target; changing it is done through a new version
+    const existing = await AttendancePolicy.findOne({
+      scope: values.scope,
+      ...(target && { [target]: values[target] || null }),
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: effectiveFrom } }]
+    });
+    if (existing) {
+      throw new AppError(`"${existing.name}" already applies here; add a new version of it instead`, 409);
+    }
+
+    const _id = new mongoose.Types.ObjectId();
+    const policy = await AttendancePolicy.create({
+      ...values,
+      _id,
+      policyGroup: _id,
+      version: 1,
+      effectiveFrom,
+      effectiveTo: null,
+      createdBy: userId
+    });
+
+    logger.info('Attendance policy created', { policyId: policy._id, scope: policy.scope });
+    return populateTargets(AttendancePolicy.findById(policy._id));
+  }
+
+  // Start a new version of a policy; the current version ends the day before it
+  async createVersion(id, values, userId) {
+    const current = await this.getLatestVersion(id);
+    const effectiveFrom = this.parseEffectiveDate(values.effectiveFrom, 'Effective date');
+
+    if (effectiveFrom <= current.effectiveFrom) {
+      throw new AppError(`The new version must start after ${formatDateOnly(current.effectiveFrom)}, when version ${current.version} started`, 400);
+    }
+    if (current.effectiveTo && current.effectiveTo < effectiveFrom) {
+      throw new AppError('This policy has been retired', 409);
+    }
+
+    const rules = RULE_FIELDS.reduce((picked, field) => {
+      picked[field] = values[field] !== undefined ? values[field] : current.toObject()[field];
+      return picked;
+    }, {});
+
+    const version = new AttendancePolicy({
+      ...rules,
+      name: current.name,
+      policyGroup: current.policyGroup,
+      version: current.version + 1,
+      scope: current.scope,
+      department: current.department,
+      site: current.site,
+      shift: current.shift,
+      effectiveFrom,
+      effectiveTo: null,
+      createdBy: userId
+    });
+    await version.validate();
+
+    current.effectiveTo = moment.utc(effectiveFrom).subtract(1, 'day').toDate();
+    await current.save();
+    await version.save();
+
+    logger.info('Attendance policy version created', { policyGroup: current.policyGroup, version: version.version });
+    return populateTargets(AttendancePolicy.findById(version._id));
+  }
+
+  // Paid days deducted for a period's late days, counting each day under the policy version it was evaluated with
+  async getLateDeductionDays(attendanceLogs) {
+    const lateDaysByPolicy = attendanceLogs.reduce((counts, log) => {
+      if (log.isLate && log.policy) {
+        const key = String(log.policy._id || log.policy);
+        counts[key] = (counts[key] || 0) + 1;
+      }
+      return counts;
+    }, {});
+
+    const policies = await AttendancePolicy.find({ _id: { $in: Object.keys(lateDaysByPolicy) } });
+    return policies.reduce((total, policy) => total + policy.getLateDeductionDays(lateDaysByPolicy[String(policy._id)]), 0);
+  }
+
+  // Stop applying a policy after a date (today by default); days already evaluated keep it
+  async retire(id, endDate) {
+    const current = await this.getLatestVersion(id);
+    const effectiveTo = this.parseEffectiveDate(endDate, 'End date');
+
+    if (effectiveTo < current.effectiveFrom) {
+      throw new AppError(`Version ${current.version} starts on ${formatDateOnly(current.effectiveFrom)}; it cannot end before then`, 400);
+    }
+
+    current.effectiveTo = effectiveTo;
+    await current.save();
+
+    logger.info('Attendance policy retired', { policyGroup: current.policyGroup, effectiveTo: formatDateOnly(effectiveTo) });
+    return current;
+  }
+}
+
+// Export singleton instance
+module.exports = new PolicyService();
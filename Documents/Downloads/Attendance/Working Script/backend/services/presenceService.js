@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { Server } = require('socket.io');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorMiddleware');
+const { authenticateSocket } = require('../middleware/authMiddleware');
+const { logger } = require('../utils/logger');
+const { resolveTimezone, toDateOnly, formatDateOnly } = require('../utils/timezone');
+
+const ADMIN_ROLES = ['admin', 'master_admin'];
+const NAMESPACE = '/presence';
+
+// Burst of events for one employee (e.g. a terminal import) is sent as a single update
+const PUBLISH_DELAY_MS = 500;
+
+const roomFor = ({ department, site } = {}) => {
+  if (site) return `site:${site}`;
+  if (department) return `department:${department}`;
+  return 'all';
+};
+
+// Live "who's in" board. Dashboards connect to the /presence namespace with their JWT and get a snapshot
+// of their scope (everyone, a department or a site), then an update whenever someone clocks in or out,
+// takes a break or goes on leave. Admins may watch any scope; employees who manage others see their department.
+class PresenceService {
+  constructor() {
+    this.io = null;
+    this.pending = new Map();
+  }
+
+  // Start the socket server on the HTTP server the API listens on
+  attach(server, { origins } = {}) {
+    this.io = new Server(server, {
+      cors: { origin: origins, credentials: true }
+    });
+
+    const namespace = this.io.of(NAMESPACE);
+    namespace.use(authenticateSocket);
+    namespace.on('connection', (socket) => {
+      socket.on('presence:subscribe', (scope) => {
+        this.subscribe(socket, scope || {});
+      });
+      this.subscribe(socket, socket.handshake.auth?.scope || {});
+    });
+
+    logger.info('Presence sockets ready', { namespace: NAMESPACE });
+    return this.io;
+  }
+
+  // Check a user may watch a scope; managers are held to their own department
+  async resolveScope(user, { department, site } = {}) {
+    for (const id of [department, site]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Department and site must be IDs', 400);
+      }
+    }
+
+    if (ADMIN_ROLES.includes(user.role)) {
+      return site ? { site } : department ? { department } : {};
+    }
+
+    const self = await Employee.findOne({ userId: user.userId, isActive: true }).select('department');
+    const manages = self?.department && await Employee.exists({ manager: self._id, isActive: true });
+    if (!manages) {
+      throw new AppError('Only admins and managers can view the presence board', 403);
+    }
+    return { department: String(self.department) };
+  }
+
+  async subscribe(socket, requested) {
+    try {
+      const scope = await this.resolveScope(socket.user, requested);
+      const account = await User.findById(socket.user.userId).select('preferences.timezone');
+      const timezone = resolveTimezone(account?.preferences?.timezone);
+
+      for (const room of socket.rooms) {
+        if (room !== socket.id) socket.leave(room);
+      }
+      socket.join(roomFor(scope));
+      socket.emit('presence:board', await this.getBoard({ ...scope, timezone }));
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.error('Presence subscription failed', error, { userId: socket.user?.userId });
+      }
+      socket.emit('presence:error', { message: error.isOperational ? error.message : 'Could not load the presence board' });
+    }
+  }
+
+  // Where an employee is right now, from their open session, today's log and approved leave
+  describe(employee, { openLog, dayLog, leave }) {
+    const log = openLog || dayLog;
+    const entry = {
+      employee: employee._id,
+      employeeId: employee.employeeId,
+      name: employee.userId ? `${employee.userId.firstName} ${employee.userId.lastName}` : employee.employeeId,
+      department: employee.department ? { _id: employee.department._id, name: employee.department.name } : null,
+      site: log?.clockIn?.location?.site || null,
+      status: 'not_in',
+      since: null
+    };
+
+    if (openLog) {
+      const activeBreak = openLog.activeBreak;
+      entry.status = activeBreak ? 'on_break' : openLog.isLate ? 'late' : 'in';
+      entry.since = activeBreak ? activeBreak.startTime : openLog.clockIn.time;
+      if (openLog.isLate) entry.lateBy = Math.round(openLog.lateBy);
+    } else if (leave || dayLog?.status === 'leave') {
+      entry.status = 'on_leave';
+      entry.leaveType = leave?.leaveType;
+    } else if (dayLog?.status === 'absent' && !dayLog.clockIn?.time) {
+      entry.status = 'absent';
+    } else if (dayLog?.clockOut?.time) {
+      entry.status = 'out';
+      entry.since = dayLog.clockOut.time;
+    }
+    return entry;
+  }
+
+  async describeAll(employees, timezone) {
+    const ids = employees.map(employee => employee._id);
+    const today = toDateOnly(new Date(), timezone);
+    const endOfToday = moment.utc(today).endOf('day').toDate();
+
+    const [openLogs, dayLogs, leaves] = await Promise.all([
+      // Sessions from yesterday's shift day are still open during a night shift
+      AttendanceLog.find({
+        employee: { $in: ids },
+        date: { $gte: moment.utc(today).subtract(1, 'day').toDate() },
+        'clockIn.time': { $exists: true },
+        'clockOut.time': { $exists: false }
+      }),
+      AttendanceLog.find({ employee: { $in: ids }, date: { $gte: today, $lte: endOfToday } }),
+      LeaveRequest.find({
+        employee: { $in: ids },
+        status: 'approved',
+        startDate: { $lte: endOfToday },
+        endDate: { $gte: today }
+      }).select('employee leaveType')
+    ]);
+
+    const byEmployee = (docs) => new Map(docs.map(doc => [String(doc.employee), doc]));
+    const open = byEmployee(openLogs);
+    const day = byEmployee(dayLogs);
+    const onLeave = byEmployee(leaves);
+
+    return employees.map(employee => this.describe(employee, {
+      openLog: open.get(String(employee._id)),
+      dayLog: day.get(String(employee._id)),
+      leave: onLeave.get(String(employee._id))
+    }));
+  }
+
+  findEmployees(query) {
+    return Employee.find({ isActive: true, ...query })
+      .select('employeeId userId department sites')
+      .populate('userId', 'firstName lastName')
+      .populate('department', 'name');
+  }
+
+  // Snapshot of a scope with a count per status
+  async getBoard({ department, site, timezone } = {}) {
+    const zone = resolveTimezone(timezone);
+    const employees = await this.findEmployees(department ? { department } : {});
+    let entries = await this.describeAll(employees, zone);
+
+    // A site's board is everyone assigned to it plus anyone who punched in there today
+    if (site) {
+      const assigned = new Set(employees
+        .filter(employee => (employee.sites || []).some(id => String(id) === String(site)))
+        .map(employee => String(employee._id)));
+      entries = entries.filter(entry => assigned.has(String(entry.employee)) || String(entry.site) === String(site));
+    }
+
+    const counts = entries.reduce((totals, entry) => {
+      totals[entry.status] = (totals[entry.status] || 0) + 1;
+      return totals;
+    }, {});
+
+    return {
+      scope: { department: department || null, site: site || null },
+      date: formatDateOnly(toDateOnly(new Date(), zone)),
+      timezone: zone,
+      counts,
+      entries
+    };
+  }
+
+  // Push an employee's new state to the boards watching them. Safe to call without awaiting: it never throws.
+  publish(employeeId, event) {
+    if (!this.io || !employeeId) return;
+
+    const key = String(employeeId);
+    const pending = this.pending.get(key);
+    if (pending) {
+      pending.event = event;
+      return;
+    }
+
+    const update = { event };
+    this.pending.set(key, update);
+    setTimeout(() => {
+      this.pending.delete(key);
+      this.send(key, update.event).catch(error => {
+        logger.error('Presence update failed', error, { employeeId: key, event: update.event });
+      });
+    }, PUBLISH_DELAY_MS);
+  }
+
+  async send(employeeId, event) {
+    const [employee] = await this.findEmployees({ _id: employeeId });
+    if (!employee) return;
+
+    const [entry] = await this.describeAll([employee], resolveTimezone());
+    const rooms = new Set([roomFor({})]);
+    if (employee.department) rooms.add(roomFor({ department: employee.department._id }));
+    for (const site of [...(employee.sites || []), entry.site].filter(Boolean)) {
+      rooms.add(roomFor({ site }));
+    }
+
+    this.io.of(NAMESPACE).to([...rooms]).emit('presence:update', { event, entry, at: new Date() });
+  }
+
+  // Ask every board to reload, e.g. after absences were marked for a whole shift
+  refresh() {
+    if (this.io) {
+      this.io.of(NAMESPACE).emit('presence:refresh');
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new PresenceService();
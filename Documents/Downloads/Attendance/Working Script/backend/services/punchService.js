@@ -0,0 +1,505 @@
+const fs = require('fs');
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Punch = require('../models/Punch');
+const Shift = require('../models/Shift');
+const WorkSite = require('../models/WorkSite');
+const User = require('../models/User');
+const biometricService = require('./biometricService');
+const locationService = require('./locationService');
+const qrTokenService = require('./qrTokenService');
+const irregularityService = require('./irregularityService');
+const jobService = require('./jobService');
+const pairingService = require('./pairingService');
+const remoteWorkService = require('./remoteWorkService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { resolveTimezone, toDateOnly, formatDateOnly } = require('../utils/timezone');
+
+// Clock-in/clock-out rules shared by every punch source (web, mobile, kiosk, offline replay)
+class PunchService {
+  constructor() {
+    // Offline punches: device clocks further off than this are flagged, as are very late syncs
+    this.maxClockSkewSeconds = parseInt(process.env.OFFLINE_MAX_CLOCK_SKEW_SECONDS, 10) || 300;
+    this.maxOfflineAgeHours = parseInt(process.env.OFFLINE_MAX_EVENT_AGE_HOURS, 10) || 72;
+  }
+
+  // Find the employee's attendance log that is clocked in but not yet clocked out
+  findOpenAttendance(employeeId) {
+    return AttendanceLog.findOne({
+      employee: employeeId,
+      'clockIn.time': { $exists: true },
+      'clockOut.time': { $exists: false }
+    })
+      .sort({ 'clockIn.time': -1 })
+      .populate('shift');
+  }
+
+  // Find the attendance log an offline event was already applied to, if any
+  async findByClientEventId(employeeId, clientEventId) {
+    const punch = await Punch.findOne({ employee: employeeId, 'offline.clientEventId': clientEventId });
+    if (punch) {
+      return pairingService.findDayLog(employeeId, punch.date);
+    }
+
+    // Logs recorded before punches were stored
+    return AttendanceLog.findOne({
+      employee: employeeId,
+      $or: [
+        { 'clockIn.offline.clientEventId': clientEventId },
+        { 'clockOut.offline.clientEventId': clientEventId }
+      ]
+    });
+  }
+
+  // Work out when an offline punch really happened. The device reports the punch time and the time
+  // it sent the event by its own clock; the gap between the send time and our clock is the device's skew.
+  assessDeviceTime({ deviceTime, sentAt, receivedAt = new Date() }) {
+    const punchedAt = moment(deviceTime, moment.ISO_8601, true);
+    if (!punchedAt.isValid()) {
+      throw new AppError('A valid device timestamp is required', 400);
+    }
+
+    const sentMoment = moment(sentAt, moment.ISO_8601, true);
+    const skewSeconds = sentMoment.isValid()
+      ? Math.round(moment(receivedAt).diff(sentMoment, 'seconds', true))
+      : 0;
+
+    // Small differences are network latency; beyond the limit, shift the punch onto server time and flag it
+    const skewed = Math.abs(skewSeconds) > this.maxClockSkewSeconds;
+    const time = skewed ? punchedAt.clone().add(skewSeconds, 'seconds').toDate() : punchedAt.toDate();
+    if (moment(time).isAfter(moment(receivedAt).add(this.maxClockSkewSeconds, 'seconds'))) {
+      throw new AppError('Punch time is in the future', 400);
+    }
+
+    const irregularities = [];
+
+    if (skewed) {
+      irregularities.push({
+        type: 'suspicious_activity',
+        description: `Offline punch from a device whose clock was ${Math.round(Math.abs(skewSeconds) / 60)} min ${skewSeconds > 0 ? 'behind' : 'ahead of'} the server`,
+        severity: 'high'
+      });
+    }
+
+    const ageHours = moment(receivedAt).diff(time, 'hours', true);
+    if (ageHours > this.maxOfflineAgeHours) {
+      irregularities.push({
+        type: 'suspicious_activity',
+        description: `Offline punch synced ${Math.round(ageHours)} hours after it was recorded`,
+        severity: 'medium'
+      });
+    }
+
+    return { time, skewSeconds, irregularities };
+  }
+
+  // Get the employee's assigned shift, falling back to the default shift
+  async getEmployeeShift(employee) {
+    if (employee.shift) {
+      const shift = await Shift.findById(employee.shift);
+      if (shift) {
+        return shift;
+      }
+    }
+    return Shift.getDefaultShift();
+  }
+
+  // Get the timezone configured in the user's preferences
+  async getUserTimezone(userId) {
+    const account = await User.findById(userId).select('preferences.timezone');
+    return account?.preferences?.timezone;
+  }
+
+  // Verify the uploaded face image against the employee's enrolled encoding
+  async verifyFace(employee, file) {
+    if (!file) {
+      return null;
+    }
+
+    const imageBuffer = await fs.promises.readFile(file.path);
+    const result = await biometricService.verifyFace(
+      employee.userId,
+      imageBuffer,
+      employee.biometricData?.faceEncoding
+    );
+
+    return {
+      faceImageUrl: `/api/files/faces/${file.filename}`,
+      confidence: result.confidence,
+      verified: Boolean(result.isMatch)
+    };
+  }
+
+  // Places the employee may punch at: their shift's work sites, sites assigned to them,
+  // and locations still embedded in the shift
+  async getAllowedLocations(shift, employee) {
+    const siteIds = [
+      ...(shift?.locationRestrictions?.sites || []),
+      ...(employee?.sites || [])
+    ];
+    const sites = siteIds.length
+      ? await WorkSite.find({ _id: { $in: siteIds }, isActive: true })
+      : [];
+
+    return [...sites, ...(shift?.locationRestrictions?.allowedLocations || [])];
+  }
+
+  // Match coordinates to one of the allowed locations that is open at the punch time. Returns the
+  // location check that matched, if any; when the shift restricts locations, a punch with no match is rejected.
+  async checkGeofence(shift, employee, { latitude, longitude }, message, time) {
+    const required = Boolean(shift?.locationRestrictions?.required);
+    const reject = (reason) => {
+      if (required) {
+        throw new AppError(`${message} (${reason})`, 400);
+      }
+      return null;
+    };
+
+    const allowedLocations = await this.getAllowedLocations(shift, employee);
+    if (!allowedLocations.length) {
+      return reject('No allowed locations configured');
+    }
+
+    const locationCheck = await locationService.validateAttendanceLocation(
+      latitude,
+      longitude,
+      allowedLocations,
+      { includeAddress: false }
+    );
+    const matches = locationCheck.allChecks.filter(check => check.allowed);
+    if (!matches.length) {
+      return reject('Outside allowed locations');
+    }
+
+    const open = matches.find(check => !check.site || check.site.isOpenAt(time));
+    if (!open) {
+      return reject(`${matches[0].locationName} is closed at this time`);
+    }
+
+    return open;
+  }
+
+  // GPS safeguards for a punch: the matched site's settings where it sets them, otherwise the shift's
+  getGpsSafeguards(shift, site) {
+    const shiftSettings = shift?.locationRestrictions?.gpsSafeguards || {};
+    const siteSettings = site?.gpsSafeguards || {};
+    const pick = (field, fallback) => siteSettings[field] ?? shiftSettings[field] ?? fallback;
+
+    return {
+      mode: pick('mode', 'flag'),
+      maxFixAgeSeconds: pick('maxFixAgeSeconds', 120),
+      requireAccuracyInside: pick('requireAccuracyInside', true)
+    };
+  }
+
+  // Check the GPS fix itself: a position older than allowed, or an accuracy circle reaching
+  // outside the geofence it was matched to. Returns the findings and whether to reject the punch.
+  checkGpsFix(shift, { location, site, match }, referenceTime) {
+    const safeguards = this.getGpsSafeguards(shift, site);
+    if (location.source !== 'gps' || safeguards.mode === 'off') {
+      return { findings: [], reject: false };
+    }
+
+    const problems = [];
+    if (location.capturedAt) {
+      const ageSeconds = Math.round((referenceTime - location.capturedAt) / 1000);
+      if (ageSeconds > safeguards.maxFixAgeSeconds) {
+        problems.push(`Position was taken ${ageSeconds}s before the punch (limit ${safeguards.maxFixAgeSeconds}s)`);
+      } else if (-ageSeconds > safeguards.maxFixAgeSeconds) {
+        problems.push(`Position is timestamped ${-ageSeconds}s after the punch`);
+      }
+    }
+
+    // Only meaningful when the punch had to be inside a geofence and matched one
+    if (safeguards.requireAccuracyInside && match && shift?.locationRestrictions?.required) {
+      if (!Number.isFinite(location.accuracy)) {
+        problems.push('Device did not report the GPS accuracy');
+      } else if (location.accuracy > match.edgeDistance) {
+        problems.push(`GPS accuracy of ±${Math.round(location.accuracy)}m reaches outside ${match.locationName}`);
+      }
+    }
+
+    const reject = safeguards.mode === 'reject' && problems.length > 0;
+    return {
+      findings: problems.map(description => ({
+        type: 'location_mismatch',
+        description: reject ? `Punch rejected: ${description}` : description,
+        severity: reject ? 'high' : 'medium'
+      })),
+      reject
+    };
+  }
+
+  // Record a punch refused over its GPS fix on the day's attendance log, so it reaches the
+  // irregularity review queue, then refuse it. A clock-in with no log yet gets a placeholder
+  // day that a later successful clock-in takes over.
+  async rejectGpsFix(attendanceLog, { employee, date, timezone, createdBy }, findings, punch) {
+    const log = attendanceLog || new AttendanceLog({
+      employee: employee._id,
+      date,
+      timezone,
+      status: 'absent',
+      automaticallyGenerated: true,
+      notes: 'Clock-in rejected by GPS safeguards',
+      createdBy
+    });
+    log.irregularities.push(...findings.map(item => ({ ...item, punch })));
+    await log.save();
+
+    logger.warn('Punch rejected by GPS safeguards', {
+      employeeId: employee._id,
+      attendanceId: log._id,
+      punch
+    });
+
+    const reasons = findings.map(item => item.description.replace('Punch rejected: ', '')).join('; ');
+    throw new AppError(`Your GPS position could not be trusted (${reasons}). Wait for a better fix and try again.`, 400);
+  }
+
+  // Work out where the punch happened, from a scanned site QR code or the device's GPS,
+  // and reject it when that place is not one of the employee's allowed locations.
+  // Returns the location to record, the work site it was matched to and the geofence match.
+  async resolveLocation(shift, employee, { location, qrToken, time }, action) {
+    const outsideMessage = `Invalid location. You must be within the allowed area to ${action}.`;
+
+    // Kiosks are registered at a fixed site, so their location is trusted as given
+    if (location?.source === 'kiosk') {
+      const match = await this.checkGeofence(shift, employee, location, outsideMessage, time);
+      return { location: { ...location, site: match?.site?._id }, site: match?.site, match };
+    }
+
+    const qrPolicy = shift?.locationRestrictions?.qrCode || 'alternative';
+    const hasGps = locationService.isValidCoordinate(location?.latitude, location?.longitude);
+
+    if (!qrToken) {
+      if (qrPolicy === 'required') {
+        throw new AppError(`Scan the site QR code to ${action}.`, 400);
+      }
+      if (!hasGps) {
+        throw new AppError(`Valid location coordinates are required to ${action}.`, 400);
+      }
+
+      const match = await this.checkGeofence(shift, employee, location, outsideMessage, time);
+      return { location: { ...location, source: 'gps', site: match?.site?._id }, site: match?.site, match };
+    }
+
+    if (qrPolicy === 'disabled') {
+      throw new AppError('QR code punches are not enabled for your shift.', 400);
+    }
+
+    const display = await qrTokenService.verifyToken(qrToken);
+    const match = await this.checkGeofence(
+      shift,
+      employee,
+      display.location,
+      `This QR code is not for one of your allowed locations, so you cannot ${action} with it.`,
+      time
+    );
+
+    // In 'required' mode the QR code complements the geofence rather than replacing it
+    if (qrPolicy === 'required') {
+      if (!hasGps) {
+        throw new AppError(`Valid location coordinates are required to ${action}.`, 400);
+      }
+      await this.checkGeofence(shift, employee, location, outsideMessage, time);
+    }
+
+    return {
+      location: {
+        latitude: display.location.latitude,
+        longitude: display.location.longitude,
+        address: display.location.address || display.location.name,
+        source: 'qr',
+        siteDevice: display._id,
+        site: match?.site?._id
+      },
+      site: match?.site,
+      match
+    };
+  }
+
+  // A remote punch skips the geofence, but the device's position is still required and recorded
+  resolveRemoteLocation(location, action) {
+    if (!locationService.isValidCoordinate(location?.latitude, location?.longitude)) {
+      throw new AppError(`Valid location coordinates are required to ${action} remotely.`, 400);
+    }
+    return { location: { ...location, source: 'remote' }, site: null, match: null };
+  }
+
+  // Verify the face capture, rejecting the punch on a mismatch
+  async requireFace(employee, faceImage) {
+    const biometric = await this.verifyFace(employee, faceImage);
+    if (biometric && !biometric.verified) {
+      throw new AppError('Biometric verification failed. Please try again.', 400);
+    }
+    return biometric;
+  }
+
+  // Open a new session on the employee's shift day; after a clock out the same day this starts another session.
+  // Returns the day's log and the punch recorded.
+  async clockIn(employee, {
+    location,
+    qrToken,
+    faceImage,
+    deviceInfo,
+    siteTimezone,
+    createdBy,
+    offline,
+    project: projectId,
+    workMode = 'onsite',
+    irregularities = [],
+    time = new Date()
+  }) {
+    if (!['onsite', 'remote'].includes(workMode)) {
+      throw new AppError('Work mode must be onsite or remote.', 400);
+    }
+    const remote = workMode === 'remote';
+
+    const shift = await this.getEmployeeShift(employee);
+    const project = await jobService.resolveClockInProject(shift, projectId);
+
+    const resolved = remote
+      ? this.resolveRemoteLocation(location, 'clock in')
+      : await this.resolveLocation(shift, employee, { location, qrToken, time }, 'clock in');
+    const { location: punchLocation, site } = resolved;
+
+    if (await this.findOpenAttendance(employee._id)) {
+      throw new AppError('You are already clocked in.', 400);
+    }
+
+    // Attribute the punch to its shift day in the site's (or employee's) timezone,
+    // so a night shift starting after midnight belongs to the previous day
+    const timezone = resolveTimezone(
+      siteTimezone,
+      site?.timezone,
+      shift?.timezone,
+      await this.getUserTimezone(employee.userId)
+    );
+    const shiftDate = shift ? shift.getShiftDate(time, timezone) : toDateOnly(time, timezone);
+    const remoteRequest = remote ? await remoteWorkService.authorize(employee, shift, shiftDate) : null;
+
+    let attendanceLog = await AttendanceLog.findOne({
+      employee: employee._id,
+      date: {
+        $gte: shiftDate,
+        $lte: moment.utc(shiftDate).endOf('day').toDate()
+      }
+    });
+
+    pairingService.assertUnlocked(attendanceLog);
+
+    if (attendanceLog?.clockOut?.time && time <= attendanceLog.clockOut.time) {
+      throw new AppError('Clock-in time must be after your last clock-out.', 400);
+    }
+
+    const gpsCheck = this.checkGpsFix(shift, resolved, offline?.deviceTime || time);
+    if (gpsCheck.reject) {
+      await this.rejectGpsFix(attendanceLog, { employee, date: shiftDate, timezone, createdBy }, gpsCheck.findings, 'clock_in');
+    }
+    const flagged = [...irregularities, ...gpsCheck.findings];
+
+    const biometric = await this.requireFace(employee, faceImage);
+
+    // A day already marked absent by the scheduler becomes a regular attendance day
+    if (!attendanceLog) {
+      attendanceLog = new AttendanceLog({
+        employee: employee._id,
+        date: shiftDate,
+        createdBy
+      });
+    } else if (attendanceLog.automaticallyGenerated) {
+      attendanceLog.notes = undefined;
+    }
+
+    attendanceLog.set({
+      timezone,
+      shift: shift?._id,
+      automaticallyGenerated: false
+    });
+    if (remoteRequest) {
+      attendanceLog.set({ workMode: 'remote', remoteWorkRequest: remoteRequest._id });
+    }
+    attendanceLog.irregularities.push(...flagged.map(item => ({ ...item, punch: 'clock_in' })));
+    if (project) {
+      jobService.startSegment(attendanceLog, project, time);
+    }
+
+    const punch = await pairingService.recordPunch(attendanceLog, {
+      type: 'in',
+      time,
+      location: punchLocation,
+      biometric: biometric || undefined,
+      deviceInfo,
+      offline,
+      createdBy
+    });
+    await irregularityService.reviewPunch(attendanceLog, employee, punch, flagged);
+
+    logger.info('Clock in', {
+      employeeId: employee._id,
+      attendanceId: attendanceLog._id,
+      shiftDate: formatDateOnly(shiftDate),
+      timezone,
+      workMode,
+      deviceType: deviceInfo?.deviceType
+    });
+
+    return { attendanceLog, punch };
+  }
+
+  // Close the employee's open session. Returns the day's log and the punch recorded.
+  async clockOut(employee, { location, qrToken, faceImage, deviceInfo, offline, irregularities = [], time = new Date() }) {
+    // The open session may belong to the previous calendar day on overnight shifts
+    const attendanceLog = await this.findOpenAttendance(employee._id);
+    if (!attendanceLog) {
+      throw new AppError('No open clock in record found.', 400);
+    }
+    pairingService.assertUnlocked(attendanceLog);
+
+    // Later sessions of a split day start at their own clock in, not the day's first
+    const openSession = attendanceLog.sessions[attendanceLog.sessions.length - 1];
+    if (time <= (openSession?.clockIn || attendanceLog.clockIn.time)) {
+      throw new AppError('Clock-out time must be after the clock-in time.', 400);
+    }
+
+    // A session clocked in remotely is clocked out remotely too
+    const inPunch = openSession?.inPunch && await Punch.findById(openSession.inPunch).select('location.source');
+    const resolved = inPunch?.location?.source === 'remote'
+      ? this.resolveRemoteLocation(location, 'clock out')
+      : await this.resolveLocation(attendanceLog.shift, employee, { location, qrToken, time }, 'clock out');
+
+    const gpsCheck = this.checkGpsFix(attendanceLog.shift, resolved, offline?.deviceTime || time);
+    if (gpsCheck.reject) {
+      await this.rejectGpsFix(attendanceLog, { employee }, gpsCheck.findings, 'clock_out');
+    }
+    const flagged = [...irregularities, ...gpsCheck.findings];
+
+    const biometric = await this.requireFace(employee, faceImage);
+
+    attendanceLog.irregularities.push(...flagged.map(item => ({ ...item, punch: 'clock_out' })));
+
+    const punch = await pairingService.recordPunch(attendanceLog, {
+      type: 'out',
+      time,
+      location: resolved.location,
+      biometric: biometric || undefined,
+      deviceInfo,
+      offline,
+      createdBy: employee.userId
+    });
+    await irregularityService.reviewPunch(attendanceLog, employee, punch, flagged);
+
+    logger.info('Clock out', {
+      employeeId: employee._id,
+      attendanceId: attendanceLog._id,
+      workingHours: attendanceLog.totalWorkingHours,
+      deviceType: deviceInfo?.deviceType
+    });
+
+    return { attendanceLog, punch };
+  }
+}
+
+// Export singleton instance
+module.exports = new PunchService();
@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const KioskDevice = require('../models/KioskDevice');
+const { AppError } = require('../middleware/errorMiddleware');
+
+const TOKEN_TYPE = 'site_qr';
+
+class QrTokenService {
+  constructor() {
+    this.secret = process.env.QR_TOKEN_SECRET || process.env.JWT_SECRET || 'your-default-secret-key';
+    this.rotationSeconds = parseInt(process.env.QR_TOKEN_ROTATION_SECONDS, 10) || 30;
+    // Extra validity after rotation so a code scanned just before it changes still works
+    this.graceSeconds = parseInt(process.env.QR_TOKEN_GRACE_SECONDS, 10) || 30;
+  }
+
+  // Issue the token for the current rotation window; every display of a site shows the same code
+  issueToken(kiosk, now = new Date()) {
+    const windowStart = Math.floor(now.getTime() / 1000 / this.rotationSeconds) * this.rotationSeconds;
+    const windowEnd = windowStart + this.rotationSeconds;
+
+    const token = jwt.sign(
+      {
+        typ: TOKEN_TYPE,
+        site: kiosk._id.toString(),
+        iat: windowStart
+      },
+      this.secret,
+      { expiresIn: this.rotationSeconds + this.graceSeconds }
+    );
+
+    return {
+      token,
+      expiresAt: new Date(windowEnd * 1000),
+      refreshInSeconds: Math.max(1, windowEnd - Math.floor(now.getTime() / 1000))
+    };
+  }
+
+  // Render a token as a PNG data URL for the site display
+  renderToken(token) {
+    return QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 480 });
+  }
+
+  // Check the signature and expiry of a scanned token and return the site it was issued for
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('QR code has expired. Scan the code currently on display.', 400);
+      }
+      throw new AppError('Invalid QR code', 400);
+    }
+
+    if (payload.typ !== TOKEN_TYPE || !payload.site) {
+      throw new AppError('Invalid QR code', 400);
+    }
+
+    const site = await KioskDevice.findOne({ _id: payload.site, isActive: true });
+    if (!site) {
+      throw new AppError('This QR code belongs to a site display that is no longer active', 400);
+    }
+
+    return site;
+  }
+}
+
+// Export singleton instance
+module.exports = new QrTokenService();
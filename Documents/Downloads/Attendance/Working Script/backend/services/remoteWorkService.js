@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const AttendancePolicy = require('../models/AttendancePolicy');
+const Employee = require('../models/Employee');
+const RemoteWorkRequest = require('../models/RemoteWorkRequest');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { parseDateOnly, formatDateOnly, getWeekRange } = require('../utils/timezone');
+
+// Longest run of dates one request may cover; longer arrangements are standing requests
+const MAX_REQUEST_DAYS = 31;
+
+// Working from home: employees request remote dates or a standing weekly arrangement, their manager or an
+// admin approves it, and on a covered day they may clock in with work mode "remote". Remote punches skip the
+// geofence but still record the device's position. The attendance policy can turn remote work off or cap
+// the remote days per week.
+class RemoteWorkService {
+  parseDate(value, label) {
+    const date = parseDateOnly(value);
+    if (!value || isNaN(date)) {
+      throw new AppError(`${label} must be in YYYY-MM-DD format`, 400);
+    }
+    return date;
+  }
+
+  // Validate a new request and check it doesn't overlap one already pending or approved
+  async create(employee, { type = 'dates', startDate, endDate, weekdays, reason }, createdBy, today) {
+    if (!['dates', 'standing'].includes(type)) {
+      throw new AppError('Request type must be dates or standing', 400);
+    }
+
+    const start = this.parseDate(startDate, 'Start date');
+    const end = endDate ? this.parseDate(endDate, 'End date') : null;
+    if (start < today) {
+      throw new AppError('Remote work can only be requested from today onwards', 400);
+    }
+    if (end && end < start) {
+      throw new AppError('End date must be on or after the start date', 400);
+    }
+
+    let days = [];
+    if (type === 'dates') {
+      if (!end) {
+        throw new AppError('End date is required', 400);
+      }
+      if (moment.utc(end).diff(start, 'days') + 1 > MAX_REQUEST_DAYS) {
+        throw new AppError(`A request covers at most ${MAX_REQUEST_DAYS} days; ask for a standing arrangement instead`, 400);
+      }
+    } else {
+      days = [...new Set(Array.isArray(weekdays) ? weekdays.map(day => String(day).toLowerCase()) : [])];
+      if (!days.length || days.some(day => !RemoteWorkRequest.WEEKDAYS.includes(day))) {
+        throw new AppError('Pick the weekdays of the standing arrangement', 400);
+      }
+    }
+
+    const overlapping = await RemoteWorkRequest.findOne({
+      employee: employee._id,
+      type,
+      status: { $in: ['pending', 'approved'] },
+      ...(end ? { startDate: { $lte: end } } : {}),
+      $or: [{ endDate: null }, { endDate: { $gte: start } }]
+    });
+    if (overlapping) {
+      throw new AppError(
+        `You already have a ${overlapping.status} ${type === 'dates' ? 'request' : 'standing arrangement'} from ${formatDateOnly(overlapping.startDate)}`,
+        409
+      );
+    }
+
+    const request = await RemoteWorkRequest.create({
+      employee: employee._id,
+      type,
+      startDate: start,
+      endDate: end,
+      weekdays: days,
+      reason,
+      createdBy
+    });
+
+    logger.info('Remote work requested', { employeeId: employee._id, requestId: request._id, type });
+    return request;
+  }
+
+  // Approve or reject a pending request
+  async review(request, reviewer, { status, comments }) {
+    if (!['approved', 'rejected'].includes(status)) {
+      throw new AppError('Status must be approved or rejected', 400);
+    }
+    if (request.status !== 'pending') {
+      throw new AppError(`This request has already been ${request.status}`, 400);
+    }
+    if (status === 'rejected' && !comments) {
+      throw new AppError('Give a reason when rejecting a request', 400);
+    }
+
+    request.set({
+      status,
+      reviewedBy: reviewer.userId,
+      reviewedAt: new Date(),
+      reviewComments: comments
+    });
+    await request.save();
+    return request;
+  }
+
+  // Withdraw a pending request, or end an approved one from today (days already worked stay remote)
+  async cancel(request, today) {
+    if (!['pending', 'approved'].includes(request.status)) {
+      throw new AppError(`This request has already been ${request.status}`, 400);
+    }
+
+    if (request.status === 'approved' && request.endDate && request.endDate < today) {
+      throw new AppError('This request is already over', 400);
+    }
+
+    if (request.status === 'approved' && request.startDate < today) {
+      request.endDate = moment.utc(today).subtract(1, 'day').toDate();
+    } else {
+      request.status = 'cancelled';
+    }
+    await request.save();
+    return request;
+  }
+
+  // The approved request covering a shift day; a request for specific dates wins over a standing arrangement
+  async findCovering(employeeId, date) {
+    const requests = await RemoteWorkRequest.find({
+      employee: employeeId,
+      status: 'approved',
+      startDate: { $lte: date },
+      $or: [{ endDate: null }, { endDate: { $gte: date } }]
+    });
+
+    const covering = requests.filter(request => request.covers(date));
+    return covering.find(request => request.type === 'dates') || covering[0] || null;
+  }
+
+  // Remote days already worked in the Monday-to-Sunday week of a shift day, not counting that day
+  countRemoteDays(employeeId, date) {
+    const week = getWeekRange(date);
+    return AttendanceLog.countDocuments({
+      employee: employeeId,
+      workMode: 'remote',
+      date: { $gte: week.start, $lte: moment.utc(week.end).endOf('day').toDate(), $ne: date }
+    });
+  }
+
+  // The policy the shift day's attendance log is held to: the one it already uses, or one resolved from
+  // the same shift, site, department and date the log would use. A day begun on site keeps that site's policy.
+  async resolvePolicy(employee, shift, date) {
+    const attendanceLog = await AttendanceLog.findOne({
+      employee: employee._id,
+      date: { $gte: date, $lte: moment.utc(date).endOf('day').toDate() }
+    }).select('policy clockIn.location.site');
+
+    if (attendanceLog?.policy) {
+      return AttendancePolicy.findById(attendanceLog.policy);
+    }
+    return AttendancePolicy.resolve({
+      shift: shift?._id,
+      site: attendanceLog?.clockIn?.location?.site,
+      department: employee.department,
+      date
+    });
+  }
+
+  // Check the employee may work remotely on a shift day. Returns the covering request.
+  async authorize(employee, shift, date) {
+    const policy = await this.resolvePolicy(employee, shift, date);
+    if (policy && policy.remoteWork?.allowed === false) {
+      throw new AppError(`Remote work is not allowed under the ${policy.name} policy.`, 403);
+    }
+
+    const request = await this.findCovering(employee._id, date);
+    if (!request) {
+      throw new AppError(`You have no approved remote work for ${formatDateOnly(date)}. Request it before clocking in remotely.`, 403);
+    }
+
+    const cap = policy?.remoteWork?.maxDaysPerWeek || 0;
+    if (cap) {
+      const used = await this.countRemoteDays(employee._id, date);
+      if (used >= cap) {
+        throw new AppError(`You have already worked remotely ${used} day(s) this week, the most allowed under the ${policy.name} policy.`, 400);
+      }
+    }
+
+    return request;
+  }
+
+  // Whether the employee can work remotely today and how much of this week's cap is used
+  async getStatus(employee, shift, date) {
+    const [policy, request, used] = await Promise.all([
+      this.resolvePolicy(employee, shift, date),
+      this.findCovering(employee._id, date),
+      this.countRemoteDays(employee._id, date)
+    ]);
+
+    const allowed = !policy || policy.remoteWork?.allowed !== false;
+    const cap = policy?.remoteWork?.maxDaysPerWeek || 0;
+    return {
+      date: formatDateOnly(date),
+      allowed,
+      approved: Boolean(request),
+      request,
+      weekCap: cap || null,
+      weekUsed: used,
+      canClockInRemotely: allowed && Boolean(request) && (!cap || used < cap)
+    };
+  }
+
+  // On-site and remote days and hours per employee over a range
+  async getReport({ start, end }, { department, employee } = {}) {
+    for (const id of [department, employee]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Department and employee must be IDs', 400);
+      }
+    }
+
+    const match = {
+      date: { $gte: start, $lte: moment.utc(end).endOf('day').toDate() },
+      status: { $in: AttendanceLog.WORKED_STATUSES }
+    };
+    if (employee) {
+      match.employee = new mongoose.Types.ObjectId(employee);
+    } else if (department) {
+      const employees = await Employee.find({ department }).select('_id');
+      match.employee = { $in: employees.map(item => item._id) };
+    }
+
+    const isRemote = { $eq: ['$workMode', 'remote'] };
+    const groups = await AttendanceLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$employee',
+          onsiteDays: { $sum: { $cond: [isRemote, 0, 1] } },
+          remoteDays: { $sum: { $cond: [isRemote, 1, 0] } },
+          onsiteHours: { $sum: { $cond: [isRemote, 0, '$totalWorkingHours'] } },
+          remoteHours: { $sum: { $cond: [isRemote, '$totalWorkingHours', 0] } }
+        }
+      }
+    ]);
+
+    const profiles = await Employee.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('employeeId userId department')
+      .populate('userId', 'firstName lastName')
+      .populate('department', 'name');
+    const byId = new Map(profiles.map(profile => [String(profile._id), profile]));
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const rows = groups.map(group => {
+      const profile = byId.get(String(group._id));
+      const days = group.onsiteDays + group.remoteDays;
+      return {
+        employee: group._id,
+        employeeId: profile?.employeeId,
+        name: profile?.userId ? `${profile.userId.firstName} ${profile.userId.lastName}` : profile?.employeeId,
+        department: profile?.department ? { _id: profile.department._id, name: profile.department.name } : null,
+        onsiteDays: group.onsiteDays,
+        remoteDays: group.remoteDays,
+        remoteShare: days ? round((group.remoteDays / days) * 100) : 0,
+        onsiteHours: round(group.onsiteHours),
+        remoteHours: round(group.remoteHours)
+      };
+    }).sort((a, b) => b.remoteDays - a.remoteDays || (a.name || '').localeCompare(b.name || ''));
+
+    const totals = rows.reduce((sum, row) => ({
+      onsiteDays: sum.onsiteDays + row.onsiteDays,
+      remoteDays: sum.remoteDays + row.remoteDays,
+      onsiteHours: round(sum.onsiteHours + row.onsiteHours),
+      remoteHours: round(sum.remoteHours + row.remoteHours)
+    }), { onsiteDays: 0, remoteDays: 0, onsiteHours: 0, remoteHours: 0 });
+
+    return {
+      range: { startDate: formatDateOnly(start), endDate: formatDateOnly(end) },
+      totals,
+      employees: rows
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RemoteWorkService();
@@ -0,0 +1,74 @@
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+
+const ADMIN_ROLES = ['admin', 'master_admin'];
+
+// Who reviews whose requests (corrections, timesheets, remote work, overtime): admins review everyone's,
+// managers their direct reports'. Nobody reviews their own.
+class ReviewService {
+  // Resolve the Employee record behind the authenticated user
+  getEmployeeForUser(user) {
+    return Employee.findOne({ userId: user.userId, isActive: true });
+  }
+
+  // Whether the employee record belongs to the user
+  isOwn(user, employee) {
+    const ownerId = employee.userId?._id || employee.userId;
+    return Boolean(ownerId && ownerId.equals(user.userId));
+  }
+
+  async canReview(user, employee) {
+    if (this.isOwn(user, employee)) {
+      return false;
+    }
+
+    if (ADMIN_ROLES.includes(user.role)) {
+      return true;
+    }
+
+    const reviewer = await this.getEmployeeForUser(user);
+    return Boolean(reviewer && employee.manager && employee.manager.equals(reviewer._id));
+  }
+
+  // The employees the user reviews: null (everyone) for admins, direct reports for managers
+  async getReviewableEmployeeIds(user) {
+    if (ADMIN_ROLES.includes(user.role)) {
+      return null;
+    }
+
+    const reviewer = await this.getEmployeeForUser(user);
+    const reports = reviewer
+      ? await Employee.find({ manager: reviewer._id }).select('_id')
+      : [];
+    return reports.map(report => report._id);
+  }
+
+  // Query condition on `employee` for a review queue: the direct reports for managers, everyone but
+  // themselves for admins. Null when there is nothing to filter on.
+  async getReviewQueueFilter(user) {
+    const employeeIds = await this.getReviewableEmployeeIds(user);
+    if (employeeIds) {
+      return { $in: employeeIds };
+    }
+
+    const own = await this.getEmployeeForUser(user);
+    return own ? { $ne: own._id } : null;
+  }
+
+  // Who is told about an employee's requests and alerts: their manager, or the active admins when no
+  // manager is assigned
+  async getReviewers(employee) {
+    if (employee.manager) {
+      const manager = await Employee.findById(employee.manager).select('userId');
+      if (manager?.userId) {
+        return [manager.userId];
+      }
+    }
+
+    const admins = await User.find({ role: { $in: ADMIN_ROLES }, isActive: true }).select('_id');
+    return admins.map(admin => admin._id);
+  }
+}
+
+// Export singleton instance
+module.exports = new ReviewService();
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const AttendanceLog = require('../models/AttendanceLog');
+const AttendanceRevision = require('../models/AttendanceRevision');
+const pairingService = require('./pairingService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+
+// Bookkeeping fields that change on every save and say nothing about the attendance itself
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// What an edit may change; everything else on a log is derived from its punches or owned by another workflow
+const EDITABLE_FIELDS = ['clockIn', 'clockOut', 'status', 'notes', 'breaks'];
+
+const isPlainObject = (value) => (
+  value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof mongoose.Types.ObjectId)
+);
+
+// Records a field-level revision for every edit to an attendance log.
+// Edits are applied and recorded here so no controller can change a log without leaving a trail.
+class RevisionService {
+  // Flatten a record to dotted paths; arrays (breaks, irregularities) count as single values
+  flatten(value, prefix = '', fields = {}) {
+    for (const [key, child] of Object.entries(value || {})) {
+      if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isPlainObject(child)) {
+        this.flatten(child, path, fields);
+      } else if (child !== undefined) {
+        fields[path] = child;
+      }
+    }
+    return fields;
+  }
+
+  // Field-level changes between two versions of a record
+  diff(before, after) {
+    const beforeFields = this.flatten(before);
+    const afterFields = this.flatten(after);
+    const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+
+    return paths
+      .filter(path => JSON.stringify(beforeFields[path]) !== JSON.stringify(afterFields[path]))
+      .map(path => ({ field: path, before: beforeFields[path], after: afterFields[path] }));
+  }
+
+  requireReason(reason) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw new AppError('A reason is required when changing an attendance record', 400);
+    }
+    return reason.trim();
+  }
+
+  parseTime(value, label) {
+    const time = new Date(value);
+    if (!value || isNaN(time)) {
+      throw new AppError(`${label} must be a valid time`, 400);
+    }
+    return time;
+  }
+
+  // Apply the editable fields of an edit to a loaded log. Returns whether the clock in or out time changed.
+  applyEdits(attendanceLog, updates = {}) {
+    const rejected = Object.keys(updates).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (rejected.length) {
+      throw new AppError(`Only ${EDITABLE_FIELDS.join(', ')} can be edited; not ${rejected.join(', ')}`, 400);
+    }
+
+    let timesChanged = false;
+    if (updates.clockIn !== undefined) {
+      attendanceLog.set('clockIn.time', this.parseTime(updates.clockIn?.time, 'Clock in time'));
+      timesChanged = true;
+    }
+    if (updates.clockOut !== undefined) {
+      attendanceLog.set('clockOut.time', this.parseTime(updates.clockOut?.time, 'Clock out time'));
+      timesChanged = true;
+    }
+    if (timesChanged && attendanceLog.clockOut?.time && attendanceLog.clockOut.time <= attendanceLog.clockIn?.time) {
+      throw new AppError('Clock out must be after clock in', 400);
+    }
+
+    const statuses = AttendanceLog.schema.path('status').enumValues;
+    if (updates.status !== undefined && !statuses.includes(updates.status)) {
+      throw new AppError(`Status must be one of: ${statuses.join(', ')}`, 400);
+    }
+
+    if (updates.notes !== undefined) {
+      attendanceLog.notes = updates.notes;
+    }
+
+    // Breaks between sessions come from the punches; an edit replaces the breaks taken within a session
+    if (updates.breaks !== undefined) {
+      if (!Array.isArray(updates.breaks)) {
+        throw new AppError('Breaks must be a list', 400);
+      }
+      attendanceLog.breaks = [
+        ...attendanceLog.breaks.filter(breakItem => breakItem.betweenSessions),
+        ...updates.breaks
+          .filter(breakItem => !breakItem.betweenSessions)
+          .map(({ _id, ...breakItem }) => breakItem)
+      ].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    }
+
+    return timesChanged;
+  }
+
+  // Save a revision for the change from before to after; edits that changed nothing are not recorded
+  async record({ before, after, reason, changedBy, source = 'manual' }) {
+    const changes = this.diff(before, after);
+    if (!changes.length) {
+      return null;
+    }
+
+    return AttendanceRevision.create({
+      attendanceLog: before._id,
+      employee: before.employee?._id || before.employee,
+      source,
+      changes,
+      reason,
+      changedBy
+    });
+  }
+
+  // Apply an edit to an unlocked log and record it. Returns null when the log is missing or locked.
+  async updateLog(id, updates, { reason, changedBy, source = 'manual' }) {
+    const why = this.requireReason(reason);
+
+    const attendanceLog = await AttendanceLog.findOne({ _id: id, lockedByTimesheet: null });
+    if (!attendanceLog) {
+      return null;
+    }
+
+    const before = attendanceLog.toObject({ virtuals: false });
+    const timesChanged = this.applyEdits(attendanceLog, updates);
+
+    // Edited clock in and out times replace the day's punches, and pairing the day again derives its status
+    if (timesChanged) {
+      await pairingService.syncPunches(attendanceLog, { reason: why, userId: changedBy });
+    }
+
+    // A status the editor chose is applied after pairing and kept by the save hook
+    if (updates.status !== undefined) {
+      attendanceLog.status = updates.status;
+      attendanceLog.$locals.keepStatus = true;
+    }
+    await attendanceLog.save();
+
+    await this.record({ before, after: attendanceLog.toObject({ virtuals: false }), reason: why, changedBy, source });
+    return attendanceLog;
+  }
+
+  // Delete an unlocked log, keeping a full snapshot of it. Returns null when the log is missing or locked.
+  async deleteLog(id, { reason, changedBy }) {
+    const why = this.requireReason(reason);
+
+    const before = await AttendanceLog.findOneAndDelete({ _id: id, lockedByTimesheet: null }).lean();
+    if (!before) {
+      return null;
+    }
+
+    await AttendanceRevision.create({
+      attendanceLog: before._id,
+      employee: before.employee,
+      action: 'delete',
+      snapshot: before,
+      reason: why,
+      changedBy
+    });
+
+    logger.info('Attendance record deleted', { attendanceLogId: before._id, changedBy });
+
+    return before;
+  }
+
+  getHistory(attendanceLogId) {
+    return AttendanceRevision.find({ attendanceLog: attendanceLogId })
+      .populate('changedBy', 'firstName lastName role')
+      .sort({ createdAt: -1 });
+  }
+}
+
+// Export singleton instance
+module.exports = new RevisionService();
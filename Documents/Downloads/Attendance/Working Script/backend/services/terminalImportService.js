@@ -0,0 +1,413 @@
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Employee = require('../models/Employee');
+const Punch = require('../models/Punch');
+const TerminalUserMapping = require('../models/TerminalUserMapping');
+const punchService = require('./punchService');
+const pairingService = require('./pairingService');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { resolveTimezone, isValidTimezone, toDateOnly } = require('../utils/timezone');
+
+const MAX_ROWS = parseInt(process.env.TERMINAL_IMPORT_MAX_ROWS, 10) || 20000;
+
+// Punches this close to one already recorded are the same punch exported twice
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+// A clock out this long after the open clock in means the terminal missed punches in between
+const MAX_SESSION_MS = 24 * 60 * 60 * 1000;
+
+const TIMESTAMP_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'YYYY/MM/DD HH:mm:ss',
+  'YYYY/MM/DD HH:mm',
+  'DD/MM/YYYY HH:mm:ss',
+  'DD/MM/YYYY HH:mm',
+  'YYYY-MM-DDTHH:mm:ss'
+];
+
+// Terminals write the punch direction as a state code or a word; blank means "work it out"
+const DIRECTIONS = {
+  0: 'in',
+  in: 'in',
+  i: 'in',
+  checkin: 'in',
+  'check in': 'in',
+  'c/in': 'in',
+  1: 'out',
+  out: 'out',
+  o: 'out',
+  checkout: 'out',
+  'check out': 'out',
+  'c/out': 'out'
+};
+
+const HEADER = /^(user|emp|id|no|pin|badge)/i;
+
+// Imports punch logs exported by fingerprint terminals (userId, timestamp, inOut, deviceId per line).
+// Preview and import run the same pass; preview just doesn't save, so what it shows is what import does.
+class TerminalImportService {
+  // Split the file into punch rows. Lines are tab separated; comma separated exports are accepted too.
+  parse(content) {
+    const rows = [];
+    const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    lines.forEach((text, index) => {
+      if (!text.trim()) return;
+
+      const [deviceUserId = '', timestamp = '', inOut = '', deviceId = ''] = text
+        .split(text.includes('\t') ? '\t' : ',')
+        .map(field => field.trim());
+
+      // Skip a header line such as "UserID<TAB>Timestamp<TAB>InOut<TAB>DeviceID"
+      if (!rows.length && HEADER.test(deviceUserId) && !/\d/.test(timestamp)) return;
+
+      const row = { line: index + 1, deviceUserId, timestamp, inOut, deviceId: deviceId || null };
+
+      if (!deviceUserId || !timestamp) {
+        row.error = 'User ID and timestamp are required';
+      } else if (inOut && !DIRECTIONS[inOut.toLowerCase()]) {
+        row.error = `Unknown in/out value "${inOut}"`;
+      } else {
+        row.direction = inOut ? DIRECTIONS[inOut.toLowerCase()] : null;
+      }
+      rows.push(row);
+    });
+
+    if (!rows.length) {
+      throw new AppError('The file contains no punches', 400);
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new AppError(`The file has ${rows.length} punches; import at most ${MAX_ROWS} at a time`, 400);
+    }
+    return rows;
+  }
+
+  // Terminal local time to an instant, or null when the timestamp can't be read
+  parseTime(timestamp, timezone) {
+    const value = moment.tz(timestamp, TIMESTAMP_FORMATS, true, timezone);
+    return value.isValid() ? value.toDate() : null;
+  }
+
+  // Find the employee for each terminal user: a mapping for that terminal, then one for all terminals,
+  // then an employee whose employee ID is the terminal user ID
+  async resolveEmployees(rows) {
+    const userIds = [...new Set(rows.map(row => row.deviceUserId).filter(Boolean))];
+
+    const [mappings, employees] = await Promise.all([
+      TerminalUserMapping.find({ deviceUserId: { $in: userIds } }).populate({
+        path: 'employee',
+        select: 'employeeId userId shift isActive',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      }),
+      Employee.find({ employeeId: { $in: userIds }, isActive: true })
+        .select('employeeId userId shift isActive')
+        .populate('userId', 'firstName lastName')
+    ]);
+
+    const byMapping = new Map(mappings.map(mapping => [`${mapping.deviceId || ''}|${mapping.deviceUserId}`, mapping.employee]));
+    const byEmployeeId = new Map(employees.map(employee => [employee.employeeId, employee]));
+
+    rows.forEach(row => {
+      if (row.error) return;
+
+      const mapped = byMapping.get(`${row.deviceId || ''}|${row.deviceUserId}`) || byMapping.get(`|${row.deviceUserId}`);
+      if (mapped) {
+        row.employee = mapped;
+        row.matchedBy = 'mapping';
+      } else if (byEmployeeId.has(row.deviceUserId)) {
+        row.employee = byEmployeeId.get(row.deviceUserId);
+        row.matchedBy = 'employeeId';
+      } else {
+        row.error = 'No employee is mapped to this terminal user';
+        row.unmapped = true;
+      }
+
+      if (row.employee && !row.employee.isActive) {
+        row.error = 'The mapped employee is inactive';
+      }
+    });
+  }
+
+  // A punch within the duplicate window going the same way, from this import or already recorded.
+  // Returns something with the attendanceLog it belongs to, or null.
+  async findNearPunch(employeeId, seen, time, direction) {
+    const near = (value) => Math.abs(new Date(value) - time) <= DUPLICATE_WINDOW_MS;
+    const imported = seen.find(punch => near(punch.time) && (!direction || punch.direction === direction));
+    if (imported) {
+      return imported;
+    }
+
+    const window = {
+      $gte: new Date(time.getTime() - DUPLICATE_WINDOW_MS),
+      $lte: new Date(time.getTime() + DUPLICATE_WINDOW_MS)
+    };
+
+    const punch = await Punch.findOne({
+      employee: employeeId,
+      time: window,
+      'voided.at': { $exists: false },
+      ...(direction ? { type: { $in: [direction, null] } } : {})
+    });
+    if (punch) {
+      return punch;
+    }
+
+    // Logs recorded before punches were stored
+    const fields = direction ? [direction === 'in' ? 'clockIn' : 'clockOut'] : ['clockIn', 'clockOut'];
+    const log = await AttendanceLog.findOne({
+      employee: employeeId,
+      $or: fields.map(field => ({ [`${field}.time`]: window }))
+    });
+    return log ? { attendanceLog: log._id } : null;
+  }
+
+  // The log for the shift day, from this import or already saved
+  async findDayLog(employeeId, logs, existing, shiftDate) {
+    const touched = logs.find(log => log.date.getTime() === shiftDate.getTime());
+    if (touched) {
+      return touched;
+    }
+
+    const log = await pairingService.findDayLog(employeeId, shiftDate);
+    if (log) {
+      logs.push(log);
+      existing.add(String(log._id));
+    }
+    return log;
+  }
+
+  // Apply one employee's punches in time order. Importing records each punch and pairs its day again;
+  // preview makes the same checks against an in-memory copy of the logs.
+  async applyEmployeePunches(employee, rows, { timezone, dryRun, createdBy }) {
+    const shift = await punchService.getEmployeeShift(employee);
+    const zone = resolveTimezone(timezone, shift?.timezone, await punchService.getUserTimezone(employee.userId?._id || employee.userId));
+
+    rows.forEach(row => {
+      row.time = this.parseTime(row.timestamp, zone);
+      if (!row.time) {
+        row.error = `Unreadable timestamp "${row.timestamp}"`;
+      }
+    });
+
+    // Logs that existed before this import; punches added to them are merges
+    const existing = new Set();
+    const logs = [];
+    const seen = [];
+
+    let open = await punchService.findOpenAttendance(employee._id);
+    let openSince = null;
+    if (open) {
+      logs.push(open);
+      existing.add(String(open._id));
+      openSince = open.sessions[open.sessions.length - 1]?.clockIn || open.clockIn.time;
+    }
+
+    const record = async (log, type, time, deviceInfo) => {
+      if (!dryRun) {
+        await pairingService.recordPunch(log, { type, time, deviceInfo, createdBy });
+      } else if (type === 'in') {
+        log.set('clockOut', undefined);
+        if (!log.clockIn?.time) {
+          log.clockIn = { time, deviceInfo };
+        }
+      } else {
+        log.clockOut = { time, deviceInfo };
+      }
+    };
+
+    const punches = rows.filter(row => !row.error).sort((a, b) => a.time - b.time);
+    for (const row of punches) {
+      const deviceInfo = { deviceType: 'terminal', deviceId: row.deviceId || undefined };
+
+      try {
+        const duplicate = await this.findNearPunch(employee._id, seen, row.time, row.direction);
+        if (duplicate) {
+          row.status = 'duplicate';
+          row.attendanceLog = duplicate.attendanceLog;
+          continue;
+        }
+
+        const direction = row.direction || (open ? 'out' : 'in');
+        row.direction = direction;
+
+        if (direction === 'in') {
+          if (open) {
+            throw new AppError(`Still clocked in since ${moment(openSince).tz(zone).format('YYYY-MM-DD HH:mm')}; the clock out punch is missing`, 400);
+          }
+
+          const shiftDate = shift ? shift.getShiftDate(row.time, zone) : toDateOnly(row.time, zone);
+          let log = await this.findDayLog(employee._id, logs, existing, shiftDate);
+
+          // Another session on a day already worked has to start after it ended
+          if (log?.clockOut?.time && row.time <= log.clockOut.time) {
+            throw new AppError(`Comes before the clock out at ${moment(log.clockOut.time).tz(zone).format('HH:mm')} already recorded for this shift day`, 400);
+          }
+          if (log?.lockedByTimesheet) {
+            throw new AppError('The timesheet for this day is locked', 400);
+          }
+
+          // A day already marked absent by the scheduler becomes a regular attendance day
+          if (!log) {
+            log = new AttendanceLog({
+              employee: employee._id,
+              date: shiftDate,
+              createdBy
+            });
+            logs.push(log);
+          } else if (log.automaticallyGenerated) {
+            log.notes = undefined;
+          }
+
+          log.set({
+            timezone: log.clockIn?.time ? log.timezone : zone,
+            shift: shift?._id,
+            automaticallyGenerated: false
+          });
+          await record(log, 'in', row.time, deviceInfo);
+          open = log;
+          openSince = row.time;
+          row.attendanceLog = log._id;
+          row.merged = existing.has(String(log._id));
+        } else {
+          if (!open) {
+            throw new AppError('No clock in before this clock out', 400);
+          }
+          if (row.time <= openSince || row.time - openSince > MAX_SESSION_MS) {
+            throw new AppError(`Does not follow the clock in at ${moment(openSince).tz(zone).format('YYYY-MM-DD HH:mm')}`, 400);
+          }
+          if (open.lockedByTimesheet) {
+            throw new AppError('The timesheet for this day is locked', 400);
+          }
+
+          await record(open, 'out', row.time, deviceInfo);
+          row.attendanceLog = open._id;
+          row.merged = existing.has(String(open._id));
+          open = null;
+        }
+
+        row.status = 'imported';
+        seen.push({ time: row.time, direction, attendanceLog: row.attendanceLog });
+      } catch (error) {
+        if (!error.isOperational && error.name !== 'ValidationError') {
+          throw error;
+        }
+        row.error = error.message;
+      }
+    }
+  }
+
+  // Preview (dryRun) or import a terminal export. Returns one result per punch plus totals.
+  async run(content, { timezone, dryRun = true, createdBy } = {}) {
+    if (timezone && !isValidTimezone(timezone)) {
+      throw new AppError('Invalid timezone', 400);
+    }
+
+    const rows = this.parse(content);
+    await this.resolveEmployees(rows);
+
+    const byEmployee = new Map();
+    rows.filter(row => !row.error).forEach(row => {
+      const key = String(row.employee._id);
+      if (!byEmployee.has(key)) {
+        byEmployee.set(key, []);
+      }
+      byEmployee.get(key).push(row);
+    });
+
+    for (const employeeRows of byEmployee.values()) {
+      await this.applyEmployeePunches(employeeRows[0].employee, employeeRows, { timezone, dryRun, createdBy });
+    }
+
+    const results = rows.map(row => this.formatRow(row));
+    const summary = {
+      total: results.length,
+      imported: results.filter(row => row.status === 'imported').length,
+      merged: results.filter(row => row.status === 'imported' && row.merged).length,
+      duplicates: results.filter(row => row.status === 'duplicate').length,
+      errors: results.filter(row => row.status === 'error').length,
+      unmapped: this.summarizeUnmapped(rows)
+    };
+
+    if (!dryRun) {
+      logger.info('Terminal punches imported', { ...summary, unmapped: summary.unmapped.length, createdBy });
+    }
+
+    return { summary, rows: results };
+  }
+
+  formatRow(row) {
+    const user = row.employee?.userId;
+    return {
+      line: row.line,
+      deviceUserId: row.deviceUserId,
+      deviceId: row.deviceId,
+      timestamp: row.timestamp,
+      time: row.time || null,
+      direction: row.direction || null,
+      employee: row.employee ? {
+        _id: row.employee._id,
+        employeeId: row.employee.employeeId,
+        name: user ? `${user.firstName} ${user.lastName}` : ''
+      } : null,
+      matchedBy: row.matchedBy || null,
+      status: row.error ? 'error' : row.status,
+      merged: Boolean(row.merged),
+      attendanceLog: row.attendanceLog || null,
+      message: row.error || null
+    };
+  }
+
+  // Terminal users with no employee, so the admin can map them before importing
+  summarizeUnmapped(rows) {
+    const unmapped = new Map();
+    rows.filter(row => row.unmapped).forEach(row => {
+      const key = `${row.deviceId || ''}|${row.deviceUserId}`;
+      if (!unmapped.has(key)) {
+        unmapped.set(key, { deviceUserId: row.deviceUserId, deviceId: row.deviceId, punches: 0 });
+      }
+      unmapped.get(key).punches += 1;
+    });
+    return [...unmapped.values()];
+  }
+
+  getMappings() {
+    return TerminalUserMapping.find()
+      .populate({
+        path: 'employee',
+        select: 'employeeId userId',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .sort({ deviceUserId: 1, deviceId: 1 });
+  }
+
+  // Map a terminal user to the employee with the given employee ID, replacing any existing mapping
+  async saveMapping({ deviceUserId, deviceId, employeeId }, userId) {
+    if (!deviceUserId || !employeeId) {
+      throw new AppError('Terminal user ID and employee ID are required', 400);
+    }
+
+    const employee = await Employee.findOne({ employeeId: String(employeeId).trim(), isActive: true });
+    if (!employee) {
+      throw new AppError(`No active employee with ID ${employeeId}`, 404);
+    }
+
+    const key = { deviceUserId: String(deviceUserId).trim(), deviceId: deviceId ? String(deviceId).trim() : null };
+    return TerminalUserMapping.findOneAndUpdate(
+      key,
+      {
+        $set: { employee: employee._id, updatedBy: userId },
+        $setOnInsert: { createdBy: userId }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).populate({
+      path: 'employee',
+      select: 'employeeId userId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new TerminalImportService();
@@ -0,0 +1,210 @@
+const moment = require('moment-timezone');
+const AttendanceLog = require('../models/AttendanceLog');
+const Timesheet = require('../models/Timesheet');
+const { AppError } = require('../middleware/errorMiddleware');
+const { logger } = require('../utils/logger');
+const { parseDateOnly, formatDateOnly, getWeekRange } = require('../utils/timezone');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Weekly timesheets: employees submit a week of attendance, reviewers approve or return it.
+// Approval locks the week's attendance logs; reopening an approved week unlocks them.
+class TimesheetService {
+  // Resolve any date in a week to that week's Monday-to-Sunday bounds
+  getWeek(weekStart) {
+    const date = weekStart ? parseDateOnly(weekStart) : moment.utc().startOf('day').toDate();
+    if (isNaN(date)) {
+      throw new AppError('Week start must be a date in YYYY-MM-DD format', 400);
+    }
+    return getWeekRange(date);
+  }
+
+  findWeekLogs(employeeId, { start, end }) {
+    return AttendanceLog.find({
+      employee: employeeId,
+      date: { $gte: start, $lte: moment.utc(end).endOf('day').toDate() }
+    }).sort({ date: 1 });
+  }
+
+  computeTotals(logs) {
+    return logs.reduce((totals, log) => {
+      if (log.status === 'absent') {
+        totals.absentDays++;
+      } else if (log.status === 'leave') {
+        totals.leaveDays++;
+      } else if (log.clockIn?.time) {
+        totals.daysWorked++;
+        totals.workingHours = round(totals.workingHours + (log.netWorkingHours || 0));
+        totals.overtimeHours = round(totals.overtimeHours + (log.overtimeHours || 0));
+      }
+      return totals;
+    }, { daysWorked: 0, workingHours: 0, overtimeHours: 0, absentDays: 0, leaveDays: 0 });
+  }
+
+  // The week's attendance with its timesheet, if one has been submitted
+  async getWeekSummary(employeeId, weekStart) {
+    const week = this.getWeek(weekStart);
+    const [logs, timesheet] = await Promise.all([
+      this.findWeekLogs(employeeId, week),
+      Timesheet.findOne({ employee: employeeId, weekStart: week.start })
+        .populate('reviewedBy', 'firstName lastName')
+    ]);
+
+    return {
+      weekStart: formatDateOnly(week.start),
+      weekEnd: formatDateOnly(week.end),
+      logs,
+      totals: this.computeTotals(logs),
+      timesheet
+    };
+  }
+
+  // Submit a finished week, or resubmit one that was returned
+  async submit(employee, weekStart, notes, userId) {
+    const week = this.getWeek(weekStart);
+    if (week.end >= moment.utc().startOf('day').toDate()) {
+      throw new AppError('A week can be submitted once it has ended', 400);
+    }
+
+    let timesheet = await Timesheet.findOne({ employee: employee._id, weekStart: week.start });
+    if (timesheet && timesheet.status !== 'returned') {
+      throw new AppError(`This week's timesheet is already ${timesheet.status}`, 400);
+    }
+
+    const logs = await this.findWeekLogs(employee._id, week);
+    if (logs.some(log => log.clockIn?.time && !log.clockOut?.time)) {
+      throw new AppError('Clock out of every session in the week before submitting it', 400);
+    }
+
+    if (!timesheet) {
+      timesheet = new Timesheet({
+        employee: employee._id,
+        weekStart: week.start,
+        weekEnd: week.end
+      });
+    }
+
+    timesheet.set({
+      status: 'submitted',
+      attendanceLogs: logs.map(log => log._id),
+      totals: this.computeTotals(logs),
+      employeeNotes: notes?.trim() || undefined,
+      submittedAt: new Date(),
+      reviewedBy: undefined,
+      reviewedAt: undefined,
+      reviewComments: undefined
+    });
+    timesheet.history.push({ action: 'submitted', by: userId, comments: notes?.trim() || undefined });
+    await timesheet.save();
+
+    return timesheet;
+  }
+
+  // Approve a submitted timesheet and lock its attendance logs against edits
+  async approve(timesheet, userId, comments) {
+    if (timesheet.status !== 'submitted') {
+      throw new AppError('Only submitted timesheets can be approved', 400);
+    }
+
+    // Pick up logs added since submission (e.g. absences marked later) so the whole week is locked
+    const logs = await this.findWeekLogs(timesheet.employee._id || timesheet.employee, {
+      start: timesheet.weekStart,
+      end: timesheet.weekEnd
+    });
+
+    timesheet.set({
+      status: 'approved',
+      attendanceLogs: logs.map(log => log._id),
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      reviewComments: comments?.trim() || undefined
+    });
+    timesheet.history.push({ action: 'approved', by: userId, comments: comments?.trim() || undefined });
+    await timesheet.save();
+
+    await AttendanceLog.updateMany(
+      { _id: { $in: timesheet.attendanceLogs } },
+      { $set: { lockedByTimesheet: timesheet._id } }
+    );
+
+    logger.info('Timesheet approved', {
+      timesheetId: timesheet._id,
+      weekStart: formatDateOnly(timesheet.weekStart),
+      locked: timesheet.attendanceLogs.length
+    });
+
+    return timesheet;
+  }
+
+  // Send a submitted timesheet back to the employee to fix and resubmit
+  async returnToEmployee(timesheet, userId, comments) {
+    if (timesheet.status !== 'submitted') {
+      throw new AppError('Only submitted timesheets can be returned', 400);
+    }
+    if (!comments?.trim()) {
+      throw new AppError('Comments are required when returning a timesheet', 400);
+    }
+
+    timesheet.set({
+      status: 'returned',
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      reviewComments: comments.trim()
+    });
+    timesheet.history.push({ action: 'returned', by: userId, comments: comments.trim() });
+    await timesheet.save();
+
+    return timesheet;
+  }
+
+  // Undo an approval so the week's logs can be corrected; the employee then resubmits
+  async reopen(timesheet, userId, comments) {
+    if (timesheet.status !== 'approved') {
+      throw new AppError('Only approved timesheets can be reopened', 400);
+    }
+    if (!comments?.trim()) {
+      throw new AppError('A reason is required to reopen an approved timesheet', 400);
+    }
+
+    await AttendanceLog.updateMany(
+      { lockedByTimesheet: timesheet._id },
+      { $unset: { lockedByTimesheet: 1 } }
+    );
+
+    timesheet.set({
+      status: 'returned',
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      reviewComments: comments.trim()
+    });
+    timesheet.history.push({ action: 'reopened', by: userId, comments: comments.trim() });
+    await timesheet.save();
+
+    return timesheet;
+  }
+
+  // Weeks in a date range where the employee has attendance but no approved timesheet
+  async getUnapprovedWeeks(employeeId, startDate, endDate) {
+    const logs = await AttendanceLog.find({
+      employee: employeeId,
+      date: { $gte: startDate, $lte: endDate }
+    }).select('date').lean();
+
+    const weekStarts = [...new Set(logs.map(log => formatDateOnly(getWeekRange(log.date).start)))];
+    if (!weekStarts.length) {
+      return [];
+    }
+
+    const approved = await Timesheet.find({
+      employee: employeeId,
+      weekStart: { $in: weekStarts.map(parseDateOnly) },
+      status: 'approved'
+    }).select('weekStart').lean();
+    const approvedWeeks = new Set(approved.map(timesheet => formatDateOnly(timesheet.weekStart)));
+
+    return weekStarts.filter(week => !approvedWeeks.has(week)).sort();
+  }
+}
+
+// Export singleton instance
+module.exports = new TimesheetService();
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const AttendanceLog = require('../models/AttendanceLog');
+const { approveCorrection } = require('../controllers/attendanceCorrectionController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('approveCorrection', () => {
+  let admin;
+  let correction;
+  let attendanceLog;
+
+  beforeEach(() => {
+    admin = { userId: id(), role: 'admin' };
+    attendanceLog = {
+      _id: id(),
+      clockIn: { time: new Date('2026-10-12T08:00:00Z') },
+      clockOut: { time: new Date('2026-10-12T12:00:00Z') },
+      lockedByTimesheet: null,
+      toObject() {
+        return { _id: this._id, clockIn: this.clockIn, clockOut: this.clockOut };
+      },
+      applyCorrection: mock.fn(async () => {})
+    };
+    correction = {
+      _id: id(),
+      employee: { _id: id(), userId: id(), manager: null },
+      attendanceLog: attendanceLog._id,
+      date: new Date('2026-10-12T00:00:00Z'),
+      status: 'pending',
+      reason: 'Forgot to clock in',
+      save: mock.fn(async () => {})
+    };
+
+    mock.method(AttendanceCorrection, 'findById', () => ({ populate: async () => correction }));
+    mock.method(AttendanceLog, 'findById', async () => attendanceLog);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does not let an admin approve their own correction', async () => {
+    correction.employee.userId = admin.userId;
+    const res = mockResponse();
+
+    await approveCorrection({ params: { id: correction._id }, body: {}, user: admin }, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.message, 'You cannot review your own correction request');
+    assert.strictEqual(attendanceLog.applyCorrection.mock.callCount(), 0);
+    assert.strictEqual(correction.save.mock.callCount(), 0);
+  });
+
+  it('rejects a clock-in correction that lands after the clock-out', async () => {
+    correction.requestedClockIn = new Date('2026-10-12T13:00:00Z');
+    const res = mockResponse();
+
+    await approveCorrection({ params: { id: correction._id }, body: {}, user: admin }, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, 'The corrected clock-in must be before the clock-out');
+    assert.strictEqual(attendanceLog.applyCorrection.mock.callCount(), 0);
+  });
+
+  it('answers a validation failure on the attendance record with a 400', async () => {
+    correction.requestedClockIn = new Date('2026-10-12T07:30:00Z');
+    const validationError = new mongoose.Error.ValidationError();
+    validationError.addError('status', new mongoose.Error.ValidatorError({ message: 'Invalid status' }));
+    attendanceLog.applyCorrection = mock.fn(async () => {
+      throw validationError;
+    });
+    const res = mockResponse();
+
+    await approveCorrection({ params: { id: correction._id }, body: {}, user: admin }, res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, 'Invalid status');
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Punch = require('../models/Punch');
+const pairingService = require('../services/pairingService');
+const presenceService = require('../services/presenceService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('recordPunch', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses a punch into a day locked by an approved timesheet', async () => {
+    const attendanceLog = {
+      _id: id(),
+      employee: id(),
+      date: new Date('2026-10-12T00:00:00Z'),
+      lockedByTimesheet: id(),
+      save: mock.fn(async () => {})
+    };
+    const punchSave = mock.method(Punch.prototype, 'save', async () => {});
+    const exists = mock.method(Punch, 'exists', async () => null);
+
+    await assert.rejects(
+      pairingService.recordPunch(attendanceLog, { type: 'in', time: new Date('2026-10-12T08:00:00Z') }),
+      { statusCode: 409 }
+    );
+
+    assert.strictEqual(attendanceLog.save.mock.callCount(), 0);
+    assert.strictEqual(punchSave.mock.callCount(), 0);
+    assert.strictEqual(exists.mock.callCount(), 0);
+  });
+
+  it('stores the punch before pairing the day from its stored punches', async () => {
+    const calls = [];
+    const attendanceLog = {
+      _id: id(),
+      employee: id(),
+      date: new Date('2026-10-12T00:00:00Z'),
+      isNew: true,
+      lockedByTimesheet: null,
+      save: mock.fn(async () => calls.push('log'))
+    };
+    let stored;
+    mock.method(Punch.prototype, 'save', async function save() {
+      calls.push('punch');
+      stored = this;
+      return this;
+    });
+    mock.method(Punch, 'find', () => ({ sort: async () => [stored] }));
+    const apply = mock.method(pairingService, 'apply', () => {});
+    mock.method(presenceService, 'publish', () => {});
+
+    const punch = await pairingService.recordPunch(attendanceLog, { type: 'in', time: new Date('2026-10-12T08:00:00Z') });
+
+    assert.deepStrictEqual(calls, ['punch', 'log']);
+    assert.deepStrictEqual(apply.mock.calls[0].arguments, [attendanceLog, [punch]]);
+  });
+});
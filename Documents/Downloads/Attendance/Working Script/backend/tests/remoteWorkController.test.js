@@ -0,0 +1,43 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const RemoteWorkRequest = require('../models/RemoteWorkRequest');
+const remoteWorkService = require('../services/remoteWorkService');
+const { reviewRequest } = require('../controllers/remoteWorkController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('reviewRequest', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does not let an admin approve their own request', async () => {
+    const admin = { userId: id(), role: 'admin' };
+    const request = {
+      _id: id(),
+      employee: { _id: id(), userId: { _id: admin.userId }, manager: null },
+      status: 'pending'
+    };
+    mock.method(RemoteWorkRequest, 'findById', () => ({ populate: async () => request }));
+    const review = mock.method(remoteWorkService, 'review', async () => {});
+    const res = mockResponse();
+
+    await reviewRequest({ params: { id: request._id.toString() }, body: { status: 'approved' }, user: admin }, res);
+
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.message, 'You cannot review your own remote work request');
+    assert.strictEqual(review.mock.callCount(), 0);
+  });
+});
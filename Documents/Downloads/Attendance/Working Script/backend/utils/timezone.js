@@ -0,0 +1,76 @@
+const moment = require('moment-timezone');
+
+// Attendance days are stored as date-only values: midnight UTC of the local calendar day.
+// Instants (clock-in, clock-out) stay real timestamps and are rendered in the day's timezone.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Check whether a string is a known IANA timezone
+const isValidTimezone = (timezone) => {
+  return Boolean(timezone) && moment.tz.zone(timezone) !== null;
+};
+
+// Pick the first valid timezone, e.g. resolveTimezone(site.timezone, user.preferences.timezone)
+const resolveTimezone = (...candidates) => {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+};
+
+// Get the local calendar day of an instant as a date-only value
+const toDateOnly = (instant, timezone = DEFAULT_TIMEZONE) => {
+  const key = moment.tz(instant, timezone).format('YYYY-MM-DD');
+  return moment.utc(key, 'YYYY-MM-DD').toDate();
+};
+
+// Parse a 'YYYY-MM-DD' string (or any date) into a date-only value without shifting the day
+const parseDateOnly = (value) => {
+  return moment.utc(moment.utc(value).format('YYYY-MM-DD'), 'YYYY-MM-DD').toDate();
+};
+
+// Format a date-only value as 'YYYY-MM-DD'
+const formatDateOnly = (dateOnly) => {
+  return moment.utc(dateOnly).format('YYYY-MM-DD');
+};
+
+// Get the instant a wall-clock time occurs on a date-only day in the given timezone
+const atLocalTime = (dateOnly, hour, minute, timezone = DEFAULT_TIMEZONE) => {
+  return moment.tz(formatDateOnly(dateOnly), 'YYYY-MM-DD', timezone)
+    .hour(hour)
+    .minute(minute)
+    .second(0)
+    .millisecond(0);
+};
+
+// Get the date-only bounds of a calendar month (month is 1-12)
+const getMonthRange = (year, month) => {
+  const start = moment.utc({ year: parseInt(year, 10), month: parseInt(month, 10) - 1, day: 1 });
+  return {
+    start: start.toDate(),
+    end: start.clone().endOf('month').startOf('day').toDate()
+  };
+};
+
+// Get the date-only bounds of the Monday-to-Sunday week containing a date-only value
+const getWeekRange = (dateOnly) => {
+  const start = moment.utc(dateOnly).startOf('isoWeek');
+  return {
+    start: start.toDate(),
+    end: start.clone().add(6, 'days').toDate()
+  };
+};
+
+// Format an instant as ISO 8601 with the timezone's explicit offset
+const formatWithOffset = (instant, timezone = DEFAULT_TIMEZONE) => {
+  return instant ? moment.tz(instant, timezone).format('YYYY-MM-DDTHH:mm:ss.SSSZ') : null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  toDateOnly,
+  parseDateOnly,
+  formatDateOnly,
+  atLocalTime,
+  getMonthRange,
+  getWeekRange,
+  formatWithOffset
+};
@@ -1,5 +1,4 @@
-// This is a minimal service worker that does nothing
-// It's here to prevent 404 errors in the console
+// Service worker: caches the app shell and replays clock-in/out events queued while offline
 
 const CACHE_NAME = 'attendance-trackone-v1';
 
@@ -43,4 +42,134 @@ self.addEventListener('fetch', (event) => {
       return response || fetch(event.request);
     })
   );
-});
\ No newline at end of file
+});
+
+// Offline punch queue - clock-in/out events stored by src/utils/offlineQueue.js
+const PUNCH_DB_NAME = 'attendance-offline';
+const PUNCH_DB_VERSION = 1;
+const PUNCH_STORE = 'punches';
+const META_STORE = 'meta';
+const PUNCH_SYNC_TAG = 'punch-queue';
+
+const openPunchDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(PUNCH_DB_NAME, PUNCH_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(PUNCH_STORE)) {
+      db.createObjectStore(PUNCH_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const punchStoreRequest = async (storeName, mode, action) => {
+  const db = await openPunchDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request && request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const notifyClients = async (message) => {
+  const clientList = await self.clients.matchAll({ includeUncontrolled: true });
+  clientList.forEach(client => client.postMessage(message));
+};
+
+// Send one queued event; the event ID lets the server ignore replays it has already applied
+const sendPunch = (punch, token) => {
+  const formData = new FormData();
+  formData.append('eventId', punch.id);
+  formData.append('type', punch.type);
+  formData.append('deviceTime', punch.deviceTime);
+  formData.append('sentAt', new Date().toISOString());
+  if (punch.latitude !== undefined && punch.latitude !== null) {
+    formData.append('latitude', punch.latitude);
+    formData.append('longitude', punch.longitude);
+    ['accuracy', 'altitude', 'speed', 'positionTimestamp'].forEach((field) => {
+      if (punch[field] !== undefined && punch[field] !== null) {
+        formData.append(field, punch[field]);
+      }
+    });
+  }
+  if (punch.faceImage) {
+    formData.append('faceImage', punch.faceImage, 'face.jpg');
+  }
+  if (punch.deviceId) {
+    formData.append('deviceId', punch.deviceId);
+  }
+  if (punch.project) {
+    formData.append('project', punch.project);
+  }
+  if (punch.workMode) {
+    formData.append('workMode', punch.workMode);
+  }
+
+  return fetch('/api/attendance/offline-sync', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    },
+    body: formData
+  });
+};
+
+// Replay pending events oldest first. Throwing makes Background Sync retry later.
+const replayPunches = async () => {
+  const token = await punchStoreRequest(META_STORE, 'readonly', store => store.get('authToken'));
+  const punches = (await punchStoreRequest(PUNCH_STORE, 'readonly', store => store.getAll()) || [])
+    .filter(punch => punch.status === 'pending')
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  if (!token || punches.length === 0) {
+    return;
+  }
+
+  for (const punch of punches) {
+    const response = await sendPunch(punch, token);
+
+    if (response.ok) {
+      await punchStoreRequest(PUNCH_STORE, 'readwrite', store => store.delete(punch.id));
+      await notifyClients({ type: 'PUNCH_SYNCED', id: punch.id });
+      continue;
+    }
+
+    // Expired session, rate limiting or a server fault: keep the queue as it is and retry later
+    if (response.status === 401 || response.status === 429 || response.status >= 500) {
+      throw new Error(`Punch sync deferred (${response.status})`);
+    }
+
+    // The server rejected the event itself; keep it so the employee can see why
+    const body = await response.json().catch(() => ({}));
+    await punchStoreRequest(PUNCH_STORE, 'readwrite', store => store.put({
+      ...punch,
+      status: 'failed',
+      error: body.message || `Rejected (${response.status})`
+    }));
+    await notifyClients({ type: 'PUNCH_SYNC_FAILED', id: punch.id });
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === PUNCH_SYNC_TAG) {
+    event.waitUntil(replayPunches());
+  }
+});
+
+// Fallback for browsers without Background Sync: the app asks for a replay when it comes online
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'REPLAY_PUNCHES') {
+    event.waitUntil(replayPunches().catch(error => console.error('Punch replay failed:', error)));
+  }
+});
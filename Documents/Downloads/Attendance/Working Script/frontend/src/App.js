@@ -12,9 +12,22 @@ import LeavePage from './pages/LeavePage';
 import ShiftPage from './pages/ShiftPage';
 import PayrollPage from './pages/PayrollPage';
 import LicensePage from './pages/LicensePage';
+import KioskPage from './pages/KioskPage';
+import SiteQrDisplayPage from './pages/SiteQrDisplayPage';
+import KioskManagementPage from './pages/KioskManagementPage';
+import IrregularitiesPage from './pages/IrregularitiesPage';
+import SitesPage from './pages/SitesPage';
+import ProjectsPage from './pages/ProjectsPage';
+import TerminalImportPage from './pages/TerminalImportPage';
+import AttendancePoliciesPage from './pages/AttendancePoliciesPage';
+import AbsenceScoresPage from './pages/AbsenceScoresPage';
+import RemoteWorkPage from './pages/RemoteWorkPage';
+import OvertimePage from './pages/OvertimePage';
+import FieldTrackingPage from './pages/FieldTrackingPage';
 
 // Import components
 import NotificationCenter from './components/NotificationCenter';
+import FieldTracker from './components/FieldTracker';
 
 // Icons
 import {
@@ -28,7 +41,17 @@ import {
   Cog6ToothIcon,
   ArrowRightOnRectangleIcon,
   Bars3Icon,
-  XMarkIcon
+  XMarkIcon,
+  ComputerDesktopIcon,
+  ShieldExclamationIcon,
+  BuildingOfficeIcon,
+  BriefcaseIcon,
+  FingerPrintIcon,
+  ScaleIcon,
+  ArrowTrendingUpIcon,
+  HomeModernIcon,
+  MapIcon,
+  BoltIcon
 } from '@heroicons/react/24/outline';
 
 // Styles
@@ -77,6 +100,8 @@ const getNavigationItems = (user) => {
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
     { name: 'Attendance', href: '/attendance', icon: ClockIcon },
     { name: 'Leave Requests', href: '/leave', icon: CalendarDaysIcon },
+    { name: 'Remote Work', href: '/remote-work', icon: HomeModernIcon },
+    { name: 'Overtime', href: '/overtime', icon: BoltIcon },
   ];
 
   // Add admin-only items
@@ -86,6 +111,14 @@ const getNavigationItems = (user) => {
       { name: 'Shift Management', href: '/shifts', icon: UserGroupIcon },
       { name: 'Payroll Reports', href: '/payroll', icon: CurrencyDollarIcon },
       { name: 'License Management', href: '/license', icon: DocumentCheckIcon },
+      { name: 'Work Sites', href: '/sites', icon: BuildingOfficeIcon },
+      { name: 'Projects', href: '/projects', icon: BriefcaseIcon },
+      { name: 'Terminal Import', href: '/terminal-import', icon: FingerPrintIcon },
+      { name: 'Attendance Policies', href: '/attendance-policies', icon: ScaleIcon },
+      { name: 'Absence Scores', href: '/absence-scores', icon: ArrowTrendingUpIcon },
+      { name: 'Field Tracking', href: '/field-tracking', icon: MapIcon },
+      { name: 'Kiosks', href: '/kiosks', icon: ComputerDesktopIcon },
+      { name: 'Irregularities', href: '/irregularities', icon: ShieldExclamationIcon },
     ];
   }
 
@@ -304,6 +337,7 @@ const Layout = ({ children }) => {
         />
         <main className="flex-1 overflow-y-auto">
           <div className="p-6">
+            <FieldTracker />
             {children}
           </div>
         </main>
@@ -315,6 +349,16 @@ const Layout = ({ children }) => {
 // Main App Component
 const App = () => {
   const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
+
+  // The kiosk and site QR display run full-screen on shared devices with their own token, outside any user session
+  if (location.pathname === '/kiosk') {
+    return <KioskPage />;
+  }
+
+  if (location.pathname === '/kiosk/qr') {
+    return <SiteQrDisplayPage />;
+  }
 
   if (loading) {
     return <LoadingSpinner />;
@@ -371,6 +415,34 @@ const App = () => {
           } 
         />
 
+        <Route 
+          path="/remote-work" 
+          element={
+            <ProtectedRoute>
+              <RemoteWorkPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/overtime" 
+          element={
+            <ProtectedRoute>
+              <OvertimePage />
+            </ProtectedRoute>
+          } 
+        />
+
+        {/* Managers reach this from field alerts; the API limits them to their direct reports */}
+        <Route 
+          path="/field-tracking" 
+          element={
+            <ProtectedRoute>
+              <FieldTrackingPage />
+            </ProtectedRoute>
+          } 
+        />
+
         <Route 
           path="/shifts" 
           element={
@@ -398,6 +470,70 @@ const App = () => {
           } 
         />
 
+        <Route 
+          path="/sites" 
+          element={
+            <ProtectedRoute roles={['master_admin', 'admin']}>
+              <SitesPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/projects" 
+          element={
+            <ProtectedRoute roles={['master_admin', 'admin']}>
+              <ProjectsPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/terminal-import" 
+          element={
+            <ProtectedRoute roles={['master_admin', 'admin']}>
+              <TerminalImportPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/attendance-policies" 
+          element={
+            <ProtectedRoute roles={['master_admin', 'admin']}>
+              <AttendancePoliciesPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/absence-scores" 
+          element={
+            <ProtectedRoute roles={['master_admin', 'admin']}>
+              <AbsenceScoresPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/kiosks" 
+          element={
+            <ProtectedRoute roles={['master_admin', 'admin']}>
+              <KioskManagementPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        {/* Managers reach it from irregularity alerts; the queue only holds their direct reports */}
+        <Route 
+          path="/irregularities" 
+          element={
+            <ProtectedRoute>
+              <IrregularitiesPage />
+            </ProtectedRoute>
+          } 
+        />
+
         {/* Default redirect */}
         <Route 
           path="/" 
@@ -1,7 +1,25 @@
 // frontend/src/components/AttendanceForm.js
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useNotifications } from '../context/NotificationContext';
+import QrScanner from './QrScanner';
+import { queuePunch, isNetworkError } from '../utils/offlineQueue';
+import { getDeviceId } from '../utils/deviceId';
+
+// Fixes older than this are re-read before submitting, well inside the server's default limit
+const LOCATION_MAX_AGE_MS = 60000;
+
+// Send the fix details along with the coordinates; browsers report null for what they don't know
+const appendFixDetails = (formData, fix) => {
+  ['accuracy', 'altitude', 'speed'].forEach((field) => {
+    if (fix[field] !== null && fix[field] !== undefined) {
+      formData.append(field, fix[field]);
+    }
+  });
+  if (fix.timestamp) {
+    formData.append('positionTimestamp', fix.timestamp);
+  }
+};
 
 const AttendanceForm = ({ onClose, onSuccess }) => {
   const { user, token } = useAuth();
@@ -15,6 +33,42 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
   const [cameraReady, setCameraReady] = useState(false);
   const [locationError, setLocationError] = useState('');
   const [step, setStep] = useState(1); // 1: location, 2: camera, 3: confirm
+  const [qrToken, setQrToken] = useState(null);
+  const [showQrScanner, setShowQrScanner] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [jobRequired, setJobRequired] = useState(false);
+  const [project, setProject] = useState('');
+  const [remoteStatus, setRemoteStatus] = useState(null);
+  const [workRemotely, setWorkRemotely] = useState(false);
+
+  // Shifts with job tracking ask which project the employee is clocking into
+  useEffect(() => {
+    fetch('/api/projects/active', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then((result) => {
+        if (result?.success) {
+          setProjects(result.data.projects);
+          setJobRequired(result.data.jobRequired);
+        }
+      })
+      .catch(error => console.error('Failed to load projects:', error));
+  }, [token]);
+
+  // Offer remote clock-in when today is covered by approved remote work
+  useEffect(() => {
+    fetch('/api/remote-work/status', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then((result) => {
+        if (result?.success) {
+          setRemoteStatus(result.data);
+        }
+      })
+      .catch(error => console.error('Failed to load remote work status:', error));
+  }, [token]);
 
   useEffect(() => {
     getCurrentLocation();
@@ -25,6 +79,43 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
     };
   }, []);
 
+  // The video element only mounts once the camera step is shown, which can be after the stream starts
+  useEffect(() => {
+    if (stream && videoRef.current && videoRef.current.srcObject !== stream) {
+      videoRef.current.srcObject = stream;
+      videoRef.current.onloadedmetadata = () => {
+        setCameraReady(true);
+      };
+    }
+  }, [stream, step]);
+
+  // Keep the details of the fix the server uses to judge it: its accuracy radius and when it was taken
+  const readPosition = (position) => ({
+    latitude: position.coords.latitude,
+    longitude: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    altitude: position.coords.altitude,
+    speed: position.coords.speed,
+    timestamp: position.timestamp
+  });
+
+  // Re-read the position when the fix from step 1 has gone stale; keep the old one if that fails
+  const refreshLocation = (current) => new Promise((resolve) => {
+    if (!current || Date.now() - current.timestamp < LOCATION_MAX_AGE_MS) {
+      resolve(current);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const fresh = readPosition(position);
+        setLocation(fresh);
+        resolve(fresh);
+      },
+      () => resolve(current),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+    );
+  });
+
   const getCurrentLocation = () => {
     if (!navigator.geolocation) {
       setLocationError('Geolocation is not supported by this browser');
@@ -33,11 +124,7 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
 
     navigator.geolocation.getCurrentPosition(
       (position) => {
-        setLocation({
-          latitude: position.coords.latitude,
-          longitude: position.coords.longitude,
-          accuracy: position.coords.accuracy
-        });
+        setLocation(readPosition(position));
         setLocationError('');
         setStep(2);
         startCamera();
@@ -60,7 +147,7 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
       {
         enableHighAccuracy: true,
         timeout: 10000,
-        maximumAge: 300000 // 5 minutes
+        maximumAge: 30000 // 30 seconds; the server rejects or flags old fixes
       }
     );
   };
@@ -89,8 +176,16 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
     }
   };
 
+  const stopCamera = () => {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      setStream(null);
+    }
+    setCameraReady(false);
+  };
+
   const captureImage = () => {
-    if (!videoRef.current || !canvasRef.current) return null;
+    if (!videoRef.current || !canvasRef.current) return Promise.resolve(null);
 
     const video = videoRef.current;
     const canvas = canvasRef.current;
@@ -100,12 +195,33 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
     canvas.height = video.videoHeight;
     context.drawImage(video, 0, 0);
 
-    return canvas.toDataURL('image/jpeg', 0.8);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  };
+
+  // The scanner needs the rear camera, so the face camera is released while it is open
+  const openQrScanner = () => {
+    stopCamera();
+    setShowQrScanner(true);
+  };
+
+  const handleQrScan = useCallback((data) => {
+    setQrToken(data);
+    setShowQrScanner(false);
+    setLocationError('');
+    setStep(2);
+    startCamera();
+  }, []);
+
+  const cancelQrScan = () => {
+    setShowQrScanner(false);
+    if (step >= 2) {
+      startCamera();
+    }
   };
 
   const handleSubmit = async () => {
-    if (!location) {
-      addNotification('Location is required for attendance', 'error');
+    if (!location && !qrToken) {
+      addNotification('Location or a site QR code scan is required for attendance', 'error');
       return;
     }
 
@@ -114,33 +230,57 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
       return;
     }
 
+    const clockingIntoJob = attendanceType === 'check_in' && jobRequired;
+    if (clockingIntoJob && !project) {
+      addNotification('Select the project you are working on', 'error');
+      return;
+    }
+
+    // Remote punches are placed by GPS alone; a site QR code means the employee is on site
+    const clockingInRemotely = attendanceType === 'check_in' && workRemotely;
+    if (clockingInRemotely && !location) {
+      addNotification('Your location is required to clock in remotely', 'error');
+      return;
+    }
+
     setLoading(true);
+    let faceImage = null;
+    let fix = location;
 
     try {
       // Capture face image
-      const faceImage = captureImage();
+      faceImage = await captureImage();
       if (!faceImage) {
         throw new Error('Failed to capture face image');
       }
 
-      const attendanceData = {
-        type: attendanceType,
-        location: {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          accuracy: location.accuracy
-        },
-        faceImage: faceImage,
-        timestamp: new Date().toISOString()
-      };
+      fix = await refreshLocation(location);
+
+      const formData = new FormData();
+      if (fix) {
+        formData.append('latitude', fix.latitude);
+        formData.append('longitude', fix.longitude);
+        appendFixDetails(formData, fix);
+      }
+      if (qrToken && !clockingInRemotely) {
+        formData.append('qrToken', qrToken);
+      }
+      if (clockingInRemotely) {
+        formData.append('workMode', 'remote');
+      }
+      formData.append('faceImage', faceImage, 'face.jpg');
+      formData.append('deviceId', getDeviceId());
+      if (clockingIntoJob) {
+        formData.append('project', project);
+      }
 
-      const response = await fetch('/api/attendance/biometric', {
+      const endpoint = attendanceType === 'check_in' ? 'clock-in' : 'clock-out';
+      const response = await fetch(`/api/attendance/${endpoint}`, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+          'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(attendanceData)
+        body: formData
       });
 
       if (response.ok) {
@@ -156,6 +296,27 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
         throw new Error(error.message || 'Attendance submission failed');
       }
     } catch (error) {
+      // Without connectivity the punch is kept on the device and synced later.
+      // Site QR codes expire too quickly to replay, so only GPS punches can be queued.
+      if (faceImage && fix && isNetworkError(error)) {
+        await queuePunch({
+          type: attendanceType === 'check_in' ? 'clock_in' : 'clock_out',
+          latitude: fix.latitude,
+          longitude: fix.longitude,
+          accuracy: fix.accuracy,
+          altitude: fix.altitude,
+          speed: fix.speed,
+          positionTimestamp: fix.timestamp,
+          faceImage,
+          deviceId: getDeviceId(),
+          project: clockingIntoJob ? project : undefined,
+          workMode: clockingInRemotely ? 'remote' : undefined
+        }, token);
+        addNotification('You are offline. Your attendance was saved and will sync when you are back online.', 'success');
+        onClose();
+        return;
+      }
+
       console.error('Attendance submission error:', error);
       addNotification(error.message || 'Failed to submit attendance', 'error');
     } finally {
@@ -285,6 +446,51 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
             </div>
           </div>
 
+          {/* Work Mode */}
+          {attendanceType === 'check_in' && remoteStatus?.approved && (
+            <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={workRemotely}
+                  onChange={(e) => setWorkRemotely(e.target.checked)}
+                  disabled={!remoteStatus.canClockInRemotely}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm font-medium text-blue-900">I'm working remotely today</span>
+              </label>
+              <p className="mt-1 ml-6 text-xs text-blue-700">
+                {!remoteStatus.allowed
+                  ? 'Remote work is not allowed under your attendance policy.'
+                  : remoteStatus.weekCap
+                    ? `${remoteStatus.weekUsed} of ${remoteStatus.weekCap} remote days used this week. `
+                    : ''}
+                {remoteStatus.canClockInRemotely && 'Your location is recorded but doesn\'t need to be on site.'}
+              </p>
+            </div>
+          )}
+
+          {/* Job Picker */}
+          {attendanceType === 'check_in' && jobRequired && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Project
+              </label>
+              <select
+                value={project}
+                onChange={(e) => setProject(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select the project you are working on</option>
+                {projects.map(item => (
+                  <option key={item._id} value={item._id}>
+                    {item.code} {item.name}{item.client ? ` (${item.client})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Location Status */}
           <div className="mb-6">
             <div className="flex items-center justify-between mb-3">
@@ -343,6 +549,30 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
                 </div>
               </div>
             )}
+
+            {/* Site QR code - proves presence where GPS is unreliable */}
+            {showQrScanner ? (
+              <div className="mt-4">
+                <QrScanner onScan={handleQrScan} onCancel={cancelQrScan} />
+              </div>
+            ) : qrToken ? (
+              <div className="mt-4 flex items-center justify-between bg-green-50 border border-green-200 rounded-lg p-4">
+                <p className="text-green-800 font-medium">Site QR code scanned</p>
+                <button
+                  onClick={openQrScanner}
+                  className="text-sm text-green-700 hover:text-green-900 underline"
+                >
+                  Scan again
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={openQrScanner}
+                className="mt-4 text-sm text-blue-600 hover:text-blue-800 underline"
+              >
+                Indoors or no GPS? Scan the site QR code
+              </button>
+            )}
           </div>
 
           {/* Camera Section */}
@@ -434,7 +664,7 @@ const AttendanceForm = ({ onClose, onSuccess }) => {
           </button>
           <button
             onClick={handleSubmit}
-            disabled={loading || !location || !cameraReady}
+            disabled={loading || (!location && !qrToken) || !cameraReady}
             className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 flex items-center"
           >
             {loading ? (
@@ -0,0 +1,97 @@
+// frontend/src/components/AttendanceHistory.js
+import React, { useState, useEffect } from 'react';
+import { useAttendance } from '../hooks/useAttendance';
+
+const SOURCE_LABELS = {
+  manual: 'Edited',
+  bulk: 'Bulk edit',
+  correction: 'Approved correction',
+  punch: 'Punch change'
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+// Show a stored before/after value the way a person would read it
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return <span className="text-gray-400">empty</span>;
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const AttendanceHistory = ({ record, onClose }) => {
+  const { fetchAttendanceHistory } = useAttendance();
+  const [revisions, setRevisions] = useState(null);
+
+  useEffect(() => {
+    fetchAttendanceHistory(record._id).then(setRevisions);
+  }, [fetchAttendanceHistory, record._id]);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Changes to attendance for {record.date ? new Date(record.date).toLocaleDateString() : 'this day'}, newest first.
+      </p>
+
+      {revisions === null ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">This record has not been edited.</p>
+      ) : (
+        <ul className="space-y-4 max-h-96 overflow-y-auto">
+          {revisions.map(revision => (
+            <li key={revision._id} className="border border-gray-200 rounded-md p-3">
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium text-gray-900">
+                  {revision.action === 'delete' ? 'Deleted' : SOURCE_LABELS[revision.source]}
+                  {revision.changedBy && ` by ${revision.changedBy.firstName} ${revision.changedBy.lastName}`}
+                </span>
+                <span className="text-gray-500">{new Date(revision.createdAt).toLocaleString()}</span>
+              </div>
+              <p className="text-sm text-gray-600 mt-1">Reason: {revision.reason}</p>
+
+              {revision.changes.length > 0 && (
+                <table className="mt-2 min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-1 pr-3 font-medium">Field</th>
+                      <th className="py-1 pr-3 font-medium">Before</th>
+                      <th className="py-1 font-medium">After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {revision.changes.map(change => (
+                      <tr key={change.field} className="align-top">
+                        <td className="py-1 pr-3 text-gray-700">{change.field}</td>
+                        <td className="py-1 pr-3 text-red-700 break-all">{formatValue(change.before)}</td>
+                        <td className="py-1 text-green-700 break-all">{formatValue(change.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceHistory;
@@ -1,5 +1,5 @@
 // frontend/src/components/Charts.js
-import React from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -10,9 +10,11 @@ import {
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  Filler
 } from 'chart.js';
-import { Bar, Line, Doughnut } from 'react-chartjs-2';
+import { Bar, Line } from 'react-chartjs-2';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../hooks/useAuth';
 
 // Register Chart.js components
 ChartJS.register(
@@ -24,46 +26,251 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  Filler
 );
 
-const Charts = ({ type, period = 'week' }) => {
-  // Generate mock data based on period
-  const generateMockData = () => {
-    const labels = {
-      week: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
-      month: ['Week 1', 'Week 2', 'Week 3', 'Week 4'],
-      quarter: ['Jan', 'Feb', 'Mar'],
-      year: ['Q1', 'Q2', 'Q3', 'Q4']
+const COLORS = {
+  green: 'rgba(34, 197, 94, 1)',
+  red: 'rgba(239, 68, 68, 1)',
+  blue: 'rgba(59, 130, 246, 1)',
+  orange: 'rgba(249, 115, 22, 1)',
+  purple: 'rgba(168, 85, 247, 1)'
+};
+
+const fill = (color, alpha = 0.8) => color.replace(', 1)', `, ${alpha})`);
+
+// Which analytics view each chart type is drawn from
+const VIEWS = {
+  attendance: 'trend',
+  performance: 'trend',
+  trends: 'trend',
+  departments: 'departments',
+  weekdays: 'patterns',
+  hours: 'patterns'
+};
+
+const barDataset = (label, data, color) => ({
+  label,
+  data,
+  backgroundColor: fill(color),
+  borderColor: color,
+  borderWidth: 2,
+  borderRadius: 4,
+  borderSkipped: false
+});
+
+const lineDataset = (label, data, color, extra = {}) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: fill(color, 0.1),
+  borderWidth: 3,
+  fill: true,
+  tension: 0.4,
+  pointBackgroundColor: color,
+  pointBorderColor: '#ffffff',
+  pointBorderWidth: 2,
+  pointRadius: 5,
+  pointHoverRadius: 7,
+  ...extra
+});
+
+const formatBucket = (bucket) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(bucket)) {
+    return new Date(`${bucket}T00:00:00Z`).toLocaleDateString([], { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+  }
+  if (/^\d{4}-\d{2}$/.test(bucket)) {
+    return new Date(`${bucket}-01T00:00:00Z`).toLocaleDateString([], { timeZone: 'UTC', month: 'short', year: 'numeric' });
+  }
+  return bucket.replace('-W', ' wk ');
+};
+
+const formatTime = (value, timezone) => (value ? new Date(value).toLocaleTimeString([], { timeZone: timezone, hour: '2-digit', minute: '2-digit' }) : '-');
+
+// Build the chart for a view's data, and what to drill into when a bar or point is clicked
+const buildChart = (type, data) => {
+  if (type === 'attendance') {
+    return {
+      kind: 'bar',
+      labels: data.points.map(point => formatBucket(point.bucket)),
+      datasets: [
+        barDataset('On Site', data.points.map(point => point.onsite), COLORS.green),
+        barDataset('Remote', data.points.map(point => point.remote), COLORS.blue),
+        barDataset('Absent', data.points.map(point => point.absent), COLORS.red)
+      ],
+      drill: (index, datasetIndex) => {
+        const bucket = data.points[index].bucket;
+        const drills = [
+          { title: 'On site', params: { bucket, status: 'worked', workMode: 'onsite' } },
+          { title: 'Remote', params: { bucket, status: 'worked', workMode: 'remote' } },
+          { title: 'Absent', params: { bucket, status: 'absent' } }
+        ];
+        return { ...drills[datasetIndex], title: `${drills[datasetIndex].title} · ${formatBucket(bucket)}` };
+      }
+    };
+  }
+
+  if (type === 'performance') {
+    return {
+      kind: 'line',
+      labels: data.points.map(point => formatBucket(point.bucket)),
+      datasets: [
+        lineDataset('Attendance Rate (%)', data.points.map(point => point.attendanceRate), COLORS.blue),
+        lineDataset('Late Arrivals (%)', data.points.map(point => point.lateRate), COLORS.orange)
+      ],
+      drill: (index, datasetIndex) => ({
+        title: `${datasetIndex ? 'Late arrivals' : 'Attendance'} · ${formatBucket(data.points[index].bucket)}`,
+        params: datasetIndex
+          ? { bucket: data.points[index].bucket, late: 'true' }
+          : { bucket: data.points[index].bucket }
+      })
+    };
+  }
+
+  if (type === 'trends') {
+    return {
+      kind: 'bar',
+      labels: data.points.map(point => formatBucket(point.bucket)),
+      datasets: [
+        barDataset('Overtime (hours)', data.points.map(point => point.overtimeHours), COLORS.purple),
+        { ...lineDataset('Average Lateness (min)', data.points.map(point => point.averageLateMinutes), COLORS.orange, { fill: false }), type: 'line' }
+      ],
+      drill: (index, datasetIndex) => ({
+        title: `${datasetIndex ? 'Late arrivals' : 'Overtime'} · ${formatBucket(data.points[index].bucket)}`,
+        params: datasetIndex
+          ? { bucket: data.points[index].bucket, late: 'true' }
+          : { bucket: data.points[index].bucket, status: 'worked' }
+      })
     };
+  }
 
-    const attendanceData = {
-      week: [145, 142, 148, 144, 139, 25, 30],
-      month: [680, 672, 695, 688],
-      quarter: [2150, 2080, 2200],
-      year: [8500, 8200, 8800, 8600]
+  if (type === 'departments') {
+    return {
+      kind: 'bar',
+      labels: data.map(row => row.name),
+      datasets: [
+        barDataset('Attendance Rate (%)', data.map(row => row.attendanceRate), COLORS.green),
+        barDataset('Late Arrivals', data.map(row => row.late), COLORS.orange),
+        barDataset('Average Lateness (min)', data.map(row => row.averageLateMinutes), COLORS.red)
+      ],
+      drill: (index, datasetIndex) => ({
+        title: `${data[index].name}${datasetIndex ? ' · late arrivals' : ''}`,
+        params: { department: data[index].department || '', ...(datasetIndex ? { late: 'true' } : {}) }
+      })
     };
+  }
 
-    const performanceData = {
-      week: [95, 93, 97, 94, 91, 85, 88],
-      month: [94, 92, 96, 95],
-      quarter: [94, 91, 96],
-      year: [93, 91, 95, 94]
+  if (type === 'weekdays') {
+    return {
+      kind: 'bar',
+      labels: data.dayOfWeek.map(day => day.name),
+      datasets: [
+        barDataset('Late Arrivals', data.dayOfWeek.map(day => day.late), COLORS.orange),
+        barDataset('Absences', data.dayOfWeek.map(day => day.absent), COLORS.red)
+      ],
+      drill: (index, datasetIndex) => ({
+        title: `${data.dayOfWeek[index].name} · ${datasetIndex ? 'absences' : 'late arrivals'}`,
+        params: { dayOfWeek: data.dayOfWeek[index].dayOfWeek, ...(datasetIndex ? { status: 'absent' } : { late: 'true' }) }
+      })
     };
+  }
 
+  if (type === 'hours') {
+    const hours = data.hourOfDay.filter(hour => hour.clockIns > 0);
     return {
-      labels: labels[period] || labels.week,
-      attendance: attendanceData[period] || attendanceData.week,
-      performance: performanceData[period] || performanceData.week
+      kind: 'bar',
+      labels: hours.map(hour => `${String(hour.hour).padStart(2, '0')}:00`),
+      datasets: [
+        barDataset('Clock-ins', hours.map(hour => hour.clockIns), COLORS.blue),
+        barDataset('Late', hours.map(hour => hour.late), COLORS.orange)
+      ],
+      drill: (index, datasetIndex) => ({
+        title: `Clock-ins ${String(hours[index].hour).padStart(2, '0')}:00${datasetIndex ? ' · late' : ''}`,
+        params: { hour: hours[index].hour, ...(datasetIndex ? { late: 'true' } : {}) }
+      })
     };
-  };
+  }
+
+  return null;
+};
+
+// Attendance analytics charts. Click a bar or point to list the attendance records behind it.
+const Charts = ({ type, period = 'week', department, employee, groupBy }) => {
+  const { token } = useAuth();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [drill, setDrill] = useState(null);
+  const [records, setRecords] = useState(null);
+  const view = VIEWS[type];
+  const baseParams = useMemo(() => ({ period, department, employee, groupBy }), [period, department, employee, groupBy]);
+
+  const get = useCallback(async (endpoint, params) => {
+    const query = new URLSearchParams();
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+        query.append(key, params[key]);
+      }
+    });
+    const response = await fetch(`/api/analytics/${endpoint}?${query.toString()}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json().catch(() => ({}));
 
-  const data = generateMockData();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data.data;
+  }, [token]);
+
+  useEffect(() => {
+    if (!view || !token) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setDrill(null);
+    get(view, baseParams)
+      .then(result => !cancelled && setData(result))
+      .catch(error => {
+        console.error(`Error fetching ${type} chart:`, error);
+        if (!cancelled) setData(null);
+      })
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [view, type, token, get, baseParams]);
+
+  useEffect(() => {
+    if (!drill) {
+      setRecords(null);
+      return;
+    }
+    get('records', { ...baseParams, ...drill.params })
+      .then(setRecords)
+      .catch(error => {
+        console.error('Error fetching chart records:', error);
+        setRecords({ records: [], truncated: false });
+      });
+  }, [drill, get, baseParams]);
+
+  const chart = data ? buildChart(type, data) : null;
+  const isEmpty = !chart || chart.labels.length === 0;
 
   // Chart options
   const commonOptions = {
     responsive: true,
     maintainAspectRatio: false,
+    onClick: (event, elements) => {
+      if (elements.length && chart?.drill) {
+        setDrill(chart.drill(elements[0].index, elements[0].datasetIndex));
+      }
+    },
+    onHover: (event, elements) => {
+      if (event.native?.target) {
+        event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+      }
+    },
     plugins: {
       legend: {
         position: 'top',
@@ -94,205 +301,93 @@ const Charts = ({ type, period = 'week' }) => {
     }
   };
 
-  // Attendance Chart
-  if (type === 'attendance') {
-    const chartData = {
-      labels: data.labels,
-      datasets: [
-        {
-          label: 'Present',
-          data: data.attendance,
-          backgroundColor: 'rgba(34, 197, 94, 0.8)',
-          borderColor: 'rgba(34, 197, 94, 1)',
-          borderWidth: 2,
-          borderRadius: 4,
-          borderSkipped: false,
-        },
-        {
-          label: 'Absent',
-          data: data.attendance.map(val => Math.max(0, 150 - val)),
-          backgroundColor: 'rgba(239, 68, 68, 0.8)',
-          borderColor: 'rgba(239, 68, 68, 1)',
-          borderWidth: 2,
-          borderRadius: 4,
-          borderSkipped: false,
-        }
-      ]
-    };
-
+  // Default fallback
+  if (!view) {
     return (
-      <div className="h-64">
-        <Bar data={chartData} options={commonOptions} />
+      <div className="h-64 flex items-center justify-center bg-gray-100 rounded-lg">
+        <div className="text-center">
+          <div className="text-4xl text-gray-400 mb-2">📊</div>
+          <p className="text-gray-600">Chart data loading...</p>
+          <p className="text-sm text-gray-500 mt-1">Type: {type} | Period: {period}</p>
+        </div>
       </div>
     );
   }
 
-  // Performance Chart
-  if (type === 'performance') {
-    const chartData = {
-      labels: data.labels,
-      datasets: [
-        {
-          label: 'Attendance Rate (%)',
-          data: data.performance,
-          borderColor: 'rgba(59, 130, 246, 1)',
-          backgroundColor: 'rgba(59, 130, 246, 0.1)',
-          borderWidth: 3,
-          fill: true,
-          tension: 0.4,
-          pointBackgroundColor: 'rgba(59, 130, 246, 1)',
-          pointBorderColor: '#ffffff',
-          pointBorderWidth: 2,
-          pointRadius: 6,
-          pointHoverRadius: 8
-        },
-        {
-          label: 'Productivity Score (%)',
-          data: data.performance.map(val => val - Math.random() * 5),
-          borderColor: 'rgba(168, 85, 247, 1)',
-          backgroundColor: 'rgba(168, 85, 247, 0.1)',
-          borderWidth: 3,
-          fill: true,
-          tension: 0.4,
-          pointBackgroundColor: 'rgba(168, 85, 247, 1)',
-          pointBorderColor: '#ffffff',
-          pointBorderWidth: 2,
-          pointRadius: 6,
-          pointHoverRadius: 8
-        }
-      ]
-    };
-
+  if (loading || isEmpty) {
     return (
-      <div className="h-64">
-        <Line data={chartData} options={commonOptions} />
+      <div className="h-64 flex items-center justify-center bg-gray-50 rounded-lg">
+        <p className="text-sm text-gray-500">{loading ? 'Loading chart...' : 'No attendance in this period'}</p>
       </div>
     );
   }
 
-  // Department Distribution Chart
-  if (type === 'departments') {
-    const chartData = {
-      labels: ['Engineering', 'Sales', 'Marketing', 'HR', 'Finance', 'Operations'],
-      datasets: [
-        {
-          label: 'Employees by Department',
-          data: [45, 32, 18, 12, 15, 28],
-          backgroundColor: [
-            'rgba(59, 130, 246, 0.8)',
-            'rgba(34, 197, 94, 0.8)',
-            'rgba(249, 115, 22, 0.8)',
-            'rgba(168, 85, 247, 0.8)',
-            'rgba(236, 72, 153, 0.8)',
-            'rgba(14, 165, 233, 0.8)'
-          ],
-          borderColor: [
-            'rgba(59, 130, 246, 1)',
-            'rgba(34, 197, 94, 1)',
-            'rgba(249, 115, 22, 1)',
-            'rgba(168, 85, 247, 1)',
-            'rgba(236, 72, 153, 1)',
-            'rgba(14, 165, 233, 1)'
-          ],
-          borderWidth: 2
-        }
-      ]
-    };
+  const ChartComponent = chart.kind === 'line' ? Line : Bar;
 
-    const doughnutOptions = {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: {
-          position: 'right',
-          labels: {
-            usePointStyle: true,
-            padding: 15,
-            generateLabels: (chart) => {
-              const data = chart.data;
-              if (data.labels.length && data.datasets.length) {
-                return data.labels.map((label, i) => {
-                  const meta = chart.getDatasetMeta(0);
-                  const style = meta.controller.getStyle(i);
-                  return {
-                    text: `${label}: ${data.datasets[0].data[i]}`,
-                    fillStyle: style.backgroundColor,
-                    strokeStyle: style.borderColor,
-                    lineWidth: style.borderWidth,
-                    pointStyle: 'circle',
-                    hidden: isNaN(data.datasets[0].data[i]) || meta.data[i].hidden,
-                    index: i
-                  };
-                });
-              }
-              return [];
-            }
-          }
-        },
-        tooltip: {
-          callbacks: {
-            label: function(context) {
-              const label = context.label || '';
-              const value = context.parsed;
-              const total = context.dataset.data.reduce((a, b) => a + b, 0);
-              const percentage = Math.round((value / total) * 100);
-              return `${label}: ${value} (${percentage}%)`;
-            }
-          }
-        }
-      }
-    };
-
-    return (
-      <div className="h-64">
-        <Doughnut data={chartData} options={doughnutOptions} />
-      </div>
-    );
-  }
-
-  // Monthly Trends Chart
-  if (type === 'trends') {
-    const chartData = {
-      labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
-      datasets: [
-        {
-          label: 'Average Attendance (%)',
-          data: [94, 92, 96, 95, 93, 97, 94, 96, 95, 93, 91, 94],
-          borderColor: 'rgba(34, 197, 94, 1)',
-          backgroundColor: 'rgba(34, 197, 94, 0.1)',
-          borderWidth: 3,
-          fill: true,
-          tension: 0.4
-        },
-        {
-          label: 'Late Arrivals (%)',
-          data: [8, 12, 6, 9, 11, 5, 8, 7, 9, 12, 14, 8],
-          borderColor: 'rgba(249, 115, 22, 1)',
-          backgroundColor: 'rgba(249, 115, 22, 0.1)',
-          borderWidth: 3,
-          fill: true,
-          tension: 0.4
-        }
-      ]
-    };
-
-    return (
+  return (
+    <div>
       <div className="h-64">
-        <Line data={chartData} options={commonOptions} />
+        <ChartComponent data={{ labels: chart.labels, datasets: chart.datasets }} options={commonOptions} />
       </div>
-    );
-  }
 
-  // Default fallback
-  return (
-    <div className="h-64 flex items-center justify-center bg-gray-100 rounded-lg">
-      <div className="text-center">
-        <div className="text-4xl text-gray-400 mb-2">📊</div>
-        <p className="text-gray-600">Chart data loading...</p>
-        <p className="text-sm text-gray-500 mt-1">Type: {type} | Period: {period}</p>
-      </div>
+      {drill && (
+        <div className="mt-4 border-t border-gray-200 pt-4">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-900">{drill.title}</h3>
+            <button onClick={() => setDrill(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </div>
+          {!records ? (
+            <p className="text-sm text-gray-500">Loading records...</p>
+          ) : (
+            <div className="max-h-64 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">In</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Out</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Late</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Overtime</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {records.records.map(record => (
+                    <tr key={record._id}>
+                      <td className="px-3 py-2 text-gray-900">{record.date.split('T')[0]}</td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {record.employee?.userId
+                          ? `${record.employee.userId.firstName} ${record.employee.userId.lastName}`
+                          : record.employee?.employeeId || '-'}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">{formatTime(record.clockIn?.time, record.timezone)}</td>
+                      <td className="px-3 py-2 text-gray-600">{formatTime(record.clockOut?.time, record.timezone)}</td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {record.status}{record.workMode === 'remote' ? ' (remote)' : ''}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">{record.isLate ? `${Math.round(record.lateBy)} min` : '-'}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">{record.overtimeHours ? `${record.overtimeHours.toFixed(2)}h` : '-'}</td>
+                    </tr>
+                  ))}
+                  {records.records.length === 0 && (
+                    <tr>
+                      <td colSpan="7" className="px-3 py-4 text-center text-gray-500">No records</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+              {records.truncated && (
+                <p className="mt-2 text-xs text-gray-500">Showing the first {records.records.length} records</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-export default Charts;
\ No newline at end of file
+export default Charts;
@@ -0,0 +1,143 @@
+// frontend/src/components/CorrectionRequestForm.js
+import React, { useState } from 'react';
+import { useAttendance } from '../hooks/useAttendance';
+
+// Format a date for a datetime-local input in the browser's timezone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const CorrectionRequestForm = ({ record, onSuccess, onCancel }) => {
+  const { requestCorrection, loading } = useAttendance();
+  const [formData, setFormData] = useState({
+    clockIn: toDateTimeInput(record?.checkInTime || record?.clockIn?.time),
+    clockOut: toDateTimeInput(record?.checkOutTime || record?.clockOut?.time),
+    reason: ''
+  });
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.clockIn && !formData.clockOut) {
+      newErrors.clockIn = 'Enter a corrected clock-in or clock-out time';
+    }
+
+    if (formData.clockIn && formData.clockOut && new Date(formData.clockOut) <= new Date(formData.clockIn)) {
+      newErrors.clockOut = 'Clock-out must be after clock-in';
+    }
+
+    if (!formData.reason.trim()) {
+      newErrors.reason = 'Reason is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const result = await requestCorrection({
+      attendanceId: record?._id,
+      date: record?.date,
+      requestedClockIn: formData.clockIn ? new Date(formData.clockIn).toISOString() : undefined,
+      requestedClockOut: formData.clockOut ? new Date(formData.clockOut).toISOString() : undefined,
+      reason: formData.reason
+    });
+
+    if (result.success) {
+      onSuccess?.(result.data);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Attendance for {record?.date ? new Date(record.date).toLocaleDateString() : 'the selected day'}.
+        Your manager will review the corrected times.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Clock In
+          </label>
+          <input
+            type="datetime-local"
+            name="clockIn"
+            value={formData.clockIn}
+            onChange={handleChange}
+            className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+              errors.clockIn ? 'border-red-300' : 'border-gray-300'
+            }`}
+          />
+          {errors.clockIn && <p className="mt-1 text-sm text-red-600">{errors.clockIn}</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Clock Out
+          </label>
+          <input
+            type="datetime-local"
+            name="clockOut"
+            value={formData.clockOut}
+            onChange={handleChange}
+            className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+              errors.clockOut ? 'border-red-300' : 'border-gray-300'
+            }`}
+          />
+          {errors.clockOut && <p className="mt-1 text-sm text-red-600">{errors.clockOut}</p>}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Reason *
+        </label>
+        <textarea
+          name="reason"
+          value={formData.reason}
+          onChange={handleChange}
+          rows={3}
+          placeholder="e.g. Forgot to clock out after the evening shift"
+          className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+            errors.reason ? 'border-red-300' : 'border-gray-300'
+          }`}
+        />
+        {errors.reason && <p className="mt-1 text-sm text-red-600">{errors.reason}</p>}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {loading ? 'Submitting...' : 'Submit Request'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CorrectionRequestForm;
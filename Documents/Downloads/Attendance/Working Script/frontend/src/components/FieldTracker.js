@@ -0,0 +1,169 @@
+// frontend/src/components/FieldTracker.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import { MapPinIcon } from '@heroicons/react/24/outline';
+
+// How often the tracker checks whether a ping is due; the shift's interval is at least a minute
+const TICK_MS = 60000;
+
+// Pings are sent slightly early so a tick landing just short of the interval doesn't skip a whole one
+const EARLY_MS = 15000;
+
+const DISMISSED_KEY = 'fieldTrackingNoticeDismissed';
+
+const readPosition = () => new Promise((resolve, reject) => {
+  navigator.geolocation.getCurrentPosition(
+    position => resolve(position),
+    reject,
+    { enableHighAccuracy: true, timeout: 20000, maximumAge: 30000 }
+  );
+});
+
+// Shares the employee's position during field shifts they have agreed to, and asks for that consent
+const FieldTracker = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [status, setStatus] = useState(null);
+  const [dismissed, setDismissed] = useState(() => sessionStorage.getItem(DISMISSED_KEY) === 'true');
+
+  const request = useCallback(async (endpoint, options = {}) => {
+    const response = await fetch(`/api/field-tracking${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      const error = new Error(data.message || 'Request failed');
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }, [token]);
+
+  const sendPing = useCallback(async () => {
+    const position = await readPosition();
+    await request('/pings', {
+      method: 'POST',
+      body: JSON.stringify({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        speed: position.coords.speed,
+        recordedAt: new Date(position.timestamp).toISOString()
+      })
+    });
+  }, [request]);
+
+  // Refresh the status each tick and send a ping when one is due
+  useEffect(() => {
+    if (!token) return undefined;
+
+    let timer;
+    const tick = async () => {
+      try {
+        const data = await request('/status');
+        setStatus(data.data);
+
+        const { active, lastPingAt, pingIntervalMinutes } = data.data;
+        const due = !lastPingAt || Date.now() - new Date(lastPingAt).getTime() >= pingIntervalMinutes * 60000 - EARLY_MS;
+        if (active && due && navigator.geolocation) {
+          await sendPing();
+        }
+      } catch (error) {
+        // Accounts without an employee profile have nothing to share
+        if (error.status === 404) {
+          clearInterval(timer);
+          return;
+        }
+        console.error('Field tracking update failed:', error);
+      }
+    };
+
+    tick();
+    timer = setInterval(tick, TICK_MS);
+    return () => clearInterval(timer);
+  }, [token, request, sendPing]);
+
+  const updateConsent = async (granted) => {
+    try {
+      const data = await request('/consent', {
+        method: 'PUT',
+        body: JSON.stringify({ granted, noticeVersion: status.notice.version })
+      });
+      addNotification(data.message, 'success');
+      setStatus(prev => ({ ...prev, consented: granted, active: granted && prev.enabled && prev.clockedIn }));
+      if (!granted) {
+        dismiss();
+      } else if (status.clockedIn) {
+        sendPing().catch(error => console.error('Field tracking update failed:', error));
+      }
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const dismiss = () => {
+    sessionStorage.setItem(DISMISSED_KEY, 'true');
+    setDismissed(true);
+  };
+
+  if (!status?.enabled) {
+    return null;
+  }
+
+  if (!status.consented) {
+    if (dismissed) return null;
+
+    return (
+      <div className="mb-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <div className="flex">
+          <MapPinIcon className="h-6 w-6 text-blue-600 mr-3 flex-shrink-0" />
+          <div className="text-sm">
+            <p className="font-medium text-blue-900">Location sharing on field shifts</p>
+            <p className="mt-1 text-blue-800">{status.notice.text}</p>
+            <div className="mt-3 space-x-3">
+              <button
+                onClick={() => updateConsent(true)}
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+              >
+                I agree
+              </button>
+              <button
+                onClick={dismiss}
+                className="px-4 py-2 border border-blue-300 rounded-md text-sm font-medium text-blue-700 hover:bg-blue-100"
+              >
+                Not now
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!status.active) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-4 py-2 text-sm">
+      <span className="flex items-center text-green-800">
+        <MapPinIcon className="h-5 w-5 mr-2" />
+        Sharing your location with your manager every {status.pingIntervalMinutes} min until you clock out
+      </span>
+      <button
+        onClick={() => updateConsent(false)}
+        className="text-green-700 hover:text-green-900 underline"
+      >
+        Stop sharing
+      </button>
+    </div>
+  );
+};
+
+export default FieldTracker;
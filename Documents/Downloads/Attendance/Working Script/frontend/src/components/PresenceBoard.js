@@ -0,0 +1,197 @@
+// frontend/src/components/PresenceBoard.js
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from '../hooks/useAuth';
+import { SignalIcon, SignalSlashIcon } from '@heroicons/react/24/outline';
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || '';
+
+const STATUSES = [
+  { key: 'in', label: 'In', style: 'bg-green-100 text-green-800' },
+  { key: 'on_break', label: 'On break', style: 'bg-blue-100 text-blue-800' },
+  { key: 'late', label: 'Late', style: 'bg-yellow-100 text-yellow-800' },
+  { key: 'absent', label: 'Absent', style: 'bg-red-100 text-red-800' },
+  { key: 'on_leave', label: 'On leave', style: 'bg-purple-100 text-purple-800' },
+  { key: 'out', label: 'Left', style: 'bg-gray-100 text-gray-800' },
+  { key: 'not_in', label: 'Not in yet', style: 'bg-gray-50 text-gray-500' }
+];
+
+const STATUS_BY_KEY = Object.fromEntries(STATUSES.map(status => [status.key, status]));
+
+const formatTime = (value, timezone) => (value ? new Date(value).toLocaleTimeString([], { timeZone: timezone, hour: '2-digit', minute: '2-digit' }) : '');
+
+// Live "who's in" board for admins and managers; hides itself for anyone the server won't show it to
+const PresenceBoard = () => {
+  const { token, hasPermission } = useAuth();
+  const isAdmin = hasPermission(['master_admin', 'admin']);
+  const socketRef = useRef(null);
+  const scopeRef = useRef('');
+  const [board, setBoard] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [denied, setDenied] = useState(false);
+  const [scope, setScope] = useState('');
+  const [filter, setFilter] = useState('');
+  const [departments, setDepartments] = useState([]);
+  const [sites, setSites] = useState([]);
+
+  // Scope select values are "department:<id>" or "site:<id>"; empty is everyone
+  const toScope = (value) => {
+    const [type, id] = value.split(':');
+    return id ? { [type]: id } : {};
+  };
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const socket = io(`${SOCKET_URL}/presence`, { auth: { token, scope: toScope(scopeRef.current) } });
+    socketRef.current = socket;
+    let loaded = false;
+
+    socket.on('connect', () => setConnected(true));
+    socket.on('disconnect', () => setConnected(false));
+    socket.on('connect_error', () => setConnected(false));
+    socket.on('presence:board', (data) => {
+      loaded = true;
+      setBoard(data);
+      if (!data.scope.department && !data.scope.site) {
+        const seen = new Map();
+        data.entries.forEach(entry => entry.department && seen.set(entry.department._id, entry.department));
+        setDepartments([...seen.values()].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+    });
+    socket.on('presence:update', ({ entry }) => {
+      setBoard(prev => {
+        if (!prev) return prev;
+        const others = prev.entries.filter(item => item.employee !== entry.employee);
+        return { ...prev, entries: [...others, entry] };
+      });
+    });
+    socket.on('presence:refresh', () => {
+      socket.emit('presence:subscribe', toScope(scopeRef.current));
+    });
+    socket.on('presence:error', ({ message }) => {
+      if (!loaded) setDenied(true);
+      console.error('Presence board error:', message);
+    });
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [token]);
+
+  useEffect(() => {
+    if (!isAdmin || !token) return;
+    fetch('/api/sites', { headers: { 'Authorization': `Bearer ${token}` } })
+      .then(response => response.json())
+      .then(data => setSites(data.data || []))
+      .catch(error => console.error('Failed to fetch work sites:', error));
+  }, [isAdmin, token]);
+
+  const changeScope = (value) => {
+    setScope(value);
+    scopeRef.current = value;
+    setFilter('');
+    socketRef.current?.emit('presence:subscribe', toScope(value));
+  };
+
+  const counts = useMemo(() => (board?.entries || []).reduce((totals, entry) => {
+    totals[entry.status] = (totals[entry.status] || 0) + 1;
+    return totals;
+  }, {}), [board]);
+
+  const entries = useMemo(() => (board?.entries || [])
+    .filter(entry => !filter || entry.status === filter)
+    .sort((a, b) => STATUSES.findIndex(s => s.key === a.status) - STATUSES.findIndex(s => s.key === b.status)
+      || a.name.localeCompare(b.name)), [board, filter]);
+
+  if (denied) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center">
+          <h2 className="text-lg font-semibold text-gray-900">Who's In</h2>
+          <span
+            className={`ml-3 inline-flex items-center text-xs ${connected ? 'text-green-600' : 'text-gray-400'}`}
+            title={connected ? 'Live' : 'Reconnecting...'}
+          >
+            {connected ? <SignalIcon className="h-4 w-4 mr-1" /> : <SignalSlashIcon className="h-4 w-4 mr-1" />}
+            {connected ? 'Live' : 'Offline'}
+          </span>
+        </div>
+        {isAdmin && (
+          <select
+            value={scope}
+            onChange={(e) => changeScope(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+          >
+            <option value="">Everyone</option>
+            {departments.length > 0 && (
+              <optgroup label="Departments">
+                {departments.map(department => (
+                  <option key={department._id} value={`department:${department._id}`}>{department.name}</option>
+                ))}
+              </optgroup>
+            )}
+            {sites.length > 0 && (
+              <optgroup label="Work sites">
+                {sites.map(site => (
+                  <option key={site._id} value={`site:${site._id}`}>{site.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        )}
+      </div>
+
+      <div className="px-6 py-4 flex flex-wrap gap-2">
+        {STATUSES.map(status => (
+          <button
+            key={status.key}
+            onClick={() => setFilter(prev => (prev === status.key ? '' : status.key))}
+            className={`px-3 py-1 rounded-full text-xs font-medium ${status.style} ${
+              filter === status.key ? 'ring-2 ring-offset-1 ring-blue-500' : ''
+            }`}
+          >
+            {status.label}: {counts[status.key] || 0}
+          </button>
+        ))}
+      </div>
+
+      {!board ? (
+        <div className="px-6 pb-6 text-sm text-gray-500">Loading...</div>
+      ) : (
+        <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+          {entries.map(entry => (
+            <li key={entry.employee} className="px-6 py-3 flex items-center justify-between">
+              <div>
+                <span className="text-sm font-medium text-gray-900">{entry.name}</span>
+                <span className="block text-xs text-gray-500">
+                  {entry.employeeId}{entry.department ? ` · ${entry.department.name}` : ''}
+                </span>
+              </div>
+              <div className="text-right">
+                <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_BY_KEY[entry.status]?.style}`}>
+                  {STATUS_BY_KEY[entry.status]?.label || entry.status}
+                </span>
+                <span className="block text-xs text-gray-500 mt-1">
+                  {entry.status === 'late' && `${entry.lateBy} min late · `}
+                  {entry.leaveType && `${entry.leaveType} · `}
+                  {entry.since && `since ${formatTime(entry.since, board.timezone)}`}
+                </span>
+              </div>
+            </li>
+          ))}
+          {entries.length === 0 && (
+            <li className="px-6 py-6 text-center text-sm text-gray-500">Nobody here</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PresenceBoard;
@@ -0,0 +1,91 @@
+// frontend/src/components/QrScanner.js
+import React, { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+
+// Reads a QR code from the rear camera and reports its contents once
+const QrScanner = ({ onScan, onCancel }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let stream = null;
+    let frameId = null;
+    let stopped = false;
+
+    const scanFrame = () => {
+      if (stopped) return;
+
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d');
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        if (code?.data) {
+          stopped = true;
+          onScan(code.data);
+          return;
+        }
+      }
+
+      frameId = requestAnimationFrame(scanFrame);
+    };
+
+    navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment' },
+      audio: false
+    })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (stopped) return;
+        if (videoRef.current) {
+          videoRef.current.srcObject = mediaStream;
+        }
+        frameId = requestAnimationFrame(scanFrame);
+      })
+      .catch(() => setError('Unable to access camera. Please check permissions.'));
+
+    return () => {
+      stopped = true;
+      if (frameId) cancelAnimationFrame(frameId);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [onScan]);
+
+  return (
+    <div className="space-y-3">
+      <div className="relative bg-gray-900 rounded-lg overflow-hidden">
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          className="w-full h-64 object-cover"
+        />
+        <canvas ref={canvasRef} style={{ display: 'none' }} />
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div className="w-48 h-48 border-2 border-white rounded-lg opacity-60"></div>
+        </div>
+      </div>
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <p className="text-sm text-gray-600">Point the camera at the QR code on the site display.</p>
+      )}
+      <button
+        type="button"
+        onClick={onCancel}
+        className="text-sm text-gray-600 hover:text-gray-900 underline"
+      >
+        Cancel scan
+      </button>
+    </div>
+  );
+};
+
+export default QrScanner;
@@ -0,0 +1,262 @@
+// frontend/src/components/TimesheetsPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useAttendance } from '../hooks/useAttendance';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline';
+
+const STATUS_STYLES = {
+  submitted: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  returned: 'bg-red-100 text-red-800'
+};
+
+// Monday of the week containing the date, as YYYY-MM-DD
+const getWeekStart = (date) => {
+  const monday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().split('T')[0];
+};
+
+const shiftWeek = (weekStart, weeks) => {
+  const date = new Date(`${weekStart}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + weeks * 7);
+  return date.toISOString().split('T')[0];
+};
+
+const formatDay = (value) => new Date(value).toLocaleDateString([], { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+
+const formatTime = (value, timezone) => (value ? new Date(value).toLocaleTimeString([], { timeZone: timezone, hour: '2-digit', minute: '2-digit' }) : '-');
+
+const getEmployeeName = (employee) => (
+  employee?.userId
+    ? `${employee.userId.firstName} ${employee.userId.lastName}`
+    : employee?.employeeId || 'Unknown'
+);
+
+const TimesheetsPanel = () => {
+  const { hasPermission } = useAuth();
+  const {
+    loading,
+    fetchTimesheetWeek,
+    fetchReviewTimesheets,
+    submitTimesheet,
+    reviewTimesheet
+  } = useAttendance();
+
+  // Default to last week, the one most likely waiting to be submitted
+  const [weekStart, setWeekStart] = useState(() => shiftWeek(getWeekStart(new Date()), -1));
+  const [week, setWeek] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [reviewStatus, setReviewStatus] = useState('submitted');
+  const [reviewList, setReviewList] = useState([]);
+  const isAdmin = hasPermission(['master_admin', 'admin']);
+  const currentWeekStart = getWeekStart(new Date());
+
+  const loadWeek = useCallback(() => {
+    fetchTimesheetWeek(weekStart).then(setWeek);
+  }, [fetchTimesheetWeek, weekStart]);
+
+  const loadReviewList = useCallback(() => {
+    fetchReviewTimesheets(reviewStatus).then(setReviewList);
+  }, [fetchReviewTimesheets, reviewStatus]);
+
+  useEffect(() => {
+    loadWeek();
+  }, [loadWeek]);
+
+  useEffect(() => {
+    loadReviewList();
+  }, [loadReviewList]);
+
+  const handleSubmit = async () => {
+    const result = await submitTimesheet(weekStart, notes);
+    if (result.success) {
+      setNotes('');
+      loadWeek();
+    }
+  };
+
+  const handleReview = async (timesheet, action) => {
+    let comments = '';
+    if (action === 'return') {
+      comments = window.prompt('What needs fixing before this timesheet can be approved?');
+      if (!comments) return;
+    } else if (action === 'reopen') {
+      comments = window.prompt('Why is this approved timesheet being reopened?');
+      if (!comments) return;
+    } else {
+      comments = window.prompt('Comments (optional):') || '';
+    }
+
+    const result = await reviewTimesheet(timesheet._id, action, comments);
+    if (result.success) {
+      loadReviewList();
+    }
+  };
+
+  const timesheet = week?.timesheet;
+  const canSubmit = week && weekStart < currentWeekStart && (!timesheet || timesheet.status === 'returned');
+
+  return (
+    <div className="space-y-6">
+      {/* My Week */}
+      {week && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setWeekStart(prev => shiftWeek(prev, -1))}
+                className="p-1 rounded hover:bg-gray-100"
+                title="Previous week"
+              >
+                <ChevronLeftIcon className="h-5 w-5 text-gray-600" />
+              </button>
+              <h2 className="text-lg font-semibold text-gray-900">
+                Week of {formatDay(week.weekStart)} - {formatDay(week.weekEnd)}
+              </h2>
+              <button
+                onClick={() => setWeekStart(prev => shiftWeek(prev, 1))}
+                disabled={weekStart >= currentWeekStart}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                title="Next week"
+              >
+                <ChevronRightIcon className="h-5 w-5 text-gray-600" />
+              </button>
+            </div>
+            {timesheet ? (
+              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[timesheet.status]}`}>
+                {timesheet.status === 'approved' && <LockClosedIcon className="h-3 w-3 mr-1" />}
+                {timesheet.status}
+              </span>
+            ) : (
+              <span className="text-sm text-gray-500">Not submitted</span>
+            )}
+          </div>
+
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Day</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">In</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Out</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {week.logs.map(log => (
+                <tr key={log._id}>
+                  <td className="px-6 py-3 text-sm text-gray-900">{formatDay(log.date)}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{formatTime(log.clockIn?.time, log.timezone)}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{formatTime(log.clockOut?.time, log.timezone)}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{log.netWorkingHours ? `${log.netWorkingHours.toFixed(2)}h` : '-'}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600 capitalize">{log.status.replace('_', ' ')}</td>
+                </tr>
+              ))}
+              {week.logs.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="px-6 py-6 text-center text-sm text-gray-500">No attendance this week</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <div className="px-6 py-4 border-t border-gray-200 space-y-3">
+            <p className="text-sm text-gray-700">
+              {week.totals.daysWorked} days worked · {week.totals.workingHours}h
+              {week.totals.overtimeHours > 0 && ` (${week.totals.overtimeHours}h overtime)`}
+              {week.totals.absentDays > 0 && ` · ${week.totals.absentDays} absent`}
+              {week.totals.leaveDays > 0 && ` · ${week.totals.leaveDays} on leave`}
+            </p>
+            {timesheet?.reviewComments && (
+              <p className="text-sm text-gray-600">
+                Reviewer: {timesheet.reviewComments}
+                {timesheet.reviewedBy && ` (${timesheet.reviewedBy.firstName} ${timesheet.reviewedBy.lastName})`}
+              </p>
+            )}
+            {canSubmit && (
+              <div className="flex items-end space-x-3">
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  rows={2}
+                  placeholder="Notes for your manager (optional)"
+                  className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handleSubmit}
+                  disabled={loading}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {timesheet?.status === 'returned' ? 'Resubmit' : 'Submit Timesheet'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Timesheets To Review */}
+      {(isAdmin || reviewList.length > 0 || reviewStatus !== 'submitted') && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Team Timesheets</h2>
+            <select
+              value={reviewStatus}
+              onChange={(e) => setReviewStatus(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="submitted">Awaiting review</option>
+              <option value="approved">Approved</option>
+              <option value="returned">Returned</option>
+            </select>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {reviewList.map(item => (
+              <li key={item._id} className="px-6 py-4 flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {getEmployeeName(item.employee)}
+                    <span className="ml-2 text-sm text-gray-500">Week of {formatDay(item.weekStart)}</span>
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {item.totals.daysWorked} days · {item.totals.workingHours}h
+                    {item.totals.overtimeHours > 0 && ` (${item.totals.overtimeHours}h overtime)`}
+                  </p>
+                  {item.employeeNotes && <p className="text-sm text-gray-500">{item.employeeNotes}</p>}
+                  {item.reviewComments && <p className="text-sm text-gray-500">Reviewer: {item.reviewComments}</p>}
+                </div>
+                <div className="flex items-center space-x-3 text-sm">
+                  {item.status === 'submitted' && (
+                    <>
+                      <button onClick={() => handleReview(item, 'approve')} className="text-green-600 hover:text-green-900">
+                        Approve
+                      </button>
+                      <button onClick={() => handleReview(item, 'return')} className="text-red-600 hover:text-red-900">
+                        Return
+                      </button>
+                    </>
+                  )}
+                  {item.status === 'approved' && isAdmin && (
+                    <button onClick={() => handleReview(item, 'reopen')} className="text-gray-600 hover:text-gray-900">
+                      Reopen
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+            {reviewList.length === 0 && (
+              <li className="px-6 py-6 text-center text-sm text-gray-500">No timesheets</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimesheetsPanel;
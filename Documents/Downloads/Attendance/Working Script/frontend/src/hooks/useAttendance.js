@@ -3,6 +3,29 @@ import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from './useAuth';
 import { useNotifications } from './useNotifications';
 
+// Save a downloaded file through a temporary link
+const saveBlob = (data, fileName) => {
+  const url = window.URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Errors on blob requests arrive as a blob too, so read the JSON message out of it
+const readBlobError = async (error, fallback) => {
+  try {
+    const result = JSON.parse(await error.response.data.text());
+    return result.message || fallback;
+  } catch (parseError) {
+    return fallback;
+  }
+};
+
 export const useAttendance = () => {
   const { apiClient, user } = useAuth();
   const { showSuccess, showError } = useNotifications();
@@ -138,6 +161,181 @@ export const useAttendance = () => {
     }
   };
 
+  // Start a break during the current clock-in
+  const startBreak = async (reason = 'other', locationData = null) => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.post('/attendance/break/start', {
+        reason,
+        location: locationData || undefined
+      });
+      await fetchTodayAttendance();
+      showSuccess('Break started');
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to start break';
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // End the break in progress
+  const endBreak = async (locationData = null) => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.post('/attendance/break/end', {
+        location: locationData || undefined
+      });
+      await fetchTodayAttendance();
+      showSuccess(response.data.message || 'Break ended');
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to end break';
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the projects to clock into and whether the employee's shift requires one
+  const fetchActiveProjects = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/projects/active');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+      return { projects: [], jobRequired: false };
+    }
+  }, [apiClient]);
+
+  // Move the current clock-in to another project
+  const switchJob = async (projectId) => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.post('/attendance/switch-job', { project: projectId });
+      await fetchTodayAttendance();
+      showSuccess(response.data.message);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to switch job';
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Request a correction to an attendance record
+  const requestCorrection = async (correctionData) => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.post('/attendance-corrections', correctionData);
+      showSuccess('Correction request submitted');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to submit correction request';
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch correction requests awaiting the current reviewer
+  const fetchPendingCorrections = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/attendance-corrections/pending');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching pending corrections:', error);
+      return [];
+    }
+  }, [apiClient]);
+
+  // Approve or reject a correction request
+  const reviewCorrection = async (correctionId, action, comments = '') => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.put(`/attendance-corrections/${correctionId}/${action}`, { comments });
+      showSuccess(response.data.message);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || `Failed to ${action} correction request`;
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch a week's attendance and timesheet; reviewers can pass an employee ID
+  const fetchTimesheetWeek = useCallback(async (weekStart, employeeId) => {
+    try {
+      const params = new URLSearchParams({ weekStart });
+      if (employeeId) {
+        params.append('employee', employeeId);
+      }
+      const response = await apiClient.get(`/timesheets/week?${params.toString()}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching timesheet week:', error);
+      return null;
+    }
+  }, [apiClient]);
+
+  // Fetch timesheets for the current reviewer
+  const fetchReviewTimesheets = useCallback(async (status = 'submitted') => {
+    try {
+      const response = await apiClient.get(`/timesheets/review?status=${status}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching timesheets to review:', error);
+      return [];
+    }
+  }, [apiClient]);
+
+  // Submit a week's timesheet for approval
+  const submitTimesheet = async (weekStart, notes = '') => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.post('/timesheets/submit', { weekStart, notes });
+      showSuccess(response.data.message);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to submit timesheet';
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Approve, return or reopen a timesheet
+  const reviewTimesheet = async (timesheetId, action, comments = '') => {
+    setLoading(true);
+
+    try {
+      const response = await apiClient.put(`/timesheets/${timesheetId}/${action}`, { comments });
+      showSuccess(response.data.message);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || `Failed to ${action} timesheet`;
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Get location
   const getCurrentLocation = () => {
     return new Promise((resolve, reject) => {
@@ -252,12 +450,12 @@ export const useAttendance = () => {
     }
   };
 
-  // Update attendance record
-  const updateAttendance = async (attendanceId, updates) => {
+  // Update attendance record; the reason is kept in the record's revision history
+  const updateAttendance = async (attendanceId, updates, reason) => {
     setLoading(true);
     
     try {
-      const response = await apiClient.put(`/attendance/${attendanceId}`, updates);
+      const response = await apiClient.put(`/attendance/${attendanceId}`, { ...updates, reason });
       await fetchAttendance();
       showSuccess('Attendance updated successfully');
       return { success: true, data: response.data };
@@ -271,11 +469,11 @@ export const useAttendance = () => {
   };
 
   // Delete attendance record
-  const deleteAttendance = async (attendanceId) => {
+  const deleteAttendance = async (attendanceId, reason) => {
     setLoading(true);
     
     try {
-      await apiClient.delete(`/attendance/${attendanceId}`);
+      await apiClient.delete(`/attendance/${attendanceId}`, { data: { reason } });
       await fetchAttendance();
       showSuccess('Attendance record deleted');
       return { success: true };
@@ -288,7 +486,19 @@ export const useAttendance = () => {
     }
   };
 
-  // Export attendance data
+  // Fetch the revision history of an attendance record
+  const fetchAttendanceHistory = useCallback(async (attendanceId) => {
+    try {
+      const response = await apiClient.get(`/attendance/${attendanceId}/history`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching attendance history:', error);
+      return [];
+    }
+  }, [apiClient]);
+
+  // Export attendance data. Large exports are queued on the server and come back as a job
+  // to download later instead of a file.
   const exportAttendance = async (filters = {}, format = 'csv') => {
     try {
       const params = new URLSearchParams();
@@ -303,24 +513,45 @@ export const useAttendance = () => {
         responseType: 'blob'
       });
 
-      // Create download link
-      const blob = new Blob([response.data]);
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      
-      const fileName = `attendance_${new Date().toISOString().split('T')[0]}.${format}`;
-      link.download = fileName;
-      
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      if (response.status === 202) {
+        const result = JSON.parse(await response.data.text());
+        showSuccess(result.message);
+        return { success: true, queued: true, job: result.data };
+      }
+
+      const extension = format === 'excel' ? 'xlsx' : format;
+      saveBlob(response.data, `attendance_${new Date().toISOString().split('T')[0]}.${extension}`);
       
       showSuccess('Attendance data exported successfully');
       return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Export failed';
+      const errorMessage = await readBlobError(error, 'Export failed');
+      showError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Fetch my queued and finished exports
+  const fetchExportJobs = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/attendance/exports');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching export jobs:', error);
+      return [];
+    }
+  }, [apiClient]);
+
+  // Download a finished export
+  const downloadExportJob = async (job) => {
+    try {
+      const response = await apiClient.get(`/attendance/exports/${job._id}/download`, {
+        responseType: 'blob'
+      });
+      saveBlob(response.data, job.fileName);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = await readBlobError(error, 'Download failed');
       showError(errorMessage);
       return { success: false, error: errorMessage };
     }
@@ -349,6 +580,11 @@ export const useAttendance = () => {
     return todayAttendance.checkInTime && !todayAttendance.checkOutTime;
   };
 
+  // Get the break in progress, if any
+  const getActiveBreak = () => {
+    return todayAttendance?.breaks?.find(b => !b.endTime) || null;
+  };
+
   // Clear error
   const clearError = () => {
     setError(null);
@@ -376,9 +612,23 @@ export const useAttendance = () => {
     fetchStats,
     checkIn,
     checkOut,
+    startBreak,
+    endBreak,
+    fetchActiveProjects,
+    switchJob,
+    requestCorrection,
+    fetchPendingCorrections,
+    reviewCorrection,
+    fetchTimesheetWeek,
+    fetchReviewTimesheets,
+    submitTimesheet,
+    reviewTimesheet,
     updateAttendance,
     deleteAttendance,
+    fetchAttendanceHistory,
     exportAttendance,
+    fetchExportJobs,
+    downloadExportJob,
     getAttendanceSummary,
     
     // Utilities
@@ -388,6 +638,7 @@ export const useAttendance = () => {
     stopCamera,
     canCheckIn,
     canCheckOut,
+    getActiveBreak,
     clearError
   };
 };
\ No newline at end of file
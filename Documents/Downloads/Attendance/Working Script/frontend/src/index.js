@@ -5,6 +5,7 @@ import { Toaster } from 'react-hot-toast';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
 import { NotificationProvider } from './context/NotificationContext';
+import { setQueueAuthToken, requestPunchSync } from './utils/offlineQueue';
 import './styles/globals.css';
 
 // Performance monitoring
@@ -171,7 +172,14 @@ if ('serviceWorker' in navigator) {
 // Handle online/offline status
 window.addEventListener('online', () => {
   console.log('App is online');
-  // You can dispatch an action or show a notification
+
+  // Replay punches queued while offline, with the current session's token
+  const token = localStorage.getItem('token');
+  if (token) {
+    setQueueAuthToken(token)
+      .then(requestPunchSync)
+      .catch(error => console.error('Offline punch sync failed:', error));
+  }
 });
 
 window.addEventListener('offline', () => {
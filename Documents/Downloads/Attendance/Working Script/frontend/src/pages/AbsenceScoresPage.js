@@ -0,0 +1,297 @@
+// frontend/src/pages/AbsenceScoresPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  ArrowTrendingUpIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  MinusIcon,
+  BellAlertIcon,
+  ChevronDownIcon,
+  ChevronRightIcon
+} from '@heroicons/react/24/outline';
+
+const WINDOWS = [
+  { weeks: 13, label: 'Last 13 weeks' },
+  { weeks: 26, label: 'Last 26 weeks' },
+  { weeks: 52, label: 'Last 52 weeks' }
+];
+
+// Lowest threshold in yellow up to the highest in red
+const THRESHOLD_STYLES = [
+  'bg-yellow-100 text-yellow-800',
+  'bg-orange-100 text-orange-800',
+  'bg-red-100 text-red-800',
+  'bg-red-200 text-red-900'
+];
+
+const SOURCE_LABELS = {
+  absence: 'Absent',
+  sick_leave: 'Sick leave'
+};
+
+const TrendArrow = ({ row, trendWeeks }) => {
+  const title = `${row.previousScore} ${trendWeeks} weeks ago`;
+
+  if (row.trend === 'up') {
+    return (
+      <span className="inline-flex items-center text-red-600" title={title}>
+        <ArrowUpIcon className="h-4 w-4 mr-1" />
+        +{row.change}
+      </span>
+    );
+  }
+  if (row.trend === 'down') {
+    return (
+      <span className="inline-flex items-center text-green-600" title={title}>
+        <ArrowDownIcon className="h-4 w-4 mr-1" />
+        {row.change}
+      </span>
+    );
+  }
+  return (
+    <span className="inline-flex items-center text-gray-400" title={title}>
+      <MinusIcon className="h-4 w-4" />
+    </span>
+  );
+};
+
+const AbsenceScoresPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [report, setReport] = useState(null);
+  const [departments, setDepartments] = useState([]);
+  const [department, setDepartment] = useState('');
+  const [weeks, setWeeks] = useState(52);
+  const [loading, setLoading] = useState(true);
+  const [evaluating, setEvaluating] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [spells, setSpells] = useState({});
+
+  useEffect(() => {
+    fetchReport();
+  }, [department, weeks]);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/absence-scores${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setExpanded(null);
+    setSpells({});
+    try {
+      const params = new URLSearchParams({ weeks });
+      if (department) params.append('department', department);
+      const data = await request(`?${params.toString()}`);
+      setReport(data.data);
+      // Department choices come from the unfiltered report
+      if (!department) {
+        const seen = new Map();
+        data.data.employees.forEach(row => row.department && seen.set(row.department._id, row.department));
+        setDepartments([...seen.values()].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+    } catch (error) {
+      addNotification('Failed to fetch absence scores', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSpells = async (row) => {
+    if (expanded === row.employee) {
+      setExpanded(null);
+      return;
+    }
+
+    setExpanded(row.employee);
+    if (spells[row.employee]) return;
+
+    try {
+      const data = await request(`/employees/${row.employee}?weeks=${weeks}`);
+      setSpells(prev => ({ ...prev, [row.employee]: data.data.spells }));
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleEvaluate = async () => {
+    setEvaluating(true);
+    try {
+      const data = await request('/evaluate', { method: 'POST' });
+      addNotification(data.message, 'success');
+    } catch (error) {
+      addNotification(error.message, 'error');
+    } finally {
+      setEvaluating(false);
+    }
+  };
+
+  const thresholdStyle = (threshold) => {
+    const index = report.thresholds.findIndex(item => item.score === threshold.score);
+    return THRESHOLD_STYLES[Math.min(index, THRESHOLD_STYLES.length - 1)];
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Absence Scores</h1>
+          <p className="text-gray-600">
+            Bradford factor: spells² × days absent, from absences and unplanned sick leave
+          </p>
+        </div>
+        <div className="flex items-center space-x-4">
+          <select
+            value={department}
+            onChange={(e) => setDepartment(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All departments</option>
+            {departments.map(item => (
+              <option key={item._id} value={item._id}>{item.name}</option>
+            ))}
+          </select>
+          <select
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            {WINDOWS.map(item => (
+              <option key={item.weeks} value={item.weeks}>{item.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleEvaluate}
+            disabled={evaluating}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            title="Score everyone now and notify managers of newly crossed thresholds"
+          >
+            <BellAlertIcon className="h-5 w-5 mr-2" />
+            {evaluating ? 'Checking...' : 'Check Thresholds'}
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          <span>
+            {report.window.startDate} to {report.window.endDate} · trend against {report.trendWeeks} weeks ago · triggers:
+          </span>
+          {report.thresholds.map(threshold => (
+            <span
+              key={threshold.score}
+              className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${thresholdStyle(threshold)}`}
+            >
+              {threshold.score}+ {threshold.label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {loading || !report ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Spells</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Days</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Score</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trend</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trigger</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.employees.map(row => (
+                <React.Fragment key={row.employee}>
+                  <tr className="hover:bg-gray-50 cursor-pointer" onClick={() => toggleSpells(row)}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <span className="inline-flex items-center">
+                        {expanded === row.employee
+                          ? <ChevronDownIcon className="h-4 w-4 mr-2" />
+                          : <ChevronRightIcon className="h-4 w-4 mr-2" />}
+                        {row.rank}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className="text-sm font-medium text-gray-900">{row.name}</span>
+                      <span className="block text-xs text-gray-500">{row.employeeId}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.department?.name || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">{row.spells}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">{row.days}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900 text-right">{row.score}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <TrendArrow row={row} trendWeeks={report.trendWeeks} />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {row.threshold ? (
+                        <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${thresholdStyle(row.threshold)}`}>
+                          {row.threshold.label}
+                        </span>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                  </tr>
+                  {expanded === row.employee && (
+                    <tr className="bg-gray-50">
+                      <td colSpan="8" className="px-12 py-4">
+                        {!spells[row.employee] ? (
+                          <p className="text-sm text-gray-500">Loading spells...</p>
+                        ) : (
+                          <ul className="space-y-1 text-sm text-gray-700">
+                            {spells[row.employee].map(spell => (
+                              <li key={spell.startDate}>
+                                {spell.startDate === spell.endDate ? spell.startDate : `${spell.startDate} to ${spell.endDate}`}
+                                {' · '}{spell.days} day(s)
+                                {' · '}{spell.sources.map(source => SOURCE_LABELS[source] || source).join(', ')}
+                              </li>
+                            ))}
+                            {spells[row.employee].length === 0 && (
+                              <li className="text-gray-500">No absence spells in this window</li>
+                            )}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {report.employees.length === 0 && (
+                <tr>
+                  <td colSpan="8" className="px-6 py-8 text-center text-sm text-gray-500">
+                    <ArrowTrendingUpIcon className="mx-auto h-8 w-8 text-gray-300 mb-2" />
+                    No absences in this window
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AbsenceScoresPage;
@@ -5,6 +5,10 @@ import { useAttendance } from '../hooks/useAttendance';
 import { useNotifications } from '../hooks/useNotifications';
 import AttendanceForm from '../components/AttendanceForm';
 import DataTable from '../components/DataTable';
+import CorrectionRequestForm from '../components/CorrectionRequestForm';
+import TimesheetsPanel from '../components/TimesheetsPanel';
+import AttendanceHistory from '../components/AttendanceHistory';
+import { getQueuedPunches, removeQueuedPunch } from '../utils/offlineQueue';
 import {
   CalendarDaysIcon,
   ClockIcon,
@@ -12,9 +16,21 @@ import {
   CameraIcon,
   FunnelIcon,
   ArrowDownTrayIcon,
-  PlusIcon
+  PlusIcon,
+  PauseCircleIcon,
+  PlayCircleIcon,
+  CloudArrowUpIcon,
+  BriefcaseIcon
 } from '@heroicons/react/24/outline';
 
+const formatDuration = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(unit => unit.toString().padStart(2, '0')).join(':');
+};
+
 const AttendancePage = () => {
   const { user, hasPermission } = useAuth();
   const { 
@@ -23,8 +39,18 @@ const AttendancePage = () => {
     loading, 
     fetchAttendance, 
     exportAttendance,
+    fetchExportJobs,
+    downloadExportJob,
     deleteAttendance,
-    updateAttendance
+    updateAttendance,
+    startBreak,
+    endBreak,
+    fetchActiveProjects,
+    switchJob,
+    getActiveBreak,
+    getCurrentLocation,
+    fetchPendingCorrections,
+    reviewCorrection
   } = useAttendance();
   const { showSuccess, showError } = useNotifications();
 
@@ -38,11 +64,120 @@ const AttendancePage = () => {
   });
   const [selectedRecords, setSelectedRecords] = useState([]);
   const [showFilters, setShowFilters] = useState(false);
+  const [breakReason, setBreakReason] = useState('lunch');
+  const [now, setNow] = useState(Date.now());
+  const [correctionRecord, setCorrectionRecord] = useState(null);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [pendingCorrections, setPendingCorrections] = useState([]);
+  const [queuedPunches, setQueuedPunches] = useState([]);
+  const [exportJobs, setExportJobs] = useState([]);
+  const [activeTab, setActiveTab] = useState('records');
+  const [projects, setProjects] = useState([]);
+  const [nextProject, setNextProject] = useState('');
+
+  const activeBreak = getActiveBreak();
 
   useEffect(() => {
     fetchAttendance(filters);
   }, [fetchAttendance, filters]);
 
+  // Managers and admins see correction requests waiting on their review
+  useEffect(() => {
+    fetchPendingCorrections().then(setPendingCorrections);
+  }, [fetchPendingCorrections]);
+
+  // Large exports run in the background; list the admin's recent ones so finished files can be downloaded
+  useEffect(() => {
+    if (hasPermission(['master_admin', 'admin'])) {
+      fetchExportJobs().then(setExportJobs);
+    }
+  }, [fetchExportJobs]);
+
+  // Employees on job-tracked shifts can move their time to another project during the day
+  useEffect(() => {
+    if (user?.role === 'employee') {
+      fetchActiveProjects().then(({ projects: active, jobRequired }) => {
+        setProjects(jobRequired ? active : []);
+      });
+    }
+  }, [fetchActiveProjects, user?.role]);
+
+  // Punches saved offline on this device, refreshed whenever the service worker syncs one
+  useEffect(() => {
+    const loadQueuedPunches = () => {
+      getQueuedPunches().then(setQueuedPunches).catch(() => setQueuedPunches([]));
+    };
+    loadQueuedPunches();
+
+    if (!('serviceWorker' in navigator)) return undefined;
+
+    const handleMessage = (event) => {
+      if (event.data?.type === 'PUNCH_SYNCED' || event.data?.type === 'PUNCH_SYNC_FAILED') {
+        loadQueuedPunches();
+        if (event.data.type === 'PUNCH_SYNCED') {
+          fetchAttendance(filters);
+        }
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [fetchAttendance, filters]);
+
+  // Tick the break timer once a second while a break is running
+  useEffect(() => {
+    if (!activeBreak) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [activeBreak]);
+
+  const getBreakLocation = async () => {
+    try {
+      return await getCurrentLocation();
+    } catch (error) {
+      // Breaks are still recorded when the location is unavailable
+      return null;
+    }
+  };
+
+  const handleStartBreak = async () => {
+    const location = await getBreakLocation();
+    await startBreak(breakReason, location);
+  };
+
+  const handleEndBreak = async () => {
+    const location = await getBreakLocation();
+    await endBreak(location);
+  };
+
+  const handleSwitchJob = async () => {
+    if (!nextProject) return;
+    const result = await switchJob(nextProject);
+    if (result.success) {
+      setNextProject('');
+    }
+  };
+
+  const currentJob = todayAttendance?.jobSegments?.find(segment => !segment.endTime);
+
+  const handleDismissQueuedPunch = async (id) => {
+    await removeQueuedPunch(id);
+    setQueuedPunches(prev => prev.filter(punch => punch.id !== id));
+  };
+
+  const handleReviewCorrection = async (correction, action) => {
+    let comments = '';
+    if (action === 'reject') {
+      comments = window.prompt('Reason for rejecting this correction:');
+      if (!comments) return;
+    }
+
+    const result = await reviewCorrection(correction._id, action, comments);
+    if (result.success) {
+      setPendingCorrections(prev => prev.filter(item => item._id !== correction._id));
+      fetchAttendance(filters);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -52,17 +187,18 @@ const AttendancePage = () => {
 
   const handleExport = async (format = 'csv') => {
     const result = await exportAttendance(filters, format);
-    if (result.success) {
-      showSuccess(`Attendance data exported successfully as ${format.toUpperCase()}`);
+    if (result.queued) {
+      fetchExportJobs().then(setExportJobs);
     }
   };
 
   const handleDeleteRecord = async (recordId) => {
-    if (window.confirm('Are you sure you want to delete this attendance record?')) {
-      const result = await deleteAttendance(recordId);
-      if (result.success) {
-        setSelectedRecords(prev => prev.filter(id => id !== recordId));
-      }
+    const reason = window.prompt('Why is this attendance record being deleted?');
+    if (!reason?.trim()) return;
+
+    const result = await deleteAttendance(recordId, reason);
+    if (result.success) {
+      setSelectedRecords(prev => prev.filter(id => id !== recordId));
     }
   };
 
@@ -72,8 +208,9 @@ const AttendancePage = () => {
       return;
     }
 
-    if (window.confirm(`Are you sure you want to delete ${selectedRecords.length} selected record(s)?`)) {
-      const promises = selectedRecords.map(id => deleteAttendance(id));
+    const reason = window.prompt(`Why are the ${selectedRecords.length} selected record(s) being deleted?`);
+    if (reason?.trim()) {
+      const promises = selectedRecords.map(id => deleteAttendance(id, reason));
       await Promise.all(promises);
       setSelectedRecords([]);
       showSuccess(`${selectedRecords.length} record(s) deleted successfully`);
@@ -81,7 +218,10 @@ const AttendancePage = () => {
   };
 
   const handleUpdateRecord = async (recordId, updates) => {
-    const result = await updateAttendance(recordId, updates);
+    const reason = window.prompt('Reason for this change:');
+    if (!reason?.trim()) return;
+
+    const result = await updateAttendance(recordId, updates, reason);
     if (result.success) {
       showSuccess('Attendance record updated successfully');
     }
@@ -182,6 +322,7 @@ const AttendancePage = () => {
           value === 'present' ? 'bg-green-100 text-green-800' :
           value === 'absent' ? 'bg-red-100 text-red-800' :
           value === 'late' ? 'bg-yellow-100 text-yellow-800' :
+          value === 'half_day' ? 'bg-orange-100 text-orange-800' :
           value === 'overtime' ? 'bg-blue-100 text-blue-800' :
           'bg-gray-100 text-gray-800'
         }`}>
@@ -213,6 +354,12 @@ const AttendancePage = () => {
           >
             {record.verified ? 'Unverify' : 'Verify'}
           </button>
+          <button
+            onClick={() => setHistoryRecord(record)}
+            className="text-gray-600 hover:text-gray-900 text-sm"
+          >
+            History
+          </button>
           <button
             onClick={() => handleDeleteRecord(record._id)}
             className="text-red-600 hover:text-red-900 text-sm"
@@ -221,6 +368,27 @@ const AttendancePage = () => {
           </button>
         </div>
       )
+    }] : []),
+
+    ...(user?.role === 'employee' ? [{
+      key: 'actions',
+      label: 'Actions',
+      render: (_, record) => (
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setCorrectionRecord(record)}
+            className="text-blue-600 hover:text-blue-900 text-sm"
+          >
+            Request correction
+          </button>
+          <button
+            onClick={() => setHistoryRecord(record)}
+            className="text-gray-600 hover:text-gray-900 text-sm"
+          >
+            History
+          </button>
+        </div>
+      )
     }] : [])
   ];
 
@@ -277,10 +445,10 @@ const AttendancePage = () => {
                     Export as Excel
                   </button>
                   <button
-                    onClick={() => handleExport('pdf')}
+                    onClick={() => handleExport('ndjson')}
                     className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 w-full text-left"
                   >
-                    Export as PDF
+                    Export as NDJSON
                   </button>
                 </div>
               </div>
@@ -289,6 +457,73 @@ const AttendancePage = () => {
         </div>
       </div>
 
+      {/* Offline Punches Waiting To Sync */}
+      {queuedPunches.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <div className="flex items-center mb-2">
+            <CloudArrowUpIcon className="h-5 w-5 text-yellow-600 mr-2" />
+            <p className="font-medium text-yellow-800">Attendance saved offline</p>
+          </div>
+          <ul className="space-y-1">
+            {queuedPunches.map(punch => (
+              <li key={punch.id} className="flex items-center justify-between text-sm">
+                <span className={punch.status === 'failed' ? 'text-red-700' : 'text-yellow-700'}>
+                  {punch.type === 'clock_out' ? 'Check-out' : 'Check-in'} at{' '}
+                  {new Date(punch.deviceTime).toLocaleString()}
+                  {' - '}
+                  {punch.status === 'failed' ? `Rejected: ${punch.error}` : 'Waiting to sync'}
+                </span>
+                {punch.status === 'failed' && (
+                  <button
+                    onClick={() => handleDismissQueuedPunch(punch.id)}
+                    className="text-gray-600 hover:text-gray-900 underline"
+                  >
+                    Dismiss
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Background Exports */}
+      {exportJobs.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="font-medium text-gray-900">Exports</p>
+            <button
+              onClick={() => fetchExportJobs().then(setExportJobs)}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Refresh
+            </button>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {exportJobs.slice(0, 5).map(job => (
+              <li key={job._id} className="flex items-center justify-between py-2 text-sm">
+                <span className="text-gray-700">
+                  {job.format.toUpperCase()} requested {new Date(job.createdAt).toLocaleString()}
+                  {' - '}
+                  {job.status === 'completed' && `${job.recordCount} records`}
+                  {job.status === 'failed' && <span className="text-red-700">Failed: {job.error}</span>}
+                  {['queued', 'processing'].includes(job.status) && 'In progress'}
+                </span>
+                {job.status === 'completed' && new Date(job.expiresAt) > new Date() && (
+                  <button
+                    onClick={() => downloadExportJob(job)}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-800"
+                  >
+                    <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                    Download
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Today's Status Card (Employee View) */}
       {user?.role === 'employee' && (
         <div className="bg-white rounded-lg shadow p-6">
@@ -334,6 +569,110 @@ const AttendancePage = () => {
                   </div>
                 </div>
               </div>
+
+              {todayAttendance.sessions?.length > 1 && (
+                <div className="md:col-span-3 bg-gray-50 border border-gray-200 rounded-lg p-4">
+                  <p className="font-medium text-gray-900">Sessions today</p>
+                  <p className="text-sm text-gray-600">
+                    {todayAttendance.sessions.map(session => (
+                      `${new Date(session.clockIn).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - ${
+                        session.clockOut
+                          ? new Date(session.clockOut).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                          : 'now'
+                      }`
+                    )).join(', ')}
+                  </p>
+                </div>
+              )}
+
+              {!todayAttendance.checkOutTime && (
+                <div className={`md:col-span-3 ${activeBreak ? 'bg-orange-50 border-orange-200' : 'bg-gray-50 border-gray-200'} border rounded-lg p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-4`}>
+                  <div className="flex items-center">
+                    <PauseCircleIcon className={`h-8 w-8 ${activeBreak ? 'text-orange-500' : 'text-gray-400'} mr-3`} />
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {activeBreak ? `On ${activeBreak.reason} break` : 'Break'}
+                      </p>
+                      <p className={`text-sm ${activeBreak ? 'text-orange-600 font-mono' : 'text-gray-500'}`}>
+                        {activeBreak
+                          ? formatDuration(now - new Date(activeBreak.startTime).getTime())
+                          : `${todayAttendance.breaks?.length || 0} break(s) taken today`
+                        }
+                      </p>
+                    </div>
+                  </div>
+
+                  {activeBreak ? (
+                    <button
+                      onClick={handleEndBreak}
+                      disabled={loading}
+                      className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 disabled:opacity-50"
+                    >
+                      <PlayCircleIcon className="h-4 w-4 mr-2" />
+                      End Break
+                    </button>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={breakReason}
+                        onChange={(e) => setBreakReason(e.target.value)}
+                        className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      >
+                        <option value="lunch">Lunch</option>
+                        <option value="tea">Tea</option>
+                        <option value="meeting">Meeting</option>
+                        <option value="personal">Personal</option>
+                        <option value="other">Other</option>
+                      </select>
+                      <button
+                        onClick={handleStartBreak}
+                        disabled={loading}
+                        className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                      >
+                        <PauseCircleIcon className="h-4 w-4 mr-2" />
+                        Start Break
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {!todayAttendance.checkOutTime && projects.length > 0 && (
+                <div className="md:col-span-3 bg-gray-50 border border-gray-200 rounded-lg p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                  <div className="flex items-center">
+                    <BriefcaseIcon className="h-8 w-8 text-gray-400 mr-3" />
+                    <div>
+                      <p className="font-medium text-gray-900">Current Job</p>
+                      <p className="text-sm text-gray-500">
+                        {currentJob?.project?.name
+                          ? `${currentJob.project.code} ${currentJob.project.name} since ${new Date(currentJob.startTime).toLocaleTimeString()}`
+                          : 'No project selected'
+                        }
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={nextProject}
+                      onChange={(e) => setNextProject(e.target.value)}
+                      className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    >
+                      <option value="">Switch to...</option>
+                      {projects.map(project => (
+                        <option key={project._id} value={project._id}>{project.code} {project.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleSwitchJob}
+                      disabled={loading || !nextProject}
+                      className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                      Switch Job
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           ) : (
             <div className="text-center py-8">
@@ -446,54 +785,126 @@ const AttendancePage = () => {
         </div>
       )}
 
-      {/* Attendance Records Table */}
-      <div className="bg-white rounded-lg shadow">
-        <div className="px-6 py-4 border-b border-gray-200">
-          <h2 className="text-lg font-semibold text-gray-900">
-            {hasPermission(['master_admin', 'admin']) ? 'All Attendance Records' : 'My Attendance History'}
-          </h2>
-          <p className="text-sm text-gray-600 mt-1">
-            {attendance.length} record{attendance.length !== 1 ? 's' : ''} found
-          </p>
+      {/* Pending Correction Requests (Managers and Admins) */}
+      {pendingCorrections.length > 0 && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Correction Requests</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {pendingCorrections.length} request{pendingCorrections.length !== 1 ? 's' : ''} awaiting review
+            </p>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {pendingCorrections.map(correction => (
+              <li key={correction._id} className="px-6 py-4 flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {correction.employee?.userId?.firstName} {correction.employee?.userId?.lastName}
+                    <span className="ml-2 text-sm text-gray-500">
+                      {new Date(correction.date).toLocaleDateString()}
+                    </span>
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    In: {correction.requestedClockIn ? new Date(correction.requestedClockIn).toLocaleTimeString() : 'unchanged'}
+                    {' · '}
+                    Out: {correction.requestedClockOut ? new Date(correction.requestedClockOut).toLocaleTimeString() : 'unchanged'}
+                  </p>
+                  <p className="text-sm text-gray-500">{correction.reason}</p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleReviewCorrection(correction, 'approve')}
+                    className="text-green-600 hover:text-green-900 text-sm"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleReviewCorrection(correction, 'reject')}
+                    className="text-red-600 hover:text-red-900 text-sm"
+                  >
+                    Reject
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
         </div>
+      )}
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            { id: 'records', label: 'Records' },
+            { id: 'timesheets', label: 'Timesheets' }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                activeTab === tab.id
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'timesheets' && <TimesheetsPanel />}
+
+      {/* Attendance Records Table */}
+      {activeTab === 'records' && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {hasPermission(['master_admin', 'admin']) ? 'All Attendance Records' : 'My Attendance History'}
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {attendance.length} record{attendance.length !== 1 ? 's' : ''} found
+            </p>
+          </div>
         
-        <div className="overflow-hidden">
-          {loading ? (
-            <div className="flex items-center justify-center py-12">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
-              <span className="ml-2 text-gray-600">Loading attendance records...</span>
-            </div>
-          ) : attendance.length > 0 ? (
-            <DataTable
-              data={attendance}
-              columns={columns}
-              loading={loading}
-              showPagination={true}
-              itemsPerPage={20}
-            />
-          ) : (
-            <div className="text-center py-12">
-              <CalendarDaysIcon className="mx-auto h-12 w-12 text-gray-400" />
-              <h3 className="mt-2 text-sm font-medium text-gray-900">No attendance records found</h3>
-              <p className="mt-1 text-sm text-gray-500">
-                {hasPermission(['master_admin', 'admin']) 
-                  ? 'No attendance records match your current filters.'
-                  : 'You haven\'t marked any attendance yet.'
-                }
-              </p>
-              {user?.role === 'employee' && (
-                <button
-                  onClick={() => setShowAttendanceForm(true)}
-                  className="mt-4 inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                >
-                  <PlusIcon className="h-4 w-4 mr-2" />
-                  Mark Your First Attendance
-                </button>
-              )}
-            </div>
-          )}
+          <div className="overflow-hidden">
+            {loading ? (
+              <div className="flex items-center justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                <span className="ml-2 text-gray-600">Loading attendance records...</span>
+              </div>
+            ) : attendance.length > 0 ? (
+              <DataTable
+                data={attendance}
+                columns={columns}
+                loading={loading}
+                showPagination={true}
+                itemsPerPage={20}
+              />
+            ) : (
+              <div className="text-center py-12">
+                <CalendarDaysIcon className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">No attendance records found</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  {hasPermission(['master_admin', 'admin']) 
+                    ? 'No attendance records match your current filters.'
+                    : 'You haven\'t marked any attendance yet.'
+                  }
+                </p>
+                {user?.role === 'employee' && (
+                  <button
+                    onClick={() => setShowAttendanceForm(true)}
+                    className="mt-4 inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                  >
+                    <PlusIcon className="h-4 w-4 mr-2" />
+                    Mark Your First Attendance
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Attendance Summary Cards (Admin View) */}
       {hasPermission(['master_admin', 'admin']) && (
@@ -576,7 +987,10 @@ const AttendancePage = () => {
                         setShowAttendanceForm(false);
                         fetchAttendance(filters);
                       }}
-                      onCancel={() => setShowAttendanceForm(false)}
+                      onClose={() => {
+                        setShowAttendanceForm(false);
+                        getQueuedPunches().then(setQueuedPunches).catch(() => {});
+                      }}
                     />
                   </div>
                 </div>
@@ -586,6 +1000,53 @@ const AttendancePage = () => {
         </div>
       )}
 
+      {/* Correction Request Modal */}
+      {correctionRecord && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setCorrectionRecord(null)}></div>
+            
+            <span className="hidden sm:inline-block sm:align-middle sm:h-screen">&#8203;</span>
+            
+            <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+              <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                  Request Correction
+                </h3>
+                <CorrectionRequestForm
+                  record={correctionRecord}
+                  onSuccess={() => setCorrectionRecord(null)}
+                  onCancel={() => setCorrectionRecord(null)}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Revision History Modal */}
+      {historyRecord && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <div className="flex items-end justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setHistoryRecord(null)}></div>
+            
+            <span className="hidden sm:inline-block sm:align-middle sm:h-screen">&#8203;</span>
+            
+            <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+              <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+                  Change History
+                </h3>
+                <AttendanceHistory
+                  record={historyRecord}
+                  onClose={() => setHistoryRecord(null)}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Quick Stats Footer (Employee View) */}
       {user?.role === 'employee' && (
         <div className="bg-white rounded-lg shadow p-6">
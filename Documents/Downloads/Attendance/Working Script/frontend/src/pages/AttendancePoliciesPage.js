@@ -0,0 +1,459 @@
+// frontend/src/pages/AttendancePoliciesPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  ScaleIcon,
+  PlusIcon,
+  DocumentDuplicateIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyRules = {
+  graceMinutes: 0,
+  earlyDepartureGraceMinutes: 0,
+  rounding: { increment: 0, mode: 'nearest' },
+  minimumHours: { fullDay: 0, halfDay: 0 },
+  lateDeduction: { lateCount: 0, deductDays: 0.5 },
+  remoteWork: { allowed: true, maxDaysPerWeek: 0 }
+};
+
+const emptyPolicy = {
+  name: '',
+  scope: 'default',
+  department: '',
+  site: '',
+  shift: '',
+  effectiveFrom: today(),
+  ...emptyRules
+};
+
+const SCOPE_LABELS = {
+  default: 'Everyone',
+  department: 'Department',
+  site: 'Work site',
+  shift: 'Shift'
+};
+
+const describeTarget = (policy) => {
+  const target = policy[policy.scope];
+  return target ? `${SCOPE_LABELS[policy.scope]}: ${target.name}` : SCOPE_LABELS[policy.scope];
+};
+
+const describeRounding = ({ increment, mode } = {}) => {
+  if (!increment) return 'None';
+  return `${increment} min, ${mode === 'employee' ? "employee's favour" : 'nearest'}`;
+};
+
+const AttendancePoliciesPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [policies, setPolicies] = useState([]);
+  const [targets, setTargets] = useState({ department: [], site: [], shift: [] });
+  const [loading, setLoading] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [versionOf, setVersionOf] = useState(null);
+  const [form, setForm] = useState(emptyPolicy);
+
+  useEffect(() => {
+    fetchTargets();
+  }, []);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [showHistory]);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/attendance-policies${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchPolicies = async () => {
+    try {
+      const data = await request(showHistory ? '?includeHistory=true' : '');
+      setPolicies(data.data || []);
+    } catch (error) {
+      addNotification('Failed to fetch attendance policies', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Departments, sites and shifts a policy can be attached to
+  const fetchTargets = async () => {
+    const load = async (path, key) => {
+      try {
+        const response = await fetch(`/api/${path}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        return data.data || data[key] || [];
+      } catch (error) {
+        console.error(`Failed to fetch ${path}:`, error);
+        return [];
+      }
+    };
+
+    const [department, site, shift] = await Promise.all([
+      load('departments', 'departments'),
+      load('sites', 'sites'),
+      load('shifts', 'shifts')
+    ]);
+    setTargets({ department, site, shift });
+  };
+
+  const openForm = (policy = null) => {
+    setVersionOf(policy);
+    setForm(policy ? {
+      ...emptyPolicy,
+      name: policy.name,
+      scope: policy.scope,
+      graceMinutes: policy.graceMinutes,
+      earlyDepartureGraceMinutes: policy.earlyDepartureGraceMinutes,
+      rounding: { ...emptyRules.rounding, ...policy.rounding },
+      minimumHours: { ...emptyRules.minimumHours, ...policy.minimumHours },
+      lateDeduction: { ...emptyRules.lateDeduction, ...policy.lateDeduction },
+      remoteWork: { ...emptyRules.remoteWork, ...policy.remoteWork }
+    } : emptyPolicy);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setVersionOf(null);
+    setForm(emptyPolicy);
+  };
+
+  const setRule = (group, field, value) => {
+    setForm(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await request(versionOf ? `/${versionOf._id}/versions` : '', {
+        method: 'POST',
+        body: JSON.stringify(form)
+      });
+      addNotification(data.message, 'success');
+      closeForm();
+      fetchPolicies();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleRetire = async (policy) => {
+    const endDate = window.prompt(`Last day ${policy.name} applies (YYYY-MM-DD). Days already evaluated keep it.`, today());
+    if (!endDate) return;
+
+    try {
+      await request(`/${policy._id}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ effectiveTo: endDate })
+      });
+      addNotification('Attendance policy retired', 'success');
+      fetchPolicies();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const numberInput = (label, value, onChange, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="number"
+        min="0"
+        value={value}
+        onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+        {...props}
+      />
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Attendance Policies</h1>
+          <p className="text-gray-600">Grace periods, rounding and day minimums; the most specific policy applies: shift, then site, then department</p>
+        </div>
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showHistory}
+              onChange={(e) => setShowHistory(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Show past versions
+          </label>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Policy
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Policy</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies to</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">In force</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Grace</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rounding</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Day minimums</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Late deduction</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Remote work</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {policies.map(policy => {
+              const isOpen = !policy.effectiveTo || policy.effectiveTo.split('T')[0] >= today();
+              return (
+                <tr key={policy._id} className={isOpen ? '' : 'bg-gray-50'}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <ScaleIcon className="h-5 w-5 text-gray-400 mr-2" />
+                      <div>
+                        <span className="text-sm font-medium text-gray-900">{policy.name}</span>
+                        <span className="block text-xs text-gray-500">Version {policy.version}</span>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeTarget(policy)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {policy.effectiveFrom.split('T')[0]} to {policy.effectiveTo ? policy.effectiveTo.split('T')[0] : 'open'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {policy.graceMinutes} min in / {policy.earlyDepartureGraceMinutes} min out
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeRounding(policy.rounding)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {policy.minimumHours?.fullDay
+                      ? `Full ${policy.minimumHours.fullDay}h, half ${policy.minimumHours.halfDay}h`
+                      : 'None'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {policy.lateDeduction?.lateCount
+                      ? `${policy.lateDeduction.deductDays} day per ${policy.lateDeduction.lateCount} lates`
+                      : 'None'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {policy.remoteWork?.allowed === false
+                      ? 'Not allowed'
+                      : policy.remoteWork?.maxDaysPerWeek
+                        ? `Up to ${policy.remoteWork.maxDaysPerWeek} days a week`
+                        : 'Allowed'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                    {isOpen && (
+                      <>
+                        <button
+                          onClick={() => openForm(policy)}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                        >
+                          <DocumentDuplicateIcon className="h-4 w-4 mr-1" />
+                          New version
+                        </button>
+                        <button
+                          onClick={() => handleRetire(policy)}
+                          className="inline-flex items-center text-red-600 hover:text-red-900"
+                        >
+                          <NoSymbolIcon className="h-4 w-4 mr-1" />
+                          Retire
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+            {policies.length === 0 && (
+              <tr>
+                <td colSpan="9" className="px-6 py-8 text-center text-sm text-gray-500">
+                  No attendance policies yet; shift thresholds apply
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Policy Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {versionOf ? `New Version of ${versionOf.name}` : 'Add Attendance Policy'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {!versionOf && (
+                <div className="grid grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                    <input
+                      type="text"
+                      required
+                      value={form.name}
+                      onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+                    <select
+                      value={form.scope}
+                      onChange={(e) => setForm(prev => ({ ...prev, scope: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    >
+                      {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+                        <option key={scope} value={scope}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {form.scope !== 'default' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{SCOPE_LABELS[form.scope]}</label>
+                      <select
+                        required
+                        value={form[form.scope]}
+                        onChange={(e) => setForm(prev => ({ ...prev, [prev.scope]: e.target.value }))}
+                        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      >
+                        <option value="">Select...</option>
+                        {targets[form.scope].map(target => (
+                          <option key={target._id} value={target._id}>{target.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Effective from</label>
+                <input
+                  type="date"
+                  required
+                  min={today()}
+                  value={form.effectiveFrom}
+                  onChange={(e) => setForm(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+                {versionOf && (
+                  <p className="mt-1 text-xs text-gray-500">Version {versionOf.version} ends the day before; days before then keep its rules.</p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                {numberInput('Late grace (minutes)', form.graceMinutes, value => setForm(prev => ({ ...prev, graceMinutes: value })), { max: 240 })}
+                {numberInput('Early departure grace (minutes)', form.earlyDepartureGraceMinutes, value => setForm(prev => ({ ...prev, earlyDepartureGraceMinutes: value })), { max: 240 })}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Round punches to</label>
+                  <select
+                    value={form.rounding.increment}
+                    onChange={(e) => setRule('rounding', 'increment', Number(e.target.value))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  >
+                    <option value={0}>No rounding</option>
+                    {[5, 10, 15, 30].map(increment => (
+                      <option key={increment} value={increment}>{increment} minutes</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Rounding direction</label>
+                  <select
+                    value={form.rounding.mode}
+                    disabled={!form.rounding.increment}
+                    onChange={(e) => setRule('rounding', 'mode', e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  >
+                    <option value="nearest">Nearest</option>
+                    <option value="employee">In the employee's favour</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                {numberInput('Full day minimum (hours)', form.minimumHours.fullDay, value => setRule('minimumHours', 'fullDay', value), { step: '0.25', max: 24 })}
+                {numberInput('Half day minimum (hours)', form.minimumHours.halfDay, value => setRule('minimumHours', 'halfDay', value), { step: '0.25', max: 24 })}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                {numberInput('Late days per deduction (0 = off)', form.lateDeduction.lateCount, value => setRule('lateDeduction', 'lateCount', value))}
+                {numberInput('Days deducted', form.lateDeduction.deductDays, value => setRule('lateDeduction', 'deductDays', value), { step: '0.5', max: 5 })}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <label className="flex items-center text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.remoteWork.allowed}
+                    onChange={(e) => setRule('remoteWork', 'allowed', e.target.checked)}
+                    className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Remote work allowed
+                </label>
+                {numberInput('Remote days per week (0 = no cap)', form.remoteWork.maxDaysPerWeek, value => setRule('remoteWork', 'maxDaysPerWeek', value), { max: 7, disabled: !form.remoteWork.allowed })}
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  {versionOf ? 'Schedule version' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttendancePoliciesPage;
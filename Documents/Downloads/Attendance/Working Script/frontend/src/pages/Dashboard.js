@@ -5,6 +5,7 @@ import { useAttendance } from '../hooks/useAttendance';
 import { useNotifications } from '../hooks/useNotifications';
 import Charts from '../components/Charts';
 import DataTable from '../components/DataTable';
+import PresenceBoard from '../components/PresenceBoard';
 import {
   ClockIcon,
   UserGroupIcon,
@@ -16,16 +17,27 @@ import {
   ClockIcon as TimeIcon
 } from '@heroicons/react/24/outline';
 
+// Change against the previous period, e.g. "+5%"; rates compare in percentage points
+const formatChange = (current, previous, { points = false } = {}) => {
+  if (current === null || previous === null || current === undefined || previous === undefined) return null;
+  const change = points ? current - previous : previous ? ((current - previous) / previous) * 100 : null;
+  if (change === null) return null;
+  return `${change > 0 ? '+' : ''}${Math.round(change * 10) / 10}${points ? ' pts' : '%'}`;
+};
+
+const changeType = (change, higherIsBetter) => {
+  if (!change || /^[+-]?0(\.0)?( pts|%)$/.test(change)) return 'neutral';
+  return change.startsWith('-') !== higherIsBetter ? 'positive' : 'negative';
+};
+
 const Dashboard = () => {
-  const { user, hasPermission } = useAuth();
-  const { todayAttendance, stats, fetchStats, fetchAttendance, attendance } = useAttendance();
+  const { user, token, hasPermission } = useAuth();
+  const { todayAttendance, fetchAttendance, attendance } = useAttendance();
   const { unreadCount } = useNotifications();
+  const isAdmin = hasPermission(['master_admin', 'admin']);
   
   const [dashboardData, setDashboardData] = useState({
-    totalEmployees: 0,
-    presentToday: 0,
-    absentToday: 0,
-    lateToday: 0,
+    summary: null,
     recentActivity: []
   });
   
@@ -37,24 +49,25 @@ const Dashboard = () => {
     const fetchDashboardData = async () => {
       setLoading(true);
       try {
-        await fetchStats(selectedPeriod);
+        // Admins see everyone; employees get their own numbers
+        const response = await fetch(`/api/analytics/summary?period=${selectedPeriod}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
         
-        if (hasPermission(['master_admin', 'admin'])) {
+        let recentActivity = [];
+        if (isAdmin) {
           // Fetch additional admin data
-          await fetchAttendance({ 
+          recentActivity = await fetchAttendance({ 
             limit: 10, 
             sort: '-createdAt',
             date: new Date().toISOString().split('T')[0]
           });
         }
         
-        // Mock data for demonstration - in real app, fetch from API
         setDashboardData({
-          totalEmployees: 150,
-          presentToday: 142,
-          absentToday: 8,
-          lateToday: 12,
-          recentActivity: attendance.slice(0, 5)
+          summary: data.success ? data.data : null,
+          recentActivity: (recentActivity || []).slice(0, 5)
         });
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
@@ -64,41 +77,47 @@ const Dashboard = () => {
     };
 
     fetchDashboardData();
-  }, [selectedPeriod, fetchStats, fetchAttendance, hasPermission, attendance]);
+  }, [selectedPeriod, token, isAdmin, fetchAttendance]);
 
-  // Quick stats cards
+  const { summary } = dashboardData;
+  const period = summary?.period || {};
+  const previous = summary?.previousPeriod || {};
+  const change = (key, higherIsBetter, options) => {
+    const value = formatChange(period[key], previous[key], options);
+    return { change: value, changeType: changeType(value, higherIsBetter) };
+  };
+
+  // Quick stats cards: today's numbers, with the trend over the selected period
   const quickStats = [
     {
       title: 'Total Employees',
-      value: dashboardData.totalEmployees,
+      value: summary?.totalEmployees ?? 0,
       icon: UserGroupIcon,
-      color: 'bg-blue-500',
-      change: '+5%',
-      changeType: 'positive'
+      color: 'bg-blue-500'
     },
     {
       title: 'Present Today',
-      value: dashboardData.presentToday,
+      value: summary?.today.worked ?? 0,
       icon: CheckCircleIcon,
       color: 'bg-green-500',
-      change: '+2%',
-      changeType: 'positive'
+      ...change('attendanceRate', true, { points: true }),
+      changeLabel: 'attendance rate'
     },
     {
       title: 'Absent Today',
-      value: dashboardData.absentToday,
+      value: summary?.today.absent ?? 0,
       icon: XCircleIcon,
       color: 'bg-red-500',
-      change: '-12%',
-      changeType: 'negative'
+      ...change('absent', false),
+      changeLabel: 'absences'
     },
     {
       title: 'Late Arrivals',
-      value: dashboardData.lateToday,
+      value: summary?.today.late ?? 0,
       icon: ExclamationTriangleIcon,
       color: 'bg-yellow-500',
-      change: '+8%',
-      changeType: 'neutral'
+      ...change('lateRate', false, { points: true }),
+      changeLabel: 'late rate'
     }
   ];
 
@@ -106,25 +125,25 @@ const Dashboard = () => {
   const employeeStats = [
     {
       title: 'Days Present',
-      value: stats.present,
+      value: period.worked ?? 0,
       icon: CheckCircleIcon,
       color: 'bg-green-500'
     },
     {
       title: 'Days Absent',
-      value: stats.absent,
+      value: period.absent ?? 0,
       icon: XCircleIcon,
       color: 'bg-red-500'
     },
     {
       title: 'Late Days',
-      value: stats.late,
+      value: period.late ?? 0,
       icon: TimeIcon,
       color: 'bg-yellow-500'
     },
     {
       title: 'Overtime Hours',
-      value: stats.overtime,
+      value: period.overtimeHours ?? 0,
       icon: ClockIcon,
       color: 'bg-purple-500'
     }
@@ -206,9 +225,25 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Live Who's In Board (admins, and employees who manage a team) */}
+      <PresenceBoard />
+
       {/* Quick Stats Grid */}
+      <div className="flex items-center justify-end">
+        <select
+          value={selectedPeriod}
+          onChange={(e) => setSelectedPeriod(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="week">Last 7 Days</option>
+          <option value="month">Last Month</option>
+          <option value="quarter">Last Quarter</option>
+          <option value="year">Last Year</option>
+        </select>
+      </div>
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        {(hasPermission(['master_admin', 'admin']) ? quickStats : employeeStats).map((stat, index) => (
+        {(isAdmin ? quickStats : employeeStats).map((stat, index) => (
           <div key={index} className="bg-white rounded-lg shadow p-6">
             <div className="flex items-center">
               <div className={`${stat.color} p-3 rounded-lg`}>
@@ -222,7 +257,7 @@ const Dashboard = () => {
                     stat.changeType === 'positive' ? 'text-green-600' : 
                     stat.changeType === 'negative' ? 'text-red-600' : 'text-yellow-600'
                   }`}>
-                    {stat.change} from last period
+                    {stat.change} {stat.changeLabel} vs previous {selectedPeriod}
                   </p>
                 )}
               </div>
@@ -237,16 +272,7 @@ const Dashboard = () => {
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-lg font-semibold text-gray-900">Attendance Overview</h2>
-            <select
-              value={selectedPeriod}
-              onChange={(e) => setSelectedPeriod(e.target.value)}
-              className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            >
-              <option value="week">This Week</option>
-              <option value="month">This Month</option>
-              <option value="quarter">This Quarter</option>
-              <option value="year">This Year</option>
-            </select>
+            <CalendarDaysIcon className="h-5 w-5 text-gray-400" />
           </div>
           <Charts type="attendance" period={selectedPeriod} />
         </div>
@@ -254,13 +280,38 @@ const Dashboard = () => {
         {/* Performance Chart */}
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold text-gray-900">Performance Metrics</h2>
+            <h2 className="text-lg font-semibold text-gray-900">Attendance & Lateness Rates</h2>
             <ChartBarIcon className="h-5 w-5 text-gray-400" />
           </div>
           <Charts type="performance" period={selectedPeriod} />
         </div>
       </div>
 
+      {/* Analytics (Admin View) */}
+      {isAdmin && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">By Department</h2>
+            <Charts type="departments" period={selectedPeriod} />
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Overtime & Lateness Trend</h2>
+            <Charts type="trends" period={selectedPeriod} />
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Day of Week</h2>
+            <Charts type="weekdays" period={selectedPeriod} />
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Clock-in Times</h2>
+            <Charts type="hours" period={selectedPeriod} />
+          </div>
+        </div>
+      )}
+
       {/* Recent Activity / Employee List */}
       {hasPermission(['master_admin', 'admin']) ? (
         <div className="bg-white rounded-lg shadow">
@@ -0,0 +1,332 @@
+// frontend/src/pages/FieldTrackingPage.js
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import { MapIcon, MapPinIcon } from '@heroicons/react/24/outline';
+
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 360;
+const MAP_PADDING = 20;
+const METERS_PER_DEGREE = 111320;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatTime = (value, timezone) => new Date(value).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: timezone
+});
+
+const mapLink = ({ latitude, longitude }) => (
+  `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`
+);
+
+// Project the pings and service areas onto the SVG box, keeping distances in proportion
+const buildProjection = (points) => {
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  const minLat = Math.min(...latitudes);
+  const maxLat = Math.max(...latitudes);
+  const minLon = Math.min(...longitudes);
+  const maxLon = Math.max(...longitudes);
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+
+  const spanX = Math.max((maxLon - minLon) * lonScale, 0.0005);
+  const spanY = Math.max(maxLat - minLat, 0.0005);
+  const scale = Math.min((MAP_WIDTH - 2 * MAP_PADDING) / spanX, (MAP_HEIGHT - 2 * MAP_PADDING) / spanY);
+  const offsetX = (MAP_WIDTH - spanX * scale) / 2;
+  const offsetY = (MAP_HEIGHT - spanY * scale) / 2;
+
+  return {
+    x: longitude => offsetX + (longitude - minLon) * lonScale * scale,
+    y: latitude => MAP_HEIGHT - offsetY - (latitude - minLat) * scale,
+    meters: meters => (meters / METERS_PER_DEGREE) * scale
+  };
+};
+
+const RouteMap = ({ timeline }) => {
+  const { pings, serviceAreas, idleStretches } = timeline;
+  const areaPoints = serviceAreas.flatMap(area => (
+    area.boundary?.type === 'polygon' ? area.boundary.polygon : area.centroid ? [area.centroid] : []
+  ));
+  const project = buildProjection([...pings, ...areaPoints]);
+
+  return (
+    <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} className="w-full bg-gray-50 rounded-lg border border-gray-200">
+      {serviceAreas.map(area => (
+        area.boundary?.type === 'polygon' ? (
+          <polygon
+            key={area._id}
+            points={area.boundary.polygon.map(point => `${project.x(point.longitude)},${project.y(point.latitude)}`).join(' ')}
+            className="fill-green-100 stroke-green-400"
+          >
+            <title>{area.name}</title>
+          </polygon>
+        ) : area.centroid && (
+          <circle
+            key={area._id}
+            cx={project.x(area.centroid.longitude)}
+            cy={project.y(area.centroid.latitude)}
+            r={project.meters(area.boundary.radius)}
+            className="fill-green-100 stroke-green-400"
+          >
+            <title>{area.name}</title>
+          </circle>
+        )
+      ))}
+      <polyline
+        points={pings.map(ping => `${project.x(ping.longitude)},${project.y(ping.latitude)}`).join(' ')}
+        fill="none"
+        className="stroke-blue-500"
+        strokeWidth="2"
+      />
+      {idleStretches.map(stretch => (
+        <circle
+          key={stretch.from}
+          cx={project.x(stretch.longitude)}
+          cy={project.y(stretch.latitude)}
+          r="10"
+          className="fill-orange-200 stroke-orange-500"
+          fillOpacity="0.7"
+        >
+          <title>Idle {stretch.minutes} min</title>
+        </circle>
+      ))}
+      {pings.map((ping, index) => (
+        <circle
+          key={ping._id}
+          cx={project.x(ping.longitude)}
+          cy={project.y(ping.latitude)}
+          r={index === 0 || index === pings.length - 1 ? 6 : 3}
+          className={ping.outOfArea ? 'fill-red-500' : index === 0 ? 'fill-green-600' : 'fill-blue-600'}
+        >
+          <title>{formatTime(ping.recordedAt, timeline.timezone)}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const FieldTrackingPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const date = searchParams.get('date') || today();
+  const selected = searchParams.get('employee') || '';
+  const [employees, setEmployees] = useState([]);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchEmployees();
+  }, [date]);
+
+  useEffect(() => {
+    if (selected) {
+      fetchTimeline();
+    } else {
+      setTimeline(null);
+    }
+  }, [selected, date]);
+
+  const request = async (endpoint) => {
+    const response = await fetch(`/api/field-tracking${endpoint}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchEmployees = async () => {
+    setLoading(true);
+    try {
+      const data = await request(`/employees?date=${date}`);
+      setEmployees(data.data);
+    } catch (error) {
+      addNotification('Failed to fetch field employees', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTimeline = async () => {
+    try {
+      const data = await request(`/employees/${selected}/timeline?date=${date}`);
+      setTimeline(data.data);
+    } catch (error) {
+      setTimeline(null);
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const updateParams = (changes) => {
+    const params = { date, employee: selected, ...changes };
+    setSearchParams(Object.fromEntries(Object.entries(params).filter(([, value]) => value)));
+  };
+
+  const areaNames = new Map((timeline?.serviceAreas || []).map(area => [area._id, area.name]));
+
+  // Idle stretches sit in the timeline where they began
+  const rows = timeline ? [
+    ...timeline.idleStretches.map(stretch => ({ time: stretch.from, stretch })),
+    ...timeline.pings.map(ping => ({ time: ping.recordedAt, ping }))
+  ].sort((a, b) => new Date(a.time) - new Date(b.time)) : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Field Tracking</h1>
+          <p className="text-gray-600">Routes shared by employees on field shifts</p>
+        </div>
+        <input
+          type="date"
+          value={date}
+          max={today()}
+          onChange={(e) => updateParams({ date: e.target.value })}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-4 py-3 border-b border-gray-200">
+            <h2 className="text-sm font-medium text-gray-900">Employees</h2>
+          </div>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {employees.map(item => (
+                <li key={item.employee}>
+                  <button
+                    onClick={() => updateParams({ employee: item.employee })}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selected === item.employee ? 'bg-blue-50' : ''}`}
+                  >
+                    <span className="block text-sm font-medium text-gray-900">{item.name}</span>
+                    <span className="block text-xs text-gray-500">
+                      {item.pings} pings
+                      {item.outOfArea > 0 && <span className="text-red-600"> · {item.outOfArea} out of area</span>}
+                    </span>
+                  </button>
+                </li>
+              ))}
+              {employees.length === 0 && (
+                <li className="px-4 py-8 text-center text-sm text-gray-500">No locations shared on this day</li>
+              )}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-3 space-y-6">
+          {!timeline ? (
+            <div className="bg-white rounded-lg shadow p-12 text-center text-sm text-gray-500">
+              <MapIcon className="mx-auto h-10 w-10 text-gray-300 mb-2" />
+              Pick an employee to see their route
+            </div>
+          ) : (
+            <>
+              <div className="bg-white rounded-lg shadow p-4">
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h2 className="text-lg font-medium text-gray-900">{timeline.employee.name}</h2>
+                    <p className="text-sm text-gray-500">
+                      {timeline.sessions.map(session => (
+                        `${formatTime(session.clockIn, timeline.timezone)}-${session.clockOut ? formatTime(session.clockOut, timeline.timezone) : 'now'}`
+                      )).join(', ') || 'Not clocked in'}
+                      {!timeline.employee.consented && ' · Consent withdrawn'}
+                    </p>
+                  </div>
+                  <dl className="grid grid-cols-4 gap-6 text-right">
+                    <div>
+                      <dt className="text-xs text-gray-500">Pings</dt>
+                      <dd className="text-lg font-semibold text-gray-900">{timeline.summary.pings}</dd>
+                    </div>
+                    <div>
+                      <dt className="text-xs text-gray-500">Distance</dt>
+                      <dd className="text-lg font-semibold text-gray-900">{timeline.summary.distanceKm} km</dd>
+                    </div>
+                    <div>
+                      <dt className="text-xs text-gray-500">Idle</dt>
+                      <dd className="text-lg font-semibold text-orange-600">{timeline.summary.idleMinutes} min</dd>
+                    </div>
+                    <div>
+                      <dt className="text-xs text-gray-500">Out of area</dt>
+                      <dd className="text-lg font-semibold text-red-600">{timeline.summary.outOfArea}</dd>
+                    </div>
+                  </dl>
+                </div>
+                {timeline.pings.length > 0 ? (
+                  <RouteMap timeline={timeline} />
+                ) : (
+                  <p className="text-sm text-gray-500">No pings on this day</p>
+                )}
+              </div>
+
+              <div className="bg-white rounded-lg shadow overflow-hidden">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Position</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Accuracy</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Area</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {rows.map(({ stretch, ping }) => (stretch ? (
+                      <tr key={`idle-${stretch.from}`} className="bg-orange-50">
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-orange-800">
+                          {formatTime(stretch.from, timeline.timezone)}-{formatTime(stretch.to, timeline.timezone)}
+                        </td>
+                        <td colSpan="3" className="px-6 py-3 text-sm text-orange-800">
+                          Idle for {stretch.minutes} min within {timeline.settings.idleRadiusMeters} m
+                        </td>
+                      </tr>
+                    ) : (
+                      <tr key={ping._id}>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatTime(ping.recordedAt, timeline.timezone)}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm">
+                          <a
+                            href={mapLink(ping)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center text-blue-600 hover:text-blue-800"
+                          >
+                            <MapPinIcon className="h-4 w-4 mr-1" />
+                            {ping.latitude.toFixed(5)}, {ping.longitude.toFixed(5)}
+                          </a>
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500 text-right">
+                          {ping.accuracy ? `±${Math.round(ping.accuracy)} m` : '-'}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm">
+                          {ping.outOfArea ? (
+                            <span className="px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Out of area</span>
+                          ) : (
+                            <span className="text-gray-500">{areaNames.get(ping.site) || '-'}</span>
+                          )}
+                        </td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FieldTrackingPage;
@@ -0,0 +1,258 @@
+// frontend/src/pages/IrregularitiesPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  ShieldExclamationIcon,
+  CheckCircleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+
+const TYPE_LABELS = {
+  location_mismatch: 'Location',
+  biometric_failed: 'Biometric',
+  multiple_entries: 'Shared device',
+  suspicious_activity: 'Suspicious activity',
+  unpaired_punch: 'Unpaired punch'
+};
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-800'
+};
+
+const IrregularitiesPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: 'open', severity: '', type: '' });
+  const [page, setPage] = useState(1);
+
+  const fetchIrregularities = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page, limit: 20 });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await fetch(`/api/irregularities?${params}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Request failed');
+      }
+
+      setItems(data.data || []);
+      setPagination(data.pagination);
+    } catch (error) {
+      addNotification('Failed to fetch irregularities', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [token, filters, page]);
+
+  useEffect(() => {
+    fetchIrregularities();
+  }, [fetchIrregularities]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleReview = async (item, action) => {
+    let notes = '';
+    if (action === 'dismiss') {
+      notes = window.prompt('Why is this a false positive?');
+      if (!notes) return;
+    } else {
+      notes = window.prompt('Notes on how this was handled (optional):') || '';
+    }
+
+    try {
+      const response = await fetch(`/api/irregularities/${item.attendanceId}/${item._id}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ action, notes })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Request failed');
+      }
+
+      addNotification(data.message, 'success');
+      fetchIrregularities();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const getEmployeeName = (employee) => (
+    employee?.userId
+      ? `${employee.userId.firstName} ${employee.userId.lastName}`
+      : employee?.employeeId || 'Unknown'
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Irregularities</h1>
+        <p className="text-gray-600">Punches flagged for possible buddy punching, impossible travel or weak face matches</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+          <select
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="open">Open</option>
+            <option value="resolved">Resolved</option>
+            <option value="dismissed">Dismissed</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Severity</label>
+          <select
+            value={filters.severity}
+            onChange={(e) => handleFilterChange('severity', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+          <select
+            value={filters.type}
+            onChange={(e) => handleFilterChange('type', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All</option>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Punch</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Finding</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Review</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {items.map(item => (
+                <tr key={item._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{getEmployeeName(item.employee)}</div>
+                    <div className="text-xs text-gray-500">{item.employee?.employeeId}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {item.irregularity.punch === 'clock_out' ? 'Clock out' : 'Clock in'}
+                    <span className="block text-xs">
+                      {new Date(
+                        item.irregularity.punch === 'clock_out' ? item.clockOutTime : item.clockInTime
+                      ).toLocaleString([], { timeZone: item.timezone })}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700">
+                    <span className="font-medium">{TYPE_LABELS[item.irregularity.type] || item.irregularity.type}</span>
+                    <span className="block">{item.irregularity.description}</span>
+                    {item.irregularity.review?.notes && (
+                      <span className="block text-xs text-gray-500 mt-1">Review: {item.irregularity.review.notes}</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${SEVERITY_STYLES[item.irregularity.severity]}`}>
+                      {item.irregularity.severity}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                    {item.irregularity.resolved ? (
+                      <span className="text-gray-500 capitalize">{item.irregularity.review?.status || 'resolved'}</span>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleReview(item, 'resolve')}
+                          className="inline-flex items-center text-green-600 hover:text-green-900"
+                        >
+                          <CheckCircleIcon className="h-4 w-4 mr-1" />
+                          Resolve
+                        </button>
+                        <button
+                          onClick={() => handleReview(item, 'dismiss')}
+                          className="inline-flex items-center text-gray-600 hover:text-gray-900"
+                        >
+                          <XCircleIcon className="h-4 w-4 mr-1" />
+                          Dismiss
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {items.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="px-6 py-8 text-center text-sm text-gray-500">
+                    <ShieldExclamationIcon className="h-8 w-8 mx-auto mb-2 text-gray-300" />
+                    No irregularities
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">{pagination.total} irregularities</p>
+          <div className="space-x-2">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= pagination.pages}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IrregularitiesPage;
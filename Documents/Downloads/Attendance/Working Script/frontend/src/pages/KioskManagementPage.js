@@ -0,0 +1,362 @@
+// frontend/src/pages/KioskManagementPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  ComputerDesktopIcon,
+  KeyIcon,
+  NoSymbolIcon,
+  PlusIcon
+} from '@heroicons/react/24/outline';
+
+const emptyKiosk = {
+  name: '',
+  locationName: '',
+  latitude: '',
+  longitude: '',
+  timezone: ''
+};
+
+const KioskManagementPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [kiosks, setKiosks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showRegisterModal, setShowRegisterModal] = useState(false);
+  const [kioskForm, setKioskForm] = useState(emptyKiosk);
+  const [issuedToken, setIssuedToken] = useState(null);
+  const [credentialForm, setCredentialForm] = useState({ employeeId: '', pin: '', badgeCode: '' });
+
+  useEffect(() => {
+    fetchKiosks();
+  }, []);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/kiosk${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchKiosks = async () => {
+    try {
+      const data = await request('/devices');
+      setKiosks(data.data || []);
+    } catch (error) {
+      addNotification('Failed to fetch kiosks', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await request('/devices', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: kioskForm.name,
+          timezone: kioskForm.timezone || undefined,
+          location: {
+            name: kioskForm.locationName,
+            latitude: parseFloat(kioskForm.latitude),
+            longitude: parseFloat(kioskForm.longitude)
+          }
+        })
+      });
+      setIssuedToken({ name: data.data.kiosk.name, token: data.data.token });
+      setShowRegisterModal(false);
+      setKioskForm(emptyKiosk);
+      fetchKiosks();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleRegenerate = async (kiosk) => {
+    if (!window.confirm(`Issue a new token for ${kiosk.name}? The current token will stop working.`)) return;
+
+    try {
+      const data = await request(`/devices/${kiosk._id}/token`, { method: 'PUT' });
+      setIssuedToken({ name: kiosk.name, token: data.data.token });
+      fetchKiosks();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleRevoke = async (kiosk) => {
+    if (!window.confirm(`Revoke ${kiosk.name}? It will no longer accept punches.`)) return;
+
+    try {
+      await request(`/devices/${kiosk._id}/revoke`, { method: 'PUT' });
+      addNotification('Kiosk revoked', 'success');
+      fetchKiosks();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleSetCredentials = async (e) => {
+    e.preventDefault();
+
+    try {
+      await request(`/employees/${encodeURIComponent(credentialForm.employeeId.trim())}/credentials`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          pin: credentialForm.pin || undefined,
+          badgeCode: credentialForm.badgeCode || undefined
+        })
+      });
+      addNotification('Kiosk credentials updated', 'success');
+      setCredentialForm({ employeeId: '', pin: '', badgeCode: '' });
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Kiosks</h1>
+          <p className="text-gray-600">Shared devices employees use to clock in at a site</p>
+        </div>
+        <button
+          onClick={() => setShowRegisterModal(true)}
+          className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+        >
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Register Kiosk
+        </button>
+      </div>
+
+      {issuedToken && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-yellow-800">
+            Token for {issuedToken.name}. Copy it now and enter it on the device at /kiosk, it will not be shown again. Open /kiosk/qr on the same device to show the site's rotating QR code.
+          </p>
+          <code className="block mt-2 p-2 bg-white border rounded text-sm break-all">{issuedToken.token}</code>
+          <button
+            onClick={() => setIssuedToken(null)}
+            className="mt-2 text-sm text-yellow-800 underline"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Kiosk</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Token</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {kiosks.map(kiosk => (
+              <tr key={kiosk._id}>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <ComputerDesktopIcon className="h-5 w-5 text-gray-400 mr-2" />
+                    <span className="text-sm font-medium text-gray-900">{kiosk.name}</span>
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {kiosk.location?.name || `${kiosk.location?.latitude}, ${kiosk.location?.longitude}`}
+                  {kiosk.timezone && <span className="block text-xs">{kiosk.timezone}</span>}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500">{kiosk.tokenPrefix}…</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {kiosk.lastSeenAt ? new Date(kiosk.lastSeenAt).toLocaleString() : 'Never'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                    kiosk.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {kiosk.isActive ? 'Active' : 'Revoked'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                  <button
+                    onClick={() => handleRegenerate(kiosk)}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                  >
+                    <KeyIcon className="h-4 w-4 mr-1" />
+                    New token
+                  </button>
+                  {kiosk.isActive && (
+                    <button
+                      onClick={() => handleRevoke(kiosk)}
+                      className="inline-flex items-center text-red-600 hover:text-red-900"
+                    >
+                      <NoSymbolIcon className="h-4 w-4 mr-1" />
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {kiosks.length === 0 && (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-sm text-gray-500">
+                  No kiosks registered
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-1">Employee kiosk credentials</h2>
+        <p className="text-sm text-gray-600 mb-4">Set a PIN, a badge code, or both. Existing values are replaced.</p>
+        <form onSubmit={handleSetCredentials} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Employee ID *</label>
+            <input
+              type="text"
+              required
+              value={credentialForm.employeeId}
+              onChange={(e) => setCredentialForm(prev => ({ ...prev, employeeId: e.target.value }))}
+              placeholder="EMP001"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">PIN (4-8 digits)</label>
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={credentialForm.pin}
+              onChange={(e) => setCredentialForm(prev => ({ ...prev, pin: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Badge code</label>
+            <input
+              type="password"
+              autoComplete="off"
+              value={credentialForm.badgeCode}
+              onChange={(e) => setCredentialForm(prev => ({ ...prev, badgeCode: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!credentialForm.pin && !credentialForm.badgeCode}
+            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save Credentials
+          </button>
+        </form>
+      </div>
+
+      {showRegisterModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Register Kiosk</h3>
+            <form onSubmit={handleRegister} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+                <input
+                  type="text"
+                  required
+                  value={kioskForm.name}
+                  onChange={(e) => setKioskForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="Main entrance"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Location name</label>
+                <input
+                  type="text"
+                  value={kioskForm.locationName}
+                  onChange={(e) => setKioskForm(prev => ({ ...prev, locationName: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Latitude *</label>
+                  <input
+                    type="number"
+                    step="any"
+                    required
+                    value={kioskForm.latitude}
+                    onChange={(e) => setKioskForm(prev => ({ ...prev, latitude: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Longitude *</label>
+                  <input
+                    type="number"
+                    step="any"
+                    required
+                    value={kioskForm.longitude}
+                    onChange={(e) => setKioskForm(prev => ({ ...prev, longitude: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+                <input
+                  type="text"
+                  value={kioskForm.timezone}
+                  onChange={(e) => setKioskForm(prev => ({ ...prev, timezone: e.target.value }))}
+                  placeholder="e.g. Asia/Kolkata"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setShowRegisterModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Register
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KioskManagementPage;
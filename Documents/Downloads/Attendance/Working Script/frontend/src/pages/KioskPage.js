@@ -0,0 +1,357 @@
+// frontend/src/pages/KioskPage.js
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  ClockIcon,
+  CameraIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  IdentificationIcon
+} from '@heroicons/react/24/outline';
+import { KIOSK_TOKEN_KEY, kioskRequest } from '../utils/kioskApi';
+
+// Seconds a result stays on screen before the kiosk resets for the next person
+const RESET_DELAY_SECONDS = 5;
+
+const KioskPage = () => {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const badgeInputRef = useRef(null);
+
+  const [token, setToken] = useState(localStorage.getItem(KIOSK_TOKEN_KEY) || '');
+  const [tokenInput, setTokenInput] = useState('');
+  const [kiosk, setKiosk] = useState(null);
+  const [now, setNow] = useState(new Date());
+
+  // step: identify -> capture -> result
+  const [step, setStep] = useState('identify');
+  const [mode, setMode] = useState('pin');
+  const [credentials, setCredentials] = useState({ employeeId: '', pin: '', badgeCode: '' });
+  const [identity, setIdentity] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Forget the person at the kiosk: nothing from the last punch stays on the shared screen
+  const reset = useCallback(() => {
+    setStep('identify');
+    setCredentials({ employeeId: '', pin: '', badgeCode: '' });
+    setIdentity(null);
+    setResult(null);
+    setError('');
+  }, []);
+
+  const stopCamera = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Load the kiosk configuration for the stored device token
+  useEffect(() => {
+    if (!token) return;
+
+    kioskRequest('/session', token)
+      .then(setKiosk)
+      .catch((err) => {
+        if (err.status === 401) {
+          localStorage.removeItem(KIOSK_TOKEN_KEY);
+          setToken('');
+        }
+        setError(err.message);
+      });
+  }, [token]);
+
+  // Start the camera for face capture, and release it as soon as it is not needed
+  useEffect(() => {
+    if (step !== 'capture') {
+      stopCamera();
+      return undefined;
+    }
+
+    let cancelled = false;
+    navigator.mediaDevices.getUserMedia({
+      video: { width: { ideal: 640 }, height: { ideal: 480 }, facingMode: 'user' }
+    })
+      .then((stream) => {
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+        }
+      })
+      .catch(() => setError('Unable to access the camera'));
+
+    return () => {
+      cancelled = true;
+      stopCamera();
+    };
+  }, [step, stopCamera]);
+
+  useEffect(() => {
+    if (step !== 'result') return undefined;
+    const timer = setTimeout(reset, RESET_DELAY_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [step, reset]);
+
+  useEffect(() => {
+    if (step === 'identify' && mode === 'badge') {
+      badgeInputRef.current?.focus();
+    }
+  }, [step, mode]);
+
+  const getCredentialPayload = () => (
+    mode === 'badge'
+      ? { badgeCode: credentials.badgeCode }
+      : { employeeId: credentials.employeeId, pin: credentials.pin }
+  );
+
+  const handleSaveToken = (e) => {
+    e.preventDefault();
+    if (!tokenInput.trim()) return;
+    localStorage.setItem(KIOSK_TOKEN_KEY, tokenInput.trim());
+    setToken(tokenInput.trim());
+    setTokenInput('');
+    setError('');
+  };
+
+  const handleIdentify = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const data = await kioskRequest('/identify', token, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getCredentialPayload())
+      });
+      setIdentity(data);
+      setStep('capture');
+    } catch (err) {
+      setError(err.message);
+      setCredentials(prev => ({ ...prev, pin: '', badgeCode: '' }));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCapture = async () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) {
+      setError('Camera is not ready yet');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+
+      const formData = new FormData();
+      Object.entries(getCredentialPayload()).forEach(([key, value]) => formData.append(key, value));
+      formData.append('faceImage', blob, 'face.jpg');
+
+      const data = await kioskRequest('/punch', token, {
+        method: 'POST',
+        body: formData
+      });
+      setResult(data);
+      setStep('result');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center p-6">
+        <form onSubmit={handleSaveToken} className="bg-white rounded-lg shadow-lg p-8 w-full max-w-md space-y-4">
+          <h1 className="text-2xl font-bold text-gray-900">Set up kiosk</h1>
+          <p className="text-sm text-gray-600">
+            Paste the device token shown when this kiosk was registered.
+          </p>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <input
+            type="password"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            placeholder="Kiosk token"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            className="w-full px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Activate kiosk
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white flex flex-col">
+      <header className="flex items-center justify-between px-8 py-6">
+        <div>
+          <h1 className="text-2xl font-bold">{kiosk?.name || 'Attendance Kiosk'}</h1>
+          {kiosk?.locationName && <p className="text-gray-400">{kiosk.locationName}</p>}
+        </div>
+        <div className="flex items-center text-3xl font-semibold">
+          <ClockIcon className="h-8 w-8 mr-3 text-blue-400" />
+          {now.toLocaleTimeString([], { timeZone: kiosk?.timezone })}
+        </div>
+      </header>
+
+      <main className="flex-1 flex items-center justify-center p-6">
+        <div className="bg-white text-gray-900 rounded-2xl shadow-xl w-full max-w-xl p-8">
+          {step === 'identify' && (
+            <form onSubmit={handleIdentify} className="space-y-6">
+              <div className="flex rounded-lg bg-gray-100 p-1">
+                {['pin', 'badge'].map(option => (
+                  <button
+                    key={option}
+                    type="button"
+                    onClick={() => { setMode(option); setError(''); }}
+                    className={`flex-1 py-3 rounded-md text-lg font-medium ${
+                      mode === option ? 'bg-white shadow text-blue-600' : 'text-gray-600'
+                    }`}
+                  >
+                    {option === 'pin' ? 'Employee ID + PIN' : 'Scan badge'}
+                  </button>
+                ))}
+              </div>
+
+              {mode === 'pin' ? (
+                <>
+                  <input
+                    type="text"
+                    autoComplete="off"
+                    value={credentials.employeeId}
+                    onChange={(e) => setCredentials(prev => ({ ...prev, employeeId: e.target.value }))}
+                    placeholder="Employee ID"
+                    className="w-full border border-gray-300 rounded-lg px-4 py-4 text-2xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={credentials.pin}
+                    onChange={(e) => setCredentials(prev => ({ ...prev, pin: e.target.value }))}
+                    placeholder="PIN"
+                    className="w-full border border-gray-300 rounded-lg px-4 py-4 text-2xl tracking-widest focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </>
+              ) : (
+                <div className="text-center space-y-4">
+                  <IdentificationIcon className="h-16 w-16 mx-auto text-blue-600" />
+                  <input
+                    ref={badgeInputRef}
+                    type="password"
+                    autoComplete="off"
+                    value={credentials.badgeCode}
+                    onChange={(e) => setCredentials(prev => ({ ...prev, badgeCode: e.target.value }))}
+                    placeholder="Scan your badge"
+                    className="w-full border border-gray-300 rounded-lg px-4 py-4 text-2xl text-center focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              )}
+
+              {error && (
+                <p className="flex items-center text-red-600">
+                  <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                  {error}
+                </p>
+              )}
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full py-4 rounded-lg text-xl font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {submitting ? 'Checking...' : 'Continue'}
+              </button>
+            </form>
+          )}
+
+          {step === 'capture' && identity && (
+            <div className="space-y-6 text-center">
+              <h2 className="text-2xl font-semibold">
+                Hi {identity.employee.firstName}, look at the camera to{' '}
+                {identity.nextAction === 'clock_out' ? 'clock out' : 'clock in'}
+              </h2>
+              <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted
+                className="w-full rounded-lg bg-black"
+              />
+              {error && (
+                <p className="flex items-center justify-center text-red-600">
+                  <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                  {error}
+                </p>
+              )}
+              <div className="flex space-x-4">
+                <button
+                  type="button"
+                  onClick={reset}
+                  className="flex-1 py-4 rounded-lg text-xl font-medium border border-gray-300 text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCapture}
+                  disabled={submitting}
+                  className="flex-1 py-4 rounded-lg text-xl font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center"
+                >
+                  <CameraIcon className="h-6 w-6 mr-2" />
+                  {submitting ? 'Verifying...' : 'Capture'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'result' && result && (
+            <div className="text-center space-y-4">
+              <CheckCircleIcon className="h-20 w-20 mx-auto text-green-500" />
+              <h2 className="text-3xl font-bold">
+                {result.action === 'clock_out' ? 'Goodbye' : 'Welcome'}, {result.employee.firstName}
+              </h2>
+              <p className="text-xl text-gray-600">
+                {result.action === 'clock_out' ? 'Clocked out' : 'Clocked in'} at{' '}
+                {new Date(result.time).toLocaleTimeString([], { timeZone: kiosk?.timezone })}
+              </p>
+              <button
+                type="button"
+                onClick={reset}
+                className="px-6 py-3 rounded-lg text-lg font-medium text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Done
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default KioskPage;
@@ -0,0 +1,496 @@
+// frontend/src/pages/OvertimePage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  PlusIcon,
+  CheckIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const PERIODS = [
+  { value: 'week', label: 'Last 7 days' },
+  { value: 'month', label: 'Last month' },
+  { value: 'quarter', label: 'Last 3 months' }
+];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const emptyRequest = {
+  employee: '',
+  date: today(),
+  hours: '',
+  reason: ''
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const formatDate = (value) => (value ? value.split('T')[0] : null);
+
+const employeeName = (employee) => (
+  employee?.userId ? `${employee.userId.firstName} ${employee.userId.lastName}` : employee?.employeeId
+);
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[status]}`}>
+    {capitalize(status)}
+  </span>
+);
+
+const OvertimePage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [mine, setMine] = useState(null);
+  const [reviewRequests, setReviewRequests] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [unapproved, setUnapproved] = useState(null);
+  const [period, setPeriod] = useState('month');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyRequest);
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  useEffect(() => {
+    if (employees.length > 0) {
+      fetchUnapproved();
+    }
+  }, [employees, period]);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/overtime${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchRequests = async () => {
+    try {
+      // Admins may have no employee profile of their own
+      const [mineData, reviewData, employeeData] = await Promise.all([
+        request('/mine').catch(() => null),
+        request('?status=pending'),
+        request('/employees')
+      ]);
+      setMine(mineData?.data || null);
+      setReviewRequests(reviewData.data);
+      setEmployees(employeeData.data);
+    } catch (error) {
+      addNotification('Failed to fetch overtime requests', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchUnapproved = async () => {
+    try {
+      const data = await request(`/unapproved?period=${period}`);
+      setUnapproved(data.data);
+    } catch (error) {
+      addNotification('Failed to fetch unapproved overtime', 'error');
+    }
+  };
+
+  const refresh = () => {
+    fetchRequests();
+    if (employees.length > 0) {
+      fetchUnapproved();
+    }
+  };
+
+  const openForm = (values = {}) => {
+    setForm({ ...emptyRequest, employee: mine ? '' : employees[0]?._id || '', ...values });
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await request('', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...form,
+          employee: form.employee || undefined,
+          hours: Number(form.hours)
+        })
+      });
+      addNotification(data.message, 'success');
+      setShowForm(false);
+      setForm(emptyRequest);
+      refresh();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleCancel = async (item) => {
+    if (!window.confirm('Cancel this overtime request?')) return;
+
+    try {
+      const data = await request(`/${item._id}/cancel`, { method: 'PUT' });
+      addNotification(data.message, 'success');
+      refresh();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleReview = async (item, reviewStatus) => {
+    let comments;
+    let approvedHours;
+    if (reviewStatus === 'rejected') {
+      comments = window.prompt('Reason for declining:');
+      if (!comments) return;
+    } else {
+      approvedHours = window.prompt('Hours to approve:', item.hours);
+      if (!approvedHours) return;
+    }
+
+    try {
+      const data = await request(`/${item._id}/review`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: reviewStatus, approvedHours, comments })
+      });
+      addNotification(data.message, 'success');
+      refresh();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Overtime</h1>
+          <p className="text-gray-600">Only approved overtime is paid, up to your shift's daily overtime limit</p>
+        </div>
+        {(mine || employees.length > 0) && (
+          <button
+            onClick={() => openForm()}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Request Overtime
+          </button>
+        )}
+      </div>
+
+      {reviewRequests.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Awaiting Your Approval</h2>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {reviewRequests.map(item => (
+                <tr key={item._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className="text-sm font-medium text-gray-900">{employeeName(item.employee)}</span>
+                    <span className="block text-xs text-gray-500">{item.employee?.department?.name}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDate(item.date)}
+                    <span className="block text-xs text-gray-500">{item.timing === 'post' ? 'Already worked' : 'Planned'}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">{item.hours}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{item.reason}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                    <button
+                      onClick={() => handleReview(item, 'approved')}
+                      className="inline-flex items-center text-green-600 hover:text-green-900"
+                    >
+                      <CheckIcon className="h-4 w-4 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(item, 'rejected')}
+                      className="inline-flex items-center text-red-600 hover:text-red-900"
+                    >
+                      <XMarkIcon className="h-4 w-4 mr-1" />
+                      Decline
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {employees.length > 0 && unapproved && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Overtime Worked Without Approval</h2>
+              <p className="text-sm text-gray-500">
+                {unapproved.range.startDate} to {unapproved.range.endDate} · not paid unless approved
+              </p>
+            </div>
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              {PERIODS.map(item => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Worked</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Approved</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unapproved</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {unapproved.days.map(day => (
+                <tr key={day.log}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className="text-sm font-medium text-gray-900">{day.employee.name}</span>
+                    <span className="block text-xs text-gray-500">{day.employee.department?.name}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{day.date}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{day.workedHours}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{day.approvedHours}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-yellow-700 text-right">{day.unapprovedHours}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                    {day.pendingRequest ? (
+                      <span className="text-gray-500">Request pending</span>
+                    ) : day.approvedHours === 0 && (
+                      <button
+                        onClick={() => openForm({ employee: day.employee._id, date: day.date, hours: day.unapprovedHours })}
+                        className="text-green-600 hover:text-green-900"
+                      >
+                        Approve
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {unapproved.days.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="px-6 py-8 text-center text-sm text-gray-500">
+                    All overtime in this period is approved
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {mine && mine.unapproved.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm">
+          <p className="font-medium text-yellow-900">Overtime you worked that isn't approved</p>
+          <ul className="mt-2 space-y-1 text-yellow-800">
+            {mine.unapproved.map(day => (
+              <li key={day.log}>
+                {day.date}: {day.unapprovedHours}h
+                {day.pendingRequest ? (
+                  <span className="ml-2 text-yellow-700">(request pending)</span>
+                ) : day.approvedHours === 0 && (
+                  <button
+                    onClick={() => openForm({ date: day.date, hours: day.unapprovedHours })}
+                    className="ml-2 text-blue-700 hover:text-blue-900 underline"
+                  >
+                    Claim
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {mine && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">My Requests</h2>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {mine.requests.map(item => {
+                const open = item.status === 'pending'
+                  || (item.status === 'approved' && formatDate(item.date) >= today());
+                return (
+                  <tr key={item._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(item.date)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">
+                      {item.status === 'approved' && item.approvedHours < item.hours
+                        ? `${item.approvedHours} of ${item.hours}`
+                        : item.hours}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {item.reason}
+                      {item.reviewComments && <span className="block text-xs text-gray-400">Reviewer: {item.reviewComments}</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <StatusBadge status={item.status} />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {open && (
+                        <button
+                          onClick={() => handleCancel(item)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {mine.requests.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="px-6 py-8 text-center text-sm text-gray-500">
+                    No overtime requests yet
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+              <h2 className="text-xl font-semibold text-gray-900">Request Overtime</h2>
+              <button onClick={() => setShowForm(false)} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              {employees.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">For</label>
+                  <select
+                    value={form.employee}
+                    onChange={(e) => setForm(prev => ({ ...prev, employee: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  >
+                    {mine && <option value="">Myself</option>}
+                    {employees.map(employee => (
+                      <option key={employee._id} value={employee._id}>{employee.name} ({employee.employeeId})</option>
+                    ))}
+                  </select>
+                  {form.employee && (
+                    <p className="mt-1 text-xs text-gray-500">Overtime you raise for an employee is approved straight away</p>
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    required
+                    value={form.date}
+                    onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Hours</label>
+                  <input
+                    type="number"
+                    required
+                    min="0.25"
+                    max="24"
+                    step="0.25"
+                    value={form.hours}
+                    onChange={(e) => setForm(prev => ({ ...prev, hours: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <textarea
+                  rows="3"
+                  required
+                  maxLength={500}
+                  value={form.reason}
+                  onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Submit
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OvertimePage;
@@ -18,6 +18,7 @@ const PayrollPage = () => {
     year: new Date().getFullYear()
   });
   const [showGenerateModal, setShowGenerateModal] = useState(false);
+  const [requireApprovedTimesheets, setRequireApprovedTimesheets] = useState(false);
   const [generating, setGenerating] = useState(false);
   const [payrollSummary, setPayrollSummary] = useState(null);
 
@@ -96,13 +97,14 @@ const PayrollPage = () => {
         },
         body: JSON.stringify({
           month: selectedPeriod.month,
-          year: selectedPeriod.year
+          year: selectedPeriod.year,
+          requireApprovedTimesheets
         })
       });
 
       if (response.ok) {
         const data = await response.json();
-        addNotification(`Payroll generated for ${data.generatedCount} employees`, 'success');
+        addNotification(data.message, 'success');
         setShowGenerateModal(false);
         fetchPayrollData();
         fetchPayrollSummary();
@@ -188,6 +190,9 @@ const PayrollPage = () => {
           <div className="font-medium">{payroll.daysPresent} / {payroll.workingDays}</div>
           <div className="text-sm text-gray-500">
             {payroll.overtimeHours > 0 && `OT: ${payroll.overtimeHours}h`}
+            {payroll.workingHours?.unapprovedOvertimeHours > 0 && (
+              <span className="ml-2 text-yellow-700">Unapproved OT: {payroll.workingHours.unapprovedOvertimeHours}h</span>
+            )}
           </div>
         </div>
       )
@@ -485,6 +490,16 @@ const PayrollPage = () => {
                 This will generate payroll for {getMonthName(selectedPeriod.month)} {selectedPeriod.year} 
                 for all active employees. Are you sure you want to continue?
               </p>
+
+              <label className="flex items-center text-sm text-gray-700 -mt-3 mb-6">
+                <input
+                  type="checkbox"
+                  checked={requireApprovedTimesheets}
+                  onChange={(e) => setRequireApprovedTimesheets(e.target.checked)}
+                  className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Skip employees whose weekly timesheets are not all approved
+              </label>
               
               <div className="flex justify-end space-x-3">
                 <button
@@ -0,0 +1,602 @@
+// frontend/src/pages/ProjectsPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  BriefcaseIcon,
+  PencilIcon,
+  PlusIcon,
+  NoSymbolIcon,
+  ArrowDownTrayIcon
+} from '@heroicons/react/24/outline';
+
+const emptyProject = {
+  code: '',
+  name: '',
+  client: '',
+  costCenter: '',
+  description: ''
+};
+
+const emptyCostCenter = {
+  code: '',
+  name: '',
+  description: ''
+};
+
+// Default report range: the current month so far
+const getMonthStart = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1)).toISOString().split('T')[0];
+};
+
+const ProjectsPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [projects, setProjects] = useState([]);
+  const [costCenters, setCostCenters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  const [editingProject, setEditingProject] = useState(null);
+  const [showProjectForm, setShowProjectForm] = useState(false);
+  const [projectForm, setProjectForm] = useState(emptyProject);
+  const [editingCostCenter, setEditingCostCenter] = useState(null);
+  const [showCostCenterForm, setShowCostCenterForm] = useState(false);
+  const [costCenterForm, setCostCenterForm] = useState(emptyCostCenter);
+  const [reportFilters, setReportFilters] = useState({
+    startDate: getMonthStart(),
+    endDate: new Date().toISOString().split('T')[0],
+    project: '',
+    costCenter: '',
+    period: 'week'
+  });
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    fetchAll();
+  }, [showInactive]);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/projects${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchAll = async () => {
+    const query = showInactive ? '?includeInactive=true' : '';
+    try {
+      const [projectData, costCenterData] = await Promise.all([
+        request(query),
+        request(`/cost-centers${query}`)
+      ]);
+      setProjects(projectData.data || []);
+      setCostCenters(costCenterData.data || []);
+    } catch (error) {
+      addNotification('Failed to fetch projects', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openProjectForm = (project = null) => {
+    setEditingProject(project);
+    setProjectForm(project ? {
+      code: project.code,
+      name: project.name,
+      client: project.client || '',
+      costCenter: project.costCenter?._id || '',
+      description: project.description || ''
+    } : emptyProject);
+    setShowProjectForm(true);
+  };
+
+  const closeProjectForm = () => {
+    setShowProjectForm(false);
+    setEditingProject(null);
+    setProjectForm(emptyProject);
+  };
+
+  const handleProjectSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await request(editingProject ? `/${editingProject._id}` : '', {
+        method: editingProject ? 'PUT' : 'POST',
+        body: JSON.stringify(projectForm)
+      });
+      addNotification(editingProject ? 'Project updated' : 'Project created', 'success');
+      closeProjectForm();
+      fetchAll();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleToggleProject = async (project) => {
+    try {
+      if (project.isActive) {
+        if (!window.confirm(`Deactivate ${project.name}? Employees will no longer be able to clock into it.`)) return;
+        await request(`/${project._id}`, { method: 'DELETE' });
+        addNotification('Project deactivated', 'success');
+      } else {
+        await request(`/${project._id}`, { method: 'PUT', body: JSON.stringify({ isActive: true }) });
+        addNotification('Project reactivated', 'success');
+      }
+      fetchAll();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const openCostCenterForm = (costCenter = null) => {
+    setEditingCostCenter(costCenter);
+    setCostCenterForm(costCenter ? {
+      code: costCenter.code,
+      name: costCenter.name,
+      description: costCenter.description || ''
+    } : emptyCostCenter);
+    setShowCostCenterForm(true);
+  };
+
+  const closeCostCenterForm = () => {
+    setShowCostCenterForm(false);
+    setEditingCostCenter(null);
+    setCostCenterForm(emptyCostCenter);
+  };
+
+  const handleCostCenterSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await request(editingCostCenter ? `/cost-centers/${editingCostCenter._id}` : '/cost-centers', {
+        method: editingCostCenter ? 'PUT' : 'POST',
+        body: JSON.stringify(costCenterForm)
+      });
+      addNotification(editingCostCenter ? 'Cost center updated' : 'Cost center created', 'success');
+      closeCostCenterForm();
+      fetchAll();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const getReportQuery = (format) => {
+    const params = new URLSearchParams();
+    Object.entries(reportFilters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    if (format) params.append('format', format);
+    return params.toString();
+  };
+
+  const runReport = async () => {
+    try {
+      const data = await request(`/report?${getReportQuery()}`);
+      setReport(data.data);
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const downloadReport = async () => {
+    try {
+      const response = await fetch(`/api/projects/report?${getReportQuery('csv')}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to download report');
+      }
+
+      const url = window.URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `project_hours_${reportFilters.startDate}_${reportFilters.endDate}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Projects</h1>
+          <p className="text-gray-600">Jobs employees clock their time against, and the hours billed to each</p>
+        </div>
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Show inactive
+          </label>
+          <button
+            onClick={() => openCostCenterForm()}
+            className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Cost Center
+          </button>
+          <button
+            onClick={() => openProjectForm()}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Project
+          </button>
+        </div>
+      </div>
+
+      {/* Projects */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Project</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Center</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {projects.map(project => (
+              <tr key={project._id}>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <BriefcaseIcon className="h-5 w-5 text-gray-400 mr-2" />
+                    <div>
+                      <span className="text-sm font-medium text-gray-900">{project.name}</span>
+                      <span className="block text-xs text-gray-500">{project.code}</span>
+                    </div>
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{project.client || '-'}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {project.costCenter ? `${project.costCenter.code} ${project.costCenter.name}` : '-'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                    project.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {project.isActive ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                  <button
+                    onClick={() => openProjectForm(project)}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                  >
+                    <PencilIcon className="h-4 w-4 mr-1" />
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleToggleProject(project)}
+                    className={`inline-flex items-center ${project.isActive ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}`}
+                  >
+                    <NoSymbolIcon className="h-4 w-4 mr-1" />
+                    {project.isActive ? 'Deactivate' : 'Reactivate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {projects.length === 0 && (
+              <tr>
+                <td colSpan="5" className="px-6 py-8 text-center text-sm text-gray-500">
+                  No projects yet
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Cost Centers */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Cost Centers</h2>
+        </div>
+        <ul className="divide-y divide-gray-200">
+          {costCenters.map(costCenter => (
+            <li key={costCenter._id} className="px-6 py-3 flex items-center justify-between">
+              <div>
+                <span className="text-sm font-medium text-gray-900">{costCenter.code} {costCenter.name}</span>
+                {costCenter.description && <span className="block text-xs text-gray-500">{costCenter.description}</span>}
+              </div>
+              <button
+                onClick={() => openCostCenterForm(costCenter)}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-900"
+              >
+                <PencilIcon className="h-4 w-4 mr-1" />
+                Edit
+              </button>
+            </li>
+          ))}
+          {costCenters.length === 0 && (
+            <li className="px-6 py-6 text-center text-sm text-gray-500">No cost centers yet</li>
+          )}
+        </ul>
+      </div>
+
+      {/* Hours Report */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Hours per Project</h2>
+          {report && (
+            <span className="text-sm text-gray-600">{report.totalHours}h total</span>
+          )}
+        </div>
+        <div className="px-6 py-4 grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={reportFilters.startDate}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, startDate: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={reportFilters.endDate}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, endDate: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Project</label>
+            <select
+              value={reportFilters.project}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, project: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">All projects</option>
+              {projects.map(project => (
+                <option key={project._id} value={project._id}>{project.code} {project.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Cost Center</label>
+            <select
+              value={reportFilters.costCenter}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, costCenter: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">All cost centers</option>
+              {costCenters.map(costCenter => (
+                <option key={costCenter._id} value={costCenter._id}>{costCenter.code} {costCenter.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Group by</label>
+            <select
+              value={reportFilters.period}
+              onChange={(e) => setReportFilters(prev => ({ ...prev, period: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+              <option value="month">Month</option>
+            </select>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={runReport}
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Run
+            </button>
+            <button
+              onClick={downloadReport}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              title="Download CSV"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+              CSV
+            </button>
+          </div>
+        </div>
+
+        {report && (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Project</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.rows.map(row => (
+                <tr key={`${row.period}-${row.projectCode}-${row.employeeId}`}>
+                  <td className="px-6 py-3 text-sm text-gray-900">{row.period}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{row.projectCode} {row.projectName}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{row.employeeName || row.employeeId}</td>
+                  <td className="px-6 py-3 text-sm text-gray-900 text-right">{row.hours}</td>
+                </tr>
+              ))}
+              {report.rows.length === 0 && (
+                <tr>
+                  <td colSpan="4" className="px-6 py-6 text-center text-sm text-gray-500">No project time in this range</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Project Form Modal */}
+      {showProjectForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-lg shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingProject ? 'Edit Project' : 'Add Project'}
+            </h3>
+            <form onSubmit={handleProjectSubmit} className="space-y-4">
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                  <input
+                    type="text"
+                    required
+                    value={projectForm.code}
+                    onChange={(e) => setProjectForm(prev => ({ ...prev, code: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm uppercase"
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    required
+                    value={projectForm.name}
+                    onChange={(e) => setProjectForm(prev => ({ ...prev, name: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Client</label>
+                <input
+                  type="text"
+                  value={projectForm.client}
+                  onChange={(e) => setProjectForm(prev => ({ ...prev, client: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cost Center</label>
+                <select
+                  value={projectForm.costCenter}
+                  onChange={(e) => setProjectForm(prev => ({ ...prev, costCenter: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  <option value="">None</option>
+                  {costCenters.map(costCenter => (
+                    <option key={costCenter._id} value={costCenter._id}>{costCenter.code} {costCenter.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  rows={2}
+                  value={projectForm.description}
+                  onChange={(e) => setProjectForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeProjectForm}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  {editingProject ? 'Save' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Cost Center Form Modal */}
+      {showCostCenterForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-lg shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingCostCenter ? 'Edit Cost Center' : 'Add Cost Center'}
+            </h3>
+            <form onSubmit={handleCostCenterSubmit} className="space-y-4">
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                  <input
+                    type="text"
+                    required
+                    value={costCenterForm.code}
+                    onChange={(e) => setCostCenterForm(prev => ({ ...prev, code: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm uppercase"
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    required
+                    value={costCenterForm.name}
+                    onChange={(e) => setCostCenterForm(prev => ({ ...prev, name: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  rows={2}
+                  value={costCenterForm.description}
+                  onChange={(e) => setCostCenterForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={closeCostCenterForm}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  {editingCostCenter ? 'Save' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectsPage;
@@ -0,0 +1,501 @@
+// frontend/src/pages/RemoteWorkPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  HomeModernIcon,
+  PlusIcon,
+  CheckIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const PERIODS = [
+  { value: 'week', label: 'Last 7 days' },
+  { value: 'month', label: 'Last month' },
+  { value: 'quarter', label: 'Last 3 months' }
+];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const emptyRequest = {
+  type: 'dates',
+  startDate: today(),
+  endDate: today(),
+  weekdays: [],
+  reason: ''
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const formatDate = (value) => (value ? value.split('T')[0] : null);
+
+// "2024-05-06 to 2024-05-08" or "Mon, Fri from 2024-05-06"
+const describeRequest = (request) => {
+  const start = formatDate(request.startDate);
+  const end = formatDate(request.endDate);
+
+  if (request.type === 'standing') {
+    const days = request.weekdays.map(day => capitalize(day.slice(0, 3))).join(', ');
+    return `${days} from ${start}${end ? ` to ${end}` : ''}`;
+  }
+  return start === end ? start : `${start} to ${end}`;
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[status]}`}>
+    {capitalize(status)}
+  </span>
+);
+
+const RemoteWorkPage = () => {
+  const { user, token } = useAuth();
+  const { addNotification } = useNotifications();
+  const isAdmin = user?.role === 'admin' || user?.role === 'master_admin';
+  const [status, setStatus] = useState(null);
+  const [myRequests, setMyRequests] = useState([]);
+  const [reviewRequests, setReviewRequests] = useState([]);
+  const [report, setReport] = useState(null);
+  const [period, setPeriod] = useState('month');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyRequest);
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchReport();
+    }
+  }, [isAdmin, period]);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/remote-work${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchRequests = async () => {
+    try {
+      // Admins may have no employee profile of their own
+      const [statusData, mineData, reviewData] = await Promise.all([
+        request('/status').catch(() => null),
+        request('/mine').catch(() => null),
+        request('?status=pending')
+      ]);
+      setStatus(statusData?.data || null);
+      setMyRequests(mineData?.data || []);
+      setReviewRequests(reviewData.data);
+    } catch (error) {
+      addNotification('Failed to fetch remote work requests', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchReport = async () => {
+    try {
+      const data = await request(`/report?period=${period}`);
+      setReport(data.data);
+    } catch (error) {
+      addNotification('Failed to fetch remote work report', 'error');
+    }
+  };
+
+  const toggleWeekday = (day) => {
+    setForm(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter(item => item !== day)
+        : WEEKDAYS.filter(item => item === day || prev.weekdays.includes(item))
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await request('', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...form,
+          endDate: form.endDate || undefined,
+          weekdays: form.type === 'standing' ? form.weekdays : undefined
+        })
+      });
+      addNotification(data.message, 'success');
+      setShowForm(false);
+      setForm(emptyRequest);
+      fetchRequests();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleCancel = async (item) => {
+    const started = item.status === 'approved' && formatDate(item.startDate) < today();
+    if (!window.confirm(started ? 'End this arrangement from today?' : 'Cancel this request?')) return;
+
+    try {
+      const data = await request(`/${item._id}/cancel`, { method: 'PUT' });
+      addNotification(data.message, 'success');
+      fetchRequests();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleReview = async (item, reviewStatus) => {
+    let comments;
+    if (reviewStatus === 'rejected') {
+      comments = window.prompt('Reason for declining:');
+      if (!comments) return;
+    }
+
+    try {
+      const data = await request(`/${item._id}/review`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: reviewStatus, comments })
+      });
+      addNotification(data.message, 'success');
+      fetchRequests();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Remote Work</h1>
+          <p className="text-gray-600">Request days working from home, or a standing weekly arrangement</p>
+        </div>
+        {status && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Request Remote Work
+          </button>
+        )}
+      </div>
+
+      {status && (
+        <div className="bg-white rounded-lg shadow p-4 flex items-center">
+          <HomeModernIcon className="h-8 w-8 text-blue-600 mr-4" />
+          <div className="text-sm">
+            <p className="font-medium text-gray-900">
+              {!status.allowed
+                ? 'Remote work is not allowed under your attendance policy'
+                : status.canClockInRemotely
+                  ? 'You can clock in remotely today'
+                  : status.approved
+                    ? 'You have reached this week\'s remote day limit'
+                    : 'You have no approved remote work today'}
+            </p>
+            {status.weekCap && (
+              <p className="text-gray-500">{status.weekUsed} of {status.weekCap} remote days used this week</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {reviewRequests.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Awaiting Your Approval</h2>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {reviewRequests.map(item => (
+                <tr key={item._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className="text-sm font-medium text-gray-900">
+                      {item.employee?.userId ? `${item.employee.userId.firstName} ${item.employee.userId.lastName}` : item.employee?.employeeId}
+                    </span>
+                    <span className="block text-xs text-gray-500">{item.employee?.department?.name}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{describeRequest(item)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{item.reason || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                    <button
+                      onClick={() => handleReview(item, 'approved')}
+                      className="inline-flex items-center text-green-600 hover:text-green-900"
+                    >
+                      <CheckIcon className="h-4 w-4 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(item, 'rejected')}
+                      className="inline-flex items-center text-red-600 hover:text-red-900"
+                    >
+                      <XMarkIcon className="h-4 w-4 mr-1" />
+                      Decline
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {status && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">My Requests</h2>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {myRequests.map(item => {
+                const open = item.status === 'pending'
+                  || (item.status === 'approved' && (!item.endDate || formatDate(item.endDate) >= today()));
+                return (
+                  <tr key={item._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {describeRequest(item)}
+                      {item.type === 'standing' && <span className="block text-xs text-gray-500">Standing arrangement</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {item.reason || '-'}
+                      {item.reviewComments && <span className="block text-xs text-gray-400">Reviewer: {item.reviewComments}</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <StatusBadge status={item.status} />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                      {open && (
+                        <button
+                          onClick={() => handleCancel(item)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          {item.status === 'pending' ? 'Cancel' : 'End'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {myRequests.length === 0 && (
+                <tr>
+                  <td colSpan="4" className="px-6 py-8 text-center text-sm text-gray-500">
+                    No remote work requests yet
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {isAdmin && report && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">On-site and Remote Days</h2>
+              <p className="text-sm text-gray-500">
+                {report.range.startDate} to {report.range.endDate} · {report.totals.onsiteDays} on site, {report.totals.remoteDays} remote
+              </p>
+            </div>
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              {PERIODS.map(item => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+          </div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">On-site days</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Remote days</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Remote share</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">On-site hours</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Remote hours</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.employees.map(row => (
+                <tr key={row.employee}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className="text-sm font-medium text-gray-900">{row.name}</span>
+                    <span className="block text-xs text-gray-500">{row.employeeId}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.department?.name || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">{row.onsiteDays}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">{row.remoteDays}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{row.remoteShare}%</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{row.onsiteHours}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{row.remoteHours}</td>
+                </tr>
+              ))}
+              {report.employees.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-sm text-gray-500">
+                    No attendance in this period
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+              <h2 className="text-xl font-semibold text-gray-900">Request Remote Work</h2>
+              <button onClick={() => setShowForm(false)} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={form.type}
+                  onChange={(e) => setForm(prev => ({
+                    ...prev,
+                    type: e.target.value,
+                    endDate: e.target.value === 'dates' ? prev.endDate || prev.startDate : ''
+                  }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                >
+                  <option value="dates">Specific dates</option>
+                  <option value="standing">Standing weekly arrangement</option>
+                </select>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <input
+                    type="date"
+                    required
+                    min={today()}
+                    value={form.startDate}
+                    onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {form.type === 'standing' ? 'Until (optional)' : 'To'}
+                  </label>
+                  <input
+                    type="date"
+                    required={form.type === 'dates'}
+                    min={form.startDate}
+                    value={form.endDate}
+                    onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+
+              {form.type === 'standing' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Every</label>
+                  <div className="flex flex-wrap gap-3">
+                    {WEEKDAYS.map(day => (
+                      <label key={day} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={form.weekdays.includes(day)}
+                          onChange={() => toggleWeekday(day)}
+                          className="mr-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        {capitalize(day.slice(0, 3))}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <textarea
+                  rows="3"
+                  maxLength={500}
+                  value={form.reason}
+                  onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Submit
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RemoteWorkPage;
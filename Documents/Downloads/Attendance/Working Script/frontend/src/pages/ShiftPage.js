@@ -7,12 +7,27 @@ import Sidebar from '../components/Sidebar';
 import DataTable from '../components/DataTable';
 import { fetchApi, withAuth } from '../utils/apiUtils';
 
+const DEFAULT_GPS_SAFEGUARDS = {
+  mode: 'flag',
+  maxFixAgeSeconds: 120,
+  requireAccuracyInside: true
+};
+
+const DEFAULT_FIELD_TRACKING = {
+  enabled: false,
+  pingIntervalMinutes: 10,
+  idleMinutes: 45,
+  idleRadiusMeters: 200,
+  serviceAreas: []
+};
+
 const ShiftPage = () => {
   const { user, token } = useAuth();
   const { addNotification } = useNotifications();
   const [shifts, setShifts] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [departments, setDepartments] = useState([]);
+  const [sites, setSites] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [editingShift, setEditingShift] = useState(null);
@@ -33,13 +48,28 @@ const ShiftPage = () => {
     gracePeriod: 15,
     isActive: true,
     description: '',
+    timezone: '',
     department: '',
     shiftType: 'regular', // regular, night, weekend
     overtimeRules: {
       enabled: false,
       multiplier: 1.5,
       minHours: 8
-    }
+    },
+    autoClockOut: {
+      enabled: true,
+      graceMinutes: 120,
+      maxHours: 16
+    },
+    locationRestrictions: {
+      required: false,
+      sites: [],
+      allowedLocations: [],
+      qrCode: 'alternative',
+      gpsSafeguards: DEFAULT_GPS_SAFEGUARDS
+    },
+    jobRequired: false,
+    fieldTracking: DEFAULT_FIELD_TRACKING
   });
 
   const [assignmentData, setAssignmentData] = useState({
@@ -54,6 +84,7 @@ const ShiftPage = () => {
     if (user.role !== 'employee') {
       fetchEmployees();
       fetchDepartments();
+      fetchSites();
     }
   }, []);
 
@@ -100,6 +131,60 @@ const ShiftPage = () => {
     }
   };
 
+  const fetchSites = async () => {
+    try {
+      const data = await fetchApi('sites', withAuth());
+      setSites(data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch work sites:', error);
+    }
+  };
+
+  const updateGpsSafeguards = (changes) => {
+    setFormData({
+      ...formData,
+      locationRestrictions: {
+        ...formData.locationRestrictions,
+        gpsSafeguards: {
+          ...formData.locationRestrictions.gpsSafeguards,
+          ...changes
+        }
+      }
+    });
+  };
+
+  const updateFieldTracking = (changes) => {
+    setFormData({
+      ...formData,
+      fieldTracking: {
+        ...formData.fieldTracking,
+        ...changes
+      }
+    });
+  };
+
+  const toggleServiceArea = (siteId) => {
+    const selected = formData.fieldTracking.serviceAreas;
+    updateFieldTracking({
+      serviceAreas: selected.includes(siteId)
+        ? selected.filter(id => id !== siteId)
+        : [...selected, siteId]
+    });
+  };
+
+  const toggleSite = (siteId) => {
+    const selected = formData.locationRestrictions.sites;
+    setFormData({
+      ...formData,
+      locationRestrictions: {
+        ...formData.locationRestrictions,
+        sites: selected.includes(siteId)
+          ? selected.filter(id => id !== siteId)
+          : [...selected, siteId]
+      }
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -150,12 +235,35 @@ const ShiftPage = () => {
       gracePeriod: shift.gracePeriod,
       isActive: shift.isActive,
       description: shift.description || '',
+      timezone: shift.timezone || '',
       department: shift.department?._id || '',
       shiftType: shift.shiftType || 'regular',
       overtimeRules: shift.overtimeRules || {
         enabled: false,
         multiplier: 1.5,
         minHours: 8
+      },
+      autoClockOut: shift.autoClockOut || {
+        enabled: true,
+        graceMinutes: 120,
+        maxHours: 16
+      },
+      locationRestrictions: {
+        required: false,
+        allowedLocations: [],
+        qrCode: 'alternative',
+        ...shift.locationRestrictions,
+        sites: (shift.locationRestrictions?.sites || []).map(site => site._id || site),
+        gpsSafeguards: {
+          ...DEFAULT_GPS_SAFEGUARDS,
+          ...shift.locationRestrictions?.gpsSafeguards
+        }
+      },
+      jobRequired: Boolean(shift.jobRequired),
+      fieldTracking: {
+        ...DEFAULT_FIELD_TRACKING,
+        ...shift.fieldTracking,
+        serviceAreas: (shift.fieldTracking?.serviceAreas || []).map(site => site._id || site)
       }
     });
     setShowForm(true);
@@ -268,13 +376,28 @@ const ShiftPage = () => {
       gracePeriod: 15,
       isActive: true,
       description: '',
+      timezone: '',
       department: '',
       shiftType: 'regular',
       overtimeRules: {
         enabled: false,
         multiplier: 1.5,
         minHours: 8
-      }
+      },
+      autoClockOut: {
+        enabled: true,
+        graceMinutes: 120,
+        maxHours: 16
+      },
+      locationRestrictions: {
+        required: false,
+        sites: [],
+        allowedLocations: [],
+        qrCode: 'alternative',
+        gpsSafeguards: DEFAULT_GPS_SAFEGUARDS
+      },
+      jobRequired: false,
+      fieldTracking: DEFAULT_FIELD_TRACKING
     });
   };
 
@@ -703,6 +826,19 @@ const ShiftPage = () => {
                     </div>
                   </div>
                   
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Timezone
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.timezone}
+                      onChange={(e) => setFormData({...formData, timezone: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="e.g. Europe/London (leave blank to use each employee's timezone)"
+                    />
+                  </div>
+
                   <div className="mt-4">
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Description
@@ -855,6 +991,291 @@ const ShiftPage = () => {
                     )}
                   </div>
                 </div>
+
+                {/* Auto Clock-Out */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Auto Clock-Out</h3>
+                  <div className="space-y-4">
+                    <div className="flex items-center">
+                      <input
+                        type="checkbox"
+                        id="autoClockOutEnabled"
+                        checked={formData.autoClockOut.enabled}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          autoClockOut: {
+                            ...formData.autoClockOut,
+                            enabled: e.target.checked
+                          }
+                        })}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <label htmlFor="autoClockOutEnabled" className="ml-2 text-sm font-medium text-gray-700">
+                        Close forgotten sessions automatically
+                      </label>
+                    </div>
+
+                    {formData.autoClockOut.enabled && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pl-6">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Minutes After Shift End
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="720"
+                            value={formData.autoClockOut.graceMinutes}
+                            onChange={(e) => setFormData({
+                              ...formData,
+                              autoClockOut: {
+                                ...formData.autoClockOut,
+                                graceMinutes: parseInt(e.target.value) || 0
+                              }
+                            })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Maximum Session Hours
+                          </label>
+                          <input
+                            type="number"
+                            min="1"
+                            max="24"
+                            value={formData.autoClockOut.maxHours}
+                            onChange={(e) => setFormData({
+                              ...formData,
+                              autoClockOut: {
+                                ...formData.autoClockOut,
+                                maxHours: parseInt(e.target.value) || 16
+                              }
+                            })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+
+                {/* Work Sites */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Work Sites</h3>
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-3">
+                    <input
+                      type="checkbox"
+                      checked={formData.locationRestrictions.required}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        locationRestrictions: {
+                          ...formData.locationRestrictions,
+                          required: e.target.checked
+                        }
+                      })}
+                      className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Only allow punches at these sites
+                  </label>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {sites.map(site => (
+                      <label key={site._id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.locationRestrictions.sites.includes(site._id)}
+                          onChange={() => toggleSite(site._id)}
+                          className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        {site.name}
+                      </label>
+                    ))}
+                  </div>
+                  {sites.length === 0 && (
+                    <p className="text-sm text-gray-500">No work sites yet. Add them under Work Sites.</p>
+                  )}
+                  <p className="mt-1 text-xs text-gray-500">
+                    Employees can also punch at sites assigned to them individually.
+                  </p>
+                </div>
+
+                {/* Site QR Codes */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Site QR Codes</h3>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    QR Code Punches
+                  </label>
+                  <select
+                    value={formData.locationRestrictions.qrCode}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      locationRestrictions: {
+                        ...formData.locationRestrictions,
+                        qrCode: e.target.value
+                      }
+                    })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="alternative">Allowed instead of GPS</option>
+                    <option value="required">Required in addition to GPS</option>
+                    <option value="disabled">Not allowed</option>
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Employees scan the rotating code shown on a site display when GPS is unreliable indoors.
+                  </p>
+                </div>
+
+                {/* GPS Safeguards */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">GPS Safeguards</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Untrustworthy GPS Fixes
+                      </label>
+                      <select
+                        value={formData.locationRestrictions.gpsSafeguards.mode}
+                        onChange={(e) => updateGpsSafeguards({ mode: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="flag">Accept and flag for review</option>
+                        <option value="reject">Reject the punch</option>
+                        <option value="off">Don't check</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Maximum Fix Age (seconds)
+                      </label>
+                      <input
+                        type="number"
+                        min="10"
+                        value={formData.locationRestrictions.gpsSafeguards.maxFixAgeSeconds}
+                        onChange={(e) => updateGpsSafeguards({ maxFixAgeSeconds: parseInt(e.target.value, 10) })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  </div>
+                  <label className="flex items-center text-sm text-gray-700 mt-3">
+                    <input
+                      type="checkbox"
+                      checked={formData.locationRestrictions.gpsSafeguards.requireAccuracyInside}
+                      onChange={(e) => updateGpsSafeguards({ requireAccuracyInside: e.target.checked })}
+                      className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    The whole accuracy circle must fit inside the site
+                  </label>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Work sites can override these settings.
+                  </p>
+                </div>
+
+                {/* Job Tracking */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Job Tracking</h3>
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="jobRequired"
+                      checked={formData.jobRequired}
+                      onChange={(e) => setFormData({ ...formData, jobRequired: e.target.checked })}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="jobRequired" className="ml-2 text-sm font-medium text-gray-700">
+                      Employees must pick a project when clocking in
+                    </label>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Time is then reported per project, and employees can switch projects during the day.
+                  </p>
+                </div>
+
+                {/* Field Tracking */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Field Tracking</h3>
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="fieldTrackingEnabled"
+                      checked={formData.fieldTracking.enabled}
+                      onChange={(e) => updateFieldTracking({ enabled: e.target.checked })}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="fieldTrackingEnabled" className="ml-2 text-sm font-medium text-gray-700">
+                      Field shift: share location while clocked in
+                    </label>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Only employees who agree to the location notice share their position.
+                  </p>
+
+                  {formData.fieldTracking.enabled && (
+                    <div className="mt-4 space-y-4 pl-6">
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Ping Every (minutes)
+                          </label>
+                          <input
+                            type="number"
+                            min="1"
+                            max="60"
+                            value={formData.fieldTracking.pingIntervalMinutes}
+                            onChange={(e) => updateFieldTracking({ pingIntervalMinutes: parseInt(e.target.value) || 10 })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Idle Alert After (minutes, 0 = off)
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="480"
+                            value={formData.fieldTracking.idleMinutes}
+                            onChange={(e) => updateFieldTracking({ idleMinutes: parseInt(e.target.value) || 0 })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Idle Radius (meters)
+                          </label>
+                          <input
+                            type="number"
+                            min="20"
+                            max="5000"
+                            value={formData.fieldTracking.idleRadiusMeters}
+                            onChange={(e) => updateFieldTracking({ idleRadiusMeters: parseInt(e.target.value) || 200 })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Service Areas</label>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                          {sites.map(site => (
+                            <label key={site._id} className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={formData.fieldTracking.serviceAreas.includes(site._id)}
+                                onChange={() => toggleServiceArea(site._id)}
+                                className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                              />
+                              {site.name}
+                            </label>
+                          ))}
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">
+                          Managers are alerted when a ping falls outside every selected site. Leave empty for no area alerts.
+                        </p>
+                      </div>
+                    </div>
+                  )}
+                </div>
               </div>
               
               {/* Form Actions */}
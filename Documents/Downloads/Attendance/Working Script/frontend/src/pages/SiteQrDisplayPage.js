@@ -0,0 +1,96 @@
+// frontend/src/pages/SiteQrDisplayPage.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { QrCodeIcon } from '@heroicons/react/24/outline';
+import { KIOSK_TOKEN_KEY, kioskRequest } from '../utils/kioskApi';
+
+// Full-screen rotating QR code for a site display, using the same device token as the kiosk
+const SiteQrDisplayPage = () => {
+  const token = localStorage.getItem(KIOSK_TOKEN_KEY);
+  const [kiosk, setKiosk] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) return;
+
+    kioskRequest('/session', token)
+      .then(setKiosk)
+      .catch(err => setError(err.message));
+  }, [token]);
+
+  // Fetch the code for the current window and schedule the next fetch for when it rotates
+  useEffect(() => {
+    if (!token) return undefined;
+
+    let timer = null;
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const data = await kioskRequest('/qr', token);
+        if (cancelled) return;
+        setQrCode(data);
+        setError('');
+        timer = setTimeout(refresh, data.refreshInSeconds * 1000);
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+        timer = setTimeout(refresh, 5000);
+      }
+    };
+
+    refresh();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token]);
+
+  useEffect(() => {
+    if (!qrCode) return undefined;
+
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.ceil((new Date(qrCode.expiresAt) - new Date()) / 1000)));
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [qrCode]);
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center p-6 text-center text-white">
+        <div>
+          <p className="text-xl mb-4">This display has not been set up yet.</p>
+          <Link to="/kiosk" className="text-blue-400 underline">Enter the kiosk token</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center p-6">
+      <h1 className="text-3xl font-bold mb-2">{kiosk?.name || 'Site Check-in'}</h1>
+      {kiosk?.locationName && <p className="text-gray-400 mb-6">{kiosk.locationName}</p>}
+
+      <div className="bg-white rounded-2xl p-6 shadow-xl">
+        {qrCode ? (
+          <img src={qrCode.qrImage} alt="Site check-in QR code" className="w-80 h-80" />
+        ) : (
+          <div className="w-80 h-80 flex items-center justify-center">
+            <QrCodeIcon className="h-24 w-24 text-gray-300" />
+          </div>
+        )}
+      </div>
+
+      <p className="mt-6 text-xl">Scan with the attendance app to clock in or out</p>
+      {qrCode && <p className="mt-2 text-gray-400">New code in {secondsLeft}s</p>}
+      {error && <p className="mt-4 text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default SiteQrDisplayPage;
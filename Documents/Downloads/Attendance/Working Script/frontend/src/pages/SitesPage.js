@@ -0,0 +1,569 @@
+// frontend/src/pages/SitesPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  BuildingOfficeIcon,
+  PencilIcon,
+  PlusIcon,
+  UserGroupIcon,
+  NoSymbolIcon
+} from '@heroicons/react/24/outline';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptySite = {
+  name: '',
+  address: '',
+  timezone: '',
+  boundaryType: 'circle',
+  latitude: '',
+  longitude: '',
+  radius: 100,
+  polygon: '',
+  // Blank fields follow the shift's GPS safeguards
+  gpsMode: '',
+  maxFixAgeSeconds: '',
+  activeHours: {
+    enabled: false,
+    start: '06:00',
+    end: '22:00',
+    days: [0, 1, 2, 3, 4, 5, 6]
+  }
+};
+
+// Polygon points are edited as one "latitude, longitude" pair per line
+const formatPolygon = (points = []) => points.map(point => `${point.latitude}, ${point.longitude}`).join('\n');
+
+const parsePolygon = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const [latitude, longitude] = line.split(',').map(value => parseFloat(value));
+    return { latitude, longitude };
+  });
+
+const SitesPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showInactive, setShowInactive] = useState(false);
+  const [editingSite, setEditingSite] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [siteForm, setSiteForm] = useState(emptySite);
+  const [assignSite, setAssignSite] = useState(null);
+  const [assignedIds, setAssignedIds] = useState('');
+
+  useEffect(() => {
+    fetchSites();
+  }, [showInactive]);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/sites${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchSites = async () => {
+    try {
+      const data = await request(showInactive ? '?includeInactive=true' : '');
+      setSites(data.data || []);
+    } catch (error) {
+      addNotification('Failed to fetch work sites', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (site = null) => {
+    setEditingSite(site);
+    setSiteForm(site ? {
+      name: site.name,
+      address: site.address || '',
+      timezone: site.timezone || '',
+      boundaryType: site.boundary?.type || 'circle',
+      latitude: site.boundary?.center?.latitude ?? '',
+      longitude: site.boundary?.center?.longitude ?? '',
+      radius: site.boundary?.radius || 100,
+      polygon: formatPolygon(site.boundary?.polygon),
+      gpsMode: site.gpsSafeguards?.mode || '',
+      maxFixAgeSeconds: site.gpsSafeguards?.maxFixAgeSeconds ?? '',
+      activeHours: { ...emptySite.activeHours, ...site.activeHours }
+    } : emptySite);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingSite(null);
+    setSiteForm(emptySite);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const boundary = siteForm.boundaryType === 'polygon'
+      ? { type: 'polygon', polygon: parsePolygon(siteForm.polygon) }
+      : {
+        type: 'circle',
+        center: {
+          latitude: parseFloat(siteForm.latitude),
+          longitude: parseFloat(siteForm.longitude)
+        },
+        radius: parseInt(siteForm.radius, 10)
+      };
+
+    if (boundary.type === 'polygon' && boundary.polygon.some(point => isNaN(point.latitude) || isNaN(point.longitude))) {
+      addNotification('Each polygon line must be "latitude, longitude"', 'error');
+      return;
+    }
+
+    try {
+      await request(editingSite ? `/${editingSite._id}` : '', {
+        method: editingSite ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          name: siteForm.name,
+          address: siteForm.address,
+          timezone: siteForm.timezone,
+          boundary,
+          gpsSafeguards: {
+            mode: siteForm.gpsMode || undefined,
+            maxFixAgeSeconds: siteForm.maxFixAgeSeconds ? parseInt(siteForm.maxFixAgeSeconds, 10) : undefined
+          },
+          activeHours: siteForm.activeHours
+        })
+      });
+      addNotification(editingSite ? 'Work site updated' : 'Work site created', 'success');
+      closeForm();
+      fetchSites();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleToggleActive = async (site) => {
+    try {
+      if (site.isActive) {
+        if (!window.confirm(`Deactivate ${site.name}? Punches will no longer match it.`)) return;
+        await request(`/${site._id}`, { method: 'DELETE' });
+        addNotification('Work site deactivated', 'success');
+      } else {
+        await request(`/${site._id}`, { method: 'PUT', body: JSON.stringify({ isActive: true }) });
+        addNotification('Work site reactivated', 'success');
+      }
+      fetchSites();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const openAssign = async (site) => {
+    try {
+      const data = await request(`/${site._id}`);
+      setAssignedIds((data.data.employees || []).map(employee => employee.employeeId).join(', '));
+      setAssignSite(site);
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = await request(`/${assignSite._id}/employees`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          employeeIds: assignedIds.split(',').map(id => id.trim()).filter(Boolean)
+        })
+      });
+      addNotification(data.message, 'success');
+      setAssignSite(null);
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const toggleDay = (day) => {
+    setSiteForm(prev => {
+      const days = prev.activeHours.days.includes(day)
+        ? prev.activeHours.days.filter(value => value !== day)
+        : [...prev.activeHours.days, day].sort();
+      return { ...prev, activeHours: { ...prev.activeHours, days } };
+    });
+  };
+
+  const describeBoundary = (site) => (
+    site.boundary?.type === 'polygon'
+      ? `Polygon, ${site.boundary.polygon.length} points`
+      : `${site.boundary?.radius} m around ${site.boundary?.center?.latitude}, ${site.boundary?.center?.longitude}`
+  );
+
+  const describeHours = (site) => (
+    site.activeHours?.enabled
+      ? `${site.activeHours.start}-${site.activeHours.end}, ${site.activeHours.days.map(day => DAY_LABELS[day]).join(' ')}`
+      : 'Always open'
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Work Sites</h1>
+          <p className="text-gray-600">Places employees may clock in, shared by shifts and employees</p>
+        </div>
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Show inactive
+          </label>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Add Site
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Site</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Boundary</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {sites.map(site => (
+              <tr key={site._id}>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <BuildingOfficeIcon className="h-5 w-5 text-gray-400 mr-2" />
+                    <div>
+                      <span className="text-sm font-medium text-gray-900">{site.name}</span>
+                      {site.address && <span className="block text-xs text-gray-500">{site.address}</span>}
+                      {site.timezone && <span className="block text-xs text-gray-500">{site.timezone}</span>}
+                    </div>
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeBoundary(site)}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeHours(site)}</td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                    site.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {site.isActive ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-3">
+                  <button
+                    onClick={() => openForm(site)}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                  >
+                    <PencilIcon className="h-4 w-4 mr-1" />
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => openAssign(site)}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                  >
+                    <UserGroupIcon className="h-4 w-4 mr-1" />
+                    Employees
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(site)}
+                    className={`inline-flex items-center ${site.isActive ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}`}
+                  >
+                    <NoSymbolIcon className="h-4 w-4 mr-1" />
+                    {site.isActive ? 'Deactivate' : 'Reactivate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {sites.length === 0 && (
+              <tr>
+                <td colSpan="5" className="px-6 py-8 text-center text-sm text-gray-500">
+                  No work sites yet
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Site Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editingSite ? 'Edit Work Site' : 'Add Work Site'}
+            </h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+                  <input
+                    type="text"
+                    required
+                    value={siteForm.name}
+                    onChange={(e) => setSiteForm(prev => ({ ...prev, name: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+                  <input
+                    type="text"
+                    value={siteForm.timezone}
+                    onChange={(e) => setSiteForm(prev => ({ ...prev, timezone: e.target.value }))}
+                    placeholder="e.g. Asia/Kolkata"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Address</label>
+                <input
+                  type="text"
+                  value={siteForm.address}
+                  onChange={(e) => setSiteForm(prev => ({ ...prev, address: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Boundary</label>
+                <select
+                  value={siteForm.boundaryType}
+                  onChange={(e) => setSiteForm(prev => ({ ...prev, boundaryType: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="circle">Radius around a point</option>
+                  <option value="polygon">Polygon</option>
+                </select>
+              </div>
+
+              {siteForm.boundaryType === 'circle' ? (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Latitude *</label>
+                    <input
+                      type="number"
+                      step="any"
+                      required
+                      value={siteForm.latitude}
+                      onChange={(e) => setSiteForm(prev => ({ ...prev, latitude: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Longitude *</label>
+                    <input
+                      type="number"
+                      step="any"
+                      required
+                      value={siteForm.longitude}
+                      onChange={(e) => setSiteForm(prev => ({ ...prev, longitude: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Radius (m) *</label>
+                    <input
+                      type="number"
+                      min="10"
+                      max="10000"
+                      required
+                      value={siteForm.radius}
+                      onChange={(e) => setSiteForm(prev => ({ ...prev, radius: e.target.value }))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Polygon points *</label>
+                  <textarea
+                    rows={5}
+                    required
+                    value={siteForm.polygon}
+                    onChange={(e) => setSiteForm(prev => ({ ...prev, polygon: e.target.value }))}
+                    placeholder={'One "latitude, longitude" per line, at least 3'}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Untrustworthy GPS fixes</label>
+                  <select
+                    value={siteForm.gpsMode}
+                    onChange={(e) => setSiteForm(prev => ({ ...prev, gpsMode: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Use shift setting</option>
+                    <option value="flag">Accept and flag</option>
+                    <option value="reject">Reject the punch</option>
+                    <option value="off">Don't check</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Max fix age (seconds)</label>
+                  <input
+                    type="number"
+                    min="10"
+                    value={siteForm.maxFixAgeSeconds}
+                    onChange={(e) => setSiteForm(prev => ({ ...prev, maxFixAgeSeconds: e.target.value }))}
+                    placeholder="Use shift setting"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="flex items-center text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={siteForm.activeHours.enabled}
+                    onChange={(e) => setSiteForm(prev => ({
+                      ...prev,
+                      activeHours: { ...prev.activeHours, enabled: e.target.checked }
+                    }))}
+                    className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Only accept punches during opening hours
+                </label>
+                {siteForm.activeHours.enabled && (
+                  <div className="mt-3 space-y-3">
+                    <div className="grid grid-cols-2 gap-4">
+                      <input
+                        type="time"
+                        value={siteForm.activeHours.start}
+                        onChange={(e) => setSiteForm(prev => ({
+                          ...prev,
+                          activeHours: { ...prev.activeHours, start: e.target.value }
+                        }))}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <input
+                        type="time"
+                        value={siteForm.activeHours.end}
+                        onChange={(e) => setSiteForm(prev => ({
+                          ...prev,
+                          activeHours: { ...prev.activeHours, end: e.target.value }
+                        }))}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {DAY_LABELS.map((label, day) => (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => toggleDay(day)}
+                          className={`px-3 py-1 rounded-full text-sm border ${
+                            siteForm.activeHours.days.includes(day)
+                              ? 'bg-blue-600 text-white border-blue-600'
+                              : 'bg-white text-gray-700 border-gray-300'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500">An end time before the start time runs past midnight.</p>
+                  </div>
+                )}
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  {editingSite ? 'Save' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Assign Employees Modal */}
+      {assignSite && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-6 border w-full max-w-lg shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Employees at {assignSite.name}</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              These employees may punch here in addition to their shift's sites.
+            </p>
+            <form onSubmit={handleAssign} className="space-y-4">
+              <textarea
+                rows={4}
+                value={assignedIds}
+                onChange={(e) => setAssignedIds(e.target.value)}
+                placeholder="Employee IDs, separated by commas"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setAssignSite(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SitesPage;
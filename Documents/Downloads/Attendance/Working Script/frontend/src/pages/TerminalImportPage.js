@@ -0,0 +1,418 @@
+// frontend/src/pages/TerminalImportPage.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications } from '../context/NotificationContext';
+import {
+  FingerPrintIcon,
+  ArrowUpTrayIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const STATUS_STYLES = {
+  imported: 'bg-green-100 text-green-800',
+  duplicate: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+const emptyMapping = {
+  deviceUserId: '',
+  deviceId: '',
+  employeeId: ''
+};
+
+const TerminalImportPage = () => {
+  const { token } = useAuth();
+  const { addNotification } = useNotifications();
+  const [file, setFile] = useState(null);
+  const [timezone, setTimezone] = useState('');
+  const [result, setResult] = useState(null);
+  const [imported, setImported] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [mappings, setMappings] = useState([]);
+  const [mappingForm, setMappingForm] = useState(emptyMapping);
+  const [unmappedEmployees, setUnmappedEmployees] = useState({});
+
+  useEffect(() => {
+    fetchMappings();
+  }, []);
+
+  const request = async (endpoint, options = {}) => {
+    const response = await fetch(`/api/terminal-imports${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' })
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchMappings = async () => {
+    try {
+      const data = await request('/mappings');
+      setMappings(data.data || []);
+    } catch (error) {
+      addNotification('Failed to fetch terminal mappings', 'error');
+    }
+  };
+
+  // Preview and import send the same file; preview only reports what import would do
+  const upload = async (endpoint) => {
+    const formData = new FormData();
+    formData.append('punchLog', file);
+    if (timezone) formData.append('timezone', timezone);
+
+    return request(endpoint, { method: 'POST', body: formData });
+  };
+
+  const handlePreview = async () => {
+    if (!file) {
+      addNotification('Choose a punch log file first', 'error');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const data = await upload('/preview');
+      setResult(data.data);
+      setImported(false);
+    } catch (error) {
+      addNotification(error.message, 'error');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import ${result.summary.imported} punches into attendance records?`)) return;
+
+    setWorking(true);
+    try {
+      const data = await upload('');
+      setResult(data.data);
+      setImported(true);
+      addNotification(`Imported ${data.data.summary.imported} punches`, 'success');
+    } catch (error) {
+      addNotification(error.message, 'error');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const saveMapping = async (mapping) => {
+    try {
+      await request('/mappings', { method: 'POST', body: JSON.stringify(mapping) });
+      addNotification(`Terminal user ${mapping.deviceUserId} mapped to ${mapping.employeeId}`, 'success');
+      fetchMappings();
+      return true;
+    } catch (error) {
+      addNotification(error.message, 'error');
+      return false;
+    }
+  };
+
+  const handleMappingSubmit = async (e) => {
+    e.preventDefault();
+    if (await saveMapping(mappingForm)) {
+      setMappingForm(emptyMapping);
+    }
+  };
+
+  // Map a terminal user found in the preview, then preview again so its punches resolve
+  const handleMapUnmapped = async (item) => {
+    const key = `${item.deviceId || ''}|${item.deviceUserId}`;
+    const employeeId = unmappedEmployees[key];
+    if (!employeeId) return;
+
+    if (await saveMapping({ deviceUserId: item.deviceUserId, employeeId })) {
+      setUnmappedEmployees(prev => ({ ...prev, [key]: '' }));
+      handlePreview();
+    }
+  };
+
+  const handleDeleteMapping = async (mapping) => {
+    if (!window.confirm(`Remove the mapping for terminal user ${mapping.deviceUserId}?`)) return;
+
+    try {
+      await request(`/mappings/${mapping._id}`, { method: 'DELETE' });
+      addNotification('Terminal mapping removed', 'success');
+      fetchMappings();
+    } catch (error) {
+      addNotification(error.message, 'error');
+    }
+  };
+
+  const rows = result?.rows.filter(row => !statusFilter || row.status === statusFilter) || [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Terminal Import</h1>
+        <p className="text-gray-600">Load punch logs exported from fingerprint terminals into attendance records</p>
+      </div>
+
+      {/* Upload */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Punch log</label>
+            <input
+              type="file"
+              accept=".txt,.dat,.tsv,.csv"
+              onChange={(e) => {
+                setFile(e.target.files[0] || null);
+                setResult(null);
+              }}
+              className="w-full text-sm text-gray-700"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              One punch per line: user ID, timestamp, in/out (0 or 1), terminal ID, separated by tabs
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Terminal timezone</label>
+            <input
+              type="text"
+              value={timezone}
+              onChange={(e) => setTimezone(e.target.value)}
+              placeholder="Employee's shift timezone"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={handlePreview}
+              disabled={working || !file}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Preview
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={working || !result || imported || result.summary.imported === 0}
+              className="flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+              Import
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {result && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              { label: 'Punches', value: result.summary.total },
+              { label: imported ? 'Imported' : 'To import', value: result.summary.imported },
+              { label: 'Into existing records', value: result.summary.merged },
+              { label: 'Duplicates', value: result.summary.duplicates },
+              { label: 'Errors', value: result.summary.errors }
+            ].map(item => (
+              <div key={item.label} className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-500">{item.label}</p>
+                <p className="text-2xl font-semibold text-gray-900">{item.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Unmapped terminal users */}
+          {!imported && result.summary.unmapped.length > 0 && (
+            <div className="bg-white rounded-lg shadow">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">Unmapped Terminal Users</h2>
+                <p className="text-sm text-gray-500">Enter the employee ID for each terminal user to include their punches</p>
+              </div>
+              <ul className="divide-y divide-gray-200">
+                {result.summary.unmapped.map(item => {
+                  const key = `${item.deviceId || ''}|${item.deviceUserId}`;
+                  return (
+                    <li key={key} className="px-6 py-3 flex items-center justify-between">
+                      <div>
+                        <span className="text-sm font-medium text-gray-900">User {item.deviceUserId}</span>
+                        <span className="block text-xs text-gray-500">
+                          {item.punches} punches{item.deviceId ? ` on ${item.deviceId}` : ''}
+                        </span>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={unmappedEmployees[key] || ''}
+                          onChange={(e) => setUnmappedEmployees(prev => ({ ...prev, [key]: e.target.value }))}
+                          placeholder="Employee ID"
+                          className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+                        />
+                        <button
+                          onClick={() => handleMapUnmapped(item)}
+                          disabled={!unmappedEmployees[key]}
+                          className="px-3 py-1 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          Map
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {/* Per-punch report */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">{imported ? 'Import Report' : 'Preview'}</h2>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+              >
+                <option value="">All punches</option>
+                <option value="imported">{imported ? 'Imported' : 'To import'}</option>
+                <option value="duplicate">Duplicates</option>
+                <option value="error">Errors</option>
+              </select>
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Terminal User</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Punch</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map(row => (
+                    <tr key={row.line}>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{row.line}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {row.deviceUserId}
+                        {row.deviceId && <span className="block text-xs text-gray-500">{row.deviceId}</span>}
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {row.employee ? (
+                          <>
+                            {row.employee.name}
+                            <span className="block text-xs text-gray-500">{row.employee.employeeId}</span>
+                          </>
+                        ) : '-'}
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {row.time ? new Date(row.time).toLocaleString() : row.timestamp}
+                        {row.direction && (
+                          <span className="block text-xs text-gray-500">{row.direction === 'in' ? 'Clock in' : 'Clock out'}</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-3 text-sm">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[row.status]}`}>
+                          {row.status === 'imported' ? (imported ? 'Imported' : 'Ready') : row.status === 'duplicate' ? 'Duplicate' : 'Error'}
+                        </span>
+                        {row.merged && <span className="ml-2 text-xs text-gray-500">into existing record</span>}
+                        {row.message && <span className="block text-xs text-red-600 mt-1">{row.message}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                  {rows.length === 0 && (
+                    <tr>
+                      <td colSpan="5" className="px-6 py-8 text-center text-sm text-gray-500">
+                        No punches to show
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Mappings */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Terminal User Mappings</h2>
+          <p className="text-sm text-gray-500">
+            Terminal users without a mapping are matched to the employee with the same employee ID
+          </p>
+        </div>
+        <form onSubmit={handleMappingSubmit} className="px-6 py-4 grid grid-cols-1 md:grid-cols-4 gap-4 items-end border-b border-gray-200">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Terminal user ID</label>
+            <input
+              type="text"
+              required
+              value={mappingForm.deviceUserId}
+              onChange={(e) => setMappingForm(prev => ({ ...prev, deviceUserId: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Terminal ID</label>
+            <input
+              type="text"
+              value={mappingForm.deviceId}
+              onChange={(e) => setMappingForm(prev => ({ ...prev, deviceId: e.target.value }))}
+              placeholder="All terminals"
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Employee ID</label>
+            <input
+              type="text"
+              required
+              value={mappingForm.employeeId}
+              onChange={(e) => setMappingForm(prev => ({ ...prev, employeeId: e.target.value }))}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+          <div>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Save Mapping
+            </button>
+          </div>
+        </form>
+        <ul className="divide-y divide-gray-200">
+          {mappings.map(mapping => (
+            <li key={mapping._id} className="px-6 py-3 flex items-center justify-between">
+              <div className="flex items-center">
+                <FingerPrintIcon className="h-5 w-5 text-gray-400 mr-2" />
+                <div>
+                  <span className="text-sm font-medium text-gray-900">
+                    User {mapping.deviceUserId} → {mapping.employee
+                      ? `${mapping.employee.userId?.firstName || ''} ${mapping.employee.userId?.lastName || ''} (${mapping.employee.employeeId})`
+                      : 'removed employee'}
+                  </span>
+                  <span className="block text-xs text-gray-500">{mapping.deviceId || 'All terminals'}</span>
+                </div>
+              </div>
+              <button
+                onClick={() => handleDeleteMapping(mapping)}
+                className="inline-flex items-center text-sm text-red-600 hover:text-red-900"
+              >
+                <TrashIcon className="h-4 w-4 mr-1" />
+                Remove
+              </button>
+            </li>
+          ))}
+          {mappings.length === 0 && (
+            <li className="px-6 py-6 text-center text-sm text-gray-500">No terminal mappings yet</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default TerminalImportPage;
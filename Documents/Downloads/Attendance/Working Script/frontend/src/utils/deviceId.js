@@ -0,0 +1,20 @@
+// frontend/src/utils/deviceId.js
+// Random ID kept in local storage and sent with punches, so the server can tell when one
+// phone or browser is used to punch for several employees.
+
+const DEVICE_ID_KEY = 'deviceId';
+
+/**
+ * Get this browser's device ID, creating it on first use
+ * @returns {string}
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
@@ -0,0 +1,30 @@
+// frontend/src/utils/kioskApi.js
+
+// Shared devices authenticate with a device token kept in local storage, not a user session
+export const KIOSK_TOKEN_KEY = 'kioskToken';
+
+/**
+ * Call the kiosk API with the device token
+ * @param {string} endpoint - Path under /api/kiosk
+ * @param {string} token - Kiosk device token
+ * @param {Object} options - fetch options
+ * @returns {Promise} - The response's data payload
+ */
+export const kioskRequest = async (endpoint, token, options = {}) => {
+  const response = await fetch(`/api/kiosk${endpoint}`, {
+    ...options,
+    headers: {
+      'X-Kiosk-Token': token,
+      ...options.headers
+    }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.success) {
+    const error = new Error(data.message || 'Request failed');
+    error.status = response.status;
+    throw error;
+  }
+
+  return data.data;
+};
@@ -0,0 +1,137 @@
+// frontend/src/utils/offlineQueue.js
+// Clock-in/out events captured without connectivity. They are stored in IndexedDB and replayed
+// by the service worker (public/service-worker.js), which reads the same database.
+
+const DB_NAME = 'attendance-offline';
+const DB_VERSION = 1;
+const PUNCH_STORE = 'punches';
+const META_STORE = 'meta';
+export const PUNCH_SYNC_TAG = 'punch-queue';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(PUNCH_STORE)) {
+      db.createObjectStore(PUNCH_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (storeName, mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const createEventId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`
+);
+
+/**
+ * Whether an error means the request never reached the server
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => !navigator.onLine || error instanceof TypeError;
+
+/**
+ * Store the auth token the service worker uses when replaying events
+ * @param {string} token - JWT of the signed-in user
+ */
+export const setQueueAuthToken = (token) => (
+  runTransaction(META_STORE, 'readwrite', store => store.put(token, 'authToken'))
+);
+
+/**
+ * Ask the service worker to replay queued events, via Background Sync where supported
+ */
+export const requestPunchSync = async () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  if (registration.sync) {
+    await registration.sync.register(PUNCH_SYNC_TAG);
+  } else {
+    registration.active?.postMessage({ type: 'REPLAY_PUNCHES' });
+  }
+};
+
+/**
+ * Queue a clock-in/out event for later replay
+ * @param {Object} punch - { type, latitude, longitude, accuracy, altitude, speed, positionTimestamp, faceImage, deviceId, project, workMode }
+ * @param {string} token - JWT of the signed-in user
+ * @returns {Promise<Object>} - The queued event
+ */
+export const queuePunch = async ({
+  type,
+  latitude,
+  longitude,
+  accuracy,
+  altitude,
+  speed,
+  positionTimestamp,
+  faceImage,
+  deviceId,
+  project,
+  workMode
+}, token) => {
+  const event = {
+    id: createEventId(),
+    type,
+    deviceTime: new Date().toISOString(),
+    latitude,
+    longitude,
+    accuracy,
+    altitude,
+    speed,
+    positionTimestamp,
+    faceImage,
+    deviceId,
+    project,
+    workMode,
+    status: 'pending',
+    createdAt: Date.now()
+  };
+
+  await runTransaction(PUNCH_STORE, 'readwrite', store => store.put(event));
+  await setQueueAuthToken(token);
+  await requestPunchSync();
+
+  return event;
+};
+
+/**
+ * List queued events, oldest first
+ * @returns {Promise<Array>}
+ */
+export const getQueuedPunches = async () => {
+  const punches = await runTransaction(PUNCH_STORE, 'readonly', store => store.getAll());
+  return (punches || []).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Remove an event, e.g. a failed one the user has seen
+ * @param {string} id - Event ID
+ */
+export const removeQueuedPunch = (id) => (
+  runTransaction(PUNCH_STORE, 'readwrite', store => store.delete(id))
+);